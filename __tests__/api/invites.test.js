@@ -0,0 +1,62 @@
+import handler from '../../pages/api/groups/invites';
+import { previewGroupInvite, joinGroupWithInvite } from '../../lib/groups/service';
+import { callRoute } from '../helpers/api';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+
+jest.mock('../../lib/groups/service', () => {
+  const invalid = () => Object.assign(new Error('This invite link is not valid'), { status: 404 });
+  return {
+    previewGroupInvite: jest.fn(async (code) => {
+      if (code !== 'ABCDEFGHJKMN') throw invalid();
+      return { code, expiresAt: null, group: { id: 'book-club', name: 'Book Club' } };
+    }),
+    joinGroupWithInvite: jest.fn(async (code) => {
+      if (code !== 'ABCDEFGHJKMN') throw invalid();
+      return { groupId: 'book-club', alreadyMember: false };
+    })
+  };
+});
+
+describe('/api/groups/invites', () => {
+  beforeEach(() => {
+    joinGroupWithInvite.mockClear();
+  });
+
+  it('previews a link without signing in', async () => {
+    const res = await callRoute(handler, { query: { code: 'ABCDEFGHJKMN' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.group.name).toBe('Book Club');
+    expect(previewGroupInvite).toHaveBeenCalledWith('ABCDEFGHJKMN');
+  });
+
+  it('answers links that cannot be used with the service\'s 404', async () => {
+    const preview = await callRoute(handler, { query: { code: 'RRRRRRRRRRRR' } });
+    const join = await callRoute(handler, { method: 'POST', query: { action: 'join' }, userId: 'bob', body: { code: 'RRRRRRRRRRRR' } });
+
+    expect(preview.statusCode).toBe(404);
+    expect(join.statusCode).toBe(404);
+    expect(join.body.error).toBe(preview.body.error);
+  });
+
+  it('requires a signed-in user to join', async () => {
+    const res = await callRoute(handler, { method: 'POST', query: { action: 'join' }, body: { code: 'ABCDEFGHJKMN', userId: 'bob' } });
+
+    expect(res.statusCode).toBe(401);
+    expect(joinGroupWithInvite).not.toHaveBeenCalled();
+  });
+
+  it('joins as the signed-in user, whatever userId is sent', async () => {
+    const res = await callRoute(handler, {
+      method: 'POST',
+      query: { action: 'join' },
+      userId: 'bob',
+      body: { code: 'ABCDEFGHJKMN', userId: 'alice' }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual({ groupId: 'book-club', alreadyMember: false });
+    expect(joinGroupWithInvite).toHaveBeenCalledWith('ABCDEFGHJKMN', 'bob');
+  });
+});
@@ -0,0 +1,57 @@
+import handler from '../../pages/api/groups/join-requests';
+import { reviewJoinRequest } from '../../lib/groups/service';
+import { notifyJoinRequestReviewed } from '../../lib/notifications/groups';
+import { callRoute } from '../helpers/api';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+
+jest.mock('../../lib/groups/service', () => ({
+  getJoinRequests: jest.fn(),
+  joinGroup: jest.fn(),
+  reviewJoinRequest: jest.fn(async (requestId, reviewerId, approve) => ({ id: requestId, reviewedBy: reviewerId, approve }))
+}));
+
+jest.mock('../../lib/notifications/groups', () => ({
+  notifyJoinRequestReviewed: jest.fn(async () => ({ notified: true }))
+}));
+
+describe('/api/groups/join-requests', () => {
+  beforeEach(() => {
+    notifyJoinRequestReviewed.mockClear();
+  });
+
+  it('requires a signed-in user to ask for a notification', async () => {
+    const res = await callRoute(handler, { method: 'POST', query: { action: 'notify' }, body: { requestId: 'r1' } });
+
+    expect(res.statusCode).toBe(401);
+    expect(notifyJoinRequestReviewed).not.toHaveBeenCalled();
+  });
+
+  it('notifies as the signed-in reviewer', async () => {
+    const res = await callRoute(handler, { method: 'POST', query: { action: 'notify' }, userId: 'owner', body: { requestId: 'r1' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(notifyJoinRequestReviewed).toHaveBeenCalledWith('r1', 'owner');
+  });
+
+  it('passes the service\'s refusal on', async () => {
+    notifyJoinRequestReviewed.mockRejectedValueOnce(Object.assign(new Error('Only the reviewer can notify the applicant'), { status: 403 }));
+
+    const res = await callRoute(handler, { method: 'POST', query: { action: 'notify' }, userId: 'mallory', body: { requestId: 'r1' } });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('reviews and notifies as the signed-in reviewer', async () => {
+    const res = await callRoute(handler, {
+      method: 'POST',
+      query: { action: 'review' },
+      userId: 'owner',
+      body: { requestId: 'r1', approve: true }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(reviewJoinRequest).toHaveBeenCalledWith('r1', 'owner', true, undefined);
+    expect(notifyJoinRequestReviewed).toHaveBeenCalledWith('r1', 'owner');
+  });
+});
@@ -0,0 +1,78 @@
+import handler from '../../pages/api/messages';
+import { getMessageStore } from '../../lib/messages/store';
+import { callRoute } from '../helpers/api';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+jest.mock('../../lib/notifications/mentions', () => ({
+  notifyMentions: jest.fn(async () => ({ notified: 0 }))
+}));
+
+// group-1's chat is open to its members alice and bob; any other chat is open to everyone
+jest.mock('../../lib/groups/service', () => ({
+  getChatAccess: jest.fn(async (chatId, userId) => {
+    if (chatId !== 'group-1') {
+      return { groupId: null, channel: null, member: null };
+    }
+    if (!['alice', 'bob'].includes(userId)) {
+      const error = new Error('Not a member of this chat');
+      error.status = 403;
+      throw error;
+    }
+    return { groupId: 'group-1', channel: null, member: { userId, role: 'member', permissions: [] } };
+  }),
+  hasGroupPermission: jest.fn(async () => false),
+  hasChannelPermission: jest.fn(async (groupId, chatId, userId) => ['alice', 'bob'].includes(userId))
+}));
+
+describe('/api/messages', () => {
+  let message;
+
+  beforeAll(async () => {
+    message = await getMessageStore().createMessage('group-1', { text: 'hello', senderId: 'alice', groupId: 'group-1' });
+  });
+
+  it('requires a signed-in user for every read and write', async () => {
+    const requests = [
+      { method: 'GET', query: { chatId: 'group-1' } },
+      { method: 'GET', query: { chatId: 'group-1', messageId: message.id, action: 'thread' } },
+      { method: 'GET', query: { chatId: 'group-1', action: 'expiry' } },
+      { method: 'POST', query: { action: 'notify-mentions' }, body: { chatId: 'group-1', messageId: message.id } },
+      { method: 'DELETE', query: { chatId: 'group-1', action: 'expired' } }
+    ];
+
+    for (const request of requests) {
+      expect((await callRoute(handler, request)).statusCode).toBe(401);
+    }
+  });
+
+  it('keeps group chats to their members', async () => {
+    const requests = [
+      { method: 'GET', query: { chatId: 'group-1' } },
+      { method: 'GET', query: { chatId: 'group-1', messageId: message.id, action: 'thread' } },
+      { method: 'GET', query: { chatId: 'group-1', action: 'expiry' } },
+      { method: 'POST', body: { chatId: 'group-1', text: 'let me in' } },
+      { method: 'POST', query: { action: 'notify-mentions' }, body: { chatId: 'group-1', messageId: message.id } },
+      { method: 'DELETE', query: { chatId: 'group-1', action: 'expired' } }
+    ];
+
+    for (const request of requests) {
+      expect((await callRoute(handler, { ...request, userId: 'mallory' })).statusCode).toBe(403);
+    }
+  });
+
+  it('lets members read the chat', async () => {
+    const res = await callRoute(handler, { method: 'GET', query: { chatId: 'group-1' }, userId: 'bob' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(({ id }) => id)).toContain(message.id);
+  });
+
+  it('lets any signed-in user use a chat outside a group', async () => {
+    const created = await callRoute(handler, { method: 'POST', body: { chatId: 'lobby', text: 'hi' }, userId: 'carol' });
+    const listed = await callRoute(handler, { method: 'GET', query: { chatId: 'lobby' }, userId: 'dave' });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.data.senderId).toBe('carol');
+    expect(listed.body.data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,63 @@
+import handler from '../../pages/api/prekeys';
+import { getPreKeyStore } from '../../lib/prekeys/store';
+import { callRoute } from '../helpers/api';
+import { createBundle, createPreKeys } from '../helpers/preKeys';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+
+describe('/api/prekeys', () => {
+  let bundle;
+
+  beforeAll(async () => {
+    bundle = await createBundle('laptop');
+    await getPreKeyStore().uploadBundle('alice', { bundle, preKeys: await createPreKeys(1, 1) });
+  });
+
+  it('only lets users upload bundles for themselves', async () => {
+    const anonymous = await callRoute(handler, { method: 'POST', body: { userId: 'alice', bundle, preKeys: [], replace: true } });
+    const other = await callRoute(handler, {
+      method: 'POST',
+      userId: 'mallory',
+      body: { userId: 'alice', bundle, preKeys: [], replace: true }
+    });
+    const newDevice = await callRoute(handler, {
+      method: 'POST',
+      userId: 'mallory',
+      body: { userId: 'alice', bundle: await createBundle('rogue'), preKeys: [] }
+    });
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(other.statusCode).toBe(403);
+    expect(newDevice.statusCode).toBe(403);
+    expect((await getPreKeyStore().countPreKeys('alice', 'laptop')).count).toBe(1);
+    expect((await getPreKeyStore().countPreKeys('alice', 'rogue')).signedPreKeyId).toBeNull();
+  });
+
+  it('only reports pre-key counts to their owner', async () => {
+    const res = await callRoute(handler, {
+      method: 'GET',
+      userId: 'mallory',
+      query: { action: 'count', userId: 'alice', deviceId: 'laptop' }
+    });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('needs a signed-in user to claim', async () => {
+    const anonymous = await callRoute(handler, {
+      method: 'POST',
+      query: { action: 'claim' },
+      body: { userId: 'alice', deviceId: 'laptop' }
+    });
+    expect(anonymous.statusCode).toBe(401);
+
+    const claimed = await callRoute(handler, {
+      method: 'POST',
+      userId: 'bob',
+      query: { action: 'claim' },
+      body: { userId: 'alice', deviceId: 'laptop' }
+    });
+    expect(claimed.statusCode).toBe(200);
+    expect(claimed.body.data.preKeyId).toBe(1);
+  });
+});
@@ -0,0 +1,66 @@
+import handler from '../../pages/api/notifications/scheduled';
+import { callRoute } from '../helpers/api';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+
+const notification = { title: 'Stand-up', body: 'In five minutes' };
+const later = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('/api/notifications/scheduled', () => {
+  it('requires a signed-in user for every user action', async () => {
+    const requests = [
+      { method: 'GET' },
+      { method: 'POST', body: { userId: 'alice', notification, scheduledFor: later() } },
+      { method: 'PATCH', body: { userId: 'alice', id: 'x' } },
+      { method: 'DELETE', body: { userId: 'alice', id: 'x' } }
+    ];
+
+    for (const request of requests) {
+      const res = await callRoute(handler, request);
+      expect(res.statusCode).toBe(401);
+    }
+  });
+
+  it('schedules for the signed-in user, ignoring a userId in the body', async () => {
+    const res = await callRoute(handler, {
+      method: 'POST',
+      userId: 'mallory',
+      body: { userId: 'alice', notification, scheduledFor: later() }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.userId).toBe('mallory');
+
+    const alice = await callRoute(handler, { method: 'GET', userId: 'alice', query: { userId: 'alice' } });
+    expect(alice.body.data).toEqual([]);
+  });
+
+  it('keeps other users from reading, editing or cancelling a notification', async () => {
+    const created = await callRoute(handler, {
+      method: 'POST',
+      userId: 'bob',
+      body: { notification, scheduledFor: later() }
+    });
+    const { id } = created.body.data;
+
+    const read = await callRoute(handler, { method: 'GET', userId: 'mallory', query: { userId: 'bob', id } });
+    const edit = await callRoute(handler, {
+      method: 'PATCH',
+      userId: 'mallory',
+      body: { userId: 'bob', id, notification: { title: 'Phish' } }
+    });
+    const cancel = await callRoute(handler, { method: 'DELETE', userId: 'mallory', body: { userId: 'bob', id } });
+
+    expect(read.statusCode).toBe(404);
+    expect(edit.statusCode).toBe(404);
+    expect(cancel.statusCode).toBe(404);
+
+    const own = await callRoute(handler, { method: 'GET', userId: 'bob', query: { id } });
+    expect(own.body.data).toMatchObject({ id, status: 'scheduled', notification: { title: 'Stand-up' } });
+  });
+
+  it('keeps dispatch behind the notifications secret', async () => {
+    const res = await callRoute(handler, { method: 'POST', userId: 'bob', query: { action: 'dispatch' } });
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,54 @@
+import handler from '../../pages/api/notifications/subscriptions';
+import { getPushSubscriptionStore } from '../../lib/notifications/subscriptions';
+import { callRoute } from '../helpers/api';
+
+jest.mock('../../lib/auth/idTokens', () => require('../helpers/api').idTokensMock);
+
+const subscription = {
+  endpoint: 'https://fcm.googleapis.com/fcm/send/device-1',
+  keys: {
+    p256dh: Buffer.alloc(65, 4).toString('base64url'),
+    auth: Buffer.alloc(16, 1).toString('base64url')
+  }
+};
+
+describe('/api/notifications/subscriptions', () => {
+  it('requires a signed-in user to subscribe or unsubscribe', async () => {
+    const subscribe = await callRoute(handler, { method: 'POST', body: { userId: 'alice', deviceId: 'd1', subscription } });
+    const unsubscribe = await callRoute(handler, { method: 'DELETE', body: { userId: 'alice', deviceId: 'd1' } });
+
+    expect(subscribe.statusCode).toBe(401);
+    expect(unsubscribe.statusCode).toBe(401);
+  });
+
+  it('stores the subscription under the signed-in user, whatever userId is sent', async () => {
+    const res = await callRoute(handler, {
+      method: 'POST',
+      userId: 'mallory',
+      body: { userId: 'alice', deviceId: 'd1', subscription }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(await getPushSubscriptionStore().listSubscriptions('alice')).toEqual([]);
+    expect(await getPushSubscriptionStore().listSubscriptions('mallory')).toHaveLength(1);
+  });
+
+  it('only removes the signed-in user\'s own subscriptions', async () => {
+    await callRoute(handler, { method: 'POST', userId: 'bob', body: { deviceId: 'd2', subscription } });
+
+    const res = await callRoute(handler, { method: 'DELETE', userId: 'mallory', body: { userId: 'bob', deviceId: 'd2' } });
+
+    expect(res.body.data.removed).toBe(false);
+    expect(await getPushSubscriptionStore().listSubscriptions('bob')).toHaveLength(1);
+  });
+
+  it('refuses endpoints outside the known push services', async () => {
+    const res = await callRoute(handler, {
+      method: 'POST',
+      userId: 'bob',
+      body: { deviceId: 'd3', subscription: { ...subscription, endpoint: 'https://internal.example/admin' } }
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * API route test helpers
+ * Routes are called directly with plain request objects and a recording response.
+ */
+
+/**
+ * Mock implementation of getRequestUserId: the bearer token is the user ID
+ * Use with jest.mock('<path>/lib/auth/idTokens', () => require('<path>/__tests__/helpers/api').idTokensMock).
+ */
+export const idTokensMock = {
+  getRequestUserId: async (req) => {
+    const [scheme, token] = (req.headers?.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      const error = new Error('Unauthorized');
+      error.status = 401;
+      throw error;
+    }
+    return token;
+  }
+};
+
+/**
+ * Build an API request
+ * @param {Object} request - { method, query, body, userId: signed-in user, headers }
+ * @returns {Object} - Request
+ */
+export function createRequest({ method = 'GET', query = {}, body = undefined, userId = null, headers = {} } = {}) {
+  return {
+    method,
+    query,
+    body,
+    headers: userId ? { ...headers, authorization: `Bearer ${userId}` } : headers
+  };
+}
+
+/**
+ * Build a response that records what the route sent
+ * @returns {Object} - Response with statusCode, body and headers
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end(body) {
+      res.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name] = value;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Call a route handler
+ * @param {function} handler - API route
+ * @param {Object} request - See createRequest
+ * @returns {Promise<Object>} - Response
+ */
+export async function callRoute(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
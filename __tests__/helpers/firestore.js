@@ -0,0 +1,58 @@
+/**
+ * In-memory Firestore test helpers
+ * Enough of firebase/firestore for services that read and write documents, run equality
+ * queries and transactions. Use with
+ * jest.mock('firebase/firestore', () => require('<path>/__tests__/helpers/firestore').firestoreMock).
+ */
+
+/**
+ * Stored documents by path ('<collection>/<id>'); clear it between tests
+ */
+export const firestoreDocs = new Map();
+
+let nextId = 0;
+
+function snapshot(path) {
+  return {
+    id: path.split('/').pop(),
+    exists: () => firestoreDocs.has(path),
+    data: () => firestoreDocs.get(path)
+  };
+}
+
+function applyUpdate(path, changes) {
+  const data = { ...firestoreDocs.get(path) };
+  for (const [field, value] of Object.entries(changes)) {
+    data[field] = value?.increment ? (data[field] || 0) + value.increment : value;
+  }
+  firestoreDocs.set(path, data);
+}
+
+export const firestoreMock = {
+  ...jest.requireActual('firebase/firestore'),
+  doc: (db, collectionName, id) => `${collectionName}/${id}`,
+  collection: (db, collectionName) => collectionName,
+  where: (field, op, value) => ({ field, value }),
+  orderBy: () => null,
+  query: (collectionName, ...filters) => ({ collectionName, filters: filters.filter(Boolean) }),
+  getDoc: async (path) => snapshot(path),
+  getDocs: async ({ collectionName, filters }) => {
+    const docs = [...firestoreDocs.keys()]
+      .filter(path => path.startsWith(`${collectionName}/`))
+      .map(snapshot)
+      .filter(found => filters.every(({ field, value }) => found.data()[field] === value));
+    return { empty: docs.length === 0, docs };
+  },
+  setDoc: async (path, data) => {
+    firestoreDocs.set(path, data);
+  },
+  addDoc: async (collectionName, data) => {
+    const id = `doc-${nextId++}`;
+    firestoreDocs.set(`${collectionName}/${id}`, data);
+    return { id };
+  },
+  updateDoc: async (path, changes) => applyUpdate(path, changes),
+  runTransaction: async (db, update) => update({ get: async (path) => snapshot(path), update: applyUpdate }),
+  serverTimestamp: () => 'now',
+  increment: (amount) => ({ increment: amount })
+};
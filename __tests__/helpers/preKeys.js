@@ -0,0 +1,47 @@
+/**
+ * Pre-key test helpers
+ * Public bundles and one-time pre-keys built with WebCrypto, signed like
+ * EncryptionService.getPublicKeyBundle signs them.
+ */
+
+const IDENTITY = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+const EXCHANGE = { name: 'ECDH', namedCurve: 'P-256' };
+
+const raw = async (key) => Array.from(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+
+/**
+ * Build a device's public key bundle
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} - Bundle
+ */
+export async function createBundle(deviceId) {
+  const identity = await crypto.subtle.generateKey(IDENTITY, true, ['sign', 'verify']);
+  const exchange = await crypto.subtle.generateKey(EXCHANGE, true, ['deriveBits']);
+  const signed = await crypto.subtle.generateKey(EXCHANGE, true, ['deriveBits']);
+  const signedPreKey = await raw(signed.publicKey);
+  const signature = await crypto.subtle.sign(IDENTITY, identity.privateKey, new Uint8Array(signedPreKey));
+
+  return {
+    deviceId,
+    identityKey: await raw(identity.publicKey),
+    identityExchangeKey: await raw(exchange.publicKey),
+    signedPreKeyId: 1,
+    signedPreKey,
+    signature: Array.from(new Uint8Array(signature))
+  };
+}
+
+/**
+ * Build one-time pre-keys
+ * @param {number} count - Number of pre-keys
+ * @param {number} firstId - ID of the first pre-key
+ * @returns {Promise<Array>} - [{ id, publicKey }]
+ */
+export async function createPreKeys(count, firstId = 0) {
+  const preKeys = [];
+  for (let i = 0; i < count; i++) {
+    const keyPair = await crypto.subtle.generateKey(EXCHANGE, true, ['deriveBits']);
+    preKeys.push({ id: firstId + i, publicKey: await raw(keyPair.publicKey) });
+  }
+  return preKeys;
+}
@@ -0,0 +1,249 @@
+import { useState } from 'react';
+import {
+  GROUPS_CONFIG,
+  updateChannel,
+  addChannelMember,
+  removeChannelMember,
+  deleteChannel
+} from '../lib/groups/service';
+
+/**
+ * Channel Settings Component
+ * For members who manage channels: rename a channel and set its topic, choose who is in a
+ * private channel, override what each role or member may do in it, and delete it.
+ */
+
+const { CHANNELS, ROLES } = GROUPS_CONFIG;
+
+// The owner's permissions are never reduced, so the owner has no override row
+const OVERRIDE_ROLES = [ROLES.ADMIN, ROLES.MODERATOR, ROLES.MEMBER];
+
+const PERMISSION_LABELS = {
+  send_messages: 'Send messages',
+  upload_files: 'Upload files',
+  moderate_content: 'Moderate messages',
+  manage_files: 'Manage files'
+};
+
+/**
+ * Read one permission's setting from an override
+ * @param {Object|undefined} override - { allow, deny }
+ * @param {string} permission - Permission
+ * @returns {string} - 'allow', 'deny' or 'inherit'
+ */
+function overrideValue(override, permission) {
+  if (override?.deny?.includes(permission)) return 'deny';
+  if (override?.allow?.includes(permission)) return 'allow';
+  return 'inherit';
+}
+
+/**
+ * Set one permission's setting on an override
+ * @param {Object|undefined} override - { allow, deny }
+ * @param {string} permission - Permission
+ * @param {string} value - 'allow', 'deny' or 'inherit'
+ * @returns {Object} - Updated override
+ */
+function setOverrideValue(override, permission, value) {
+  const allow = (override?.allow || []).filter(item => item !== permission);
+  const deny = (override?.deny || []).filter(item => item !== permission);
+
+  if (value === 'allow') allow.push(permission);
+  if (value === 'deny') deny.push(permission);
+
+  return { allow, deny };
+}
+
+export default function ChannelSettings({ members, channel, userId, onClose }) {
+  const [name, setName] = useState(channel.name);
+  const [topic, setTopic] = useState(channel.topic || '');
+  const [overrides, setOverrides] = useState({
+    roles: channel.permissionOverrides?.roles || {},
+    members: channel.permissionOverrides?.members || {}
+  });
+  const [overrideMember, setOverrideMember] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const groupMemberIds = members.map(member => member.userId);
+  const ownerIds = members.filter(member => member.role === ROLES.OWNER).map(member => member.userId);
+
+  const run = async (operation, failure) => {
+    setWorking(true);
+    try {
+      await operation();
+    } catch (error) {
+      console.error('Error updating channel:', error);
+      alert(error.status ? error.message : failure);
+    }
+    setWorking(false);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await updateChannel(channel.id, userId, { name, topic, permissionOverrides: overrides });
+      onClose();
+    }, 'Failed to save channel settings. Please try again.');
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Delete #${channel.name}? Its messages are deleted for everyone.`)) return;
+    run(async () => {
+      await deleteChannel(channel.id, userId);
+      onClose();
+    }, 'Failed to delete channel. Please try again.');
+  };
+
+  const toggleMember = (memberId) => {
+    const isMember = channel.memberIds?.includes(memberId);
+    run(
+      () => (isMember ? removeChannelMember : addChannelMember)(channel.id, memberId, userId),
+      'Failed to update channel members. Please try again.'
+    );
+  };
+
+  const changeOverride = (scope, key, permission, value) => {
+    setOverrides(prev => ({
+      ...prev,
+      [scope]: { ...prev[scope], [key]: setOverrideValue(prev[scope][key], permission, value) }
+    }));
+  };
+
+  const removeMemberOverride = (memberId) => {
+    setOverrides(prev => {
+      const memberOverrides = { ...prev.members };
+      delete memberOverrides[memberId];
+      return { ...prev, members: memberOverrides };
+    });
+  };
+
+  const renderOverrideRow = (scope, key, label) => (
+    <tr key={`${scope}:${key}`}>
+      <th>{label}</th>
+      {CHANNELS.OVERRIDABLE_PERMISSIONS.map(permission => (
+        <td key={permission}>
+          <select
+            value={overrideValue(overrides[scope][key], permission)}
+            onChange={(e) => changeOverride(scope, key, permission, e.target.value)}
+            className="form-select"
+          >
+            <option value="inherit">Default</option>
+            <option value="allow">Allow</option>
+            <option value="deny">Deny</option>
+          </select>
+        </td>
+      ))}
+      {scope === 'members' && (
+        <td>
+          <button type="button" onClick={() => removeMemberOverride(key)} className="btn btn-secondary btn-small">
+            ✕
+          </button>
+        </td>
+      )}
+    </tr>
+  );
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal channel-settings">
+        <div className="modal-header">
+          <h3>{channel.isPrivate ? '🔒' : '#'} {channel.name} settings</h3>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <form onSubmit={handleSave} className="modal-body">
+          <div className="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={channel.isDefault}
+              className="form-input"
+            />
+          </div>
+          <div className="form-group">
+            <label>Topic</label>
+            <input
+              type="text"
+              value={topic}
+              onChange={(e) => setTopic(e.target.value)}
+              maxLength={CHANNELS.MAX_TOPIC_LENGTH}
+              className="form-input"
+            />
+          </div>
+
+          {channel.isPrivate && (
+            <>
+              <h4>Members</h4>
+              <ul className="channel-member-picker">
+                {groupMemberIds.map(memberId => (
+                  <li key={memberId}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(channel.memberIds?.includes(memberId))}
+                        onChange={() => toggleMember(memberId)}
+                        disabled={working}
+                      />
+                      {memberId}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <h4>Permissions</h4>
+          <p className="channel-permissions-hint">
+            Everyone may send messages and upload files unless denied here. Member overrides apply after role overrides.
+          </p>
+          <table className="channel-permissions">
+            <thead>
+              <tr>
+                <th />
+                {CHANNELS.OVERRIDABLE_PERMISSIONS.map(permission => (
+                  <th key={permission}>{PERMISSION_LABELS[permission] || permission}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {OVERRIDE_ROLES.map(role => renderOverrideRow('roles', role, role))}
+              {Object.keys(overrides.members).map(memberId => renderOverrideRow('members', memberId, memberId))}
+            </tbody>
+          </table>
+          <div className="channel-override-add">
+            <select value={overrideMember} onChange={(e) => setOverrideMember(e.target.value)} className="form-select">
+              <option value="">Add an override for a member</option>
+              {groupMemberIds
+                .filter(memberId => !ownerIds.includes(memberId) && !overrides.members[memberId])
+                .map(memberId => <option key={memberId} value={memberId}>{memberId}</option>)}
+            </select>
+            <button
+              type="button"
+              onClick={() => {
+                changeOverride('members', overrideMember, CHANNELS.OVERRIDABLE_PERMISSIONS[0], 'inherit');
+                setOverrideMember('');
+              }}
+              disabled={!overrideMember}
+              className="btn btn-secondary btn-small"
+            >
+              Add
+            </button>
+          </div>
+
+          <div className="channel-settings-actions">
+            <button type="submit" disabled={working} className="btn btn-primary">
+              {working ? 'Saving...' : 'Save'}
+            </button>
+            {!channel.isDefault && (
+              <button type="button" onClick={handleDelete} disabled={working} className="btn btn-danger">
+                Delete channel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
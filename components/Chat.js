@@ -1,33 +1,169 @@
-import { useState, useEffect, useRef } from 'react';
-import { auth, db, isConfigured } from '../lib/firebase';
-import { 
-  collection, 
-  addDoc, 
-  query, 
-  orderBy, 
-  onSnapshot, 
-  serverTimestamp 
-} from 'firebase/firestore';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { auth, isConfigured } from '../lib/firebase';
+import {
+  getMessageStore,
+  aggregateReactions,
+  summarizeReceipts,
+  isMessageExpired,
+  describeExpiryTimer,
+  MESSAGES_CONFIG
+} from '../lib/messages/store';
+import { messagesApi } from '../lib/messages/api';
+import {
+  OUTBOX_CONFIG,
+  isOutboxSupported,
+  generateClientId,
+  enqueueMessage,
+  flushOutbox,
+  retryOutboxEntry,
+  removeOutboxEntry,
+  requestOutboxSync,
+  subscribeToOutbox
+} from '../lib/messages/outbox';
+import {
+  getGroupMembers,
+  hasGroupPermission,
+  hasChannelPermission,
+  subscribeToChannelKeyEpoch,
+  subscribeToGroupMembers
+} from '../lib/groups/service';
+import {
+  MENTIONS_CONFIG,
+  findMentionQuery,
+  suggestMentions,
+  insertMention,
+  buildMentionEntities,
+  mentionPicks,
+  mentionsUser,
+  splitMentions
+} from '../lib/messages/mentions';
+import {
+  NOTIFICATION_RULES_CONFIG,
+  isRulesSupported,
+  ruleKey,
+  subscribeToNotificationRules,
+  setConversationRule
+} from '../lib/notifications/rules';
+import { watchQueuedReplies } from '../lib/notifications/actionQueue';
+import {
+  isEncryptionLocked,
+  initializeChatEncryption,
+  encryptChatMessage,
+  encryptGroupChatMessage,
+  receiveSenderKeys,
+  decryptChatPayload,
+  forgetChatPayload,
+  getEnvelope,
+  envelopeKey
+} from '../lib/encryption/messaging';
+import { hasKeyStore, KEYSTORE_CONFIG } from '../lib/encryption/keystore';
+import { DEVICE_CONFIG, getDeviceStatus } from '../lib/encryption/devices';
+import { subscribeToIdentityStatus } from '../lib/encryption/verification';
+import {
+  ATTACHMENT_CONFIG,
+  uploadAttachment,
+  encodeAttachmentMessage,
+  decodeAttachmentMessage
+} from '../lib/encryption/attachments';
+import SafetyNumberVerification from './SafetyNumberVerification';
+import EncryptedAttachment from './EncryptedAttachment';
+import LinkDevice from './LinkDevice';
+import { PRESENCE_CONFIG } from '../lib/presence/service';
+import { usePresence, usePresenceHeartbeat, useTypingIndicator } from '../lib/presence/hooks';
 
 /**
  * Real-time Chat Component
  * 
  * TODO: Complete implementation
  * - Add message validation and sanitization
- * - Implement message reactions and replies
- * - Add typing indicators
- * - Implement message status (sent, delivered, read)
- * - Add message deletion and editing
- * - Implement message pagination for performance
- * - Add offline support and message queuing
- * - Implement user presence indicators
  */
 
-export default function Chat({ userId, chatId = 'general' }) {
+/**
+ * Send a chat's queued messages in order, handing leftovers to background sync
+ * @param {string} chatId - Chat ID
+ */
+async function sendQueuedMessages(chatId) {
+  try {
+    const { pending } = await flushOutbox(chatId, messagesApi.createMessage);
+
+    if (pending > 0) {
+      await requestOutboxSync();
+    }
+  } catch (error) {
+    console.error('Error flushing outbox:', error);
+  }
+}
+
+/**
+ * Identify the envelope a user would decrypt for a message
+ * @param {Object} message - Chat message
+ * @param {string} userId - Reading user ID
+ * @returns {string} - Envelope key, or 'none' when nothing is addressed to the user
+ */
+function readableEnvelopeKey(message, userId) {
+  const envelope = getEnvelope(message.e2ee, userId);
+  return envelope ? envelopeKey(envelope) : 'none';
+}
+
+/**
+ * Check whether a message carries an encrypted attachment
+ * @param {Object} message - Chat message
+ * @returns {boolean} - Whether its plaintext is an attachment message
+ */
+function isAttachmentMessage(message) {
+  return message.type === MESSAGES_CONFIG.TYPES.IMAGE || message.type === MESSAGES_CONFIG.TYPES.FILE;
+}
+
+export default function Chat({ userId, chatId = 'general', groupId = null, participantIds = null }) {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
+  const [olderMessages, setOlderMessages] = useState([]);
+  const [olderExhausted, setOlderExhausted] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [history, setHistory] = useState(null);
+  const [canModerate, setCanModerate] = useState(false);
+  const [canSend, setCanSend] = useState(true);
+  const [canUpload, setCanUpload] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [thread, setThread] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [memberIds, setMemberIds] = useState(null);
+  const [seenBy, setSeenBy] = useState(null);
+  const [outbox, setOutbox] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [encryptionReady, setEncryptionReady] = useState(null);
+  const [encryptionLocked, setEncryptionLocked] = useState(false);
+  const [deviceUnlinked, setDeviceUnlinked] = useState(false);
+  const [hasStoredKeys, setHasStoredKeys] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [showContacts, setShowContacts] = useState(false);
+  const [verifyingContact, setVerifyingContact] = useState(null);
+  const [identityStatus, setIdentityStatus] = useState({});
+  const [decrypted, setDecrypted] = useState({});
+  const [keyEpoch, setKeyEpoch] = useState(0);
+  const [senderKeyVersion, setSenderKeyVersion] = useState(0);
+  const [missingRecipients, setMissingRecipients] = useState([]);
+  const [expiry, setExpiry] = useState(null);
+  const [canManageSettings, setCanManageSettings] = useState(false);
+  const [clock, setClock] = useState(() => Date.now());
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [groupMembers, setGroupMembers] = useState([]);
+  const [canBroadcast, setCanBroadcast] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [pickedMentions, setPickedMentions] = useState([]);
+  const [notificationRule, setNotificationRule] = useState(null);
   const messagesEndRef = useRef(null);
+  const composerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const pendingReceiptsRef = useRef(new Set());
+  const forgottenRef = useRef(new Set());
+  const { typingUsers, notifyTyping, stopTyping } = useTypingIndicator(chatId, userId);
+
+  usePresenceHeartbeat(userId);
 
   // Scroll to bottom of messages
   const scrollToBottom = () => {
@@ -42,59 +178,598 @@ export default function Chat({ userId, chatId = 'general' }) {
   useEffect(() => {
     if (!isConfigured || !userId) return;
 
-    // TODO: Implement proper collection path structure
-    // Suggested Firestore structure:
-    // /chats/{chatId}/messages/{messageId}
+    // Messages live under /chats/{chatId}/messages/{messageId}
     // {
-    //   text: string,
+    //   text: string ('' for end-to-end encrypted messages),
+    //   e2ee: { version, senderId, senderDeviceId, envelopes: { userId: { deviceId: bundle } }, self } | null,
     //   senderId: string,
     //   senderName: string,
     //   timestamp: timestamp,
-    //   type: 'text' | 'image' | 'file',
-    //   metadata: object (for file info, etc.)
+    //   type: 'text' | 'image' | 'file' | 'system',
+    //   metadata: object (empty for encrypted messages; attachment details are in the ciphertext)
     //   reactions: { userId: emoji },
     //   replyTo: messageId | null,
+    //   expiresAt: timestamp | null (disappearing messages),
     //   edited: boolean,
     //   editedAt: timestamp | null
     // }
 
-    const messagesRef = collection(db, 'chats', chatId, 'messages');
-    const q = query(messagesRef, orderBy('timestamp', 'asc'));
+    setOlderMessages([]);
+    setOlderExhausted(false);
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const newMessages = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setMessages(newMessages);
-    }, (error) => {
-      console.error('Error fetching messages:', error);
-      // TODO: Implement proper error handling and user notification
+    const unsubscribe = getMessageStore().subscribeToMessages(chatId, (latestMessages) => {
+      setMessages(latestMessages);
+    }, {
+      onError: (error) => {
+        console.error('Error fetching messages:', error);
+        // TODO: Implement proper error handling and user notification
+      }
     });
 
     return () => unsubscribe();
   }, [userId, chatId]);
 
+  // Set up keys and publish this user's bundle before sending or reading encrypted messages
+  useEffect(() => {
+    if (!isConfigured || !userId) return;
+
+    let active = true;
+    setEncryptionReady(null);
+
+    // Stored keys are protected by a passphrase; ask for it unless another view already unlocked them
+    if (isEncryptionLocked(userId)) {
+      setEncryptionLocked(true);
+      hasKeyStore(userId)
+        .then(exists => active && setHasStoredKeys(exists))
+        .catch(error => console.error('Error checking keystore:', error));
+    } else {
+      setEncryptionLocked(false);
+      initializeChatEncryption(userId).then(ready => {
+        if (!active) return;
+        setEncryptionReady(ready);
+        setDeviceUnlinked(getDeviceStatus() === DEVICE_CONFIG.STATUS.UNLINKED);
+      });
+    }
+
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  // Decrypt incoming, paginated, thread and queued messages once per envelope
+  useEffect(() => {
+    if (!encryptionReady || !userId) return;
+
+    const candidates = [
+      ...olderMessages,
+      ...messages,
+      ...(thread?.messages || []),
+      ...outbox.map(entry => ({ id: entry.clientId, ...entry.message }))
+    ].filter(message => {
+      const current = decrypted[message.id];
+      return message.e2ee && !isMessageExpired(message) && (
+        current?.key !== readableEnvelopeKey(message, userId) ||
+        (current.retryable && current.senderKeyVersion !== senderKeyVersion)
+      );
+    });
+
+    candidates.forEach(async (message) => {
+      const key = readableEnvelopeKey(message, userId);
+      const result = await decryptChatPayload(message.e2ee, userId, { expiresAt: message.expiresAt });
+
+      // Decode attachments once so their previews are not fetched again on every render
+      const attachment = result.text !== undefined && isAttachmentMessage(message)
+        ? decodeAttachmentMessage(result.text).attachment
+        : null;
+      setDecrypted(prev => prev[message.id]?.key === key && !prev[message.id].retryable
+        ? prev
+        : { ...prev, [message.id]: { key, senderKeyVersion, attachment, ...result } });
+    });
+  }, [messages, olderMessages, thread, outbox, decrypted, encryptionReady, senderKeyVersion, userId]);
+
+  // Group chats: follow the channel's key epoch and store sender keys as members distribute them
+  useEffect(() => {
+    if (!isConfigured || !groupId) {
+      setKeyEpoch(0);
+      return;
+    }
+
+    return subscribeToChannelKeyEpoch(groupId, chatId, setKeyEpoch);
+  }, [groupId, chatId]);
+
+  useEffect(() => {
+    if (!encryptionReady || !userId || !groupId) return;
+
+    return receiveSenderKeys(chatId, userId, () => setSenderKeyVersion(version => version + 1));
+  }, [encryptionReady, userId, chatId, groupId]);
+
+  // Replies typed into notifications wait for keys that only an open tab has
+  useEffect(() => {
+    if (!encryptionReady || !userId || !auth.currentUser) return;
+
+    return watchQueuedReplies({
+      userId,
+      senderName: auth.currentUser.displayName || auth.currentUser.email
+    });
+  }, [encryptionReady, userId]);
+
+  // Queued messages survive reloads; flush them now and whenever connectivity returns
+  useEffect(() => {
+    if (!isConfigured || !userId || !isOutboxSupported()) return;
+
+    const unsubscribe = subscribeToOutbox(chatId, setOutbox);
+    const handleOnline = () => {
+      setIsOnline(true);
+      sendQueuedMessages(chatId);
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    setIsOnline(navigator.onLine);
+    sendQueuedMessages(chatId);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [userId, chatId]);
+
+  // Channel moderators may delete any message and view edit history; a channel may also
+  // stop members posting or uploading
+  useEffect(() => {
+    if (!isConfigured || !userId || !groupId) {
+      setCanModerate(false);
+      setCanSend(true);
+      setCanUpload(true);
+      return;
+    }
+
+    hasChannelPermission(groupId, chatId, userId, 'moderate_content').then(setCanModerate);
+    hasChannelPermission(groupId, chatId, userId, 'send_messages').then(setCanSend);
+    hasChannelPermission(groupId, chatId, userId, 'upload_files').then(setCanUpload);
+  }, [userId, groupId, chatId]);
+
+  // Group members to suggest for @mentions; @here and @everyone need manage_members
+  useEffect(() => {
+    if (!isConfigured || !userId || !groupId) {
+      setGroupMembers([]);
+      setCanBroadcast(false);
+      return;
+    }
+
+    getGroupMembers(groupId)
+      .then(setGroupMembers)
+      .catch(error => console.error('Error loading members for mentions:', error));
+    hasGroupPermission(groupId, userId, MENTIONS_CONFIG.BROADCAST_PERMISSION).then(setCanBroadcast);
+  }, [userId, groupId]);
+
+  // This conversation's notification rule (a group chat's rule is kept per group)
+  useEffect(() => {
+    if (!isRulesSupported()) return;
+
+    const key = groupId ? ruleKey('group', groupId) : ruleKey('chat', chatId);
+    return subscribeToNotificationRules(rules => setNotificationRule(rules.conversations[key] || null));
+  }, [chatId, groupId]);
+
+  // Disappearing message timer, shared by everyone in the chat
+  useEffect(() => {
+    if (!isConfigured || !userId) return;
+
+    return getMessageStore().subscribeToExpirySettings(chatId, setExpiry, {
+      onError: (error) => console.error('Error fetching disappearing message settings:', error)
+    });
+  }, [userId, chatId]);
+
+  // Group admins may require messages to last a minimum time
+  useEffect(() => {
+    if (!isConfigured || !userId || !groupId) {
+      setCanManageSettings(false);
+      return;
+    }
+
+    hasGroupPermission(groupId, userId, 'manage_settings').then(setCanManageSettings);
+  }, [userId, groupId]);
+
+  // Delete expired messages for everyone when the chat opens and whenever a shown message expires
+  useEffect(() => {
+    if (!isConfigured || !userId) return;
+
+    messagesApi.purgeExpiredMessages(chatId)
+      .then(deleted => Promise.all(deleted
+        .filter(message => message.e2ee)
+        .map(message => forgetChatPayload(message.e2ee, userId))))
+      .catch(error => console.error('Error deleting expired messages:', error));
+  }, [userId, chatId, clock]);
+
+  // Drop the plaintext of expired messages from this device, even if another client deleted them first
+  useEffect(() => {
+    if (!userId) return;
+
+    const expired = [...olderMessages, ...messages, ...(thread?.messages || [])]
+      .filter(message => isMessageExpired(message, clock) && !forgottenRef.current.has(message.id));
+    if (expired.length === 0) return;
+
+    expired.forEach(message => {
+      forgottenRef.current.add(message.id);
+      if (message.e2ee) {
+        forgetChatPayload(message.e2ee, userId)
+          .catch(error => console.error('Error forgetting expired message:', error));
+      }
+    });
+    setDecrypted(prev => {
+      const next = { ...prev };
+      expired.forEach(message => delete next[message.id]);
+      return next;
+    });
+  }, [messages, olderMessages, thread, clock, userId]);
+
+  // Group members are the expected recipients for receipt aggregation
+  useEffect(() => {
+    if (!isConfigured || !userId || !groupId) {
+      setMemberIds(null);
+      return;
+    }
+
+    return subscribeToGroupMembers(groupId, (members) => {
+      setMemberIds(members.map(member => member.userId));
+    });
+  }, [userId, groupId]);
+
+  // Acknowledge delivery of incoming messages, and reads while the chat is visible
+  useEffect(() => {
+    if (!isConfigured || !userId) return;
+
+    const acknowledge = async (status, predicate) => {
+      const pending = pendingReceiptsRef.current;
+      const ids = messages
+        .filter(message => message.senderId !== userId && !message.deleted && predicate(message))
+        .map(message => message.id)
+        .filter(id => !pending.has(`${status}:${id}`));
+
+      if (ids.length === 0) return;
+
+      ids.forEach(id => pending.add(`${status}:${id}`));
+
+      try {
+        await messagesApi.acknowledgeMessages(chatId, ids, status);
+      } catch (error) {
+        console.error(`Error sending ${status} receipts:`, error);
+      } finally {
+        ids.forEach(id => pending.delete(`${status}:${id}`));
+      }
+    };
+
+    const acknowledgeReads = () => {
+      if (document.visibilityState === 'visible') {
+        acknowledge(MESSAGES_CONFIG.RECEIPT_STATUS.READ, message => !message.readBy?.[userId]);
+      }
+    };
+
+    acknowledge(MESSAGES_CONFIG.RECEIPT_STATUS.DELIVERED, message => !message.deliveredTo?.[userId]);
+    acknowledgeReads();
+
+    document.addEventListener('visibilitychange', acknowledgeReads);
+    return () => document.removeEventListener('visibilitychange', acknowledgeReads);
+  }, [messages, userId, chatId]);
+
+  // Keep an open thread panel in sync with live messages
+  const threadRootId = thread?.rootId;
+  useEffect(() => {
+    if (!threadRootId) return;
+
+    messagesApi.getThread(chatId, threadRootId)
+      .then(setThread)
+      .catch(error => console.error('Error refreshing thread:', error));
+  }, [messages, chatId, threadRootId]);
+
+  // Messages loaded through pagination are not covered by the live subscription
+  const replaceOlderMessage = (updated) => {
+    setOlderMessages(prev => prev.map(message => message.id === updated.id ? updated : message));
+  };
+
+  // Plaintext for display: null while an encrypted message is being (or failed to be) decrypted
+  const readText = (message) => {
+    const text = message.e2ee ? decrypted[message.id]?.text ?? null : message.text;
+    if (text === null || !isAttachmentMessage(message)) {
+      return text;
+    }
+
+    const { text: caption, attachment } = decodeAttachmentMessage(text);
+    return caption || (attachment ? `📎 ${attachment.name}` : '');
+  };
+
+  const readAttachment = (message) => decrypted[message.id]?.attachment || null;
+
+  const renderText = (message) => {
+    const text = readText(message);
+    if (text !== null && message.mentions?.length) {
+      return splitMentions(text, message.mentions).map((segment, index) => segment.mention
+        ? (
+          <span
+            key={index}
+            className={`message-mention ${mentionsUser([segment.mention], userId) ? 'mention-me' : ''}`}
+          >
+            {segment.text}
+          </span>
+        )
+        : segment.text);
+    }
+    if (text !== null) {
+      return text;
+    }
+
+    if (decrypted[message.id]?.retryable) {
+      return <span className="message-decrypting">🔒 Waiting for the sender&apos;s key…</span>;
+    }
+
+    return decrypted[message.id]?.error
+      ? <span className="message-undecryptable" title={decrypted[message.id].error}>🔒 Unable to decrypt this message</span>
+      : <span className="message-decrypting">🔒 Decrypting…</span>;
+  };
+
+  const startEditing = (message) => {
+    setEditingId(message.id);
+    setEditText(readText(message) || '');
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditText('');
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const original = [...olderMessages, ...messages].find(message => message.id === editingId);
+      const edit = {
+        text: editText,
+        userId: auth.currentUser.uid,
+        // Mentions whose names survived the edit are kept
+        mentions: original
+          ? buildMentionEntities(editText.trim(), mentionPicks(readText(original) || '', original.mentions), { canBroadcast })
+          : undefined
+      };
+
+      // Re-encrypt for the recipients of the original message (current members in a group)
+      if (original?.e2ee) {
+        const { e2ee } = original.e2ee.group
+          ? await encryptGroupChatMessage(editText.trim(), auth.currentUser.uid, groupKeyOptions)
+          : await encryptChatMessage(
+            editText.trim(),
+            auth.currentUser.uid,
+            Object.keys(original.e2ee.envelopes || {})
+          );
+        edit.text = '';
+        edit.e2ee = e2ee;
+      }
+
+      const updated = await messagesApi.editMessage(chatId, editingId, edit);
+      replaceOlderMessage(updated);
+      cancelEditing();
+    } catch (error) {
+      console.error('Error editing message:', error);
+      alert(`Failed to edit message: ${error.message}`);
+    }
+  };
+
+  const deleteMessage = async (message) => {
+    if (!confirm('Delete this message for everyone?')) return;
+
+    try {
+      const tombstone = await messagesApi.deleteMessage(chatId, message.id);
+      replaceOlderMessage(tombstone);
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      alert(`Failed to delete message: ${error.message}`);
+    }
+  };
+
+  const openThread = async (message) => {
+    try {
+      setThread(await messagesApi.getThread(chatId, message.id));
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      alert(`Failed to load thread: ${error.message}`);
+    }
+  };
+
+  const toggleReaction = async (message, emoji) => {
+    setReactionPickerFor(null);
+
+    try {
+      const updated = await messagesApi.toggleReaction(chatId, message.id, emoji);
+      replaceOlderMessage(updated);
+    } catch (error) {
+      console.error('Error reacting to message:', error);
+    }
+  };
+
+  const showSeenBy = async (message) => {
+    try {
+      const receipts = await messagesApi.getReceipts(chatId, message.id);
+      setSeenBy({ message, receipts });
+    } catch (error) {
+      console.error('Error loading receipts:', error);
+      alert(`Failed to load receipts: ${error.message}`);
+    }
+  };
+
+  const showHistory = async (message) => {
+    try {
+      const revisions = await messagesApi.getMessageRevisions(chatId, message.id);
+      const readableRevisions = await Promise.all(revisions.map(async (revision) => {
+        if (!revision.e2ee) {
+          return revision;
+        }
+        const { text } = await decryptChatPayload(revision.e2ee, auth.currentUser.uid);
+        return { ...revision, text: text ?? '🔒 Unable to decrypt this version' };
+      }));
+      setHistory({ message, revisions: readableRevisions });
+    } catch (error) {
+      console.error('Error loading message history:', error);
+      alert(`Failed to load message history: ${error.message}`);
+    }
+  };
+
+  const loadOlderMessages = async () => {
+    const oldest = olderMessages[0] || messages[0];
+    if (!oldest || loadingOlder) return;
+
+    setLoadingOlder(true);
+
+    try {
+      const { messages: page, pageInfo } = await messagesApi.listMessages(chatId, {
+        before: oldest.id
+      });
+      setOlderMessages(prev => [...page, ...prev]);
+      setOlderExhausted(!pageInfo.hasMore);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    }
+
+    setLoadingOlder(false);
+  };
+
+  const retryQueuedMessage = async (entry) => {
+    await retryOutboxEntry(entry.clientId);
+    await sendQueuedMessages(chatId);
+  };
+
+  const changeExpiry = async (change) => {
+    try {
+      await messagesApi.updateExpirySettings(chatId, {
+        senderName: auth.currentUser.displayName || auth.currentUser.email,
+        ...change
+      });
+    } catch (error) {
+      console.error('Error changing disappearing messages:', error);
+      alert(`Failed to change disappearing messages: ${error.message}`);
+    }
+  };
+
+  // 'all', 'mentions', or 'mute:<ms>' / 'mute:forever'; sound and vibration are kept
+  const changeNotificationRule = async (value) => {
+    const [mode, muteLength] = value.split(':');
+
+    try {
+      await setConversationRule(groupId ? 'group' : 'chat', groupId || chatId, {
+        mode,
+        muteFor: muteLength && muteLength !== 'forever' ? Number(muteLength) : null,
+        sound: notificationRule?.sound,
+        vibration: notificationRule?.vibration
+      });
+    } catch (error) {
+      console.error('Error changing notifications:', error);
+      alert(`Failed to change notifications: ${error.message}`);
+    }
+  };
+
+  const discardQueuedMessage = async (entry) => {
+    await removeOutboxEntry(entry.clientId, chatId);
+  };
+
+  const unlockEncryption = async (e) => {
+    e.preventDefault();
+
+    if (!passphrase) return;
+
+    const ready = await initializeChatEncryption(userId, passphrase);
+    setPassphrase('');
+
+    if (ready) {
+      setEncryptionLocked(false);
+      setEncryptionReady(true);
+    } else if (getDeviceStatus() === DEVICE_CONFIG.STATUS.UNLINKED) {
+      setEncryptionLocked(false);
+      setEncryptionReady(false);
+      setDeviceUnlinked(true);
+    } else {
+      alert(hasStoredKeys
+        ? 'Could not unlock your encryption keys. Check your passphrase and try again.'
+        : 'Could not set up encryption keys. Please try again.');
+    }
+  };
+
+  // Encrypt plaintext and queue it for sending
+  const deliverMessage = async (plaintext, type, mentions = []) => {
+    // Only ciphertext leaves the device: one ratchet message per recipient (or one
+    // sender-key message for a group) plus our own copy
+    const { e2ee, missingRecipients: unreachable } = groupId
+      ? await encryptGroupChatMessage(plaintext, auth.currentUser.uid, groupKeyOptions)
+      : await encryptChatMessage(plaintext, auth.currentUser.uid, chatParticipants);
+    setMissingRecipients(unreachable);
+
+    // The client id makes retries from this tab or the service worker idempotent
+    const message = {
+      id: generateClientId(),
+      text: '',
+      e2ee,
+      senderId: auth.currentUser.uid,
+      senderName: auth.currentUser.displayName || auth.currentUser.email,
+      replyTo: replyingTo?.id || null,
+      type,
+      mentions
+    };
+
+    if (isOutboxSupported()) {
+      await enqueueMessage(chatId, message);
+    } else {
+      await messagesApi.createMessage(chatId, message);
+    }
+
+    setReplyingTo(null);
+
+    if (isOutboxSupported()) {
+      sendQueuedMessages(chatId);
+    }
+  };
+
+  const resetComposer = () => {
+    setNewMessage('');
+    setPickedMentions([]);
+    setMentionQuery(null);
+  };
+
+  const updateComposer = (text, caret) => {
+    setNewMessage(text);
+    setMentionQuery(findMentionQuery(text, caret));
+    setMentionIndex(0);
+  };
+
+  const pickMention = (suggestion) => {
+    const { text, caret } = insertMention(newMessage, mentionQuery, suggestion.label);
+    setNewMessage(text);
+    setPickedMentions(prev => [...prev, suggestion]);
+    setMentionQuery(null);
+
+    // Put the caret after the inserted name once React has rendered the new value
+    requestAnimationFrame(() => {
+      composerRef.current?.focus();
+      composerRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     
     if (!newMessage.trim() || !isConfigured || !auth.currentUser) return;
+
+    if (!encryptionReady) {
+      alert('End-to-end encryption is not available, so the message was not sent.');
+      return;
+    }
     
     setLoading(true);
     
     try {
       // TODO: Add message validation, rate limiting, and spam detection
-      const messagesRef = collection(db, 'chats', chatId, 'messages');
-      await addDoc(messagesRef, {
-        text: newMessage.trim(),
-        senderId: auth.currentUser.uid,
-        senderName: auth.currentUser.displayName || auth.currentUser.email,
-        timestamp: serverTimestamp(),
-        type: 'text',
-        // TODO: Add more fields as needed
-      });
-      
-      setNewMessage('');
+      const text = newMessage.trim();
+      await deliverMessage(text, MESSAGES_CONFIG.TYPES.TEXT, buildMentionEntities(text, pickedMentions, { canBroadcast }));
+      resetComposer();
+      stopTyping();
     } catch (error) {
       console.error('Error sending message:', error);
       // TODO: Implement retry mechanism and user feedback
@@ -104,6 +779,141 @@ export default function Chat({ userId, chatId = 'general' }) {
     setLoading(false);
   };
 
+  // The file is encrypted before upload; the typed text is sent as its caption
+  const sendAttachment = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !auth.currentUser || !encryptionReady) return;
+
+    if (file.size > ATTACHMENT_CONFIG.MAX_SIZE) {
+      alert(`Attachments must be smaller than ${ATTACHMENT_CONFIG.MAX_SIZE / (1024 * 1024)}MB.`);
+      return;
+    }
+
+    setUploadProgress(0);
+    try {
+      const attachment = await uploadAttachment({
+        file,
+        userId: auth.currentUser.uid,
+        groupId,
+        onProgress: (progress) => setUploadProgress(Math.round(progress))
+      });
+      // Mention offsets point into the caption, which is what readers see as the text
+      const caption = newMessage.trim();
+      await deliverMessage(
+        encodeAttachmentMessage(caption, attachment),
+        file.type.startsWith('image/') ? MESSAGES_CONFIG.TYPES.IMAGE : MESSAGES_CONFIG.TYPES.FILE,
+        buildMentionEntities(caption, pickedMentions, { canBroadcast })
+      );
+      resetComposer();
+      stopTyping();
+    } catch (error) {
+      console.error('Error sending attachment:', error);
+      alert('Failed to send the attachment. Please try again.');
+    }
+    setUploadProgress(null);
+  };
+
+  // Older pages can overlap the live window while new messages arrive
+  const liveIds = new Set(messages.map(message => message.id));
+  const allMessages = [
+    ...olderMessages.filter(message => !liveIds.has(message.id)),
+    ...messages
+  ].filter(message => !isMessageExpired(message, clock));
+  const nextExpiry = Math.min(...[...allMessages, ...(thread?.messages || [])]
+    .filter(message => message.expiresAt && !isMessageExpired(message, clock))
+    .map(message => new Date(message.expiresAt).getTime()));
+  const senderNames = new Map(allMessages.map(message => [message.senderId, message.senderName]));
+  const queuedMessages = outbox.filter(entry => !liveIds.has(entry.clientId));
+  const outboxLabels = {
+    [OUTBOX_CONFIG.STATUS.PENDING]: isOnline ? '⏳ Pending' : '📴 Waiting for connection',
+    [OUTBOX_CONFIG.STATUS.SENDING]: '⏳ Sending…',
+    [OUTBOX_CONFIG.STATUS.FAILED]: '⚠️ Failed to send'
+  };
+  const replyPreviewText = (message) => {
+    if (!message.replyPreview.encrypted) {
+      return message.replyPreview.text;
+    }
+    const parent = [...allMessages, ...(thread?.messages || [])].find(item => item.id === message.replyTo);
+    return (parent && readText(parent)) ?? '🔒 Encrypted message';
+  };
+  const receiptIcons = {
+    [MESSAGES_CONFIG.RECEIPT_STATUS.SENT]: '✓',
+    [MESSAGES_CONFIG.RECEIPT_STATUS.DELIVERED]: '✓✓',
+    [MESSAGES_CONFIG.RECEIPT_STATUS.READ]: '✓✓'
+  };
+  // Explicit participants, then group members, then everyone who has spoken in an open chat
+  const chatParticipants = participantIds || memberIds || Array.from(senderNames.keys());
+  const groupKeyOptions = { chatId, memberIds: chatParticipants, keyEpoch };
+  const presence = usePresence(chatParticipants);
+  const onlineCount = chatParticipants
+    .filter(id => presence[id]?.status === PRESENCE_CONFIG.STATUS.ONLINE).length;
+  const typingNames = typingUsers.map(record => record.userName);
+  const contactIds = chatParticipants.filter(id => id !== userId);
+  const mentionCandidates = groupId
+    ? groupMembers
+      .filter(member => member.userId !== userId)
+      .map(member => ({ userId: member.userId, label: senderNames.get(member.userId) || member.userId }))
+    : contactIds.map(id => ({ userId: id, label: senderNames.get(id) || id }));
+  const mentionSuggestions = mentionQuery
+    ? suggestMentions(mentionCandidates, mentionQuery.query, { canBroadcast })
+    : [];
+
+  const handleComposerKeyDown = (e) => {
+    if (!mentionSuggestions.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(index => (index + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+  const contactKey = contactIds.slice().sort().join(',');
+  const changedContacts = contactIds.filter(id => identityStatus[id]?.changed);
+
+  // Warn when a contact verified on this device publishes different identity keys
+  useEffect(() => {
+    if (!isConfigured || !encryptionReady || !contactKey) {
+      setIdentityStatus({});
+      return;
+    }
+
+    const unsubscribes = contactKey.split(',').map(contactId =>
+      subscribeToIdentityStatus(contactId, (status) => {
+        setIdentityStatus(prev => ({ ...prev, [contactId]: status }));
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [encryptionReady, contactKey]);
+
+  // Hide each disappearing message as soon as it expires
+  useEffect(() => {
+    if (!Number.isFinite(nextExpiry)) return;
+
+    const timer = setTimeout(() => setClock(Date.now()), Math.max(0, nextExpiry - Date.now()));
+    return () => clearTimeout(timer);
+  }, [nextExpiry]);
+
+  // The main device approved this browser (or it took over as the main device)
+  const handleDeviceLinked = useCallback(async () => {
+    const ready = await initializeChatEncryption(userId);
+    setEncryptionReady(ready);
+    setDeviceUnlinked(!ready && getDeviceStatus() === DEVICE_CONFIG.STATUS.UNLINKED);
+  }, [userId]);
+
+  const handleVerifiedChange = (contactId, verified) => {
+    setIdentityStatus(prev => ({ ...prev, [contactId]: { verified, changed: false } }));
+  };
+
+  const hasOlder = !olderExhausted &&
+    (olderMessages.length > 0 || messages.length >= MESSAGES_CONFIG.DEFAULT_PAGE_SIZE);
+
   if (!isConfigured) {
     return (
       <div className="chat-container">
@@ -124,52 +934,530 @@ export default function Chat({ userId, chatId = 'general' }) {
     <div className="chat-container">
       <div className="chat-header">
         <h3>💬 Chat: {chatId}</h3>
-        {/* TODO: Add chat info, participants count, online status */}
+        <span className="chat-encryption-status">
+          {encryptionLocked && '🔐 Encryption locked'}
+          {!encryptionLocked && encryptionReady === null && '🔐 Setting up encryption…'}
+          {encryptionReady === true && '🔒 End-to-end encrypted'}
+          {encryptionReady === false && (deviceUnlinked ? '📱 Device not linked' : '⚠️ Encryption unavailable')}
+        </span>
+        {expiry && (
+          <span className="chat-expiry">
+            <select
+              value={expiry.duration}
+              onChange={(e) => changeExpiry({ duration: Number(e.target.value) })}
+              title="Disappearing messages"
+            >
+              {Object.values(MESSAGES_CONFIG.EXPIRY_TIMERS)
+                .filter(duration => !duration || duration >= expiry.minimum)
+                .map(duration => (
+                  <option key={duration} value={duration}>⏱ {describeExpiryTimer(duration)}</option>
+                ))}
+            </select>
+            {canManageSettings && (
+              <select
+                value={expiry.minimum}
+                onChange={(e) => changeExpiry({ minimum: Number(e.target.value) })}
+                title="Shortest timer members may choose"
+              >
+                {Object.values(MESSAGES_CONFIG.EXPIRY_TIMERS).map(duration => (
+                  <option key={duration} value={duration}>
+                    {duration ? `Minimum ${describeExpiryTimer(duration)}` : 'No minimum'}
+                  </option>
+                ))}
+              </select>
+            )}
+          </span>
+        )}
+        {isRulesSupported() && (() => {
+          const { MODES, MUTE_DURATIONS } = NOTIFICATION_RULES_CONFIG;
+          const muted = notificationRule?.mode === MODES.MUTED &&
+            (!notificationRule.mutedUntil || notificationRule.mutedUntil > clock);
+
+          return (
+            <select
+              value={muted ? 'muted' : notificationRule?.mode === MODES.MENTIONS ? MODES.MENTIONS : MODES.ALL}
+              onChange={(e) => changeNotificationRule(e.target.value)}
+              className="chat-notification-rule"
+              title="Notifications for this conversation"
+            >
+              <option value={MODES.ALL}>🔔 All messages</option>
+              <option value={MODES.MENTIONS}>@ Mentions only</option>
+              {muted && (
+                <option value="muted" disabled>
+                  🔕 Muted{notificationRule.mutedUntil ? ` until ${new Date(notificationRule.mutedUntil).toLocaleString()}` : ''}
+                </option>
+              )}
+              {MUTE_DURATIONS.map(({ label, duration }) => (
+                <option key={label} value={`${MODES.MUTED}:${duration ?? 'forever'}`}>
+                  🔕 {duration ? `Mute for ${label}` : 'Mute until I unmute'}
+                </option>
+              ))}
+            </select>
+          );
+        })()}
+        <span className="chat-online-count">
+          <span className="presence-dot online" /> {onlineCount} of {chatParticipants.length} online
+        </span>
+        {encryptionReady === true && contactIds.length > 0 && (
+          <button onClick={() => setShowContacts(!showContacts)} className="btn btn-outline btn-small">
+            🛡️ Verify
+          </button>
+        )}
       </div>
+
+      {changedContacts.length > 0 && (
+        <div className="chat-identity-warning">
+          ⚠️ The safety number with {changedContacts.map(id => senderNames.get(id) || id).join(', ')} has changed.
+          They may have reinstalled or added a device, or someone may be intercepting messages.
+          Verify again before sharing anything sensitive.
+          <button onClick={() => setVerifyingContact(changedContacts[0])} className="btn btn-outline btn-small">
+            Verify again
+          </button>
+        </div>
+      )}
+
+      {showContacts && !verifyingContact && (
+        <div className="chat-contacts-panel">
+          {contactIds.map(contactId => (
+            <div key={contactId} className="chat-contact-row">
+              <span>
+                {senderNames.get(contactId) || contactId}
+                {identityStatus[contactId]?.verified && ' ✅'}
+                {identityStatus[contactId]?.changed && ' ⚠️'}
+              </span>
+              <button onClick={() => setVerifyingContact(contactId)} className="btn btn-outline btn-small">
+                Safety number
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {verifyingContact && (
+        <SafetyNumberVerification
+          userId={userId}
+          contactId={verifyingContact}
+          contactName={senderNames.get(verifyingContact) || verifyingContact}
+          onClose={() => setVerifyingContact(null)}
+          onVerifiedChange={handleVerifiedChange}
+        />
+      )}
+
+      {deviceUnlinked && <LinkDevice userId={userId} onLinked={handleDeviceLinked} />}
+
+      {encryptionLocked && (
+        <form onSubmit={unlockEncryption} className="chat-unlock-form">
+          <label htmlFor="chat-passphrase">
+            {hasStoredKeys
+              ? 'Enter your passphrase to unlock your encryption keys on this device'
+              : 'Choose a passphrase to protect your encryption keys on this device'}
+          </label>
+          <input
+            id="chat-passphrase"
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            minLength={hasStoredKeys ? undefined : KEYSTORE_CONFIG.MIN_PASSPHRASE_LENGTH}
+            autoComplete={hasStoredKeys ? 'current-password' : 'new-password'}
+          />
+          <button type="submit" className="btn btn-primary btn-small" disabled={!passphrase}>
+            {hasStoredKeys ? 'Unlock' : 'Set passphrase'}
+          </button>
+        </form>
+      )}
       
       <div className="chat-messages">
-        {messages.length === 0 ? (
+        {hasOlder && (
+          <button
+            onClick={loadOlderMessages}
+            className="chat-load-older"
+            disabled={loadingOlder}
+          >
+            {loadingOlder ? 'Loading...' : 'Load older messages'}
+          </button>
+        )}
+        {allMessages.length === 0 && queuedMessages.length === 0 ? (
           <div className="chat-empty">
             <p>No messages yet. Start the conversation!</p>
           </div>
         ) : (
-          messages.map((message) => (
-            <div 
-              key={message.id} 
-              className={`message ${message.senderId === auth.currentUser?.uid ? 'own-message' : 'other-message'}`}
-            >
-              <div className="message-header">
-                <span className="sender-name">{message.senderName}</span>
-                <span className="message-time">
-                  {message.timestamp?.toDate?.()?.toLocaleTimeString() || 'Sending...'}
-                </span>
+          allMessages.map((message) => {
+            const isOwn = message.senderId === auth.currentUser?.uid;
+
+            if (message.type === MESSAGES_CONFIG.TYPES.SYSTEM) {
+              return (
+                <div key={message.id} className="message message-system">
+                  {message.text}
+                </div>
+              );
+            }
+
+            if (message.deleted) {
+              return (
+                <div
+                  key={message.id}
+                  className={`message message-tombstone ${isOwn ? 'own-message' : 'other-message'}`}
+                >
+                  <div className="message-text">🚫 This message was deleted</div>
+                </div>
+              );
+            }
+
+            return (
+              <div 
+                key={message.id} 
+                className={`message ${isOwn ? 'own-message' : 'other-message'} ${
+                  !isOwn && mentionsUser(message.mentions, userId) ? 'message-mentioned' : ''
+                }`}
+              >
+                <div className="message-header">
+                  <span className="sender-name">{message.senderName}</span>
+                  <span className="message-time">
+                    {message.timestamp ? new Date(message.timestamp).toLocaleTimeString() : 'Sending...'}
+                    {message.edited && ' (edited)'}
+                    {message.expiresAt && (
+                      <span title={`Disappears ${new Date(message.expiresAt).toLocaleString()}`}> ⏱</span>
+                    )}
+                    {isOwn && message.timestamp && (() => {
+                      const receipts = summarizeReceipts(message, participantIds || memberIds);
+                      return (
+                        <button
+                          onClick={() => showSeenBy(message)}
+                          className={`message-receipt ${receipts.status}`}
+                          title={receipts.total !== null
+                            ? `Read by ${receipts.readCount} of ${receipts.total}`
+                            : receipts.status}
+                        >
+                          {receiptIcons[receipts.status]}
+                        </button>
+                      );
+                    })()}
+                  </span>
+                </div>
+                {message.replyPreview && (
+                  <button
+                    onClick={() => openThread(message)}
+                    className="message-reply-preview"
+                  >
+                    <span className="sender-name">{message.replyPreview.senderName}</span>
+                    <span>
+                      {message.replyPreview.deleted ? 'Deleted message' : replyPreviewText(message)}
+                    </span>
+                  </button>
+                )}
+                {editingId === message.id ? (
+                  <form onSubmit={saveEdit} className="message-edit-form">
+                    <input
+                      type="text"
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      className="chat-input"
+                      autoFocus
+                    />
+                    <button type="submit" className="message-action" disabled={!editText.trim()}>
+                      Save
+                    </button>
+                    <button type="button" onClick={cancelEditing} className="message-action">
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    {readAttachment(message) && <EncryptedAttachment attachment={readAttachment(message)} />}
+                    <div className="message-text">{renderText(message)}</div>
+                  </>
+                )}
+                {Object.keys(message.reactions || {}).length > 0 && (
+                  <div className="message-reactions">
+                    {aggregateReactions(message.reactions, auth.currentUser?.uid).map(reaction => (
+                      <button
+                        key={reaction.emoji}
+                        onClick={() => toggleReaction(message, reaction.emoji)}
+                        className={`message-reaction ${reaction.reactedByMe ? 'reacted' : ''}`}
+                      >
+                        {reaction.emoji} {reaction.count}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {reactionPickerFor === message.id && (
+                  <div className="message-reaction-picker">
+                    {MESSAGES_CONFIG.QUICK_REACTIONS.map(emoji => (
+                      <button
+                        key={emoji}
+                        onClick={() => toggleReaction(message, emoji)}
+                        className="message-reaction"
+                      >
+                        {emoji}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {editingId !== message.id && (
+                  <div className="message-actions">
+                    <button onClick={() => setReplyingTo(message)} className="message-action">
+                      Reply
+                    </button>
+                    <button
+                      onClick={() => setReactionPickerFor(reactionPickerFor === message.id ? null : message.id)}
+                      className="message-action"
+                    >
+                      React
+                    </button>
+                    {(message.replyTo || message.threadRootId) && (
+                      <button onClick={() => openThread(message)} className="message-action">
+                        Thread
+                      </button>
+                    )}
+                    {isOwn && !isAttachmentMessage(message) && (
+                      <button onClick={() => startEditing(message)} className="message-action">
+                        Edit
+                      </button>
+                    )}
+                    {(isOwn || canModerate) && (
+                      <button onClick={() => deleteMessage(message)} className="message-action">
+                        Delete
+                      </button>
+                    )}
+                    {message.edited && (isOwn || canModerate) && (
+                      <button onClick={() => showHistory(message)} className="message-action">
+                        History
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
-              <div className="message-text">{message.text}</div>
-              {/* TODO: Add message reactions, reply button, options menu */}
-            </div>
-          ))
+            );
+          })
         )}
+        {queuedMessages.map((entry) => (
+          <div
+            key={entry.clientId}
+            className={`message own-message message-queued ${entry.status}`}
+          >
+            <div className="message-header">
+              <span className="sender-name">{entry.message.senderName}</span>
+              <span className="message-time" title={entry.lastError || ''}>
+                {outboxLabels[entry.status]}
+              </span>
+            </div>
+            <div className="message-text">{renderText({ id: entry.clientId, ...entry.message })}</div>
+            {entry.status === OUTBOX_CONFIG.STATUS.FAILED && (
+              <div className="message-actions">
+                <button onClick={() => retryQueuedMessage(entry)} className="message-action">
+                  Retry
+                </button>
+                <button onClick={() => discardQueuedMessage(entry)} className="message-action">
+                  Discard
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
         <div ref={messagesEndRef} />
       </div>
       
+      {typingNames.length > 0 && (
+        <div className="chat-typing-indicator">
+          {typingNames.length === 1
+            ? `${typingNames[0]} is typing…`
+            : typingNames.length === 2
+              ? `${typingNames[0]} and ${typingNames[1]} are typing…`
+              : 'Several people are typing…'}
+        </div>
+      )}
+
+      {missingRecipients.length > 0 && (
+        <div className="chat-encryption-notice">
+          🔓 {missingRecipients.map(id => senderNames.get(id) || id).join(', ')}
+          {missingRecipients.length === 1 ? ' has' : ' have'} not set up encryption and could not receive your last message.
+        </div>
+      )}
+
+      {replyingTo && (
+        <div className="chat-reply-banner">
+          <span>
+            Replying to <strong>{replyingTo.senderName}</strong>: {readText(replyingTo) ?? '🔒'}
+          </span>
+          <button onClick={() => setReplyingTo(null)} className="close-button">
+            ✕
+          </button>
+        </div>
+      )}
+
+      {mentionSuggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox">
+          {mentionSuggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}:${suggestion.userId || suggestion.label}`}
+              role="option"
+              aria-selected={index === mentionIndex}
+              className={`mention-suggestion ${index === mentionIndex ? 'active' : ''}`}
+              onMouseDown={(e) => {
+                // Keep focus in the composer
+                e.preventDefault();
+                pickMention(suggestion);
+              }}
+            >
+              @{suggestion.label}
+              {suggestion.type !== MENTIONS_CONFIG.TYPES.USER && (
+                <span className="mention-suggestion-hint">
+                  {suggestion.type === MENTIONS_CONFIG.TYPES.HERE ? 'Notify everyone online' : 'Notify every member'}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
       <form onSubmit={sendMessage} className="chat-input-form">
         <input
+          ref={composerRef}
           type="text"
           value={newMessage}
-          onChange={(e) => setNewMessage(e.target.value)}
-          placeholder="Type your message..."
+          onKeyDown={handleComposerKeyDown}
+          onBlur={() => setMentionQuery(null)}
+          onChange={(e) => {
+            updateComposer(e.target.value, e.target.selectionStart);
+            if (e.target.value) {
+              notifyTyping();
+            } else {
+              stopTyping();
+            }
+          }}
+          placeholder={canSend ? 'Type your message...' : 'You cannot post in this channel'}
           className="chat-input"
-          disabled={loading}
+          disabled={loading || !canSend}
         />
+        <input
+          type="file"
+          ref={fileInputRef}
+          onChange={sendAttachment}
+          className="chat-file-input"
+          hidden
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="chat-attach-btn"
+          disabled={uploadProgress !== null || !encryptionReady || !canSend || !canUpload}
+          title="Attach an encrypted file"
+        >
+          {uploadProgress !== null ? `${uploadProgress}%` : '📎'}
+        </button>
         <button 
           type="submit" 
           className="chat-send-btn"
-          disabled={loading || !newMessage.trim()}
+          disabled={loading || !newMessage.trim() || !encryptionReady || !canSend}
         >
           {loading ? '⏳' : '📤'}
         </button>
-        {/* TODO: Add emoji picker, file upload button, voice message */}
+        {/* TODO: Add emoji picker, voice message */}
       </form>
+
+      {thread && (
+        <div className="chat-thread-panel">
+          <div className="chat-thread-header">
+            <h4>🧵 Thread</h4>
+            <button onClick={() => setThread(null)} className="close-button">
+              ✕
+            </button>
+          </div>
+          <div className="chat-thread-messages">
+            {thread.messages.map(message => (
+              <div key={message.id} className="chat-thread-message">
+                <div className="message-header">
+                  <span className="sender-name">{message.senderName}</span>
+                  <span className="message-time">
+                    {message.timestamp ? new Date(message.timestamp).toLocaleTimeString() : 'Sending...'}
+                  </span>
+                </div>
+                {message.replyPreview && message.replyTo !== thread.rootId && (
+                  <div className="message-reply-preview">
+                    ↪ {message.replyPreview.senderName}: {replyPreviewText(message)}
+                  </div>
+                )}
+                <div className="message-text">
+                  {message.deleted ? '🚫 This message was deleted' : renderText(message)}
+                </div>
+              </div>
+            ))}
+          </div>
+          {thread.messages.length > 0 && (
+            <button
+              onClick={() => setReplyingTo(thread.messages[thread.messages.length - 1])}
+              className="btn btn-outline btn-small"
+            >
+              ↩ Reply in thread
+            </button>
+          )}
+        </div>
+      )}
+
+      {seenBy && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h3>Seen By</h3>
+              <button onClick={() => setSeenBy(null)} className="close-button">
+                ✕
+              </button>
+            </div>
+            <div className="modal-body">
+              {seenBy.receipts.length === 0 ? (
+                <p>Not delivered yet.</p>
+              ) : (
+                <ul className="message-history">
+                  {seenBy.receipts.map(receipt => (
+                    <li key={receipt.userId}>
+                      <span className="sender-name">
+                        {senderNames.get(receipt.userId) || receipt.userId}
+                      </span>
+                      <div className="message-time">
+                        {receipt.readAt
+                          ? `Read ${new Date(receipt.readAt).toLocaleString()}`
+                          : `Delivered ${new Date(receipt.deliveredAt).toLocaleString()}`}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {history && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h3>Message History</h3>
+              <button onClick={() => setHistory(null)} className="close-button">
+                ✕
+              </button>
+            </div>
+            <div className="modal-body">
+              {history.revisions.length === 0 ? (
+                <p>No earlier versions.</p>
+              ) : (
+                <ul className="message-history">
+                  {history.revisions.map(revision => (
+                    <li key={revision.id}>
+                      <span className="message-time">
+                        {new Date(revision.createdAt).toLocaleString()} · {revision.action}
+                      </span>
+                      <div className="message-text">{revision.text}</div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {!history.message.deleted && (
+                <p className="message-history-current">Current: {renderText(history.message)}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
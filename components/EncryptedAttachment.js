@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import {
+  ATTACHMENT_CONFIG,
+  downloadAttachment,
+  downloadAttachmentThumbnail
+} from '../lib/encryption/attachments';
+
+/**
+ * Encrypted Attachment Component
+ * Shows a file sent in an end-to-end encrypted message. The thumbnail is downloaded
+ * and decrypted right away; the file itself when the user opens it.
+ *
+ * TODO: Complete implementation
+ * - Play audio and video inline
+ * - Show download progress for large files
+ */
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default function EncryptedAttachment({ attachment }) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const [error, setError] = useState(false);
+  const [opening, setOpening] = useState(false);
+
+  useEffect(() => {
+    if (!attachment.thumbnail) return;
+
+    let active = true;
+    let url = null;
+
+    downloadAttachmentThumbnail(attachment)
+      .then(blob => {
+        if (!active) return;
+        url = URL.createObjectURL(blob);
+        setThumbnailUrl(url);
+      })
+      .catch(() => active && setError(true));
+
+    return () => {
+      active = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment]);
+
+  const openAttachment = async () => {
+    setOpening(true);
+    try {
+      const blob = await downloadAttachment(attachment);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+      alert(error.code === 'attachment-digest-mismatch'
+        ? 'This attachment was changed after it was sent and cannot be opened.'
+        : 'Failed to download the attachment.');
+    }
+    setOpening(false);
+  };
+
+  const { width, height } = attachment.thumbnail || {};
+
+  return (
+    <div className="encrypted-attachment">
+      {thumbnailUrl && (
+        <button onClick={openAttachment} className="encrypted-attachment-preview" disabled={opening}>
+          <Image
+            src={thumbnailUrl}
+            alt={attachment.name}
+            width={width || ATTACHMENT_CONFIG.THUMBNAIL_WIDTH}
+            height={height || ATTACHMENT_CONFIG.THUMBNAIL_WIDTH}
+            unoptimized
+          />
+        </button>
+      )}
+      <div className="encrypted-attachment-info">
+        <span className="encrypted-attachment-name">📎 {attachment.name}</span>
+        <span className="encrypted-attachment-size">{formatSize(attachment.size)}</span>
+        {error && <span className="encrypted-attachment-error">Preview unavailable</span>}
+        <button onClick={openAttachment} className="message-action" disabled={opening}>
+          {opening ? 'Decrypting…' : 'Download'}
+        </button>
+      </div>
+    </div>
+  );
+}
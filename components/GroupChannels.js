@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import {
+  GROUPS_CONFIG,
+  createChannel,
+  subscribeToChannelUnreadCounts
+} from '../lib/groups/service';
+import ChannelSettings from './ChannelSettings';
+
+/**
+ * Group Channels Component
+ * Lists the channels of a group the user can see, with unread counts. Members who
+ * manage channels can create channels and open each channel's settings.
+ */
+
+const { CHANNELS } = GROUPS_CONFIG;
+
+/**
+ * Format an unread count for a badge
+ * @param {number} count - Unread messages in the channel's latest page
+ * @returns {string} - Badge text
+ */
+function formatUnread(count) {
+  return count >= CHANNELS.UNREAD_WINDOW ? `${CHANNELS.UNREAD_WINDOW}+` : String(count);
+}
+
+export default function GroupChannels({ group, members, channels, activeChannelId, userId, canManage, onSelect }) {
+  const [unread, setUnread] = useState({});
+  const [showCreate, setShowCreate] = useState(false);
+  const [settingsFor, setSettingsFor] = useState(null);
+  const [form, setForm] = useState({ name: '', topic: '', isPrivate: false, memberIds: [] });
+  const [creating, setCreating] = useState(false);
+
+  // Resubscribe only when the set of chats changes, not on every channel edit
+  // (IDs cannot contain ':' or ',')
+  const chatKey = channels.map(channel => `${channel.id}:${channel.chatId}`).join(',');
+
+  useEffect(() => {
+    setUnread({});
+    if (!chatKey) return;
+
+    const chats = chatKey.split(',').map(entry => {
+      const [id, chatId] = entry.split(':');
+      return { id, chatId };
+    });
+    return subscribeToChannelUnreadCounts(chats, userId, setUnread);
+  }, [chatKey, userId]);
+
+  const otherMemberIds = members
+    .map(member => member.userId)
+    .filter(memberId => memberId !== userId);
+
+  const toggleFormMember = (memberId) => {
+    setForm(prev => ({
+      ...prev,
+      memberIds: prev.memberIds.includes(memberId)
+        ? prev.memberIds.filter(id => id !== memberId)
+        : [...prev.memberIds, memberId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+
+    try {
+      const channel = await createChannel(group.id, userId, form);
+      setShowCreate(false);
+      setForm({ name: '', topic: '', isPrivate: false, memberIds: [] });
+      onSelect(channel.id);
+    } catch (error) {
+      console.error('Error creating channel:', error);
+      alert(error.status ? error.message : 'Failed to create channel. Please try again.');
+    }
+
+    setCreating(false);
+  };
+
+  const settingsChannel = channels.find(channel => channel.id === settingsFor);
+
+  return (
+    <div className="group-channels">
+      <div className="group-channels-header">
+        <h4>Channels</h4>
+        {canManage && (
+          <button onClick={() => setShowCreate(true)} className="btn btn-outline btn-small" title="Create channel">
+            ＋
+          </button>
+        )}
+      </div>
+
+      <ul className="channel-list">
+        {channels.map(channel => (
+          <li
+            key={channel.id}
+            className={`channel-item ${channel.id === activeChannelId ? 'active' : ''} ${unread[channel.id] ? 'unread' : ''}`}
+          >
+            <button onClick={() => onSelect(channel.id)} className="channel-name" title={channel.topic || undefined}>
+              {channel.isPrivate ? '🔒' : '#'} {channel.name}
+            </button>
+            {unread[channel.id] > 0 && channel.id !== activeChannelId && (
+              <span className="channel-unread">{formatUnread(unread[channel.id])}</span>
+            )}
+            {canManage && (
+              <button onClick={() => setSettingsFor(channel.id)} className="channel-settings-btn" title="Channel settings">
+                ⚙️
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {showCreate && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h3>Create a channel in {group.name}</h3>
+              <button onClick={() => setShowCreate(false)} className="close-button">✕</button>
+            </div>
+
+            <form onSubmit={handleCreate} className="modal-body">
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. announcements"
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Topic</label>
+                <input
+                  type="text"
+                  value={form.topic}
+                  onChange={(e) => setForm(prev => ({ ...prev, topic: e.target.value }))}
+                  maxLength={CHANNELS.MAX_TOPIC_LENGTH}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={form.isPrivate}
+                    onChange={(e) => setForm(prev => ({ ...prev, isPrivate: e.target.checked }))}
+                  />
+                  Private: only members you add can see this channel
+                </label>
+              </div>
+              {form.isPrivate && (
+                <ul className="channel-member-picker">
+                  {otherMemberIds.map(memberId => (
+                    <li key={memberId}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={form.memberIds.includes(memberId)}
+                          onChange={() => toggleFormMember(memberId)}
+                        />
+                        {memberId}
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button type="submit" disabled={creating || !form.name.trim()} className="btn btn-primary">
+                {creating ? 'Creating...' : 'Create channel'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {settingsChannel && (
+        <ChannelSettings
+          members={members}
+          channel={settingsChannel}
+          userId={userId}
+          onClose={() => setSettingsFor(null)}
+        />
+      )}
+    </div>
+  );
+}
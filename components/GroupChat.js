@@ -1,16 +1,32 @@
 import { useState, useEffect } from 'react';
 import { auth, db, isConfigured } from '../lib/firebase';
+import { PRESENCE_CONFIG } from '../lib/presence/service';
+import { usePresence } from '../lib/presence/hooks';
+import {
+  GROUPS_CONFIG,
+  createGroup,
+  requestGroupInviteJoin,
+  normalizeInviteCode,
+  removeGroupMember,
+  removeChannelMember,
+  backfillGroupMembers,
+  subscribeToGroupChannels,
+  subscribeToGroupMembers
+} from '../lib/groups/service';
+import Chat from './Chat';
+import GroupInvites from './GroupInvites';
+import GroupDiscovery from './GroupDiscovery';
+import GroupJoinRequests from './GroupJoinRequests';
+import GroupOwnershipTransfer from './GroupOwnershipTransfer';
+import GroupChannels from './GroupChannels';
+import SearchBox from './search/SearchBox';
 import { 
   collection, 
-  doc,
-  addDoc,
-  updateDoc,
   deleteDoc,
   query, 
   where,
   orderBy, 
   onSnapshot,
-  serverTimestamp,
   arrayUnion,
   arrayRemove
 } from 'firebase/firestore';
@@ -23,7 +39,6 @@ import {
  * - Implement group member permissions and roles
  * - Add group settings and customization
  * - Implement group file sharing and media gallery
- * - Add group search and discovery
  * - Implement group templates and categories
  * - Add group analytics and insights
  * - Implement group archiving and deletion
@@ -31,12 +46,41 @@ import {
  * - Implement group compliance and moderation tools
  */
 
+/**
+ * Get a group's member count
+ * Groups created before memberships were kept by the groups service count in stats.
+ * @param {Object} group - Group document
+ * @returns {number} - Member count
+ */
+function getMemberCount(group) {
+  return group.memberCount ?? group.stats?.memberCount ?? 0;
+}
+
+/**
+ * Check whether a group is closed to the public
+ * @param {Object} group - Group document
+ * @returns {boolean} - Whether the group is private or secret
+ */
+function isPrivateGroup(group) {
+  return group.type ? group.type !== GROUPS_CONFIG.TYPES.PUBLIC : Boolean(group.isPrivate);
+}
+
 export default function GroupChat() {
   const [groups, setGroups] = useState([]);
   const [activeGroup, setActiveGroup] = useState(null);
   const [loading, setLoading] = useState(true);
   const [creating, setCreating] = useState(false);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showInvites, setShowInvites] = useState(false);
+  const [showDiscovery, setShowDiscovery] = useState(false);
+  const [showJoinRequests, setShowJoinRequests] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [channels, setChannels] = useState([]);
+  const [activeChannelId, setActiveChannelId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [joinCode, setJoinCode] = useState('');
+  const [joining, setJoining] = useState(false);
   const [newGroupForm, setNewGroupForm] = useState({
     name: '',
     description: '',
@@ -58,6 +102,7 @@ export default function GroupChat() {
     //   name: string,
     //   description: string,
     //   createdBy: userId,
+    //   ownerId: userId, // exactly one member has the owner role; see transferGroupOwnership
     //   createdAt: timestamp,
     //   updatedAt: timestamp,
     //   isPrivate: boolean,
@@ -72,7 +117,7 @@ export default function GroupChat() {
     //     autoDeleteMessages: boolean,
     //     encryptionEnabled: boolean
     //   },
-    //   members: {
+    //   members: { // copy of the /groupMembers roles, used to find a user's groups
     //     [userId]: {
     //       role: 'owner' | 'admin' | 'moderator' | 'member',
     //       joinedAt: timestamp,
@@ -88,7 +133,9 @@ export default function GroupChat() {
     //     createdToday: number,
     //     lastActivity: timestamp
     //   },
-    //   inviteCode: string, // for public groups
+    //   (invite links live in /groupInvites/{code}, see createGroupInvite)
+    //   (channels live in /groupChannels/{channelId}, see createChannel; each has a keyEpoch,
+    //    bumped when a member leaves it, after which members rotate their sender keys)
     //   tags: array of strings
     // }
 
@@ -106,6 +153,8 @@ export default function GroupChat() {
         ...doc.data()
       }));
       setGroups(groupData);
+      // Keep the open group current (roles change on ownership transfer; deleted groups close)
+      setActiveGroup(current => current && (groupData.find(group => group.id === current.id) || null));
       setLoading(false);
     }, (error) => {
       console.error('Error loading groups:', error);
@@ -123,45 +172,13 @@ export default function GroupChat() {
     setCreating(true);
     
     try {
-      const groupData = {
+      // The service adds the creator as owner, with a membership that carries their permissions
+      const group = await createGroup({
         name: newGroupForm.name.trim(),
         description: newGroupForm.description.trim(),
-        createdBy: auth.currentUser.uid,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        isPrivate: newGroupForm.isPrivate,
-        category: newGroupForm.category,
-        avatar: '', // TODO: Add avatar upload
-        settings: {
-          allowFileSharing: true,
-          requireApproval: newGroupForm.isPrivate,
-          muteNewMembers: false,
-          allowInvites: true,
-          maxMembers: 100,
-          autoDeleteMessages: false,
-          encryptionEnabled: false // TODO: Implement group encryption
-        },
-        members: {
-          [auth.currentUser.uid]: {
-            role: 'owner',
-            joinedAt: serverTimestamp(),
-            lastActive: serverTimestamp(),
-            permissions: ['all'],
-            isMuted: false,
-            customTitle: 'Group Creator'
-          }
-        },
-        stats: {
-          memberCount: 1,
-          messageCount: 0,
-          createdToday: 0,
-          lastActivity: serverTimestamp()
-        },
-        inviteCode: newGroupForm.isPrivate ? '' : generateInviteCode(),
-        tags: []
-      };
-      
-      const docRef = await addDoc(collection(db, 'groups'), groupData);
+        type: newGroupForm.isPrivate ? GROUPS_CONFIG.TYPES.PRIVATE : GROUPS_CONFIG.TYPES.PUBLIC,
+        category: newGroupForm.category
+      }, auth.currentUser.uid);
       
       // Reset form
       setNewGroupForm({
@@ -173,7 +190,10 @@ export default function GroupChat() {
       setShowCreateForm(false);
       
       // Set as active group
-      setActiveGroup({ id: docRef.id, ...groupData });
+      setActiveGroup({
+        ...group,
+        members: { [auth.currentUser.uid]: { role: GROUPS_CONFIG.ROLES.OWNER } }
+      });
       
     } catch (error) {
       console.error('Error creating group:', error);
@@ -184,23 +204,51 @@ export default function GroupChat() {
   };
 
   const handleJoinGroup = async (inviteCode) => {
-    // TODO: Implement group joining via invite code
-    console.log('TODO: Implement group join functionality for code:', inviteCode);
+    if (!auth.currentUser) return;
+    
+    const code = normalizeInviteCode(inviteCode);
+    if (!code) {
+      alert('That does not look like an invite code.');
+      return;
+    }
+    
+    setJoining(true);
+    
+    try {
+      const { groupId, alreadyMember } = await requestGroupInviteJoin(code);
+      setJoinCode('');
+      
+      // The group shows up in the list through the members snapshot
+      const joined = groups.find(group => group.id === groupId);
+      if (joined) {
+        setActiveGroup(joined);
+      } else if (alreadyMember) {
+        alert('You are already a member of this group.');
+      }
+    } catch (error) {
+      console.error('Error joining group:', error);
+      alert(error.status ? error.message : 'Failed to join group. Please try again.');
+    }
+    
+    setJoining(false);
   };
 
-  const handleLeaveGroup = async (groupId) => {
+  const handleLeaveGroup = async (group) => {
     if (!auth.currentUser) return;
     
+    const otherMemberCount = members.filter(member => member.userId !== auth.currentUser.uid).length;
+    let warning = `Leave ${group.name}?`;
+    if (otherMemberCount === 0) {
+      warning = `You are the last member of ${group.name}. Leaving deletes the group with all its messages and files.`;
+    } else if (getUserRole(group) === GROUPS_CONFIG.ROLES.OWNER) {
+      warning = `Leave ${group.name}? Ownership passes to the longest-serving admin, or to the longest-serving member if there are no admins. Transfer ownership first to choose who takes over.`;
+    }
+    if (!confirm(warning)) return;
+    
     try {
-      const groupRef = doc(db, 'groups', groupId);
-      await updateDoc(groupRef, {
-        [`members.${auth.currentUser.uid}`]: null,
-        updatedAt: serverTimestamp()
-      });
-      
-      // TODO: Handle cleanup if user was the last member
+      await removeGroupMember(group.id, auth.currentUser.uid, auth.currentUser.uid);
       
-      if (activeGroup?.id === groupId) {
+      if (activeGroup?.id === group.id) {
         setActiveGroup(null);
       }
     } catch (error) {
@@ -214,14 +262,12 @@ export default function GroupChat() {
     console.log('TODO: Update group settings for', groupId, settings);
   };
 
-  const generateInviteCode = () => {
-    // TODO: Generate secure, unique invite codes
-    return Math.random().toString(36).substring(2, 10).toUpperCase();
-  };
-
   const getUserRole = (group) => {
-    if (!auth.currentUser || !group.members) return 'none';
-    const member = group.members[auth.currentUser.uid];
+    if (!auth.currentUser) return 'none';
+    // The group list shows the members map's copy of the role
+    const member = group.id === activeGroup?.id
+      ? members.find(entry => entry.userId === auth.currentUser.uid)
+      : group.members?.[auth.currentUser.uid];
     return member ? member.role : 'none';
   };
 
@@ -230,6 +276,54 @@ export default function GroupChat() {
     return ['owner', 'admin'].includes(role);
   };
 
+  const canInviteToGroup = (group) => canManageGroup(group) || Boolean(group.settings?.allowInvites);
+
+  const canManageChannels = (group) =>
+    (GROUPS_CONFIG.PERMISSIONS[getUserRole(group)] || []).includes('manage_channels');
+
+  // Channels of the open group; #general until another is picked
+  const activeGroupId = activeGroup?.id;
+  useEffect(() => {
+    setChannels([]);
+    setActiveChannelId(null);
+    if (!activeGroupId || !auth.currentUser) return;
+
+    return subscribeToGroupChannels(activeGroupId, auth.currentUser.uid, setChannels);
+  }, [activeGroupId]);
+
+  // Roles in the open group come from its memberships; the members map only finds the user's groups
+  useEffect(() => {
+    setMembers([]);
+    if (!activeGroupId || !auth.currentUser) return;
+
+    // Groups from before both were kept get their memberships now (failures are logged by the service)
+    backfillGroupMembers(activeGroupId).catch(() => {});
+    return subscribeToGroupMembers(activeGroupId, setMembers);
+  }, [activeGroupId]);
+
+  // Falls back to #general when the picked channel is deleted or the user leaves it
+  const activeChannel = channels.find(channel => channel.id === activeChannelId) || channels[0] || null;
+
+  const handleLeaveChannel = async (channel) => {
+    if (!confirm(`Leave #${channel.name}? You will need to be added again to see it.`)) return;
+
+    try {
+      await removeChannelMember(channel.id, auth.currentUser.uid, auth.currentUser.uid);
+    } catch (error) {
+      console.error('Error leaving channel:', error);
+      alert('Failed to leave channel. Please try again.');
+    }
+  };
+
+  const activeMemberIds = members.map(member => member.userId);
+  // Private channels are encrypted for their members only
+  const channelMemberIds = activeChannel?.isPrivate
+    ? activeMemberIds.filter(memberId => activeChannel.memberIds?.includes(memberId))
+    : activeMemberIds;
+  const groupPresence = usePresence(activeMemberIds);
+  const onlineMemberCount = activeMemberIds
+    .filter(memberId => groupPresence[memberId]?.status === PRESENCE_CONFIG.STATUS.ONLINE).length;
+
   if (!isConfigured) {
     return (
       <div className="group-chat-container">
@@ -290,10 +384,10 @@ export default function GroupChat() {
                 </div>
                 <div className="group-info">
                   <h4>{group.name}</h4>
-                  <p>{group.stats?.memberCount || 0} members</p>
+                  <p>{getMemberCount(group)} members</p>
                   <span className="group-role">{getUserRole(group)}</span>
                 </div>
-                {group.isPrivate && (
+                {isPrivateGroup(group) && (
                   <div className="privacy-indicator">🔒</div>
                 )}
               </div>
@@ -301,9 +395,27 @@ export default function GroupChat() {
           )}
         </div>
         
-        {/* TODO: Add group search and discovery */}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleJoinGroup(joinCode);
+          }}
+          className="group-join-form"
+        >
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            placeholder="Invite code"
+            className="form-input"
+          />
+          <button type="submit" disabled={joining || !joinCode.trim()} className="btn btn-secondary btn-small">
+            {joining ? 'Joining...' : 'Join'}
+          </button>
+        </form>
+        
         <div className="group-actions">
-          <button className="btn btn-outline btn-small">
+          <button onClick={() => setShowDiscovery(true)} className="btn btn-outline btn-small">
             🔍 Discover Groups
           </button>
         </div>
@@ -317,20 +429,52 @@ export default function GroupChat() {
                 <h2>{activeGroup.name}</h2>
                 <p>{activeGroup.description}</p>
                 <div className="group-meta">
-                  <span>{activeGroup.stats?.memberCount || 0} members</span>
+                  <span>{getMemberCount(activeGroup)} members</span>
+                  <span>•</span>
+                  <span><span className="presence-dot online" /> {onlineMemberCount} online</span>
                   <span>•</span>
                   <span>{activeGroup.category}</span>
-                  {activeGroup.isPrivate && <span>• Private</span>}
+                  {isPrivateGroup(activeGroup) && <span>• Private</span>}
                 </div>
               </div>
               <div className="group-actions">
+                {canInviteToGroup(activeGroup) && (
+                  <button
+                    onClick={() => setShowInvites(true)}
+                    className="btn btn-outline btn-small"
+                  >
+                    🔗 Invite
+                  </button>
+                )}
+                {canManageGroup(activeGroup) && isPrivateGroup(activeGroup) && (
+                  <button
+                    onClick={() => setShowJoinRequests(true)}
+                    className="btn btn-outline btn-small"
+                  >
+                    📥 Requests
+                  </button>
+                )}
                 {canManageGroup(activeGroup) && (
                   <button className="btn btn-outline btn-small">
                     ⚙️ Settings
                   </button>
                 )}
+                {getUserRole(activeGroup) === GROUPS_CONFIG.ROLES.OWNER && activeMemberIds.length > 1 && (
+                  <button
+                    onClick={() => setShowTransfer(true)}
+                    className="btn btn-outline btn-small"
+                  >
+                    👑 Transfer
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowSearch(!showSearch)}
+                  className={`btn btn-outline btn-small ${showSearch ? 'active' : ''}`}
+                >
+                  🔍 Search
+                </button>
                 <button 
-                  onClick={() => handleLeaveGroup(activeGroup.id)}
+                  onClick={() => handleLeaveGroup(activeGroup)}
                   className="btn btn-danger btn-small"
                 >
                   🚪 Leave
@@ -338,11 +482,55 @@ export default function GroupChat() {
               </div>
             </div>
             
-            {/* TODO: Integrate with Chat component for group messages */}
-            <div className="group-chat-area">
-              <p>TODO: Integrate group chat messages here</p>
-              <p>Group ID: {activeGroup.id}</p>
-              {/* This would use the Chat component with groupId */}
+            {showSearch && (
+              <div className="group-search">
+                <SearchBox
+                  key={activeGroup.id}
+                  groupId={activeGroup.id}
+                  channels={channels}
+                  userId={auth.currentUser.uid}
+                  placeholder={`Search ${activeGroup.name}...`}
+                />
+              </div>
+            )}
+            
+            <div className="group-body">
+              <GroupChannels
+                group={activeGroup}
+                members={members}
+                channels={channels}
+                activeChannelId={activeChannel?.id}
+                userId={auth.currentUser.uid}
+                canManage={canManageChannels(activeGroup)}
+                onSelect={setActiveChannelId}
+              />
+              
+              <div className="group-chat-area">
+                {activeChannel ? (
+                  <>
+                    <div className="channel-header">
+                      <strong>{activeChannel.isPrivate ? '🔒' : '#'} {activeChannel.name}</strong>
+                      {activeChannel.topic && <span className="channel-topic">{activeChannel.topic}</span>}
+                      {activeChannel.isPrivate && (
+                        <button
+                          onClick={() => handleLeaveChannel(activeChannel)}
+                          className="btn btn-secondary btn-small"
+                        >
+                          Leave channel
+                        </button>
+                      )}
+                    </div>
+                    <Chat
+                      userId={auth.currentUser.uid}
+                      chatId={activeChannel.chatId}
+                      groupId={activeGroup.id}
+                      participantIds={channelMemberIds}
+                    />
+                  </>
+                ) : (
+                  <p>Loading channels...</p>
+                )}
+              </div>
             </div>
             
             {/* TODO: Add member list, file sharing, group settings */}
@@ -354,6 +542,47 @@ export default function GroupChat() {
         )}
       </div>
       
+      {showInvites && activeGroup && (
+        <GroupInvites
+          group={activeGroup}
+          userId={auth.currentUser.uid}
+          canManage={canManageGroup(activeGroup)}
+          onClose={() => setShowInvites(false)}
+        />
+      )}
+      
+      {showJoinRequests && activeGroup && (
+        <GroupJoinRequests
+          group={activeGroup}
+          userId={auth.currentUser.uid}
+          onClose={() => setShowJoinRequests(false)}
+        />
+      )}
+      
+      {showTransfer && activeGroup && (
+        <GroupOwnershipTransfer
+          group={activeGroup}
+          members={members}
+          userId={auth.currentUser.uid}
+          onClose={() => setShowTransfer(false)}
+        />
+      )}
+      
+      {showDiscovery && (
+        <GroupDiscovery
+          userId={auth.currentUser.uid}
+          memberGroupIds={groups.map(group => group.id)}
+          onJoined={(groupId) => {
+            setShowDiscovery(false);
+            const joined = groups.find(group => group.id === groupId);
+            if (joined) {
+              setActiveGroup(joined);
+            }
+          }}
+          onClose={() => setShowDiscovery(false)}
+        />
+      )}
+      
       {/* Create Group Modal */}
       {showCreateForm && (
         <div className="modal-overlay">
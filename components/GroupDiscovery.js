@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import {
+  GROUPS_CONFIG,
+  searchGroups,
+  joinGroup,
+  getUserJoinRequests
+} from '../lib/groups/service';
+
+/**
+ * Group Discovery Component
+ * Finds public and private groups. Public groups are joined at once; private groups
+ * take a request, with an optional note, that the group's managers approve.
+ */
+
+export default function GroupDiscovery({ userId, memberGroupIds = [], onJoined, onClose }) {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [pendingGroupIds, setPendingGroupIds] = useState([]);
+  const [requesting, setRequesting] = useState(null);
+  const [requestMessage, setRequestMessage] = useState('');
+
+  useEffect(() => {
+    getUserJoinRequests(userId)
+      .then(requests => setPendingGroupIds(requests.map(request => request.groupId)))
+      .catch(error => console.error('Error loading join requests:', error));
+  }, [userId]);
+
+  const handleSearch = async (e) => {
+    e?.preventDefault();
+    setSearching(true);
+
+    try {
+      setResults(await searchGroups({ query: searchQuery.trim(), category }));
+    } catch (error) {
+      console.error('Error searching groups:', error);
+      alert('Failed to search groups. Please try again.');
+    }
+
+    setSearching(false);
+  };
+
+  const handleJoin = async (group, message = '') => {
+    try {
+      const { status } = await joinGroup(group.id, userId, { message });
+
+      if (status === 'pending') {
+        setPendingGroupIds(prev => [...prev, group.id]);
+        setRequesting(null);
+        setRequestMessage('');
+      } else {
+        onJoined?.(group.id);
+      }
+    } catch (error) {
+      console.error('Error joining group:', error);
+      alert(error.status ? error.message : 'Failed to join group. Please try again.');
+    }
+  };
+
+  const visible = results.filter(group => !memberGroupIds.includes(group.id));
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal group-discovery">
+        <div className="modal-header">
+          <h3>Discover Groups</h3>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <form onSubmit={handleSearch} className="group-discovery-search">
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search by name, description or tag"
+              className="form-input"
+            />
+            <select value={category} onChange={(e) => setCategory(e.target.value)} className="form-select">
+              <option value="">All categories</option>
+              {Object.values(GROUPS_CONFIG.CATEGORIES).map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={searching} className="btn btn-primary">
+              {searching ? 'Searching...' : '🔍 Search'}
+            </button>
+          </form>
+
+          <ul className="group-discovery-results">
+            {visible.map(group => {
+              const isPrivate = group.type === GROUPS_CONFIG.TYPES.PRIVATE;
+              const pending = pendingGroupIds.includes(group.id);
+
+              return (
+                <li key={group.id} className="group-discovery-item">
+                  <div className="group-info">
+                    <h4>{group.name} {isPrivate && '🔒'}</h4>
+                    <p>{group.description}</p>
+                    <span className="group-role">{group.memberCount || 0} members • {group.category}</span>
+                  </div>
+
+                  {pending ? (
+                    <span className="join-request-pending">Request pending</span>
+                  ) : requesting === group.id ? (
+                    <div className="join-request-form">
+                      <textarea
+                        value={requestMessage}
+                        onChange={(e) => setRequestMessage(e.target.value)}
+                        maxLength={GROUPS_CONFIG.MAX_JOIN_MESSAGE_LENGTH}
+                        placeholder="Tell the admins why you want to join (optional)"
+                        className="form-textarea"
+                        rows="2"
+                      />
+                      <button onClick={() => handleJoin(group, requestMessage)} className="btn btn-primary btn-small">
+                        Send request
+                      </button>
+                      <button onClick={() => setRequesting(null)} className="btn btn-secondary btn-small">
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => (isPrivate ? setRequesting(group.id) : handleJoin(group))}
+                      className="btn btn-outline btn-small"
+                    >
+                      {isPrivate ? 'Request to join' : 'Join'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {!searching && results.length > 0 && visible.length === 0 && (
+            <p className="group-discovery-empty">You are already in every group found.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import {
+  GROUPS_CONFIG,
+  createGroupInvite,
+  getGroupInvites,
+  revokeGroupInvite,
+  getGroupMembers
+} from '../lib/groups/service';
+
+/**
+ * Group Invites Component
+ * Creates invite links for a group. Members who manage members also see every link
+ * with its uses, can revoke links, and see which invite each member joined with.
+ * Secret groups have no invite links; their members invite people directly.
+ */
+
+const { INVITE_LINKS, JOIN_METHODS, TYPES } = GROUPS_CONFIG;
+
+/**
+ * Build the shareable URL for an invite code
+ * @param {string} code - Invite code
+ * @returns {string} - Join page URL
+ */
+function inviteUrl(code) {
+  return `${window.location.origin}/join/${code}`;
+}
+
+/**
+ * Describe how a member joined
+ * @param {Object|null} joinedVia - Membership joinedVia record
+ * @returns {string} - Label
+ */
+function describeJoin(joinedVia) {
+  if (joinedVia?.method === JOIN_METHODS.INVITE_LINK) {
+    return `Invite link ${joinedVia.code} (created by ${joinedVia.invitedBy})`;
+  }
+  if (joinedVia?.method === JOIN_METHODS.INVITATION) {
+    return `Invited by ${joinedVia.invitedBy}`;
+  }
+  if (joinedVia?.method === JOIN_METHODS.JOIN_REQUEST) {
+    return `Join request approved by ${joinedVia.approvedBy}`;
+  }
+  if (joinedVia?.method === JOIN_METHODS.PUBLIC) {
+    return 'Joined a public group';
+  }
+  return 'Added directly';
+}
+
+export default function GroupInvites({ group, userId, canManage, onClose }) {
+  const [invites, setInvites] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [created, setCreated] = useState(null);
+  const [expiresIn, setExpiresIn] = useState(String(INVITE_LINKS.DEFAULT_EXPIRY));
+  const [maxUses, setMaxUses] = useState('');
+  const [working, setWorking] = useState(false);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    let active = true;
+    Promise.all([
+      getGroupInvites(group.id, userId),
+      getGroupMembers(group.id, GROUPS_CONFIG.MAX_MEMBERS)
+    ])
+      .then(([groupInvites, groupMembers]) => {
+        if (!active) return;
+        setInvites(groupInvites);
+        setMembers(groupMembers);
+      })
+      .catch(error => console.error('Error loading invites:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [group.id, userId, canManage, reloads]);
+
+  const reloadInvites = () => setReloads(count => count + 1);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+
+    try {
+      const invite = await createGroupInvite(group.id, userId, {
+        expiresIn: expiresIn === 'never' ? null : Number(expiresIn),
+        maxUses: maxUses ? Number(maxUses) : null
+      });
+      setCreated(invite);
+      reloadInvites();
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      alert(error.status === 403 ? 'You cannot create invites for this group.' : 'Failed to create invite link.');
+    }
+
+    setWorking(false);
+  };
+
+  const handleRevoke = async (code) => {
+    if (!confirm('Revoke this invite link? Nobody will be able to join with it.')) return;
+
+    try {
+      await revokeGroupInvite(code, userId);
+      reloadInvites();
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      alert('Failed to revoke invite link.');
+    }
+  };
+
+  const copyLink = async (code) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(code));
+    } catch (error) {
+      prompt('Copy this invite link:', inviteUrl(code));
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal group-invites">
+        <div className="modal-header">
+          <h3>Invite to {group.name}</h3>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <div className="modal-body">
+          {group.type === TYPES.SECRET ? (
+            <p className="invite-empty">Secret groups can only be joined by invitation.</p>
+          ) : (
+            <form onSubmit={handleCreate} className="invite-create">
+              <div className="form-group">
+                <label>Expires after</label>
+                <select value={expiresIn} onChange={(e) => setExpiresIn(e.target.value)} className="form-select">
+                  {INVITE_LINKS.EXPIRY_OPTIONS.map(({ label, duration }) => (
+                    <option key={label} value={duration === null ? 'never' : String(duration)}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Maximum uses</label>
+                <select value={maxUses} onChange={(e) => setMaxUses(e.target.value)} className="form-select">
+                  {INVITE_LINKS.MAX_USES_OPTIONS.map(uses => (
+                    <option key={uses || 'unlimited'} value={uses || ''}>{uses || 'No limit'}</option>
+                  ))}
+                </select>
+              </div>
+              <button type="submit" disabled={working} className="btn btn-primary">
+                {working ? 'Creating...' : '🔗 Create invite link'}
+              </button>
+            </form>
+          )}
+
+          {created && (
+            <div className="invite-created">
+              <code>{inviteUrl(created.code)}</code>
+              <button onClick={() => copyLink(created.code)} className="btn btn-secondary btn-small">Copy</button>
+            </div>
+          )}
+
+          {canManage && (
+            <>
+              <h4>Invite links</h4>
+              {invites.length === 0 ? (
+                <p className="invite-empty">No invite links yet.</p>
+              ) : (
+                <ul className="invite-list">
+                  {invites.map(invite => (
+                    <li key={invite.code} className={`invite-item invite-${invite.status}`}>
+                      <div className="invite-info">
+                        <code>{invite.code}</code>
+                        <span>
+                          {invite.uses}{invite.maxUses ? ` / ${invite.maxUses}` : ''} uses
+                          {' • '}
+                          {invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleString()}` : 'never expires'}
+                          {' • '}
+                          created by {invite.createdBy}
+                        </span>
+                      </div>
+                      <span className="invite-status">{invite.status}</span>
+                      {invite.status === INVITE_LINKS.STATUS.ACTIVE && (
+                        <>
+                          <button onClick={() => copyLink(invite.code)} className="btn btn-secondary btn-small">Copy</button>
+                          <button onClick={() => handleRevoke(invite.code)} className="btn btn-danger btn-small">Revoke</button>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h4>How members joined</h4>
+              <ul className="invite-members">
+                {members.map(member => (
+                  <li key={member.id}>
+                    <strong>{member.userId}</strong>
+                    <span>{member.role}</span>
+                    <span>{describeJoin(member.joinedVia)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import {
+  GROUPS_CONFIG,
+  getJoinRequests,
+  reviewJoinRequest,
+  requestJoinRequestNotification
+} from '../lib/groups/service';
+
+/**
+ * Group Join Requests Component
+ * Approval queue for members who manage members: approve or reject each request,
+ * optionally with a note the applicant receives in their notification.
+ */
+
+export default function GroupJoinRequests({ group, userId, onClose }) {
+  const [requests, setRequests] = useState([]);
+  const [responses, setResponses] = useState({});
+  const [working, setWorking] = useState(null);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let active = true;
+
+    getJoinRequests(group.id, userId)
+      .then(pending => active && setRequests(pending))
+      .catch(error => console.error('Error loading join requests:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [group.id, userId, reloads]);
+
+  const handleReview = async (request, approve) => {
+    setWorking(request.id);
+
+    try {
+      await reviewJoinRequest(request.id, userId, approve, responses[request.id] || '');
+      requestJoinRequestNotification(request.id);
+      setReloads(count => count + 1);
+    } catch (error) {
+      console.error('Error reviewing join request:', error);
+      alert(error.status ? error.message : 'Failed to review the request. Please try again.');
+    }
+
+    setWorking(null);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal group-join-requests">
+        <div className="modal-header">
+          <h3>Join requests for {group.name}</h3>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <div className="modal-body">
+          {requests.length === 0 ? (
+            <p className="join-request-empty">No pending requests.</p>
+          ) : (
+            <ul className="join-request-list">
+              {requests.map(request => (
+                <li key={request.id} className="join-request-item">
+                  <div className="join-request-info">
+                    <strong>{request.userId}</strong>
+                    {request.createdAt?.toDate && (
+                      <span>{request.createdAt.toDate().toLocaleString()}</span>
+                    )}
+                    {request.message && <p>&ldquo;{request.message}&rdquo;</p>}
+                  </div>
+                  <input
+                    type="text"
+                    value={responses[request.id] || ''}
+                    onChange={(e) => setResponses(prev => ({ ...prev, [request.id]: e.target.value }))}
+                    maxLength={GROUPS_CONFIG.MAX_JOIN_MESSAGE_LENGTH}
+                    placeholder="Message to the applicant (optional)"
+                    className="form-input"
+                  />
+                  <div className="join-request-actions">
+                    <button
+                      onClick={() => handleReview(request, true)}
+                      disabled={working === request.id}
+                      className="btn btn-primary btn-small"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(request, false)}
+                      disabled={working === request.id}
+                      className="btn btn-danger btn-small"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { GROUPS_CONFIG, transferGroupOwnership } from '../lib/groups/service';
+
+/**
+ * Group Ownership Transfer Component
+ * Lets the owner hand the group to another member; the owner stays on as an admin.
+ */
+
+const ROLE_ORDER = [
+  GROUPS_CONFIG.ROLES.ADMIN,
+  GROUPS_CONFIG.ROLES.MODERATOR,
+  GROUPS_CONFIG.ROLES.MEMBER
+];
+
+export default function GroupOwnershipTransfer({ group, members, userId, onClose }) {
+  const [newOwnerId, setNewOwnerId] = useState('');
+  const [working, setWorking] = useState(false);
+
+  // Admins first, as they already manage the group
+  const candidates = members
+    .filter(member => member.userId !== userId)
+    .sort((a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role));
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    if (!newOwnerId || !confirm(`Make ${newOwnerId} the owner of ${group.name}? You will become an admin.`)) return;
+
+    setWorking(true);
+
+    try {
+      await transferGroupOwnership(group.id, newOwnerId, userId);
+      onClose();
+    } catch (error) {
+      console.error('Error transferring ownership:', error);
+      alert(error.status ? error.message : 'Failed to transfer ownership. Please try again.');
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal group-transfer">
+        <div className="modal-header">
+          <h3>Transfer ownership of {group.name}</h3>
+          <button onClick={onClose} className="close-button">✕</button>
+        </div>
+
+        <form onSubmit={handleTransfer} className="modal-body">
+          <div className="form-group">
+            <label>New owner</label>
+            <select value={newOwnerId} onChange={(e) => setNewOwnerId(e.target.value)} className="form-select">
+              <option value="">Choose a member</option>
+              {candidates.map(candidate => (
+                <option key={candidate.userId} value={candidate.userId}>
+                  {candidate.userId} ({candidate.role})
+                </option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" disabled={working || !newOwnerId} className="btn btn-primary">
+            {working ? 'Transferring...' : '👑 Transfer ownership'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
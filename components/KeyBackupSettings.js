@@ -0,0 +1,247 @@
+import { useState, useEffect, useCallback } from 'react';
+import { isEncryptionLocked } from '../lib/encryption/messaging';
+import {
+  BACKUP_CONFIG,
+  generateRecoveryCode,
+  getKeyBackupStatus,
+  enableKeyBackup,
+  refreshKeyBackup,
+  restoreKeyBackup,
+  disableKeyBackup
+} from '../lib/encryption/backup';
+
+/**
+ * Key Backup Settings Component
+ * Lets the user back up their encryption keys with a recovery passphrase or
+ * recovery code, and restore them on a new device.
+ *
+ * TODO: Complete implementation
+ * - Let the user unlock encryption from here instead of from a chat
+ * - Offer to restore automatically when a new device finds an existing backup
+ */
+
+export default function KeyBackupSettings({ userId }) {
+  const [status, setStatus] = useState(null);
+  const [locked, setLocked] = useState(true);
+  const [mode, setMode] = useState(null);
+  const [secretType, setSecretType] = useState(BACKUP_CONFIG.SECRET_TYPES.PASSPHRASE);
+  const [secret, setSecret] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setLocked(isEncryptionLocked(userId));
+      setStatus(await getKeyBackupStatus(userId));
+    } catch (error) {
+      console.error('Error loading key backup status:', error);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const closeForm = () => {
+    setMode(null);
+    setSecret('');
+  };
+
+  const startEnable = (type) => {
+    setSecretType(type);
+    setSecret(type === BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE ? generateRecoveryCode() : '');
+    setRecoveryCode(null);
+    setMode('enable');
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    if (status?.enabled && !confirm('This replaces your existing key backup and its recovery secret. Continue?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await enableKeyBackup(userId, secret, secretType);
+      if (secretType === BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE) {
+        setRecoveryCode(secret);
+      }
+      closeForm();
+      await loadStatus();
+    } catch (error) {
+      alert(error.code === 'weak-passphrase' ? error.message : 'Failed to enable key backup.');
+    }
+    setWorking(false);
+  };
+
+  const handleRefresh = async () => {
+    setWorking(true);
+    try {
+      await refreshKeyBackup(userId);
+      await loadStatus();
+    } catch (error) {
+      alert(error.code === 'backup-replaced'
+        ? 'Key backup was changed on another device. Restore or enable it again here.'
+        : 'Failed to back up your keys.');
+      await loadStatus();
+    }
+    setWorking(false);
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+
+    if (!confirm('Restoring replaces the encryption keys on this device. Continue?')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      const { exportedAt } = await restoreKeyBackup(userId, secret);
+      closeForm();
+      await loadStatus();
+      alert(`Keys restored from the backup of ${new Date(exportedAt).toLocaleString()}.`);
+    } catch (error) {
+      alert(error.code === 'wrong-recovery-secret' ? error.message : 'Failed to restore your keys.');
+    }
+    setWorking(false);
+  };
+
+  const handleDisable = async () => {
+    if (!confirm('Delete your key backup? You will not be able to recover your keys on a new device.')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await disableKeyBackup(userId);
+      setRecoveryCode(null);
+      await loadStatus();
+    } catch (error) {
+      alert('Failed to disable key backup.');
+    }
+    setWorking(false);
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  const usesRecoveryCode = secretType === BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE;
+
+  return (
+    <div className="key-backup-settings">
+      <h3>☁️ Key Backup</h3>
+      <p className="key-backup-help">
+        Back up your encryption keys to recover your account on a new device. The backup is encrypted
+        with a secret only you know. Message history from before a restore cannot be recovered.
+      </p>
+
+      {locked ? (
+        <p className="key-backup-note">Open a chat and unlock encryption to manage key backup.</p>
+      ) : (
+        <>
+          <p className="key-backup-status">
+            {status.enabled
+              ? `Backed up ${status.exportedAt ? new Date(status.exportedAt).toLocaleString() : ''} with a ${
+                status.secretType === BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE ? 'recovery code' : 'recovery passphrase'
+              }${status.canRefresh ? '' : ' (not from this device)'}`
+              : 'Key backup is off.'}
+          </p>
+
+          {recoveryCode && (
+            <div className="key-backup-code">
+              <p>Write down your recovery code and keep it somewhere safe. It will not be shown again.</p>
+              <code>{recoveryCode}</code>
+              <button onClick={() => setRecoveryCode(null)} className="btn btn-outline btn-small">
+                I have saved it
+              </button>
+            </div>
+          )}
+
+          {mode === 'enable' && (
+            <form onSubmit={handleEnable} className="key-backup-form">
+              {usesRecoveryCode ? (
+                <p>
+                  Your recovery code: <code>{secret}</code>
+                </p>
+              ) : (
+                <input
+                  type="password"
+                  value={secret}
+                  onChange={(e) => setSecret(e.target.value)}
+                  placeholder={`Recovery passphrase (at least ${BACKUP_CONFIG.MIN_PASSPHRASE_LENGTH} characters)`}
+                  minLength={BACKUP_CONFIG.MIN_PASSPHRASE_LENGTH}
+                  autoComplete="new-password"
+                />
+              )}
+              <button type="submit" className="btn btn-primary btn-small" disabled={working || !secret}>
+                {working ? 'Backing up...' : 'Back up keys'}
+              </button>
+              <button type="button" onClick={closeForm} className="btn btn-outline btn-small">
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {mode === 'restore' && (
+            <form onSubmit={handleRestore} className="key-backup-form">
+              <p className="key-backup-warning">
+                ⚠️ Restoring replaces the keys on this device. Messages received before the restore cannot be
+                decrypted, and conversations may need a new message from each contact before they work again.
+              </p>
+              <input
+                type="password"
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                placeholder="Recovery passphrase or code"
+                autoComplete="current-password"
+              />
+              <button type="submit" className="btn btn-primary btn-small" disabled={working || !secret}>
+                {working ? 'Restoring...' : 'Restore keys'}
+              </button>
+              <button type="button" onClick={closeForm} className="btn btn-outline btn-small">
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {!mode && (
+            <div className="key-backup-actions">
+              <button
+                onClick={() => startEnable(BACKUP_CONFIG.SECRET_TYPES.PASSPHRASE)}
+                className="btn btn-outline btn-small"
+                disabled={working}
+              >
+                {status.enabled ? 'Change passphrase' : 'Back up with passphrase'}
+              </button>
+              <button
+                onClick={() => startEnable(BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE)}
+                className="btn btn-outline btn-small"
+                disabled={working}
+              >
+                {status.enabled ? 'Use new recovery code' : 'Back up with recovery code'}
+              </button>
+              {status.enabled && status.canRefresh && (
+                <button onClick={handleRefresh} className="btn btn-outline btn-small" disabled={working}>
+                  Back up now
+                </button>
+              )}
+              {status.enabled && (
+                <>
+                  <button onClick={() => setMode('restore')} className="btn btn-outline btn-small" disabled={working}>
+                    Restore on this device
+                  </button>
+                  <button onClick={handleDisable} className="btn btn-outline btn-small" disabled={working}>
+                    Turn off
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  requestDeviceLink,
+  subscribeToDeviceLink,
+  completeDeviceLink,
+  cancelDeviceLink
+} from '../lib/encryption/deviceLinking';
+import { DEVICE_CONFIG, becomeMainDevice } from '../lib/encryption/devices';
+
+/**
+ * Link Device Component
+ * Shown on a browser that is not linked to the user's account yet. The user scans the
+ * QR code shown on their main device (Profile → Linked devices) or pastes its code.
+ *
+ * TODO: Complete implementation
+ * - Copy verified contacts and chat history from the main device
+ */
+
+export default function LinkDevice({ userId, onLinked }) {
+  const [code, setCode] = useState('');
+  const [deviceName, setDeviceName] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [linkId, setLinkId] = useState(null);
+  const [working, setWorking] = useState(false);
+  const videoRef = useRef(null);
+
+  // Scan the main device's QR code where the browser can decode it
+  useEffect(() => {
+    if (!scanning) return;
+
+    let stream = null;
+    let timer = null;
+    let active = true;
+
+    const startScanning = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (!active) return;
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            setCode(codes[0].rawValue);
+            setScanning(false);
+          }
+        }, 500);
+      } catch (error) {
+        console.error('Error scanning QR code:', error);
+        alert('Could not start the camera. Paste the code shown on your main device instead.');
+        setScanning(false);
+      }
+    };
+
+    startScanning();
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [scanning]);
+
+  // Wait for the main device to approve the request
+  useEffect(() => {
+    if (!linkId) return;
+
+    return subscribeToDeviceLink(linkId, async (link) => {
+      if (!link) {
+        setLinkId(null);
+        alert('The link request was declined or expired.');
+        return;
+      }
+
+      if (link.status === 'approved') {
+        const status = await completeDeviceLink(userId, linkId);
+        setLinkId(null);
+        if (status === DEVICE_CONFIG.STATUS.LINKED) {
+          onLinked?.();
+        }
+      }
+    });
+  }, [linkId, userId, onLinked]);
+
+  const submitCode = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setWorking(true);
+    try {
+      setLinkId(await requestDeviceLink(userId, code, deviceName));
+      setCode('');
+    } catch (error) {
+      alert(error.message || 'Failed to link this device.');
+    }
+    setWorking(false);
+  };
+
+  const cancelRequest = async () => {
+    try {
+      await cancelDeviceLink(linkId);
+    } catch (error) {
+      console.error('Error cancelling link request:', error);
+    }
+    setLinkId(null);
+  };
+
+  const useAsMainDevice = async () => {
+    if (!confirm('Use this browser as your main device? Your contacts will see your safety number change, ' +
+      'your other devices will be unlinked, and messages sent to them cannot be read here.')) {
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await becomeMainDevice(userId);
+      onLinked?.();
+    } catch (error) {
+      alert('Failed to set up this browser as your main device.');
+    }
+    setWorking(false);
+  };
+
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices;
+
+  return (
+    <div className="link-device-panel">
+      <h4>📱 Link this browser</h4>
+
+      {linkId ? (
+        <div className="link-device-waiting">
+          <p>Confirm the request on your main device to finish linking.</p>
+          <button onClick={cancelRequest} className="btn btn-outline btn-small">Cancel</button>
+        </div>
+      ) : (
+        <>
+          <p className="link-device-help">
+            Your account already has encryption keys on another device. On that device, open your profile,
+            choose “Link a new device” and scan its code here.
+          </p>
+
+          {canScan && (
+            <button onClick={() => setScanning(!scanning)} className="btn btn-outline btn-small">
+              {scanning ? 'Stop scanning' : '📷 Scan code'}
+            </button>
+          )}
+          {scanning && <video ref={videoRef} className="link-device-video" muted playsInline />}
+
+          <form onSubmit={submitCode} className="link-device-form">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Or paste the link code"
+            />
+            <input
+              type="text"
+              value={deviceName}
+              onChange={(e) => setDeviceName(e.target.value)}
+              placeholder="Name for this device"
+            />
+            <button type="submit" className="btn btn-primary btn-small" disabled={working || !code.trim()}>
+              Link
+            </button>
+          </form>
+
+          <button onClick={useAsMainDevice} className="link-device-reset" disabled={working}>
+            Lost your main device? Use this browser instead
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { isEncryptionLocked } from '../lib/encryption/messaging';
+import {
+  DEVICE_CONFIG,
+  getDeviceStatus,
+  subscribeToUserDevices,
+  unlinkDevice
+} from '../lib/encryption/devices';
+import {
+  createDeviceLink,
+  renderDeviceLinkQr,
+  subscribeToDeviceLink,
+  verifyDeviceLinkRequest,
+  approveDeviceLink,
+  cancelDeviceLink
+} from '../lib/encryption/deviceLinking';
+
+/**
+ * Linked Devices Component
+ * Lists the devices that can read the user's encrypted messages. On the main device
+ * it shows a QR code to link another browser and lets the user remove devices.
+ *
+ * TODO: Complete implementation
+ * - Show when each device was last active
+ */
+
+export default function LinkedDevices({ userId }) {
+  const [devices, setDevices] = useState([]);
+  const [link, setLink] = useState(null);
+  const [qrUrl, setQrUrl] = useState(null);
+  const [request, setRequest] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const locked = isEncryptionLocked(userId);
+  const isMain = getDeviceStatus() === DEVICE_CONFIG.STATUS.MAIN;
+
+  useEffect(() => {
+    if (locked) return;
+
+    return subscribeToUserDevices(userId, setDevices);
+  }, [userId, locked]);
+
+  // Wait for the new device to scan the code, then check its request
+  useEffect(() => {
+    if (!link) return;
+
+    let active = true;
+    const unsubscribe = subscribeToDeviceLink(link.linkId, async (current) => {
+      if (current?.status !== 'requested') return;
+
+      const valid = await verifyDeviceLinkRequest(userId, current, link.secret);
+      if (!active) return;
+
+      if (valid) {
+        setRequest(current);
+      } else {
+        alert('A link request could not be verified and was ignored.');
+      }
+    });
+
+    // Codes expire, so a forgotten QR code cannot be used later
+    const timer = setTimeout(() => {
+      cancelDeviceLink(link.linkId).catch(() => {});
+      setLink(null);
+      setRequest(null);
+    }, link.expiresAt - Date.now());
+
+    return () => {
+      active = false;
+      unsubscribe();
+      clearTimeout(timer);
+    };
+  }, [link, userId]);
+
+  const startLinking = async () => {
+    setWorking(true);
+    try {
+      const created = await createDeviceLink(userId);
+      setQrUrl(await renderDeviceLinkQr(created.qrPayload));
+      setLink(created);
+    } catch (error) {
+      alert('Failed to start linking a device.');
+    }
+    setWorking(false);
+  };
+
+  const stopLinking = async () => {
+    if (link) {
+      await cancelDeviceLink(link.linkId).catch(() => {});
+    }
+    setLink(null);
+    setRequest(null);
+  };
+
+  const approveRequest = async () => {
+    setWorking(true);
+    try {
+      await approveDeviceLink(userId, request, link.secret);
+      setLink(null);
+      setRequest(null);
+    } catch (error) {
+      alert('Failed to link the device.');
+    }
+    setWorking(false);
+  };
+
+  const removeDevice = async (device) => {
+    if (!confirm(`Remove "${device.name}"? It will stop receiving new encrypted messages.`)) {
+      return;
+    }
+
+    try {
+      await unlinkDevice(userId, device.deviceId);
+    } catch (error) {
+      alert('Failed to remove the device.');
+    }
+  };
+
+  return (
+    <div className="linked-devices">
+      <h3>📱 Linked Devices</h3>
+
+      {locked ? (
+        <p className="linked-devices-note">Open a chat and unlock encryption to manage your devices.</p>
+      ) : (
+        <>
+          <ul className="linked-devices-list">
+            {devices.map(device => (
+              <li key={device.deviceId}>
+                <span>
+                  {device.main ? 'Main device' : device.name}
+                  {device.current && ' (this browser)'}
+                </span>
+                {isMain && !device.main && (
+                  <button onClick={() => removeDevice(device)} className="btn btn-outline btn-small">
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isMain && !link && (
+            <button onClick={startLinking} className="btn btn-outline btn-small" disabled={working}>
+              Link a new device
+            </button>
+          )}
+
+          {link && !request && (
+            <div className="linked-devices-link">
+              <p>Open Shadow-Bind on the new device, sign in and scan this code. It expires in a few minutes.</p>
+              {qrUrl && (
+                <Image src={qrUrl} alt="Device link QR code" width={240} height={240} unoptimized />
+              )}
+              <code className="linked-devices-code">{link.qrPayload}</code>
+              <button onClick={stopLinking} className="btn btn-outline btn-small">Cancel</button>
+            </div>
+          )}
+
+          {request && (
+            <div className="linked-devices-request">
+              <p>Link &quot;{request.name}&quot; to your account? It will be able to read new encrypted messages.</p>
+              <button onClick={approveRequest} className="btn btn-primary btn-small" disabled={working}>
+                Link device
+              </button>
+              <button onClick={stopLinking} className="btn btn-outline btn-small" disabled={working}>
+                Decline
+              </button>
+            </div>
+          )}
+
+          {!isMain && (
+            <p className="linked-devices-note">Devices can be linked and removed from your main device.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
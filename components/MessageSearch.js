@@ -122,7 +122,8 @@ export default function MessageSearch({ chatId = null, onResultSelect = null })
       //   hasFiles: boolean,
       //   hasImages: boolean,
       //   fileTypes: array,
-      //   participants: array // For group chats
+      //   participants: array, // Who may find it; searches outside a group are limited to these
+      //   expiresAt: timestamp | null // Disappearing messages; deleted along with the message
       // }
 
       let searchRef = collection(db, 'search-index');
@@ -179,6 +180,11 @@ export default function MessageSearch({ chatId = null, onResultSelect = null })
 
       for (const doc of snapshot.docs) {
         const data = doc.data();
+
+        // Expired messages may not have been purged from the index yet
+        if (data.expiresAt && data.expiresAt.toDate() <= new Date()) {
+          continue;
+        }
         
         // TODO: Get full message data if needed
         const messageData = {
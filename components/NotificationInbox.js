@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { notificationsService, NOTIFICATIONS_CONFIG } from '../lib/notifications/service';
+
+/**
+ * Notification Inbox Component
+ * Notifications received on this device, with read state shared with the app badge
+ */
+
+const ALL = 'all';
+
+export default function NotificationInbox() {
+  const [entries, setEntries] = useState([]);
+  const [category, setCategory] = useState(ALL);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  useEffect(() => notificationsService.subscribeToNotificationHistory(setEntries), []);
+
+  const scope = category === ALL ? null : category;
+  const unreadIn = (value) => entries.filter(entry => !entry.read && (value === ALL || entry.category === value)).length;
+  const visible = entries.filter(entry =>
+    (category === ALL || entry.category === category) && (!unreadOnly || !entry.read)
+  );
+  const totalUnread = unreadIn(ALL);
+
+  const clearAll = async () => {
+    const label = scope ? notificationsService.getCategoryTitle(scope).toLowerCase() : 'notifications';
+    if (!confirm(`Clear all ${label}?`)) return;
+    await notificationsService.clearHistory(scope);
+  };
+
+  const toggleRead = (entry) => entry.read
+    ? notificationsService.markAsUnread(entry.id)
+    : notificationsService.markAsRead(entry.id);
+
+  return (
+    <div className="notification-inbox">
+      <div className="notification-inbox-header">
+        <h2>
+          🔔 Notifications
+          {totalUnread > 0 && <span className="notification-badge">{totalUnread}</span>}
+        </h2>
+        <div className="notification-inbox-actions">
+          <label>
+            <input
+              type="checkbox"
+              checked={unreadOnly}
+              onChange={(e) => setUnreadOnly(e.target.checked)}
+            />
+            Unread only
+          </label>
+          <button
+            onClick={() => notificationsService.markAllAsRead(scope)}
+            disabled={unreadIn(category) === 0}
+            className="btn btn-secondary"
+          >
+            Mark all read
+          </button>
+          <button
+            onClick={clearAll}
+            disabled={!entries.some(entry => category === ALL || entry.category === category)}
+            className="btn btn-secondary"
+          >
+            Clear all
+          </button>
+        </div>
+      </div>
+
+      <div className="notification-filters">
+        {[ALL, ...Object.values(NOTIFICATIONS_CONFIG.CATEGORIES)].map(value => (
+          <button
+            key={value}
+            onClick={() => setCategory(value)}
+            className={`notification-filter ${category === value ? 'active' : ''}`}
+          >
+            {value === ALL ? 'All' : notificationsService.getCategoryTitle(value)}
+            {unreadIn(value) > 0 && <span className="notification-badge">{unreadIn(value)}</span>}
+          </button>
+        ))}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="notification-inbox-empty">
+          {unreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+        </p>
+      ) : (
+        <ul className="notification-list">
+          {visible.map(entry => {
+            const link = notificationsService.getNotificationLink(entry);
+
+            return (
+              <li
+                key={entry.id}
+                className={`notification-item ${entry.read ? 'read' : 'unread'} priority-${entry.priority || 'normal'}`}
+              >
+                {link && link !== '/notifications' ? (
+                  <Link
+                    href={link}
+                    className="notification-item-content"
+                    onClick={() => notificationsService.markAsRead(entry.id)}
+                  >
+                    <strong>{entry.title}</strong>
+                    <span>{entry.body}</span>
+                  </Link>
+                ) : (
+                  <div className="notification-item-content">
+                    <strong>{entry.title}</strong>
+                    <span>{entry.body}</span>
+                  </div>
+                )}
+                <div className="notification-item-meta">
+                  <span className="notification-category">{notificationsService.getCategoryTitle(entry.category)}</span>
+                  <span className="notification-time">{new Date(entry.timestamp).toLocaleString()}</span>
+                  <button onClick={() => toggleRead(entry)} className="notification-item-btn">
+                    {entry.read ? 'Mark unread' : 'Mark read'}
+                  </button>
+                  <button
+                    onClick={() => notificationsService.removeFromHistory([entry.id])}
+                    className="notification-item-btn"
+                    title="Remove"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,15 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import pushNotificationService from '../lib/pushNotifications';
+import { auth } from '../lib/firebase';
+import { getUserGroups } from '../lib/groups/service';
+import {
+  NOTIFICATION_RULES_CONFIG,
+  isRulesSupported,
+  subscribeToNotificationRules,
+  setConversationRule,
+  removeConversationRule,
+  setKeywordAlerts
+} from '../lib/notifications/rules';
 
 /**
  * Push Notification Settings Component
@@ -271,6 +281,8 @@ export default function NotificationSettings() {
               </div>
             )}
           </div>
+
+          {isRulesSupported() && <NotificationRules />}
         </div>
       )}
       
@@ -284,4 +296,186 @@ export default function NotificationSettings() {
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+/**
+ * Per-conversation overrides and keyword alerts
+ */
+function NotificationRules() {
+  const { MODES, MUTE_DURATIONS, SOUNDS, VIBRATIONS } = NOTIFICATION_RULES_CONFIG;
+  const [rules, setRules] = useState({ keywords: [], conversations: {} });
+  const [groups, setGroups] = useState([]);
+  const [newGroupId, setNewGroupId] = useState('');
+  const [newKeyword, setNewKeyword] = useState('');
+
+  useEffect(() => subscribeToNotificationRules(setRules), []);
+
+  useEffect(() => {
+    if (!auth.currentUser) return;
+
+    getUserGroups(auth.currentUser.uid)
+      .then(setGroups)
+      .catch(error => console.error('Failed to load groups:', error));
+  }, []);
+
+  const conversationName = (key) => {
+    const [type, id] = key.split(':');
+    const group = type === 'group' && groups.find(item => item.id === id);
+    return group ? `👥 ${group.name}` : `${type === 'group' ? '👥' : '💬'} ${id}`;
+  };
+
+  const updateRule = async (key, changes) => {
+    const [type, id] = key.split(':');
+    const current = rules.conversations[key] || {};
+    const next = { mode: current.mode, sound: current.sound, vibration: current.vibration, ...changes };
+
+    try {
+      await setConversationRule(type, id, {
+        ...next,
+        // Keep an existing mute's end unless a new length was picked
+        muteFor: 'muteFor' in changes
+          ? changes.muteFor
+          : current.mutedUntil && Math.max(current.mutedUntil - Date.now(), 1)
+      });
+    } catch (error) {
+      console.error('Failed to save notification rule:', error);
+      alert(`Failed to save the notification rule: ${error.message}`);
+    }
+  };
+
+  const addGroupRule = async () => {
+    if (!newGroupId) return;
+    await updateRule(`group:${newGroupId}`, { mode: MODES.MENTIONS });
+    setNewGroupId('');
+  };
+
+  const addKeyword = async (e) => {
+    e.preventDefault();
+    if (!newKeyword.trim()) return;
+    await setKeywordAlerts([...rules.keywords, newKeyword]);
+    setNewKeyword('');
+  };
+
+  const describeMute = (rule) => {
+    if (rule.mode !== MODES.MUTED) return null;
+    if (!rule.mutedUntil) return 'until unmuted';
+    return rule.mutedUntil > Date.now()
+      ? `until ${new Date(rule.mutedUntil).toLocaleString()}`
+      : 'mute expired';
+  };
+
+  return (
+    <>
+      <div className="preference-group">
+        <h5>Chats and Groups:</h5>
+
+        {Object.keys(rules.conversations).length === 0 && (
+          <p className="notification-rules-empty">Every conversation follows the settings above.</p>
+        )}
+
+        {Object.entries(rules.conversations).map(([key, rule]) => (
+          <div key={key} className="notification-rule">
+            <span className="notification-rule-name">{conversationName(key)}</span>
+            <select
+              value={rule.mode}
+              onChange={(e) => updateRule(key, { mode: e.target.value, muteFor: null })}
+            >
+              <option value={MODES.ALL}>All messages</option>
+              <option value={MODES.MENTIONS}>Mentions and keywords only</option>
+              <option value={MODES.MUTED}>Muted</option>
+            </select>
+            {rule.mode === MODES.MUTED && (
+              <select
+                value="current"
+                onChange={(e) => updateRule(key, {
+                  muteFor: e.target.value === 'forever' ? null : Number(e.target.value)
+                })}
+                title={describeMute(rule)}
+              >
+                <option value="current" disabled>Muted {describeMute(rule)}</option>
+                {MUTE_DURATIONS.map(({ label, duration }) => (
+                  <option key={label} value={duration ?? 'forever'}>{duration ? `For ${label}` : label}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={rule.sound}
+              onChange={(e) => updateRule(key, { sound: e.target.value })}
+              title="Sound"
+            >
+              {Object.values(SOUNDS).map(sound => (
+                <option key={sound} value={sound}>🔊 {sound}</option>
+              ))}
+            </select>
+            <select
+              value={rule.vibration}
+              onChange={(e) => updateRule(key, { vibration: e.target.value })}
+              title="Vibration"
+            >
+              {Object.values(VIBRATIONS).map(vibration => (
+                <option key={vibration} value={vibration}>📳 {vibration}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeConversationRule(...key.split(':'))}
+              className="btn btn-outline"
+              title="Use the default settings"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+
+        {groups.length > 0 && (
+          <div className="notification-rule-add">
+            <select value={newGroupId} onChange={(e) => setNewGroupId(e.target.value)}>
+              <option value="">Add a group…</option>
+              {groups
+                .filter(group => !rules.conversations[`group:${group.id}`])
+                .map(group => (
+                  <option key={group.id} value={group.id}>{group.name}</option>
+                ))}
+            </select>
+            <button onClick={addGroupRule} disabled={!newGroupId} className="btn btn-secondary">
+              Add
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="preference-group">
+        <h5>Keyword Alerts:</h5>
+        <p className="notification-rules-hint">
+          Messages containing these words alert you even in conversations set to mentions only.
+        </p>
+
+        <div className="notification-keywords">
+          {rules.keywords.map(keyword => (
+            <span key={keyword} className="notification-keyword">
+              {keyword}
+              <button
+                onClick={() => setKeywordAlerts(rules.keywords.filter(item => item !== keyword))}
+                title="Remove keyword"
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+
+        <form onSubmit={addKeyword} className="notification-rule-add">
+          <input
+            type="text"
+            value={newKeyword}
+            onChange={(e) => setNewKeyword(e.target.value)}
+            maxLength={NOTIFICATION_RULES_CONFIG.MAX_KEYWORD_LENGTH}
+            placeholder="Add a keyword"
+            disabled={rules.keywords.length >= NOTIFICATION_RULES_CONFIG.MAX_KEYWORDS}
+          />
+          <button type="submit" disabled={!newKeyword.trim()} className="btn btn-secondary">
+            Add
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
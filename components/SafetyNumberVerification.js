@@ -0,0 +1,218 @@
+import { useState, useEffect, useRef } from 'react';
+import Image from 'next/image';
+import { encryptionService } from '../lib/encryption/e2ee';
+import {
+  getSafetyNumber,
+  renderSafetyNumberQr,
+  matchesSafetyNumber
+} from '../lib/encryption/verification';
+
+/**
+ * Safety Number Verification Component
+ * Shows the safety number shared with a contact, as digits and as a QR code,
+ * and lets the user scan or type the contact's code before marking them verified.
+ *
+ * TODO: Complete implementation
+ * - Sync verified status across the user's linked devices
+ */
+
+export default function SafetyNumberVerification({ userId, contactId, contactName, onClose, onVerifiedChange }) {
+  const [loading, setLoading] = useState(true);
+  const [safety, setSafety] = useState(null);
+  const [qrUrl, setQrUrl] = useState(null);
+  const [verified, setVerified] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [codeInput, setCodeInput] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const videoRef = useRef(null);
+
+  // Compute the safety number from the contact's published keys
+  useEffect(() => {
+    let active = true;
+
+    const load = async () => {
+      setLoading(true);
+      setComparison(null);
+
+      try {
+        const result = await getSafetyNumber(userId, contactId);
+        if (!active) return;
+
+        setSafety(result);
+        if (result) {
+          setQrUrl(await renderSafetyNumberQr(result.safetyNumber));
+          setVerified(await encryptionService.verifyIdentity(contactId, result.identity));
+        }
+      } catch (error) {
+        console.error('Error computing safety number:', error);
+      }
+
+      if (active) setLoading(false);
+    };
+
+    load();
+
+    return () => {
+      active = false;
+    };
+  }, [userId, contactId]);
+
+  // Scan the contact's QR code with the camera where the browser can decode it
+  useEffect(() => {
+    if (!scanning || !safety) return;
+
+    let stream = null;
+    let timer = null;
+    let active = true;
+
+    const startScanning = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (!active) return;
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            setComparison(matchesSafetyNumber(safety.safetyNumber, codes[0].rawValue) ? 'match' : 'mismatch');
+            setScanning(false);
+          }
+        }, 500);
+      } catch (error) {
+        console.error('Error scanning QR code:', error);
+        alert('Could not start the camera. Compare the numbers or paste the code instead.');
+        setScanning(false);
+      }
+    };
+
+    startScanning();
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [scanning, safety]);
+
+  const compareTypedCode = (e) => {
+    e.preventDefault();
+    if (!codeInput.trim()) return;
+
+    setComparison(matchesSafetyNumber(safety.safetyNumber, codeInput) ? 'match' : 'mismatch');
+  };
+
+  const markVerified = async () => {
+    try {
+      await encryptionService.markIdentityVerified(contactId, safety.identity);
+      setVerified(true);
+      onVerifiedChange?.(contactId, true);
+    } catch (error) {
+      console.error('Error marking contact verified:', error);
+      alert('Failed to mark this contact as verified.');
+    }
+  };
+
+  const clearVerified = async () => {
+    try {
+      await encryptionService.clearIdentityVerification(contactId);
+      setVerified(false);
+      onVerifiedChange?.(contactId, false);
+    } catch (error) {
+      console.error('Error clearing verification:', error);
+      alert('Failed to clear verification.');
+    }
+  };
+
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices;
+
+  return (
+    <div className="safety-number-panel">
+      <div className="safety-number-header">
+        <h4>🛡️ Safety number with {contactName}</h4>
+        <button onClick={onClose} className="btn btn-outline btn-small">Close</button>
+      </div>
+
+      {loading && <p>Computing safety number…</p>}
+
+      {!loading && !safety && (
+        <p>{contactName} has not set up encryption yet, so there is nothing to verify.</p>
+      )}
+
+      {!loading && safety && (
+        <>
+          <p className="safety-number-help">
+            Compare these numbers with {contactName} in person or over a trusted channel,
+            or scan each other&apos;s code. If they match, messages between you cannot be intercepted.
+          </p>
+
+          <div className="safety-number-digits">
+            {safety.safetyNumber.groups.map((group, index) => (
+              <span key={index}>{group}</span>
+            ))}
+          </div>
+
+          {qrUrl && (
+            <Image
+              src={qrUrl}
+              alt="Safety number QR code"
+              width={240}
+              height={240}
+              unoptimized
+              className="safety-number-qr"
+            />
+          )}
+
+          <div className="safety-number-compare">
+            {canScan && (
+              <button onClick={() => setScanning(!scanning)} className="btn btn-outline btn-small">
+                {scanning ? 'Stop scanning' : '📷 Scan their code'}
+              </button>
+            )}
+            {scanning && <video ref={videoRef} className="safety-number-video" muted playsInline />}
+
+            <form onSubmit={compareTypedCode}>
+              <input
+                type="text"
+                value={codeInput}
+                onChange={(e) => setCodeInput(e.target.value)}
+                placeholder="Or paste their number or code"
+              />
+              <button type="submit" className="btn btn-outline btn-small" disabled={!codeInput.trim()}>
+                Compare
+              </button>
+            </form>
+
+            {comparison === 'match' && <p className="safety-number-match">✅ The codes match.</p>}
+            {comparison === 'mismatch' && (
+              <p className="safety-number-mismatch">
+                ⚠️ The codes do not match. Do not mark {contactName} as verified.
+              </p>
+            )}
+          </div>
+
+          <div className="safety-number-actions">
+            {verified ? (
+              <>
+                <span className="safety-number-verified">✅ Verified</span>
+                <button onClick={clearVerified} className="btn btn-outline btn-small">
+                  Clear verification
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={markVerified}
+                className="btn btn-primary btn-small"
+                disabled={comparison === 'mismatch'}
+              >
+                Mark as verified
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
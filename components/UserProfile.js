@@ -11,6 +11,10 @@ import {
   uploadBytesResumable, 
   getDownloadURL 
 } from 'firebase/storage';
+import { formatPresence } from '../lib/presence/service';
+import { usePresence } from '../lib/presence/hooks';
+import KeyBackupSettings from './KeyBackupSettings';
+import LinkedDevices from './LinkedDevices';
 
 /**
  * User Profile Component
@@ -24,7 +28,6 @@ import {
  * - Implement user badges and achievements
  * - Add contact preferences and settings
  * - Implement profile verification system
- * - Add activity status and last seen
  * - Implement profile sharing and QR codes
  */
 
@@ -230,6 +233,8 @@ export default function UserProfile({ userId, isOwnProfile = false }) {
     setSaving(false);
   };
 
+  const presence = usePresence([userId])[userId];
+
   if (!isConfigured) {
     return (
       <div className="profile-container">
@@ -326,6 +331,9 @@ export default function UserProfile({ userId, isOwnProfile = false }) {
             <div className="profile-display">
               <h2>{profile?.displayName || 'No Name'}</h2>
               <p className="profile-email">{profile?.email}</p>
+              <p className="profile-presence">
+                <span className={`presence-dot ${presence?.status || 'offline'}`} /> {formatPresence(presence)}
+              </p>
               {profile?.bio && <p className="profile-bio">{profile.bio}</p>}
               {profile?.location && <p className="profile-location">📍 {profile.location}</p>}
               {profile?.website && (
@@ -359,6 +367,10 @@ export default function UserProfile({ userId, isOwnProfile = false }) {
         </div>
       )}
       
+      {isOwnProfile && userId && <LinkedDevices userId={userId} />}
+      
+      {isOwnProfile && userId && <KeyBackupSettings userId={userId} />}
+      
       {/* TODO: Add settings section, privacy controls, activity history */}
       {isOwnProfile && editing && (
         <div className="profile-settings">
@@ -1,13 +1,17 @@
 /**
  * SearchBox Component
  * Main search interface with real-time results and suggestions
+ * Given a groupId, message and file results are limited to that group, and messages can be
+ * narrowed to one of its channels. Messages are decrypted and searched on this device, so
+ * they are only found within a group.
  */
 
 import { useState, useEffect, useRef } from 'react';
+import { auth } from '../../lib/firebase';
 import { performSearch, subscribeToSearch, getSearchSuggestions } from '../../lib/search/service';
 import { performSemanticSearch } from '../../lib/search/ai';
 
-export default function SearchBox({ onResults, placeholder = "Search messages, users, groups...", className = "" }) {
+export default function SearchBox({ onResults, placeholder = "Search messages, users, groups...", className = "", groupId = null, channels = null, userId = null }) {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState({ results: [], total: 0, categories: {} });
   const [suggestions, setSuggestions] = useState([]);
@@ -15,6 +19,7 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
   const [showResults, setShowResults] = useState(false);
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [useAISearch, setUseAISearch] = useState(false);
+  const [channelId, setChannelId] = useState('');
   
   const searchTimeout = useRef(null);
   const unsubscribeRef = useRef(null);
@@ -46,7 +51,7 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
   };
 
   // Perform search query
-  const performSearchQuery = async (searchQuery) => {
+  const performSearchQuery = async (searchQuery, scopedChannelId = channelId) => {
     if (!searchQuery || searchQuery.length < 2) {
       setResults({ results: [], total: 0, categories: {} });
       setShowResults(false);
@@ -56,6 +61,12 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
     setIsLoading(true);
     setShowResults(true);
 
+    // Group-scoped search covers every channel the user can see unless one is picked
+    const searchUserId = userId || auth.currentUser?.uid;
+    const filters = groupId
+      ? { groupId, channelId: scopedChannelId || null, userId: searchUserId }
+      : { userId: searchUserId };
+
     try {
       let searchResults;
       
@@ -64,7 +75,7 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
         searchResults = await performSemanticSearch(searchQuery);
       } else {
         // Use regular search
-        searchResults = await performSearch(searchQuery, selectedCategories);
+        searchResults = await performSearch(searchQuery, selectedCategories, filters);
       }
       
       setResults(searchResults);
@@ -88,7 +99,8 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
               onResults(realtimeResults);
             }
           },
-          selectedCategories
+          selectedCategories,
+          filters
         );
       }
     } catch (error) {
@@ -131,6 +143,15 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
     }
   };
 
+  // Handle channel change
+  const changeChannel = (newChannelId) => {
+    setChannelId(newChannelId);
+    
+    if (query.length >= 2) {
+      performSearchQuery(query, newChannelId);
+    }
+  };
+
   // Handle AI search toggle
   const toggleAISearch = () => {
     setUseAISearch(!useAISearch);
@@ -231,6 +252,23 @@ export default function SearchBox({ onResults, placeholder = "Search messages, u
           ))}
         </div>
         
+        {/* Channel filter */}
+        {groupId && channels && (
+          <select
+            value={channelId}
+            onChange={(e) => changeChannel(e.target.value)}
+            className="search-channel-filter"
+            aria-label="Channel"
+          >
+            <option value="">All channels</option>
+            {channels.map(channel => (
+              <option key={channel.id} value={channel.id}>
+                {channel.isPrivate ? '🔒' : '#'} {channel.name}
+              </option>
+            ))}
+          </select>
+        )}
+        
         {/* AI Search toggle */}
         <div className="search-ai-toggle">
           <label>
@@ -0,0 +1,13 @@
+const nextJest = require('next/jest');
+
+// Compiles tests with the app's own SWC setup and loads .env files like `next dev`
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+const config = {
+  testEnvironment: 'node',
+  // Shared helpers live in __tests__/helpers and are not suites themselves
+  testMatch: ['**/__tests__/**/*.test.js']
+};
+
+module.exports = createJestConfig(config);
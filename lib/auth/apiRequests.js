@@ -0,0 +1,64 @@
+/**
+ * Authenticated API Requests for Shadow-Bind (client)
+ * Calls API routes marked [auth] with the signed-in user's Firebase ID token, which the
+ * route verifies (lib/auth/idTokens) to learn who is acting.
+ */
+
+import { auth } from '../firebase';
+
+/**
+ * Get the Authorization header for the signed-in user
+ * @param {boolean} forceRefresh - Fetch a new token even if the cached one is still valid
+ * @returns {Promise<Object>} - { Authorization: 'Bearer <ID token>' }
+ */
+export async function getAuthorizationHeader(forceRefresh = false) {
+  if (!auth.currentUser) {
+    const error = new Error('Sign in first');
+    error.status = 401;
+    throw error;
+  }
+
+  return { Authorization: `Bearer ${await auth.currentUser.getIdToken(forceRefresh)}` };
+}
+
+/**
+ * fetch() an API route as the signed-in user
+ * @param {string} url - API URL
+ * @param {Object} options - fetch options; headers are merged with the Authorization header
+ * @returns {Promise<Response>} - Response
+ */
+export async function fetchWithAuth(url, options = {}) {
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...(await getAuthorizationHeader()) }
+  });
+}
+
+/**
+ * Answer the service worker's requests for an ID token
+ * The worker has no session of its own, so it asks an open tab whenever it calls an [auth]
+ * route (flushing the outbox, sending receipts). A tab only answers for the user signed in
+ * in it, with null otherwise.
+ * @returns {function} - Stop answering
+ */
+export function answerIdTokenRequests() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return () => {};
+  }
+
+  const listener = async (event) => {
+    const [port] = event.ports || [];
+    if (event.data?.type !== 'GET_ID_TOKEN' || !port) {
+      return;
+    }
+
+    let idToken = null;
+    if (auth.currentUser && auth.currentUser.uid === event.data.userId) {
+      idToken = await auth.currentUser.getIdToken().catch(() => null);
+    }
+    port.postMessage({ idToken });
+  };
+
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
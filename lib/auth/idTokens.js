@@ -0,0 +1,146 @@
+/**
+ * Firebase ID Tokens for Shadow-Bind (server only)
+ * Identifies the user behind an API request
+ *
+ * Clients send `Authorization: Bearer <ID token>` (from auth.currentUser.getIdToken()).
+ * Without the Admin SDK the token is checked by hand, as Firebase documents for third-party
+ * JWT libraries: an RS256 signature by one of Google's published securetoken keys, issued
+ * for this project, not expired, and naming a user.
+ */
+
+import { fromBase64Url } from '../base64url';
+
+/**
+ * ID token configuration
+ */
+export const ID_TOKEN_CONFIG = {
+  KEYS_URL: 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com',
+  ISSUER_PREFIX: 'https://securetoken.google.com/',
+
+  // Google rotates its keys every few hours; used when the response has no max-age
+  KEYS_TTL: 60 * 60 * 1000, // 1 hour
+  CLOCK_SKEW: 5 * 60 // seconds
+};
+
+const RS256 = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+let signingKeys = null;
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function authError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get Google's current ID token signing keys
+ * Cached for as long as the response allows; a token signed with an unknown key
+ * refreshes them once, in case Google has just rotated.
+ * @param {boolean} refresh - Ignore the cache
+ * @returns {Promise<Map<string, CryptoKey>>} - Keys by key ID
+ */
+async function getSigningKeys(refresh = false) {
+  if (!refresh && signingKeys && signingKeys.expiresAt > Date.now()) {
+    return signingKeys.keys;
+  }
+
+  const response = await fetch(ID_TOKEN_CONFIG.KEYS_URL);
+  if (!response.ok) {
+    throw new Error(`Fetching ID token keys failed with status ${response.status}`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  const { keys } = await response.json();
+  const imported = new Map();
+
+  for (const jwk of keys) {
+    imported.set(jwk.kid, await crypto.subtle.importKey('jwk', jwk, RS256, false, ['verify']));
+  }
+
+  signingKeys = {
+    keys: imported,
+    expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : ID_TOKEN_CONFIG.KEYS_TTL)
+  };
+  return imported;
+}
+
+/**
+ * Verify a Firebase ID token
+ * @param {string} token - ID token
+ * @returns {Promise<Object>} - Claims, with uid
+ */
+export async function verifyIdToken(token) {
+  const projectId = process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw authError('Sign-in is not configured', 503);
+  }
+
+  const [header, body, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!header || !body || !signature || extra !== undefined) {
+    throw authError('Invalid ID token');
+  }
+
+  let decoded;
+  try {
+    decoded = {
+      header: JSON.parse(new TextDecoder().decode(fromBase64Url(header))),
+      claims: JSON.parse(new TextDecoder().decode(fromBase64Url(body)))
+    };
+  } catch (error) {
+    throw authError('Invalid ID token');
+  }
+
+  if (decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw authError('Invalid ID token');
+  }
+
+  let key = (await getSigningKeys()).get(decoded.header.kid);
+  if (!key) {
+    key = (await getSigningKeys(true)).get(decoded.header.kid);
+  }
+
+  const valid = key && await crypto.subtle.verify(
+    RS256,
+    key,
+    fromBase64Url(signature),
+    new TextEncoder().encode(`${header}.${body}`)
+  );
+  if (!valid) {
+    throw authError('Invalid ID token');
+  }
+
+  const { claims } = decoded;
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId || claims.iss !== `${ID_TOKEN_CONFIG.ISSUER_PREFIX}${projectId}`) {
+    throw authError('Invalid ID token');
+  }
+  if (!(claims.exp > now - ID_TOKEN_CONFIG.CLOCK_SKEW)) {
+    throw authError('ID token expired');
+  }
+  if (!(claims.iat <= now + ID_TOKEN_CONFIG.CLOCK_SKEW) || typeof claims.sub !== 'string' || !claims.sub) {
+    throw authError('Invalid ID token');
+  }
+
+  return { ...claims, uid: claims.sub };
+}
+
+/**
+ * Get the signed-in user an API request is made for
+ * @param {Object} req - Next.js API request
+ * @returns {Promise<string>} - User ID
+ */
+export async function getRequestUserId(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw authError('Unauthorized');
+  }
+
+  return (await verifyIdToken(token)).uid;
+}
@@ -0,0 +1,23 @@
+/**
+ * base64url Encoding for Shadow-Bind (server only)
+ * Shared by the ID token, Web Push and notification action code, which all exchange
+ * unpadded base64url (RFC 4648 §5) values
+ */
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} - base64url string
+ */
+export function toBase64Url(bytes) {
+  return Buffer.from(bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes).toString('base64url');
+}
+
+/**
+ * Decode base64url (padded or not)
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} - Bytes
+ */
+export function fromBase64Url(value) {
+  return new Uint8Array(Buffer.from(value, 'base64url'));
+}
@@ -0,0 +1,108 @@
+import { EncryptionService } from '../e2ee';
+
+// The service uses the browser's Web Crypto; Node's is the same API. Without IndexedDB
+// keys stay in memory.
+global.window = globalThis;
+
+/**
+ * Set up a user's device
+ * @param {string} userId - User ID
+ * @returns {Promise<EncryptionService>} - Initialized service
+ */
+async function createDevice(userId) {
+  const device = new EncryptionService();
+  await device.initialize(userId);
+  return device;
+}
+
+describe('X3DH and the Double Ratchet', () => {
+  let alice;
+  let bob;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  beforeEach(async () => {
+    alice = await createDevice('alice');
+    bob = await createDevice('bob');
+  });
+
+  const send = (from, to, text) => from.encryptMessage(to.userId, text, to.deviceId);
+
+  it('opens a session from a bundle and retires the one-time pre-key it used', async () => {
+    const bundle = await bob.getPublicKeyBundle();
+    await alice.establishSession('bob', bundle);
+
+    const first = await send(alice, bob, 'hello bob');
+    expect(first.preKey).toMatchObject({ signedPreKeyId: bundle.signedPreKeyId, preKeyId: bundle.preKeyId });
+    expect(await bob.decryptMessage(first)).toBe('hello bob');
+
+    const retired = bob.preKeyStore.get(bundle.preKeyId);
+    expect(retired.used).toBe(true);
+    expect(retired.keyPair).toBeUndefined();
+    expect((await bob.getPublicKeyBundle()).preKeyId).not.toBe(bundle.preKeyId);
+  });
+
+  it('refuses a bundle whose signed pre-key the identity key did not sign', async () => {
+    const mallory = await createDevice('mallory');
+    const bundle = await bob.getPublicKeyBundle();
+    const forged = { ...bundle, signedPreKey: (await mallory.getPublicKeyBundle()).signedPreKey };
+
+    await expect(alice.establishSession('bob', forged)).rejects.toThrow('Invalid signed pre-key signature');
+    expect(alice.hasSession('bob', bob.deviceId)).toBe(false);
+  });
+
+  it('ratchets to new keys as the conversation turns', async () => {
+    await alice.establishSession('bob', await bob.getPublicKeyBundle());
+    const opening = await send(alice, bob, 'ping');
+    await bob.decryptMessage(opening);
+
+    const reply = await send(bob, alice, 'pong');
+    expect(reply.preKey).toBeNull();
+    expect(await alice.decryptMessage(reply)).toBe('pong');
+
+    const next = await send(alice, bob, 'ping again');
+    expect(next.preKey).toBeNull();
+    expect(next.header.dh).not.toEqual(opening.header.dh);
+    expect(next.header.pn).toBe(1);
+    expect(await bob.decryptMessage(next)).toBe('ping again');
+  });
+
+  it('reads messages out of order but only once', async () => {
+    await alice.establishSession('bob', await bob.getPublicKeyBundle());
+    const messages = [];
+    for (const text of ['one', 'two', 'three']) {
+      messages.push(await send(alice, bob, text));
+    }
+
+    expect(await bob.decryptMessage(messages[2])).toBe('three');
+    expect(await bob.decryptMessage(messages[0])).toBe('one');
+    expect(await bob.decryptMessage(messages[1])).toBe('two');
+    await expect(bob.decryptMessage(messages[0])).rejects.toThrow();
+  });
+
+  it('keeps the session unchanged when a message fails to decrypt', async () => {
+    await alice.establishSession('bob', await bob.getPublicKeyBundle());
+    const message = await send(alice, bob, 'intact');
+    const tampered = { ...message, ciphertext: message.ciphertext.map((byte, index) => (index === 0 ? byte ^ 1 : byte)) };
+
+    await expect(bob.decryptMessage(tampered)).rejects.toThrow();
+    expect(bob.preKeyStore.get(message.preKey.preKeyId).used).toBeFalsy();
+    expect(await bob.decryptMessage(message)).toBe('intact');
+  });
+
+  it('only decrypts messages addressed to this device', async () => {
+    const carol = await createDevice('carol');
+    await alice.establishSession('bob', await bob.getPublicKeyBundle());
+    const message = await send(alice, bob, 'for bob');
+
+    await expect(carol.decryptMessage(message)).rejects.toThrow('Message is not addressed to this device');
+  });
+});
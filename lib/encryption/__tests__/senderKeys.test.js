@@ -0,0 +1,80 @@
+import { EncryptionService } from '../e2ee';
+
+// The service uses the browser's Web Crypto; Node's is the same API. Without IndexedDB
+// keys stay in memory.
+global.window = globalThis;
+
+async function createDevice(userId) {
+  const device = new EncryptionService();
+  await device.initialize(userId);
+  return device;
+}
+
+describe('sender keys', () => {
+  let alice;
+  let bob;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  beforeEach(async () => {
+    alice = await createDevice('alice');
+    bob = await createDevice('bob');
+    await alice.createSenderKey('group-1');
+  });
+
+  it('lets members who received the distribution read each message once, in any order', async () => {
+    await bob.processSenderKeyDistribution(alice.createSenderKeyDistribution('group-1'), 'alice');
+
+    const first = await alice.encryptGroupMessage('group-1', 'first');
+    const second = await alice.encryptGroupMessage('group-1', 'second');
+
+    expect(second.iteration).toBe(first.iteration + 1);
+    expect(await bob.decryptGroupMessage(second)).toBe('second');
+    expect(await bob.decryptGroupMessage(first)).toBe('first');
+    await expect(bob.decryptGroupMessage(first)).rejects.toThrow('Message key already used or expired');
+  });
+
+  it('only accepts a distribution from the member it names', async () => {
+    const distribution = alice.createSenderKeyDistribution('group-1');
+
+    await expect(bob.processSenderKeyDistribution(distribution, 'mallory')).rejects.toThrow('Invalid sender key distribution');
+    expect(bob.hasReceivedSenderKey('group-1', 'alice', distribution.keyId)).toBe(false);
+  });
+
+  it('rejects messages altered in transit or sent under another member\'s key', async () => {
+    const mallory = await createDevice('mallory');
+    await mallory.createSenderKey('group-1');
+    const distribution = alice.createSenderKeyDistribution('group-1');
+    await bob.processSenderKeyDistribution(distribution, 'alice');
+
+    const message = await alice.encryptGroupMessage('group-1', 'hello');
+    const altered = { ...message, ciphertext: message.ciphertext.map((byte, index) => (index === 0 ? byte ^ 1 : byte)) };
+    const impersonated = {
+      ...(await mallory.encryptGroupMessage('group-1', 'trust me')),
+      senderId: 'alice',
+      keyId: distribution.keyId
+    };
+
+    await expect(bob.decryptGroupMessage(altered)).rejects.toThrow('Invalid group message signature');
+    await expect(bob.decryptGroupMessage(impersonated)).rejects.toThrow('Invalid group message signature');
+    expect(await bob.decryptGroupMessage(message)).toBe('hello');
+  });
+
+  it('shuts out members who miss the distribution after a rotation', async () => {
+    await bob.processSenderKeyDistribution(alice.createSenderKeyDistribution('group-1'), 'alice');
+
+    const rotated = await alice.createSenderKey('group-1', 1);
+    const message = await alice.encryptGroupMessage('group-1', 'after rotation');
+
+    expect(message.keyId).toBe(rotated.keyId);
+    await expect(bob.decryptGroupMessage(message)).rejects.toMatchObject({ code: 'sender-key-missing' });
+  });
+});
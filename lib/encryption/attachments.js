@@ -0,0 +1,262 @@
+/**
+ * Encrypted Chat Attachments for Shadow-Bind
+ * Files are encrypted on the device with a random AES-GCM key before they are uploaded
+ *
+ * The key travels inside the end-to-end encrypted chat message, never to the server.
+ * A message with an attachment encrypts this JSON instead of plain text:
+ * {
+ *   text: string,                                  // optional caption
+ *   attachment: {
+ *     version: 1,
+ *     name, type, size,                            // original file
+ *     metadata: object,                            // from getMediaMetadata (dimensions, duration...)
+ *     storagePath, key, iv, digest,                // encrypted upload; key, iv and SHA-256 digest in base64
+ *     thumbnail: { storagePath, key, iv, digest, type, width, height } | null
+ *   }
+ * }
+ * Storage only holds ciphertext under a random name (see uploadEncryptedFile).
+ */
+
+import { ENCRYPTION_CONFIG } from './e2ee';
+import { uploadEncryptedFile, downloadFileBytes } from '../file-management/service';
+import { getMediaMetadata, resizeImage, extractVideoThumbnail } from '../media-processing/service';
+
+/**
+ * Attachment configuration
+ */
+export const ATTACHMENT_CONFIG = {
+  VERSION: 1,
+  MAX_SIZE: 25 * 1024 * 1024,
+  THUMBNAIL_WIDTH: 320,
+  THUMBNAIL_TYPE: 'image/jpeg'
+};
+
+/**
+ * Create an error with a code the UI can react to
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error
+ */
+function attachmentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Encrypt and upload a blob with a fresh key
+ * @param {Blob} blob - Plaintext contents
+ * @param {Object} options - { userId, groupId, onProgress }
+ * @returns {Promise<Object>} - { storagePath, key, iv, digest }
+ */
+async function encryptAndUpload(blob, { userId, groupId, onProgress }) {
+  const keyBytes = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.length / 8));
+  const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC,
+    false,
+    ['encrypt']
+  );
+
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name, iv },
+    key,
+    await blob.arrayBuffer()
+  );
+  const digest = await window.crypto.subtle.digest('SHA-256', ciphertext);
+
+  const { storagePath } = await uploadEncryptedFile({
+    data: new Blob([ciphertext]),
+    userId,
+    groupId,
+    onProgress
+  });
+
+  return {
+    storagePath,
+    key: toBase64(keyBytes),
+    iv: toBase64(iv),
+    digest: toBase64(new Uint8Array(digest))
+  };
+}
+
+/**
+ * Download an encrypted upload, check it is the one the message refers to, and decrypt it
+ * @param {Object} part - { storagePath, key, iv, digest }
+ * @param {string} type - MIME type of the plaintext
+ * @returns {Promise<Blob>} - Plaintext contents
+ */
+async function downloadAndDecrypt(part, type) {
+  const ciphertext = await downloadFileBytes(part.storagePath);
+
+  const digest = toBase64(new Uint8Array(await window.crypto.subtle.digest('SHA-256', ciphertext)));
+  if (digest !== part.digest) {
+    throw attachmentError('Attachment does not match its message', 'attachment-digest-mismatch');
+  }
+
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    fromBase64(part.key),
+    ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC,
+    false,
+    ['decrypt']
+  );
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name, iv: fromBase64(part.iv) },
+    key,
+    ciphertext
+  );
+
+  return new Blob([plaintext], { type });
+}
+
+/**
+ * Make a small preview of an image or video
+ * @param {File} file - Attached file
+ * @returns {Promise<File|null>} - Thumbnail, or null for other files
+ */
+async function createThumbnail(file) {
+  try {
+    if (file.type.startsWith('image/')) {
+      return await resizeImage(file, ATTACHMENT_CONFIG.THUMBNAIL_WIDTH);
+    }
+    if (file.type.startsWith('video/')) {
+      return await resizeImage(await extractVideoThumbnail(file), ATTACHMENT_CONFIG.THUMBNAIL_WIDTH);
+    }
+  } catch (error) {
+    console.error('Error creating thumbnail:', error);
+  }
+  return null;
+}
+
+/**
+ * Encrypt and upload a chat attachment with its thumbnail
+ * @param {Object} options - Upload options
+ * @param {File} options.file - File to attach
+ * @param {string} options.userId - Sender user ID
+ * @param {string} options.groupId - Optional group ID
+ * @param {function} options.onProgress - Progress callback (0-100)
+ * @returns {Promise<Object>} - Attachment descriptor to send inside an encrypted message
+ */
+export async function uploadAttachment({ file, userId, groupId = null, onProgress }) {
+  try {
+    if (file.size > ATTACHMENT_CONFIG.MAX_SIZE) {
+      throw attachmentError(
+        `Attachments must be smaller than ${ATTACHMENT_CONFIG.MAX_SIZE / (1024 * 1024)}MB`,
+        'attachment-too-large'
+      );
+    }
+
+    const metadata = await getMediaMetadata(file);
+    const thumbnailFile = await createThumbnail(file);
+
+    let thumbnail = null;
+    if (thumbnailFile) {
+      const thumbnailMetadata = await getMediaMetadata(thumbnailFile);
+      thumbnail = {
+        ...await encryptAndUpload(thumbnailFile, { userId, groupId }),
+        type: thumbnailFile.type || ATTACHMENT_CONFIG.THUMBNAIL_TYPE,
+        width: thumbnailMetadata.width || null,
+        height: thumbnailMetadata.height || null
+      };
+    }
+
+    const upload = await encryptAndUpload(file, { userId, groupId, onProgress });
+
+    return {
+      version: ATTACHMENT_CONFIG.VERSION,
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      metadata,
+      ...upload,
+      thumbnail
+    };
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download and decrypt an attachment
+ * @param {Object} attachment - Attachment descriptor from a decrypted message
+ * @returns {Promise<Blob>} - Original file contents
+ */
+export async function downloadAttachment(attachment) {
+  try {
+    return await downloadAndDecrypt(attachment, attachment.type);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download and decrypt an attachment's thumbnail
+ * @param {Object} attachment - Attachment descriptor from a decrypted message
+ * @returns {Promise<Blob|null>} - Thumbnail image, or null when there is none
+ */
+export async function downloadAttachmentThumbnail(attachment) {
+  if (!attachment.thumbnail) {
+    return null;
+  }
+
+  try {
+    return await downloadAndDecrypt(attachment.thumbnail, attachment.thumbnail.type);
+  } catch (error) {
+    console.error('Error downloading thumbnail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the plaintext of a message carrying an attachment
+ * @param {string} text - Caption
+ * @param {Object} attachment - Attachment descriptor from uploadAttachment
+ * @returns {string} - Plaintext to encrypt
+ */
+export function encodeAttachmentMessage(text, attachment) {
+  return JSON.stringify({ text: text || '', attachment });
+}
+
+/**
+ * Read the plaintext of a message carrying an attachment
+ * @param {string} plaintext - Decrypted message
+ * @returns {Object} - { text, attachment }, attachment null when it cannot be read
+ */
+export function decodeAttachmentMessage(plaintext) {
+  try {
+    const { text = '', attachment } = JSON.parse(plaintext);
+    const valid = attachment?.version === ATTACHMENT_CONFIG.VERSION &&
+      typeof attachment.storagePath === 'string' && attachment.key && attachment.iv && attachment.digest;
+
+    return { text, attachment: valid ? attachment : null };
+  } catch (error) {
+    return { text: '', attachment: null };
+  }
+}
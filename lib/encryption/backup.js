@@ -0,0 +1,389 @@
+/**
+ * Encrypted Key Backup for Shadow-Bind
+ * Opt-in server-side backup of identity keys and session state, so an account
+ * can be recovered on a new device
+ *
+ * Firestore layout:
+ * /keyBackups/{userId}
+ *   { userId, version, secretType, kdf, iv, ciphertext, sizeBytes, exportedAt, createdAt, updatedAt }
+ * The state is encrypted with a key derived from a recovery passphrase or a generated
+ * recovery code, so the server never sees a private key. Only keys are backed up:
+ * messages received before the backup was restored cannot be decrypted again.
+ */
+
+import { db } from '../firebase';
+import { doc, getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { encryptionService, ENCRYPTION_CONFIG } from './e2ee';
+import { serializeValue, deserializeValue } from './keystore';
+import { DEVICE_CONFIG, getDeviceStatus, publishDeviceKeys } from './devices';
+
+/**
+ * Backup configuration
+ */
+export const BACKUP_CONFIG = {
+  VERSION: 1,
+  SECRET_TYPES: {
+    PASSPHRASE: 'passphrase',
+    RECOVERY_CODE: 'recovery_code'
+  },
+  MIN_PASSPHRASE_LENGTH: 12,
+  // Recovery codes are 160 random bits written as 8 groups of 4 characters
+  RECOVERY_CODE_BYTES: 20,
+  RECOVERY_CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+  RECOVERY_CODE_GROUP_SIZE: 4,
+  // Sessions advance with every message, so keep the backup reasonably fresh
+  REFRESH_INTERVAL: 24 * 60 * 60 * 1000,
+  // Firestore documents are limited to 1 MiB
+  MAX_CIPHERTEXT_LENGTH: 900 * 1024
+};
+
+/**
+ * Create an error with a code the UI can react to
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error
+ */
+function backupError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Reduce a passphrase or recovery code to the exact string the key is derived from
+ * Recovery codes ignore case, spaces and dashes so they can be typed back loosely.
+ * @param {string} secret - Passphrase or recovery code
+ * @param {string} secretType - One of BACKUP_CONFIG.SECRET_TYPES
+ * @returns {string} - Normalized secret
+ */
+function normalizeSecret(secret, secretType) {
+  if (secretType === BACKUP_CONFIG.SECRET_TYPES.RECOVERY_CODE) {
+    return (secret || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+  return secret || '';
+}
+
+/**
+ * Derive the backup encryption key bytes from a secret
+ * @param {string} secret - Normalized passphrase or recovery code
+ * @param {Uint8Array} salt - Backup salt
+ * @param {Object} kdf - PBKDF2 parameters { name, hash, iterations }
+ * @returns {Promise<Uint8Array>} - 256-bit key
+ */
+async function deriveBackupKey(secret, salt, kdf) {
+  const baseKey = await window.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    kdf.name,
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt },
+    baseKey,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Bind a backup ciphertext to its owner and format version
+ * @param {string} userId - User ID
+ * @param {number} version - Backup format version
+ * @returns {Uint8Array} - Associated data
+ */
+function buildAssociatedData(userId, version) {
+  return new TextEncoder().encode(`shadowbind-key-backup:${version}:${userId}`);
+}
+
+/**
+ * Encrypt the current key state and upload it
+ * @param {string} userId - User ID
+ * @param {Object} backupKey - { keyBytes, salt, kdf, secretType }
+ * @returns {Promise<Object>} - Backup key record with lastBackupAt updated
+ */
+async function uploadBackup(userId, backupKey) {
+  const state = await encryptionService.exportBackupState();
+  const plaintext = new TextEncoder().encode(JSON.stringify(await serializeValue(state)));
+
+  const key = await window.crypto.subtle.importKey('raw', backupKey.keyBytes, 'AES-GCM', false, ['encrypt']);
+  const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
+  const ciphertext = toBase64(new Uint8Array(await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: buildAssociatedData(userId, BACKUP_CONFIG.VERSION) },
+    key,
+    plaintext
+  )));
+
+  if (ciphertext.length > BACKUP_CONFIG.MAX_CIPHERTEXT_LENGTH) {
+    throw backupError('Key state is too large to back up', 'backup-too-large');
+  }
+
+  // Another device may have disabled the backup or re-enabled it with a new secret
+  const existing = await getDoc(doc(db, 'keyBackups', userId));
+  if (backupKey.lastBackupAt
+    && (!existing.exists() || existing.data().kdf.salt !== toBase64(backupKey.salt))) {
+    await encryptionService.saveBackupKey(null);
+    throw backupError('Key backup was changed on another device', 'backup-replaced');
+  }
+
+  await setDoc(doc(db, 'keyBackups', userId), {
+    userId,
+    version: BACKUP_CONFIG.VERSION,
+    secretType: backupKey.secretType,
+    kdf: {
+      name: backupKey.kdf.name,
+      hash: backupKey.kdf.hash,
+      iterations: backupKey.kdf.iterations,
+      salt: toBase64(backupKey.salt)
+    },
+    iv: toBase64(iv),
+    ciphertext,
+    sizeBytes: ciphertext.length,
+    exportedAt: state.exportedAt,
+    createdAt: existing.exists() ? existing.data().createdAt : serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+
+  const updated = { ...backupKey, lastBackupAt: state.exportedAt };
+  await encryptionService.saveBackupKey(updated);
+  return updated;
+}
+
+/**
+ * Generate a recovery code for key backup
+ * Show it to the user once; it cannot be recovered if lost.
+ * @returns {string} - Recovery code, e.g. "ABCD-EFGH-..."
+ */
+export function generateRecoveryCode() {
+  const { RECOVERY_CODE_ALPHABET, RECOVERY_CODE_BYTES, RECOVERY_CODE_GROUP_SIZE } = BACKUP_CONFIG;
+  const bytes = window.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+
+  // Read the bytes five bits at a time (the alphabet has 32 characters)
+  let code = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      code += RECOVERY_CODE_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+
+  return code.match(new RegExp(`.{${RECOVERY_CODE_GROUP_SIZE}}`, 'g')).join('-');
+}
+
+/**
+ * Get the state of a user's key backup
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { enabled, secretType, exportedAt, sizeBytes, canRefresh }
+ */
+export async function getKeyBackupStatus(userId) {
+  try {
+    const backupDoc = await getDoc(doc(db, 'keyBackups', userId));
+    const backupKey = encryptionService.isInitialized ? await encryptionService.loadBackupKey() : null;
+
+    if (!backupDoc.exists()) {
+      return { enabled: false, secretType: null, exportedAt: null, sizeBytes: 0, canRefresh: false };
+    }
+
+    const backup = backupDoc.data();
+    return {
+      enabled: true,
+      secretType: backup.secretType,
+      exportedAt: backup.exportedAt,
+      sizeBytes: backup.sizeBytes,
+      canRefresh: !!backupKey
+    };
+  } catch (error) {
+    console.error('Error getting key backup status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn on key backup, replacing any existing backup
+ * @param {string} userId - User ID
+ * @param {string} secret - Recovery passphrase or code from generateRecoveryCode
+ * @param {string} secretType - One of BACKUP_CONFIG.SECRET_TYPES
+ * @returns {Promise<void>}
+ */
+export async function enableKeyBackup(userId, secret, secretType = BACKUP_CONFIG.SECRET_TYPES.PASSPHRASE) {
+  try {
+    if (!encryptionService.isInitialized || encryptionService.userId !== userId) {
+      throw backupError('Unlock encryption before enabling key backup', 'encryption-locked');
+    }
+    // Only the main device holds the account identity; linked devices are linked again instead
+    if (getDeviceStatus() !== DEVICE_CONFIG.STATUS.MAIN) {
+      throw backupError('Key backup can only be enabled on your main device', 'not-main-device');
+    }
+
+    const normalized = normalizeSecret(secret, secretType);
+    if (secretType === BACKUP_CONFIG.SECRET_TYPES.PASSPHRASE
+      && normalized.length < BACKUP_CONFIG.MIN_PASSPHRASE_LENGTH) {
+      throw backupError(
+        `Recovery passphrase must be at least ${BACKUP_CONFIG.MIN_PASSPHRASE_LENGTH} characters`,
+        'weak-passphrase'
+      );
+    }
+
+    const kdf = {
+      name: ENCRYPTION_CONFIG.KDF.name,
+      hash: ENCRYPTION_CONFIG.KDF.hash,
+      iterations: ENCRYPTION_CONFIG.KDF.iterations
+    };
+    const salt = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.SALT_LENGTH));
+    const keyBytes = await deriveBackupKey(normalized, salt, kdf);
+
+    await uploadBackup(userId, { keyBytes, salt, kdf, secretType, lastBackupAt: null });
+    console.log('☁️ Key backup enabled');
+  } catch (error) {
+    console.error('Error enabling key backup:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload a fresh backup with the key remembered on this device
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function refreshKeyBackup(userId) {
+  try {
+    const backupKey = await encryptionService.loadBackupKey();
+    if (!backupKey) {
+      throw backupError('Key backup is not enabled on this device', 'backup-not-enabled');
+    }
+
+    await uploadBackup(userId, backupKey);
+  } catch (error) {
+    console.error('Error refreshing key backup:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refresh the backup if this device backs up and the last upload is old
+ * Failures are logged only: a stale backup must never block messaging.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether a backup was uploaded
+ */
+export async function refreshKeyBackupIfStale(userId) {
+  try {
+    const backupKey = await encryptionService.loadBackupKey();
+    if (!backupKey || getDeviceStatus() !== DEVICE_CONFIG.STATUS.MAIN ||
+        Date.now() - (backupKey.lastBackupAt || 0) < BACKUP_CONFIG.REFRESH_INTERVAL) {
+      return false;
+    }
+
+    await uploadBackup(userId, backupKey);
+    return true;
+  } catch (error) {
+    console.error('Error refreshing key backup:', error);
+    return false;
+  }
+}
+
+/**
+ * Restore keys from the server-side backup onto this device
+ * Replaces the identity this device generated, so contacts keep the safety number they
+ * verified. Messages sent to the replaced identity cannot be decrypted afterwards.
+ * @param {string} userId - User ID
+ * @param {string} secret - Recovery passphrase or code
+ * @returns {Promise<Object>} - { exportedAt } of the restored backup
+ */
+export async function restoreKeyBackup(userId, secret) {
+  try {
+    if (!encryptionService.isInitialized || encryptionService.userId !== userId) {
+      throw backupError('Unlock encryption before restoring a backup', 'encryption-locked');
+    }
+
+    const backupDoc = await getDoc(doc(db, 'keyBackups', userId));
+    if (!backupDoc.exists()) {
+      throw backupError('No key backup found for this account', 'backup-not-found');
+    }
+
+    const backup = backupDoc.data();
+    if (backup.version !== BACKUP_CONFIG.VERSION) {
+      throw backupError('This key backup was made by an unsupported version', 'backup-unsupported');
+    }
+
+    const kdf = { name: backup.kdf.name, hash: backup.kdf.hash, iterations: backup.kdf.iterations };
+    const salt = fromBase64(backup.kdf.salt);
+    const keyBytes = await deriveBackupKey(normalizeSecret(secret, backup.secretType), salt, kdf);
+    const key = await window.crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['decrypt']);
+
+    let plaintext;
+    try {
+      plaintext = await window.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(backup.iv), additionalData: buildAssociatedData(userId, backup.version) },
+        key,
+        fromBase64(backup.ciphertext)
+      );
+    } catch {
+      throw backupError('Wrong recovery passphrase or code', 'wrong-recovery-secret');
+    }
+
+    const state = await deserializeValue(JSON.parse(new TextDecoder().decode(plaintext)));
+    await encryptionService.importBackupState(state);
+    await publishDeviceKeys(userId, { main: true });
+
+    // Keep backing up from this device with the same secret
+    await encryptionService.saveBackupKey({
+      keyBytes,
+      salt,
+      kdf,
+      secretType: backup.secretType,
+      lastBackupAt: backup.exportedAt
+    });
+
+    console.log('☁️ Keys restored from backup');
+    return { exportedAt: state.exportedAt };
+  } catch (error) {
+    console.error('Error restoring key backup:', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn off key backup and delete the server-side copy
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function disableKeyBackup(userId) {
+  try {
+    await deleteDoc(doc(db, 'keyBackups', userId));
+    if (encryptionService.isInitialized && encryptionService.userId === userId) {
+      await encryptionService.saveBackupKey(null);
+    }
+    console.log('☁️ Key backup disabled');
+  } catch (error) {
+    console.error('Error disabling key backup:', error);
+    throw error;
+  }
+}
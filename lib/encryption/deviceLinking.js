@@ -0,0 +1,269 @@
+/**
+ * Device Linking for Shadow-Bind
+ * Adds a new browser to an account by scanning a QR code shown on the main device
+ *
+ * Firestore layout:
+ * /deviceLinks/{linkId}
+ *   { userId, status: 'pending' | 'requested' | 'approved', expiresAt, createdAt,
+ *     deviceId, name, bundle, mac, requestedAt }
+ *
+ * 1. The main device creates a link and shows `shadowbind-link:1:{userId}:{linkId}:{secret}` as a QR code.
+ * 2. The new device scans it and writes its public key bundle, with an HMAC made with the
+ *    secret to prove it saw the code.
+ * 3. The main device checks the HMAC, asks the user to confirm, and signs a certificate
+ *    for the new device's identity key (see ./devices).
+ * The secret never leaves the two devices, so the server cannot add a device of its own.
+ */
+
+import QRCode from 'qrcode';
+import { db } from '../firebase';
+import { doc, setDoc, updateDoc, deleteDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { encryptionService } from './e2ee';
+import { addLinkedDevice } from './keyDirectory';
+import { DEVICE_CONFIG, getDeviceStatus, publishDeviceKeys } from './devices';
+
+/**
+ * Device linking configuration
+ */
+export const DEVICE_LINK_CONFIG = {
+  VERSION: 1,
+  QR_PREFIX: 'shadowbind-link',
+  SECRET_BYTES: 32,
+  EXPIRY: 5 * 60 * 1000,
+  MAX_NAME_LENGTH: 50
+};
+
+/**
+ * Encode bytes as hex
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} - Hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decode hex into bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} - Bytes
+ */
+function fromHex(hex) {
+  return new Uint8Array((hex.match(/../g) || []).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Import the link secret as an HMAC key
+ * @param {string} secret - Link secret (hex)
+ * @param {Array<string>} usages - Key usages
+ * @returns {Promise<CryptoKey>} - HMAC key
+ */
+function importLinkKey(secret, usages) {
+  return window.crypto.subtle.importKey('raw', fromHex(secret), { name: 'HMAC', hash: 'SHA-256' }, false, usages);
+}
+
+/**
+ * Build the data the new device authenticates with the link secret
+ * @param {string} linkId - Link ID
+ * @param {string} userId - User ID
+ * @param {Object} bundle - New device's public key bundle
+ * @returns {Uint8Array} - MAC input
+ */
+function buildLinkRequestData(linkId, userId, bundle) {
+  return new TextEncoder().encode(JSON.stringify([
+    DEVICE_LINK_CONFIG.QR_PREFIX,
+    linkId,
+    userId,
+    bundle.deviceId,
+    bundle.identityKey,
+    bundle.identityExchangeKey
+  ]));
+}
+
+/**
+ * Read a scanned or pasted link code
+ * @param {string} input - QR payload
+ * @returns {Object|null} - { userId, linkId, secret }, or null if it is not a link code
+ */
+function parseDeviceLinkCode(input) {
+  const [prefix, version, userId, linkId, secret] = (input || '').trim().split(':');
+
+  if (prefix !== DEVICE_LINK_CONFIG.QR_PREFIX || Number(version) !== DEVICE_LINK_CONFIG.VERSION ||
+      !userId || !linkId || !/^[0-9a-f]+$/.test(secret || '')) {
+    return null;
+  }
+  return { userId, linkId, secret };
+}
+
+/**
+ * Start linking a new device (main device only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { linkId, secret, qrPayload, expiresAt }
+ */
+export async function createDeviceLink(userId) {
+  try {
+    if (getDeviceStatus() !== DEVICE_CONFIG.STATUS.MAIN) {
+      throw new Error('Only the main device can link new devices');
+    }
+
+    const linkId = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    const secret = toHex(window.crypto.getRandomValues(new Uint8Array(DEVICE_LINK_CONFIG.SECRET_BYTES)));
+    const expiresAt = Date.now() + DEVICE_LINK_CONFIG.EXPIRY;
+
+    await setDoc(doc(db, 'deviceLinks', linkId), {
+      userId,
+      status: 'pending',
+      expiresAt,
+      createdAt: serverTimestamp()
+    });
+
+    return {
+      linkId,
+      secret,
+      qrPayload: `${DEVICE_LINK_CONFIG.QR_PREFIX}:${DEVICE_LINK_CONFIG.VERSION}:${userId}:${linkId}:${secret}`,
+      expiresAt
+    };
+  } catch (error) {
+    console.error('Error creating device link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Render a link code as a QR code image
+ * @param {string} qrPayload - Link code from createDeviceLink
+ * @returns {Promise<string>} - PNG data URL
+ */
+export function renderDeviceLinkQr(qrPayload) {
+  return QRCode.toDataURL(qrPayload, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+}
+
+/**
+ * Subscribe to a device link
+ * @param {string} linkId - Link ID
+ * @param {function(Object|null): void} callback - Called with the link, or null once it is gone
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToDeviceLink(linkId, callback) {
+  return onSnapshot(doc(db, 'deviceLinks', linkId), (snapshot) => {
+    callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+  }, (error) => {
+    console.error('Error subscribing to device link:', error);
+  });
+}
+
+/**
+ * Ask to link this device with a code scanned from the main device
+ * @param {string} userId - User ID
+ * @param {string} code - Scanned or pasted link code
+ * @param {string} name - Name for this device, shown on the user's other devices
+ * @returns {Promise<string>} - Link ID to wait on
+ */
+export async function requestDeviceLink(userId, code, name) {
+  try {
+    const link = parseDeviceLinkCode(code);
+    if (!link) {
+      throw new Error('This is not a device link code');
+    }
+    if (link.userId !== userId) {
+      throw new Error('This link code belongs to a different account');
+    }
+
+    const bundle = await encryptionService.getPublicKeyBundle();
+    const key = await importLinkKey(link.secret, ['sign']);
+    const mac = await window.crypto.subtle.sign('HMAC', key, buildLinkRequestData(link.linkId, userId, bundle));
+
+    await updateDoc(doc(db, 'deviceLinks', link.linkId), {
+      status: 'requested',
+      deviceId: bundle.deviceId,
+      name: (name || '').trim().slice(0, DEVICE_LINK_CONFIG.MAX_NAME_LENGTH) || 'New device',
+      bundle,
+      mac: Array.from(new Uint8Array(mac)),
+      requestedAt: serverTimestamp()
+    });
+
+    return link.linkId;
+  } catch (error) {
+    console.error('Error requesting device link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check that a link request came from the device that scanned this link's code
+ * @param {string} userId - User ID
+ * @param {Object} link - Link from subscribeToDeviceLink
+ * @param {string} secret - Link secret from createDeviceLink
+ * @returns {Promise<boolean>} - Whether the request can be approved
+ */
+export async function verifyDeviceLinkRequest(userId, link, secret) {
+  if (link?.status !== 'requested' || link.userId !== userId || Date.now() > link.expiresAt ||
+      link.bundle?.deviceId !== link.deviceId || !Array.isArray(link.mac)) {
+    return false;
+  }
+
+  const key = await importLinkKey(secret, ['verify']);
+  return window.crypto.subtle.verify(
+    'HMAC',
+    key,
+    new Uint8Array(link.mac),
+    buildLinkRequestData(link.id, userId, link.bundle)
+  );
+}
+
+/**
+ * Approve a link request and add the device to the account (main device only)
+ * @param {string} userId - User ID
+ * @param {Object} link - Link from subscribeToDeviceLink
+ * @param {string} secret - Link secret from createDeviceLink
+ * @returns {Promise<void>}
+ */
+export async function approveDeviceLink(userId, link, secret) {
+  try {
+    if (getDeviceStatus() !== DEVICE_CONFIG.STATUS.MAIN) {
+      throw new Error('Only the main device can link new devices');
+    }
+    if (!await verifyDeviceLinkRequest(userId, link, secret)) {
+      throw new Error('Device link request could not be verified');
+    }
+
+    const certificate = await encryptionService.signDeviceCertificate(link.deviceId, link.bundle);
+    await addLinkedDevice(userId, link.deviceId, { bundle: link.bundle, certificate, name: link.name });
+    await updateDoc(doc(db, 'deviceLinks', link.id), { status: 'approved' });
+
+    console.log(`📱 Linked device ${link.deviceId}`);
+  } catch (error) {
+    console.error('Error approving device link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Finish linking on the new device once the main device approved it
+ * @param {string} userId - User ID
+ * @param {string} linkId - Link ID
+ * @returns {Promise<string>} - This device's status (DEVICE_CONFIG.STATUS.LINKED on success)
+ */
+export async function completeDeviceLink(userId, linkId) {
+  try {
+    const status = await publishDeviceKeys(userId);
+    await deleteDoc(doc(db, 'deviceLinks', linkId));
+    return status;
+  } catch (error) {
+    console.error('Error completing device link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel or reject a device link
+ * @param {string} linkId - Link ID
+ * @returns {Promise<void>}
+ */
+export async function cancelDeviceLink(linkId) {
+  try {
+    await deleteDoc(doc(db, 'deviceLinks', linkId));
+  } catch (error) {
+    console.error('Error cancelling device link:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Linked Devices for Shadow-Bind
+ * Tracks which devices belong to each user so messages can be encrypted for all of them
+ *
+ * Every browser has its own identity key, pre-keys and sessions. A user's main device
+ * holds the account identity (the one in safety numbers) and signs a certificate for
+ * each linked device, so contacts trust new devices without verifying again.
+ * See ./keyDirectory for the Firestore layout and ./deviceLinking for how devices are added.
+ */
+
+import { encryptionService } from './e2ee';
+import {
+  getKeyDirectoryEntry,
+  subscribeToKeyDirectoryEntry,
+  publishKeyBundle,
+  publishDeviceBundle,
+  replaceKeyDirectoryEntry,
+  removeLinkedDevice
+} from './keyDirectory';
+
+/**
+ * Device configuration
+ */
+export const DEVICE_CONFIG = {
+  // Device lists are re-read at most this often when sending
+  LIST_TTL: 60 * 1000,
+  STATUS: {
+    MAIN: 'main',
+    LINKED: 'linked',
+    UNLINKED: 'unlinked'
+  }
+};
+
+// Verified device lists per user: { devices, fetchedAt }
+const deviceListCache = new Map();
+
+// This browser's role, known once its keys have been published
+let deviceStatus = null;
+
+/**
+ * Compare two raw public keys
+ * @param {Array<number>} a - First key
+ * @param {Array<number>} b - Second key
+ * @returns {boolean} - Whether both are the same key
+ */
+function sameKey(a, b) {
+  return !!a && !!b && a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+/**
+ * Turn a directory entry into the devices a sender may trust
+ * Linked devices without a valid certificate from the account identity are dropped.
+ * @param {string} userId - User ID
+ * @param {Object|null} entry - Key directory entry
+ * @returns {Promise<Array<Object>>} - [{ deviceId, bundle, name, main, linkedAt }]
+ */
+async function verifyDirectoryEntry(userId, entry) {
+  if (!entry?.bundle?.deviceId) {
+    return [];
+  }
+
+  const devices = [{ deviceId: entry.bundle.deviceId, bundle: entry.bundle, name: null, main: true, linkedAt: null }];
+
+  for (const [deviceId, device] of Object.entries(entry.devices || {})) {
+    const valid = device.bundle?.deviceId === deviceId && await encryptionService.verifyDeviceCertificate(
+      entry.bundle.identityKey,
+      userId,
+      deviceId,
+      device.bundle,
+      device.certificate
+    );
+
+    if (valid) {
+      devices.push({ deviceId, bundle: device.bundle, name: device.name, main: false, linkedAt: device.linkedAt });
+    } else {
+      console.warn(`Ignoring device ${deviceId} of ${userId}: invalid certificate`);
+    }
+  }
+
+  return devices;
+}
+
+/**
+ * Get this browser's role for the signed-in user
+ * @returns {string|null} - One of DEVICE_CONFIG.STATUS, or null before keys are published
+ */
+export function getDeviceStatus() {
+  return deviceStatus;
+}
+
+/**
+ * Publish this device's key bundle in the right place of the directory
+ * The first device of a user becomes the main device. Any other device must be linked
+ * from the main device before it publishes anything.
+ * @param {string} userId - User ID
+ * @param {Object} options - { main: publish as the main device even if another one is (after a key restore) }
+ * @returns {Promise<string>} - One of DEVICE_CONFIG.STATUS
+ */
+export async function publishDeviceKeys(userId, { main = false } = {}) {
+  try {
+    const bundle = await encryptionService.getPublicKeyBundle();
+    const entry = await getKeyDirectoryEntry(userId);
+    const linked = entry?.devices?.[bundle.deviceId];
+
+    if (main || !entry?.bundle || sameKey(entry.bundle.identityKey, bundle.identityKey)) {
+      await publishKeyBundle(userId, bundle);
+      deviceStatus = DEVICE_CONFIG.STATUS.MAIN;
+    } else if (linked && sameKey(linked.bundle?.identityKey, bundle.identityKey)) {
+      await publishDeviceBundle(userId, bundle.deviceId, bundle);
+      deviceStatus = DEVICE_CONFIG.STATUS.LINKED;
+    } else {
+      deviceStatus = DEVICE_CONFIG.STATUS.UNLINKED;
+    }
+
+    deviceListCache.delete(userId);
+    return deviceStatus;
+  } catch (error) {
+    console.error('Error publishing device keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make this device the main device with its own keys, replacing the account identity
+ * For users who lost their main device and have no key backup. Contacts see a safety
+ * number change and every linked device has to be linked again.
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function becomeMainDevice(userId) {
+  try {
+    await replaceKeyDirectoryEntry(userId, await encryptionService.getPublicKeyBundle());
+    deviceStatus = DEVICE_CONFIG.STATUS.MAIN;
+    deviceListCache.delete(userId);
+  } catch (error) {
+    console.error('Error becoming main device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the verified devices of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { fresh: bypass the cache }
+ * @returns {Promise<Array<Object>>} - [{ deviceId, bundle, name, main, linkedAt }]
+ */
+export async function getUserDevices(userId, { fresh = false } = {}) {
+  const cached = deviceListCache.get(userId);
+  if (!fresh && cached && Date.now() - cached.fetchedAt < DEVICE_CONFIG.LIST_TTL) {
+    return cached.devices;
+  }
+
+  const devices = await verifyDirectoryEntry(userId, await getKeyDirectoryEntry(userId));
+  deviceListCache.set(userId, { devices, fetchedAt: Date.now() });
+  return devices;
+}
+
+/**
+ * Check that a device starting a session belongs to the user it claims to be
+ * A device linked after the cached list was read is found by reading the list again.
+ * @param {string} userId - Claimed user ID
+ * @param {string} deviceId - Claimed device ID
+ * @param {Array<number>} identityKey - Identity key the device used
+ * @returns {Promise<boolean>} - Whether the device is one of the user's verified devices
+ */
+export async function isUserDevice(userId, deviceId, identityKey) {
+  const matches = devices => devices.some(device =>
+    device.deviceId === deviceId && sameKey(device.bundle.identityKey, identityKey)
+  );
+
+  return matches(await getUserDevices(userId)) || matches(await getUserDevices(userId, { fresh: true }));
+}
+
+/**
+ * Subscribe to a user's verified devices
+ * @param {string} userId - User ID
+ * @param {function(Array<Object>): void} callback - Called with the devices, this one marked `current`
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToUserDevices(userId, callback) {
+  return subscribeToKeyDirectoryEntry(userId, async (entry) => {
+    const devices = await verifyDirectoryEntry(userId, entry);
+    deviceListCache.set(userId, { devices, fetchedAt: Date.now() });
+    callback(devices.map(device => ({ ...device, current: device.deviceId === encryptionService.deviceId })));
+  });
+}
+
+/**
+ * Remove a linked device (main device only)
+ * Its sessions stay usable for messages already sent; new messages are not encrypted for it,
+ * and group sender keys are replaced the next time this user sends.
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Linked device ID
+ * @returns {Promise<void>}
+ */
+export async function unlinkDevice(userId, deviceId) {
+  try {
+    if (deviceStatus !== DEVICE_CONFIG.STATUS.MAIN) {
+      throw new Error('Only the main device can remove linked devices');
+    }
+
+    await removeLinkedDevice(userId, deviceId);
+    deviceListCache.delete(userId);
+  } catch (error) {
+    console.error('Error unlinking device:', error);
+    throw error;
+  }
+}
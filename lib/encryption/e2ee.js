@@ -1,8 +1,20 @@
 /**
  * End-to-End Encryption Service for Shadow-Bind
  * Implements E2EE using Web Crypto API with Signal Protocol design patterns
+ *
+ * Sessions are set up with X3DH (identity, signed pre-key, one-time pre-key and
+ * ephemeral keys) and then advanced with the Double Ratchet, so every message is
+ * encrypted with a fresh key and a compromised key does not expose earlier messages.
+ * Groups use sender keys: each member distributes a signed symmetric chain over
+ * pairwise sessions and encrypts each group message once.
+ *
+ * Keys and ratchet state persist in the passphrase-protected keystore (./keystore)
+ * when IndexedDB is available. Every operation that advances state runs under the
+ * keystore's cross-tab lock and first reloads any record another tab has changed.
  */
 
+import { KEYSTORE_CONFIG, isKeystoreSupported, openKeyStore } from './keystore';
+
 /**
  * Encryption configuration
  */
@@ -45,36 +57,253 @@ export const ENCRYPTION_CONFIG = {
   
   // Forward secrecy configuration
   FORWARD_SECRECY: {
-    RATCHET_INTERVAL: 100, // Messages before key rotation
     MAX_SKIP: 1000,        // Maximum skipped message keys
+    MESSAGE_KEY_CONSTANT: new Uint8Array([0x01]),
     CHAIN_KEY_CONSTANT: new Uint8Array([0x02])
+  },
+  
+  // HKDF info strings (domain separation)
+  PROTOCOL: {
+    X3DH_INFO: 'ShadowBind-X3DH',
+    RATCHET_INFO: 'ShadowBind-Ratchet'
   }
 };
 
+/**
+ * Convert an ArrayBuffer or typed array to a plain number array (Firestore/JSON friendly)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {Array<number>} - Byte array
+ */
+function toArray(buffer) {
+  return Array.from(new Uint8Array(buffer));
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {...(Uint8Array|Array<number>)} parts - Byte arrays
+ * @returns {Uint8Array} - Concatenated bytes
+ */
+function concatBytes(...parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  
+  return result;
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Array<number>|Uint8Array|null} a - First array
+ * @param {Array<number>|Uint8Array|null} b - Second array
+ * @returns {boolean} - Whether both contain the same bytes
+ */
+function equalBytes(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return Array.prototype.every.call(a, (byte, index) => byte === b[index]);
+}
+
+/**
+ * Derive bytes with HKDF-SHA-256
+ * @param {Uint8Array} inputKeyMaterial - Input key material
+ * @param {Uint8Array} salt - Salt
+ * @param {string} info - Context string
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+async function hkdf(inputKeyMaterial, salt, info, length) {
+  const key = await window.crypto.subtle.importKey('raw', inputKeyMaterial, 'HKDF', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt,
+      info: new TextEncoder().encode(info)
+    },
+    key,
+    length * 8
+  );
+  
+  return new Uint8Array(bits);
+}
+
+/**
+ * Compute HMAC-SHA-256
+ * @param {Uint8Array} keyBytes - HMAC key
+ * @param {Uint8Array} data - Data to authenticate
+ * @returns {Promise<Uint8Array>} - MAC
+ */
+async function hmac(keyBytes, data) {
+  const key = await window.crypto.subtle.importKey('raw', keyBytes, ENCRYPTION_CONFIG.MAC, false, ['sign']);
+  return new Uint8Array(await window.crypto.subtle.sign(ENCRYPTION_CONFIG.MAC.name, key, data));
+}
+
+/**
+ * Compute an ECDH shared secret
+ * @param {CryptoKey} privateKey - Own private key
+ * @param {Array<number>} publicKeyBytes - Remote raw public key
+ * @returns {Promise<Uint8Array>} - Shared secret
+ */
+async function diffieHellman(privateKey, publicKeyBytes) {
+  const publicKey = await window.crypto.subtle.importKey(
+    'raw',
+    new Uint8Array(publicKeyBytes),
+    ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE,
+    false,
+    []
+  );
+  
+  const bits = await window.crypto.subtle.deriveBits(
+    {
+      name: ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE.name,
+      public: publicKey
+    },
+    privateKey,
+    256
+  );
+  
+  return new Uint8Array(bits);
+}
+
+/**
+ * Import raw message key bytes as an AES-GCM key
+ * Message keys are kept as bytes while waiting for late messages so they can be persisted.
+ * @param {Uint8Array} keyBytes - Message key
+ * @returns {Promise<CryptoKey>} - Message key
+ */
+function importMessageKey(keyBytes) {
+  return window.crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC,
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Generate an ECDH key pair
+ * @returns {Promise<CryptoKeyPair>} - Key pair
+ */
+function generateExchangeKeyPair() {
+  return window.crypto.subtle.generateKey(
+    ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE,
+    true,
+    ['deriveKey', 'deriveBits']
+  );
+}
+
+/**
+ * Export a public key as a raw byte array
+ * @param {CryptoKey} publicKey - Public key
+ * @returns {Promise<Array<number>>} - Raw public key
+ */
+async function exportPublicKey(publicKey) {
+  return toArray(await window.crypto.subtle.exportKey('raw', publicKey));
+}
+
+/**
+ * Address one device of a user (sessions are per device, not per user)
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @returns {string} - Device address
+ */
+export function deviceAddress(userId, deviceId) {
+  return `${userId}:${deviceId}`;
+}
+
+/**
+ * Build the data an account identity key signs to vouch for a linked device
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Linked device ID
+ * @param {Object} identity - Device's { identityKey, identityExchangeKey }
+ * @returns {Uint8Array} - Certificate data
+ */
+function buildDeviceCertificateData(userId, deviceId, identity) {
+  return concatBytes(
+    new TextEncoder().encode(`shadowbind-device:${userId}:${deviceId}:`),
+    identity.identityKey,
+    identity.identityExchangeKey
+  );
+}
+
 /**
  * Encryption Service Class
  * Manages keys and provides encryption/decryption methods
  */
 export class EncryptionService {
   constructor() {
-    this.keyStore = new Map();
+    this.keyStore = null;
+    this.userId = null;
+    this.deviceId = null;
+    this.isInitialized = false;
+    this.resetState();
+  }
+
+  /**
+   * Clear all keys and sessions held in memory
+   */
+  resetState() {
     this.sessionStore = new Map();
+    this.activeSessions = new Map();
     this.preKeyStore = new Map();
+    this.nextPreKeyId = 0;
+    this.signedPreKeyStore = new Map();
+    this.signedPreKeyId = null;
+    this.senderKeys = new Map();
+    this.receivedSenderKeys = new Map();
+    this.verifiedIdentities = new Map();
     this.identityKey = null;
-    this.isInitialized = false;
+    this.identityExchangeKey = null;
+    this.localKey = null;
   }
 
   /**
    * Initialize encryption service
+   * @param {string} userId - Current user ID (sessions and bundles are bound to it)
+   * @param {string} passphrase - Passphrase protecting the keystore (required when IndexedDB is available)
    * @returns {Promise<boolean>} - Success status
    */
-  async initialize() {
+  async initialize(userId = null, passphrase = null) {
     try {
-      // Generate or load identity key
-      await this.initializeIdentityKey();
+      if (this.isInitialized && this.userId === userId) {
+        return true;
+      }
+      
+      this.isInitialized = false;
+      this.resetState();
+      this.userId = userId;
       
-      // Generate pre-keys for key exchange
-      await this.generatePreKeys();
+      // Without IndexedDB keys live in memory only and are lost on reload
+      this.keyStore = userId && isKeystoreSupported()
+        ? await openKeyStore(userId, passphrase, ENCRYPTION_CONFIG.KDF)
+        : null;
+      
+      await this.transact(async () => {
+        // Every browser is a separate device with its own keys
+        await this.initializeDevice();
+        
+        // Generate or load identity key
+        await this.initializeIdentityKey();
+        await this.loadStoredState();
+        
+        // Generate the signed pre-key and one-time pre-keys for key exchange
+        if (!this.signedPreKeyId) {
+          await this.generateSignedPreKey();
+        }
+        if (!Array.from(this.preKeyStore.values()).some(preKey => !preKey.used)) {
+          await this.generatePreKeys();
+        }
+        
+        // Key for the sender's own copy of outgoing messages
+        await this.initializeLocalKey();
+      });
       
       this.isInitialized = true;
       console.log('🔐 Encryption service initialized');
@@ -87,7 +316,25 @@ export class EncryptionService {
   }
 
   /**
-   * Initialize identity key pair
+   * Load or create this device's ID
+   * @returns {Promise<void>}
+   */
+  async initializeDevice() {
+    const device = this.keyStore ? await this.keyStore.get(KEYSTORE_CONFIG.KINDS.DEVICE, 'device') : null;
+    
+    if (device) {
+      this.deviceId = device.deviceId;
+    } else {
+      this.deviceId = toArray(window.crypto.getRandomValues(new Uint8Array(8)))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      await this.saveDevice();
+    }
+  }
+
+  /**
+   * Initialize identity key pairs
+   * The ECDSA key signs pre-keys; the ECDH key takes part in X3DH.
    * @returns {Promise<void>}
    */
   async initializeIdentityKey() {
@@ -96,7 +343,8 @@ export class EncryptionService {
       const storedKey = await this.loadIdentityKey();
       
       if (storedKey) {
-        this.identityKey = storedKey;
+        this.identityKey = storedKey.identityKey;
+        this.identityExchangeKey = storedKey.identityExchangeKey;
         console.log('🔑 Loaded existing identity key');
       } else {
         // Generate new identity key pair
@@ -107,7 +355,11 @@ export class EncryptionService {
         );
         
         this.identityKey = keyPair;
-        await this.saveIdentityKey(keyPair);
+        this.identityExchangeKey = await generateExchangeKeyPair();
+        await this.saveIdentityKey({
+          identityKey: this.identityKey,
+          identityExchangeKey: this.identityExchangeKey
+        });
         console.log('🔑 Generated new identity key');
       }
     } catch (error) {
@@ -116,6 +368,39 @@ export class EncryptionService {
     }
   }
 
+  /**
+   * Generate a signed pre-key
+   * @returns {Promise<Object>} - Signed pre-key
+   */
+  async generateSignedPreKey() {
+    try {
+      const keyPair = await generateExchangeKeyPair();
+      const publicKey = await exportPublicKey(keyPair.publicKey);
+      const signature = await window.crypto.subtle.sign(
+        ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+        this.identityKey.privateKey,
+        new Uint8Array(publicKey)
+      );
+      
+      const signedPreKey = {
+        id: (this.signedPreKeyId || 0) + 1,
+        keyPair,
+        publicKey,
+        signature: toArray(signature),
+        createdAt: Date.now()
+      };
+      
+      this.signedPreKeyStore.set(signedPreKey.id, signedPreKey);
+      this.signedPreKeyId = signedPreKey.id;
+      await this.saveSignedPreKey(signedPreKey);
+      
+      return signedPreKey;
+    } catch (error) {
+      console.error('Signed pre-key generation error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate pre-keys for key exchange
    * @param {number} count - Number of pre-keys to generate
@@ -126,21 +411,17 @@ export class EncryptionService {
       const preKeys = [];
       
       for (let i = 0; i < count; i++) {
-        const keyPair = await window.crypto.subtle.generateKey(
-          ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE,
-          true,
-          ['deriveKey', 'deriveBits']
-        );
+        const keyPair = await generateExchangeKeyPair();
         
         const preKey = {
-          id: i,
+          id: this.nextPreKeyId++,
           keyPair,
           createdAt: Date.now(),
           used: false
         };
         
         preKeys.push(preKey);
-        this.preKeyStore.set(i, preKey);
+        this.preKeyStore.set(preKey.id, preKey);
       }
       
       await this.savePreKeys(preKeys);
@@ -154,43 +435,163 @@ export class EncryptionService {
   }
 
   /**
-   * Establish secure session with another user
-   * @param {string} recipientId - Recipient user ID
-   * @param {Object} recipientBundle - Recipient's public key bundle
-   * @returns {Promise<Object>} - Session information
+   * Generate more one-time pre-keys once the published ones run low
+   * @param {number} count - Number of pre-keys to generate
+   * @returns {Promise<Array>} - Generated pre-keys
    */
-  async establishSession(recipientId, recipientBundle) {
-    try {
-      if (!this.isInitialized) {
-        throw new Error('Encryption service not initialized');
-      }
+  async replenishPreKeys(count) {
+    return this.transact(async () => {
+      await this.loadPreKeys();
+      return this.generatePreKeys(count);
+    });
+  }
+
+  /**
+   * Get the one-time pre-keys this device has not uploaded to the pre-key server yet
+   * Keys uploaded under another device ID (before a backup was restored) count as not uploaded.
+   * @returns {Promise<Object>} - { preKeys: [{ id, publicKey }], replace: whether the server
+   *   holds no keys of this device's and any it has should be dropped }
+   */
+  async getUnpublishedPreKeys() {
+    return this.transact(async () => {
+      await this.loadPreKeys();
       
-      // TODO: Implement Signal Protocol X3DH key agreement
-      // For now, create a simplified session
-      
-      const session = {
-        recipientId,
-        sessionId: this.generateSessionId(recipientId),
-        established: Date.now(),
-        sendingChain: null,
-        receivingChain: null,
-        rootKey: null,
-        messageKeys: new Map(),
-        skipCount: 0
-      };
+      const preKeys = Array.from(this.preKeyStore.values());
+      const unpublished = preKeys.filter(preKey => !preKey.used && preKey.publishedTo !== this.deviceId);
       
-      // Perform key exchange (simplified)
-      const sharedSecret = await this.performKeyExchange(recipientBundle);
+      return {
+        preKeys: await Promise.all(unpublished.map(async preKey => ({
+          id: preKey.id,
+          publicKey: await exportPublicKey(preKey.keyPair.publicKey)
+        }))),
+        replace: !preKeys.some(preKey => preKey.publishedTo === this.deviceId)
+      };
+    });
+  }
+
+  /**
+   * Remember which one-time pre-keys the pre-key server has
+   * @param {Array<number>} ids - Uploaded pre-key IDs
+   * @returns {Promise<void>}
+   */
+  async markPreKeysPublished(ids) {
+    return this.transact(async () => {
+      await this.loadPreKeys();
       
-      // Initialize double ratchet
-      await this.initializeDoubleRatchet(session, sharedSecret);
+      const preKeys = ids.map(id => this.preKeyStore.get(id)).filter(Boolean);
+      preKeys.forEach(preKey => {
+        preKey.publishedTo = this.deviceId;
+      });
+      await this.savePreKeys(preKeys);
+    });
+  }
+
+  /**
+   * Replace the signed pre-key once it is older than maxAge
+   * Replaced keys are kept for `retention` so sessions started from a bundle fetched
+   * before the rotation can still be accepted, then deleted.
+   * @param {Object} options - { maxAge, retention } in milliseconds
+   * @returns {Promise<Object|null>} - New signed pre-key, or null if the current one is still fresh
+   */
+  async rotateSignedPreKey({ maxAge, retention }) {
+    return this.transact(async () => {
+      await this.loadPreKeys();
       
-      this.sessionStore.set(session.sessionId, session);
-      await this.saveSession(session);
+      const now = Date.now();
+      const current = this.signedPreKeyStore.get(this.signedPreKeyId);
+      const rotated = !current || now - current.createdAt >= maxAge
+        ? await this.generateSignedPreKey()
+        : null;
       
-      console.log(`🤝 Established session with ${recipientId}`);
+      // A key stopped being used when its successor was created
+      const signedPreKeys = Array.from(this.signedPreKeyStore.values()).sort((a, b) => a.id - b.id);
+      for (let i = 0; i < signedPreKeys.length - 1; i++) {
+        if (now - signedPreKeys[i + 1].createdAt > retention) {
+          this.signedPreKeyStore.delete(signedPreKeys[i].id);
+          await this.deleteSignedPreKey(signedPreKeys[i].id);
+        }
+      }
       
-      return session;
+      return rotated;
+    });
+  }
+
+  /**
+   * Check whether an outgoing session exists for one of a user's devices
+   * @param {string} recipientId - Recipient user ID
+   * @param {string} deviceId - Recipient device ID
+   * @returns {boolean} - Session availability
+   */
+  hasSession(recipientId, deviceId) {
+    return this.activeSessions.has(deviceAddress(recipientId, deviceId));
+  }
+
+  /**
+   * Establish secure session with one of another user's devices (X3DH initiator)
+   * @param {string} recipientId - Recipient user ID
+   * @param {Object} recipientBundle - Public key bundle of the recipient device
+   * @returns {Promise<Object>} - Session information
+   */
+  async establishSession(recipientId, recipientBundle) {
+    try {
+      return await this.transact(async () => {
+        if (!this.isInitialized) {
+          throw new Error('Encryption service not initialized');
+        }
+        
+        const deviceId = recipientBundle.deviceId;
+        
+        // Another tab may have set up a session with this device already
+        const existing = await this.refreshPeerSession(recipientId, deviceId);
+        if (existing) {
+          return existing;
+        }
+        
+        const session = {
+          recipientId,
+          recipientDeviceId: deviceId,
+          sessionId: this.generateSessionId(recipientId, deviceId),
+          established: Date.now(),
+          initiator: true,
+          sendingChain: null,
+          receivingChain: null,
+          rootKey: null,
+          ratchetKeyPair: null,
+          ratchetPublicKey: null,
+          remoteRatchetKey: null,
+          remoteIdentityKey: recipientBundle.identityKey,
+          previousCounter: 0,
+          messageKeys: new Map(),
+          skipCount: 0
+        };
+        
+        // Perform X3DH key agreement
+        const { sharedSecret, ephemeralPublicKey, associatedData } = await this.performKeyExchange(recipientBundle);
+        session.associatedData = associatedData;
+        
+        // Until the recipient replies, every message carries what they need to rebuild the session
+        session.pendingPreKey = {
+          identityKey: await exportPublicKey(this.identityKey.publicKey),
+          identityExchangeKey: await exportPublicKey(this.identityExchangeKey.publicKey),
+          ephemeralKey: ephemeralPublicKey,
+          signedPreKeyId: recipientBundle.signedPreKeyId,
+          preKeyId: recipientBundle.preKey ? recipientBundle.preKeyId : null
+        };
+        
+        // Initialize double ratchet
+        await this.initializeDoubleRatchet(session, sharedSecret, {
+          remoteRatchetKey: recipientBundle.signedPreKey
+        });
+        
+        this.sessionStore.set(session.sessionId, session);
+        this.activeSessions.set(deviceAddress(recipientId, deviceId), session.sessionId);
+        await this.saveSession(session);
+        await this.saveActiveSessions();
+        
+        console.log(`🤝 Established session with ${deviceAddress(recipientId, deviceId)}`);
+        
+        return session;
+      });
     } catch (error) {
       console.error('Session establishment error:', error);
       throw error;
@@ -198,55 +599,69 @@ export class EncryptionService {
   }
 
   /**
-   * Encrypt message for recipient
+   * Encrypt message for one of a recipient's devices
    * @param {string} recipientId - Recipient user ID
    * @param {string} message - Message to encrypt
+   * @param {string} deviceId - Recipient device ID
    * @returns {Promise<Object>} - Encrypted message bundle
    */
-  async encryptMessage(recipientId, message) {
+  async encryptMessage(recipientId, message, deviceId) {
     try {
-      const sessionId = this.generateSessionId(recipientId);
-      let session = this.sessionStore.get(sessionId);
-      
-      if (!session) {
-        throw new Error('No session established with recipient');
-      }
-      
-      // Rotate keys if needed (forward secrecy)
-      await this.rotateKeysIfNeeded(session);
-      
-      // Generate message key from chain key
-      const messageKey = await this.deriveMessageKey(session.sendingChain.chainKey);
-      
-      // Encrypt message
-      const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
-      const encodedMessage = new TextEncoder().encode(message);
-      
-      const encryptedData = await window.crypto.subtle.encrypt(
-        {
-          name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
-          iv: iv
-        },
-        messageKey,
-        encodedMessage
-      );
-      
-      // Create message bundle
-      const messageBundle = {
-        recipientId,
-        sessionId,
-        messageNumber: session.sendingChain.messageNumber++,
-        iv: Array.from(iv),
-        ciphertext: Array.from(new Uint8Array(encryptedData)),
-        timestamp: Date.now()
-      };
-      
-      // Update chain key for forward secrecy
-      session.sendingChain.chainKey = await this.advanceChainKey(session.sendingChain.chainKey);
-      
-      await this.saveSession(session);
-      
-      return messageBundle;
+      return await this.transact(async () => {
+        const session = await this.refreshPeerSession(recipientId, deviceId);
+        
+        if (!session) {
+          throw new Error('No session established with recipient');
+        }
+        
+        const header = {
+          dh: session.ratchetPublicKey,
+          pn: session.previousCounter,
+          n: session.sendingChain.messageNumber
+        };
+        
+        // Generate message key from chain key
+        const messageKey = await this.deriveMessageKey(session.sendingChain.chainKey);
+        
+        // Encrypt message
+        const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
+        const encodedMessage = new TextEncoder().encode(message);
+        
+        const encryptedData = await window.crypto.subtle.encrypt(
+          {
+            name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
+            iv: iv,
+            additionalData: this.buildAssociatedData(session, header)
+          },
+          messageKey,
+          encodedMessage
+        );
+        
+        // Create message bundle
+        const messageBundle = {
+          senderId: this.userId,
+          senderDeviceId: this.deviceId,
+          recipientId,
+          recipientDeviceId: deviceId,
+          sessionId: session.sessionId,
+          messageNumber: header.n,
+          header,
+          preKey: session.pendingPreKey || null,
+          iv: Array.from(iv),
+          ciphertext: Array.from(new Uint8Array(encryptedData)),
+          timestamp: Date.now()
+        };
+        
+        // Update chain key for forward secrecy
+        session.sendingChain = {
+          chainKey: await this.advanceChainKey(session.sendingChain.chainKey),
+          messageNumber: header.n + 1
+        };
+        
+        await this.saveSession(session);
+        
+        return messageBundle;
+      });
     } catch (error) {
       console.error('Message encryption error:', error);
       throw error;
@@ -255,45 +670,113 @@ export class EncryptionService {
 
   /**
    * Decrypt received message
+   * The first messages of a new session carry X3DH data and create the session here.
+   * Ratchet state is only committed when decryption succeeds.
    * @param {Object} messageBundle - Encrypted message bundle
    * @returns {Promise<string>} - Decrypted message
    */
   async decryptMessage(messageBundle) {
     try {
-      const { recipientId, sessionId, messageNumber, iv, ciphertext } = messageBundle;
-      
-      let session = this.sessionStore.get(sessionId);
-      if (!session) {
-        throw new Error('Session not found');
-      }
-      
-      // Handle out-of-order messages (simplified)
-      const messageKey = await this.getMessageKey(session, messageNumber);
-      
-      // Decrypt message
-      const decryptedData = await window.crypto.subtle.decrypt(
-        {
-          name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
-          iv: new Uint8Array(iv)
-        },
-        messageKey,
-        new Uint8Array(ciphertext)
-      );
-      
-      const decryptedMessage = new TextDecoder().decode(decryptedData);
-      
-      // Clean up used message key
-      session.messageKeys.delete(messageNumber);
-      
-      await this.saveSession(session);
-      
-      return decryptedMessage;
+      return await this.transact(async () => {
+        const { recipientId, recipientDeviceId, sessionId, header, iv, ciphertext } = messageBundle;
+        
+        if (recipientId !== this.userId || recipientDeviceId !== this.deviceId) {
+          throw new Error('Message is not addressed to this device');
+        }
+        
+        // Message keys are single-use, so a message another tab already read comes from its cache
+        const cacheId = `${sessionId}:${iv.join('.')}`;
+        const cached = await this.loadDecryptedMessage(cacheId);
+        if (cached !== null) {
+          return cached;
+        }
+        
+        await this.refreshActiveSessions();
+        let session = await this.refreshRecord(KEYSTORE_CONFIG.KINDS.SESSION, sessionId, this.sessionStore);
+        const accepted = !session;
+        if (accepted) {
+          if (!messageBundle.preKey) {
+            throw new Error('Session not found');
+          }
+          session = await this.acceptSession(messageBundle);
+        }
+        
+        const working = this.cloneSession(session);
+        
+        // Handle out-of-order messages and DH ratchet steps
+        const messageKey = await this.getMessageKey(working, header);
+        
+        // Decrypt message
+        const decryptedData = await window.crypto.subtle.decrypt(
+          {
+            name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
+            iv: new Uint8Array(iv),
+            additionalData: this.buildAssociatedData(working, header)
+          },
+          messageKey,
+          new Uint8Array(ciphertext)
+        );
+        
+        const decryptedMessage = new TextDecoder().decode(decryptedData);
+        
+        // The peer has the session now, so stop attaching pre-key data
+        working.pendingPreKey = null;
+        
+        Object.assign(session, working);
+        this.sessionStore.set(sessionId, session);
+        this.activateSession(session);
+        
+        await this.saveSession(session);
+        await this.saveActiveSessions();
+        await this.saveDecryptedMessage(cacheId, decryptedMessage);
+        
+        // Retired only once the session is stored, so a first message that fails can be retried
+        if (accepted) {
+          await this.retirePreKey(messageBundle.preKey.preKeyId);
+        }
+        
+        return decryptedMessage;
+      });
     } catch (error) {
       console.error('Message decryption error:', error);
       throw error;
     }
   }
 
+  /**
+   * Encrypt data only this device can read (the sender's copy of outgoing messages)
+   * @param {string} message - Plaintext
+   * @returns {Promise<Object>} - { iv, ciphertext }
+   */
+  async encryptLocal(message) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
+    const encryptedData = await window.crypto.subtle.encrypt(
+      { name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name, iv },
+      this.localKey,
+      new TextEncoder().encode(message)
+    );
+    
+    return {
+      iv: Array.from(iv),
+      ciphertext: toArray(encryptedData)
+    };
+  }
+
+  /**
+   * Decrypt data produced by encryptLocal
+   * @param {Object} bundle - { iv, ciphertext }
+   * @returns {Promise<string>} - Plaintext
+   */
+  async decryptLocal(bundle) {
+    const decryptedData = await window.crypto.subtle.decrypt(
+      { name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name, iv: new Uint8Array(bundle.iv) },
+      this.localKey,
+      new Uint8Array(bundle.ciphertext)
+    );
+    
+    return new TextDecoder().decode(decryptedData);
+  }
+
   /**
    * Generate public key bundle for key exchange
    * @returns {Promise<Object>} - Public key bundle
@@ -304,11 +787,10 @@ export class EncryptionService {
         throw new Error('Identity key not initialized');
       }
       
-      // Export identity public key
-      const identityPublicKey = await window.crypto.subtle.exportKey(
-        'raw',
-        this.identityKey.publicKey
-      );
+      // Export identity public keys
+      const identityPublicKey = await exportPublicKey(this.identityKey.publicKey);
+      const identityExchangeKey = await exportPublicKey(this.identityExchangeKey.publicKey);
+      const signedPreKey = this.signedPreKeyStore.get(this.signedPreKeyId);
       
       // Get available pre-key
       const availablePreKey = Array.from(this.preKeyStore.values()).find(pk => !pk.used);
@@ -316,17 +798,17 @@ export class EncryptionService {
         throw new Error('No available pre-keys');
       }
       
-      const preKeyPublicKey = await window.crypto.subtle.exportKey(
-        'raw',
-        availablePreKey.keyPair.publicKey
-      );
+      const preKeyPublicKey = await exportPublicKey(availablePreKey.keyPair.publicKey);
       
       return {
-        identityKey: Array.from(new Uint8Array(identityPublicKey)),
+        deviceId: this.deviceId,
+        identityKey: identityPublicKey,
+        identityExchangeKey,
         preKeyId: availablePreKey.id,
-        preKey: Array.from(new Uint8Array(preKeyPublicKey)),
-        signedPreKeyId: 0, // TODO: Implement signed pre-keys
-        signature: null    // TODO: Implement signature
+        preKey: preKeyPublicKey,
+        signedPreKeyId: signedPreKey.id,
+        signedPreKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature
       };
     } catch (error) {
       console.error('Public key bundle error:', error);
@@ -335,168 +817,1102 @@ export class EncryptionService {
   }
 
   /**
-   * Verify identity of another user
-   * @param {string} userId - User ID to verify
-   * @param {Uint8Array} identityKey - User's identity key
-   * @returns {Promise<boolean>} - Verification result
+   * Get this user's raw identity public keys
+   * @returns {Promise<Object>} - { identityKey, identityExchangeKey }
    */
-  async verifyIdentity(userId, identityKey) {
-    try {
-      // TODO: Implement identity verification
-      // This could involve QR codes, safety numbers, or fingerprint comparison
-      console.log(`🔍 Identity verification for ${userId} (placeholder)`);
-      
-      // Placeholder: Always return true
-      return true;
-    } catch (error) {
-      console.error('Identity verification error:', error);
-      return false;
+  async getIdentityPublicKeys() {
+    if (!this.identityKey) {
+      throw new Error('Identity key not initialized');
     }
+    
+    return {
+      identityKey: await exportPublicKey(this.identityKey.publicKey),
+      identityExchangeKey: await exportPublicKey(this.identityExchangeKey.publicKey)
+    };
   }
 
-  // Private helper methods
-
   /**
-   * Perform key exchange (simplified X3DH)
-   * @param {Object} recipientBundle - Recipient's key bundle
-   * @returns {Promise<CryptoKey>} - Shared secret
+   * Vouch for one of this user's linked devices with this device's identity key
+   * Only the device whose identity is the account identity (the one in safety numbers) signs.
+   * @param {string} deviceId - Linked device ID
+   * @param {Object} identity - Linked device's { identityKey, identityExchangeKey }
+   * @returns {Promise<Array<number>>} - Certificate signature
    */
-  async performKeyExchange(recipientBundle) {
-    // TODO: Implement full X3DH key agreement
-    // This is a simplified version
+  async signDeviceCertificate(deviceId, identity) {
+    if (!this.identityKey) {
+      throw new Error('Identity key not initialized');
+    }
     
-    const preKey = this.preKeyStore.get(0); // Use first pre-key for simplicity
-    if (!preKey) {
-      throw new Error('No pre-key available');
+    return toArray(await window.crypto.subtle.sign(
+      ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+      this.identityKey.privateKey,
+      buildDeviceCertificateData(this.userId, deviceId, identity)
+    ));
+  }
+
+  /**
+   * Check that a linked device was vouched for by its account's identity key
+   * @param {Array<number>} accountIdentityKey - Account identity signing key (raw)
+   * @param {string} userId - Account user ID
+   * @param {string} deviceId - Linked device ID
+   * @param {Object} identity - Linked device's { identityKey, identityExchangeKey }
+   * @param {Array<number>} signature - Certificate signature
+   * @returns {Promise<boolean>} - Whether the certificate is valid
+   */
+  async verifyDeviceCertificate(accountIdentityKey, userId, deviceId, identity, signature) {
+    if (!signature || !identity?.identityKey || !identity?.identityExchangeKey) {
+      return false;
     }
     
-    // Import recipient's identity key
-    const recipientIdentityKey = await window.crypto.subtle.importKey(
+    const key = await window.crypto.subtle.importKey(
       'raw',
-      new Uint8Array(recipientBundle.identityKey),
-      ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE,
+      new Uint8Array(accountIdentityKey),
+      ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
       false,
-      []
+      ['verify']
     );
     
-    // Derive shared secret
-    const sharedSecret = await window.crypto.subtle.deriveKey(
-      {
-        name: ENCRYPTION_CONFIG.KEY_SPECS.EXCHANGE.name,
-        public: recipientIdentityKey
-      },
-      preKey.keyPair.privateKey,
-      ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC,
-      false,
-      ['encrypt', 'decrypt']
+    return window.crypto.subtle.verify(
+      ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+      key,
+      new Uint8Array(signature),
+      buildDeviceCertificateData(userId, deviceId, identity)
     );
-    
-    return sharedSecret;
   }
 
   /**
-   * Initialize double ratchet for forward secrecy
-   * @param {Object} session - Session object
-   * @param {CryptoKey} sharedSecret - Initial shared secret
-   * @returns {Promise<void>}
+   * Verify identity of another user
+   * @param {string} userId - User ID to verify
+   * @param {Object} identity - User's current { identityKey, identityExchangeKey }
+   * @returns {Promise<boolean>} - True only if these exact keys were marked verified
    */
-  async initializeDoubleRatchet(session, sharedSecret) {
-    // Initialize root key and chain keys
-    session.rootKey = sharedSecret;
-    
-    // Initialize sending chain
-    session.sendingChain = {
-      chainKey: sharedSecret, // TODO: Derive proper chain key
-      messageNumber: 0
-    };
-    
-    // Initialize receiving chain
-    session.receivingChain = {
-      chainKey: sharedSecret, // TODO: Derive proper chain key
-      messageNumber: 0
-    };
+  async verifyIdentity(userId, identity) {
+    try {
+      const verification = await this.getIdentityVerification(userId);
+      
+      return !!verification &&
+        equalBytes(verification.identityKey, identity.identityKey) &&
+        equalBytes(verification.identityExchangeKey, identity.identityExchangeKey);
+    } catch (error) {
+      console.error('Identity verification error:', error);
+      return false;
+    }
   }
 
   /**
-   * Derive message key from chain key
-   * @param {CryptoKey} chainKey - Chain key
-   * @returns {Promise<CryptoKey>} - Message key
+   * Get the identity keys a user was verified with on this device
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - { userId, identityKey, identityExchangeKey, verifiedAt }
    */
-  async deriveMessageKey(chainKey) {
-    // TODO: Implement proper key derivation
-    // For now, return the chain key (not secure!)
-    return chainKey;
+  async getIdentityVerification(userId) {
+    return (await this.refreshRecord(
+      KEYSTORE_CONFIG.KINDS.VERIFIED_IDENTITY,
+      userId,
+      this.verifiedIdentities
+    )) || null;
   }
 
   /**
-   * Advance chain key for forward secrecy
-   * @param {CryptoKey} chainKey - Current chain key
-   * @returns {Promise<CryptoKey>} - New chain key
+   * Mark a user's identity keys as verified after comparing safety numbers
+   * @param {string} userId - User ID
+   * @param {Object} identity - { identityKey, identityExchangeKey } that were compared
+   * @returns {Promise<Object>} - Verification record
    */
-  async advanceChainKey(chainKey) {
-    // TODO: Implement proper chain key advancement
-    // For now, return the same key (not secure!)
-    return chainKey;
+  async markIdentityVerified(userId, identity) {
+    return this.transact(async () => {
+      await this.refreshRecord(KEYSTORE_CONFIG.KINDS.VERIFIED_IDENTITY, userId, this.verifiedIdentities);
+      
+      const verification = {
+        userId,
+        identityKey: Array.from(identity.identityKey),
+        identityExchangeKey: Array.from(identity.identityExchangeKey),
+        verifiedAt: Date.now()
+      };
+      
+      this.verifiedIdentities.set(userId, verification);
+      await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.VERIFIED_IDENTITY, userId, verification);
+      
+      return verification;
+    });
   }
 
   /**
-   * Get message key for specific message number
-   * @param {Object} session - Session object
-   * @param {number} messageNumber - Message number
+   * Remove a user's verified status
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async clearIdentityVerification(userId) {
+    return this.transact(async () => {
+      this.verifiedIdentities.delete(userId);
+      await this.keyStore?.delete(KEYSTORE_CONFIG.KINDS.VERIFIED_IDENTITY, userId);
+    });
+  }
+
+  /**
+   * Get this user's current sender key for a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} - Sender key state (possibly replaced by another tab)
+   */
+  async getSenderKey(groupId) {
+    return (await this.refreshRecord(KEYSTORE_CONFIG.KINDS.SENDER_KEY, groupId, this.senderKeys)) || null;
+  }
+
+  /**
+   * Create (or replace) this user's sender key for a group
+   * Replacing the key is how a group rotates: members who do not receive the
+   * new distribution cannot read anything encrypted with it.
+   * @param {string} groupId - Group ID
+   * @param {number} epoch - Group key epoch the key belongs to
+   * @returns {Promise<Object>} - Sender key state
+   */
+  async createSenderKey(groupId, epoch = 0) {
+    try {
+      return await this.transact(async () => {
+        // Pick up the stored version so replacing the record is not taken for a conflict
+        await this.refreshRecord(KEYSTORE_CONFIG.KINDS.SENDER_KEY, groupId, this.senderKeys);
+        
+        const signingKeyPair = await window.crypto.subtle.generateKey(
+          ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+          true,
+          ['sign', 'verify']
+        );
+        
+        const senderKey = {
+          groupId,
+          keyId: toArray(window.crypto.getRandomValues(new Uint8Array(8)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join(''),
+          epoch,
+          chainKey: window.crypto.getRandomValues(new Uint8Array(32)),
+          iteration: 0,
+          signingKeyPair,
+          signingPublicKey: await exportPublicKey(signingKeyPair.publicKey),
+          distributedTo: [],
+          createdAt: Date.now()
+        };
+        
+        this.senderKeys.set(groupId, senderKey);
+        await this.saveSenderKey(senderKey);
+        
+        console.log(`🔑 Created sender key ${senderKey.keyId} for group ${groupId}`);
+        
+        return senderKey;
+      });
+    } catch (error) {
+      console.error('Sender key creation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the distribution message for this user's current sender key
+   * It carries the current chain state, so recipients can only decrypt from here on.
+   * @param {string} groupId - Group ID
+   * @returns {Object} - Sender key distribution (send over pairwise sessions only)
+   */
+  createSenderKeyDistribution(groupId) {
+    const senderKey = this.senderKeys.get(groupId);
+    if (!senderKey) {
+      throw new Error('No sender key for group');
+    }
+    
+    return {
+      type: 'sender_key_distribution',
+      groupId,
+      senderId: this.userId,
+      keyId: senderKey.keyId,
+      epoch: senderKey.epoch,
+      chainKey: Array.from(senderKey.chainKey),
+      iteration: senderKey.iteration,
+      signingKey: senderKey.signingPublicKey
+    };
+  }
+
+  /**
+   * Record which members have received the current sender key
+   * @param {string} groupId - Group ID
+   * @param {Array<string>} memberIds - Members the key was sent to
+   * @returns {Promise<void>}
+   */
+  async markSenderKeyDistributed(groupId, memberIds) {
+    return this.transact(async () => {
+      const senderKey = await this.refreshRecord(KEYSTORE_CONFIG.KINDS.SENDER_KEY, groupId, this.senderKeys);
+      if (!senderKey) {
+        return;
+      }
+      
+      senderKey.distributedTo = Array.from(new Set([...senderKey.distributedTo, ...memberIds]));
+      await this.saveSenderKey(senderKey);
+    });
+  }
+
+  /**
+   * Store a sender key received from another member
+   * @param {Object} distribution - Sender key distribution
+   * @param {string} senderId - Authenticated sender of the pairwise message that carried it
+   * @returns {Promise<void>}
+   */
+  async processSenderKeyDistribution(distribution, senderId) {
+    if (distribution.type !== 'sender_key_distribution' || distribution.senderId !== senderId) {
+      throw new Error('Invalid sender key distribution');
+    }
+    
+    const id = `${distribution.groupId}:${senderId}:${distribution.keyId}`;
+    
+    return this.transact(async () => {
+      if (await this.refreshRecord(KEYSTORE_CONFIG.KINDS.RECEIVED_SENDER_KEY, id, this.receivedSenderKeys)) {
+        return;
+      }
+      
+      const state = {
+        groupId: distribution.groupId,
+        senderId,
+        keyId: distribution.keyId,
+        epoch: distribution.epoch,
+        chainKey: new Uint8Array(distribution.chainKey),
+        iteration: distribution.iteration,
+        signingKey: distribution.signingKey,
+        messageKeys: new Map()
+      };
+      
+      this.receivedSenderKeys.set(id, state);
+      await this.saveReceivedSenderKey(state);
+    });
+  }
+
+  /**
+   * Check whether a member's sender key is available
+   * @param {string} groupId - Group ID
+   * @param {string} senderId - Sender user ID
+   * @param {string} keyId - Sender key ID
+   * @returns {boolean} - Availability
+   */
+  hasReceivedSenderKey(groupId, senderId, keyId) {
+    return this.receivedSenderKeys.has(`${groupId}:${senderId}:${keyId}`);
+  }
+
+  /**
+   * Encrypt a group message with this user's sender key
+   * One ciphertext serves every member; the signature proves which member sent it.
+   * @param {string} groupId - Group ID
+   * @param {string} message - Message to encrypt
+   * @returns {Promise<Object>} - Group message bundle
+   */
+  async encryptGroupMessage(groupId, message) {
+    try {
+      return await this.transact(async () => {
+        const senderKey = await this.refreshRecord(KEYSTORE_CONFIG.KINDS.SENDER_KEY, groupId, this.senderKeys);
+        if (!senderKey) {
+          throw new Error('No sender key for group');
+        }
+        
+        const header = {
+          groupId,
+          senderId: this.userId,
+          keyId: senderKey.keyId,
+          iteration: senderKey.iteration
+        };
+        
+        const messageKey = await this.deriveMessageKey(senderKey.chainKey);
+        const iv = window.crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_LENGTH));
+        const additionalData = this.buildGroupAssociatedData(header);
+        
+        const encryptedData = await window.crypto.subtle.encrypt(
+          {
+            name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
+            iv,
+            additionalData
+          },
+          messageKey,
+          new TextEncoder().encode(message)
+        );
+        
+        const ciphertext = new Uint8Array(encryptedData);
+        const signature = await window.crypto.subtle.sign(
+          ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+          senderKey.signingKeyPair.privateKey,
+          concatBytes(additionalData, iv, ciphertext)
+        );
+        
+        // Advance the chain so earlier message keys cannot be recomputed
+        senderKey.chainKey = await this.advanceChainKey(senderKey.chainKey);
+        senderKey.iteration++;
+        await this.saveSenderKey(senderKey);
+        
+        return {
+          ...header,
+          iv: Array.from(iv),
+          ciphertext: Array.from(ciphertext),
+          signature: toArray(signature),
+          timestamp: Date.now()
+        };
+      });
+    } catch (error) {
+      console.error('Group message encryption error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decrypt a group message with the sender's distributed sender key
+   * @param {Object} bundle - Group message bundle
+   * @returns {Promise<string>} - Decrypted message
+   */
+  async decryptGroupMessage(bundle) {
+    try {
+      return await this.transact(async () => {
+        const { groupId, senderId, keyId, iteration, iv, ciphertext, signature } = bundle;
+        
+        const cacheId = `${keyId}:${iv.join('.')}`;
+        const cached = await this.loadDecryptedMessage(cacheId);
+        if (cached !== null) {
+          return cached;
+        }
+        
+        const state = await this.refreshRecord(
+          KEYSTORE_CONFIG.KINDS.RECEIVED_SENDER_KEY,
+          `${groupId}:${senderId}:${keyId}`,
+          this.receivedSenderKeys
+        );
+        
+        if (!state) {
+          const error = new Error('Sender key not found');
+          error.code = 'sender-key-missing';
+          throw error;
+        }
+        
+        const additionalData = this.buildGroupAssociatedData({ groupId, senderId, keyId, iteration });
+        const signingKey = await window.crypto.subtle.importKey(
+          'raw',
+          new Uint8Array(state.signingKey),
+          ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+          false,
+          ['verify']
+        );
+        
+        const validSignature = await window.crypto.subtle.verify(
+          ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+          signingKey,
+          new Uint8Array(signature),
+          concatBytes(additionalData, iv, ciphertext)
+        );
+        
+        if (!validSignature) {
+          throw new Error('Invalid group message signature');
+        }
+        
+        const working = { ...state, messageKeys: new Map(state.messageKeys) };
+        const messageKey = await this.getSenderMessageKey(working, iteration);
+        
+        const decryptedData = await window.crypto.subtle.decrypt(
+          {
+            name: ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC.name,
+            iv: new Uint8Array(iv),
+            additionalData
+          },
+          messageKey,
+          new Uint8Array(ciphertext)
+        );
+        
+        Object.assign(state, working);
+        await this.saveReceivedSenderKey(state);
+        
+        const decryptedMessage = new TextDecoder().decode(decryptedData);
+        await this.saveDecryptedMessage(cacheId, decryptedMessage);
+        
+        return decryptedMessage;
+      });
+    } catch (error) {
+      console.error('Group message decryption error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Collect the state a key backup needs to restore this account on another device
+   * One-time pre-keys and this user's sender keys are left out: both may be used up
+   * after the backup is taken, and reusing them would break other users' sessions.
+   * @returns {Promise<Object>} - Backup state (contains private keys)
+   */
+  async exportBackupState() {
+    return this.transact(async () => {
+      if (!this.identityKey) {
+        throw new Error('Identity key not initialized');
+      }
+      
+      await this.refreshActiveSessions();
+      
+      return {
+        userId: this.userId,
+        deviceId: this.deviceId,
+        identity: {
+          identityKey: this.identityKey,
+          identityExchangeKey: this.identityExchangeKey
+        },
+        localKey: this.localKey,
+        signedPreKeys: Array.from(this.signedPreKeyStore.values()),
+        sessions: Array.from(this.sessionStore.values()),
+        activeSessions: this.activeSessions,
+        receivedSenderKeys: Array.from(this.receivedSenderKeys.values()),
+        verifiedIdentities: Array.from(this.verifiedIdentities.values()),
+        exportedAt: Date.now()
+      };
+    });
+  }
+
+  /**
+   * Replace this device's identity and sessions with a restored backup
+   * One-time pre-keys generated on this device are kept; everything signed by
+   * or derived from the discarded identity is removed.
+   * @param {Object} state - State from exportBackupState
+   * @returns {Promise<void>}
+   */
+  async importBackupState(state) {
+    if (state.userId !== this.userId) {
+      throw new Error('Backup belongs to a different user');
+    }
+    
+    return this.transact(async () => {
+      const { KINDS } = KEYSTORE_CONFIG;
+      
+      if (this.keyStore) {
+        for (const kind of [KINDS.SIGNED_PRE_KEY, KINDS.SESSION, KINDS.SENDER_KEY,
+          KINDS.RECEIVED_SENDER_KEY, KINDS.VERIFIED_IDENTITY]) {
+          await this.keyStore.deleteAll(kind);
+        }
+        await this.keyStore.refresh(KINDS.IDENTITY, 'identity');
+        await this.keyStore.refresh(KINDS.LOCAL_KEY, 'local');
+        await this.keyStore.refresh(KINDS.ACTIVE_SESSIONS, 'all');
+      }
+      
+      // The restored device takes the place of the one that made the backup
+      if (state.deviceId) {
+        await this.keyStore?.refresh(KINDS.DEVICE, 'device');
+        this.deviceId = state.deviceId;
+        await this.saveDevice();
+      }
+      
+      this.identityKey = state.identity.identityKey;
+      this.identityExchangeKey = state.identity.identityExchangeKey;
+      await this.saveIdentityKey(state.identity);
+      
+      this.localKey = state.localKey;
+      await this.saveLocalKey(this.localKey);
+      
+      this.signedPreKeyStore = new Map();
+      this.signedPreKeyId = null;
+      for (const signedPreKey of state.signedPreKeys) {
+        this.signedPreKeyStore.set(signedPreKey.id, signedPreKey);
+        this.signedPreKeyId = Math.max(this.signedPreKeyId || 0, signedPreKey.id);
+        await this.saveSignedPreKey(signedPreKey);
+      }
+      
+      this.sessionStore = new Map();
+      for (const session of state.sessions) {
+        this.sessionStore.set(session.sessionId, session);
+        await this.saveSession(session);
+      }
+      this.activeSessions = state.activeSessions;
+      await this.saveActiveSessions();
+      
+      this.senderKeys = new Map();
+      this.receivedSenderKeys = new Map();
+      for (const received of state.receivedSenderKeys) {
+        this.receivedSenderKeys.set(`${received.groupId}:${received.senderId}:${received.keyId}`, received);
+        await this.saveReceivedSenderKey(received);
+      }
+      
+      this.verifiedIdentities = new Map();
+      for (const verification of state.verifiedIdentities) {
+        this.verifiedIdentities.set(verification.userId, verification);
+        await this.keyStore?.put(KINDS.VERIFIED_IDENTITY, verification.userId, verification);
+      }
+      
+      console.log('🔑 Restored keys from backup');
+    });
+  }
+
+  // Private helper methods
+
+  /**
+   * Perform X3DH key agreement as the initiator
+   * @param {Object} recipientBundle - Recipient's key bundle
+   * @returns {Promise<Object>} - Shared secret, ephemeral public key and associated data
+   */
+  async performKeyExchange(recipientBundle) {
+    // The signed pre-key must be signed by the recipient's identity key
+    const recipientIdentityKey = await window.crypto.subtle.importKey(
+      'raw',
+      new Uint8Array(recipientBundle.identityKey),
+      ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+      false,
+      ['verify']
+    );
+    
+    const validSignature = recipientBundle.signature && await window.crypto.subtle.verify(
+      ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+      recipientIdentityKey,
+      new Uint8Array(recipientBundle.signature),
+      new Uint8Array(recipientBundle.signedPreKey)
+    );
+    
+    if (!validSignature) {
+      throw new Error('Invalid signed pre-key signature');
+    }
+    
+    const ephemeralKey = await generateExchangeKeyPair();
+    const secrets = [
+      await diffieHellman(this.identityExchangeKey.privateKey, recipientBundle.signedPreKey),
+      await diffieHellman(ephemeralKey.privateKey, recipientBundle.identityExchangeKey),
+      await diffieHellman(ephemeralKey.privateKey, recipientBundle.signedPreKey)
+    ];
+    
+    if (recipientBundle.preKey) {
+      secrets.push(await diffieHellman(ephemeralKey.privateKey, recipientBundle.preKey));
+    }
+    
+    return {
+      sharedSecret: await this.deriveSharedSecret(secrets),
+      ephemeralPublicKey: await exportPublicKey(ephemeralKey.publicKey),
+      associatedData: toArray(concatBytes(
+        await exportPublicKey(this.identityKey.publicKey),
+        recipientBundle.identityKey
+      ))
+    };
+  }
+
+  /**
+   * Create a session from an incoming pre-key message (X3DH responder)
+   * @param {Object} messageBundle - First message of the session
+   * @returns {Promise<Object>} - Session (not yet stored)
+   */
+  async acceptSession(messageBundle) {
+    const { preKey: preKeyMessage, senderId, sessionId } = messageBundle;
+    
+    const signedPreKey = this.signedPreKeyStore.get(preKeyMessage.signedPreKeyId);
+    if (!signedPreKey) {
+      throw new Error('Signed pre-key not found');
+    }
+    
+    const oneTimePreKey = preKeyMessage.preKeyId !== null && preKeyMessage.preKeyId !== undefined
+      ? await this.refreshRecord(KEYSTORE_CONFIG.KINDS.PRE_KEY, preKeyMessage.preKeyId, this.preKeyStore)
+      : null;
+    if (preKeyMessage.preKeyId !== null && preKeyMessage.preKeyId !== undefined && !oneTimePreKey) {
+      throw new Error('Pre-key not found');
+    }
+    if (oneTimePreKey?.used) {
+      throw new Error('Pre-key already used');
+    }
+    
+    const secrets = [
+      await diffieHellman(signedPreKey.keyPair.privateKey, preKeyMessage.identityExchangeKey),
+      await diffieHellman(this.identityExchangeKey.privateKey, preKeyMessage.ephemeralKey),
+      await diffieHellman(signedPreKey.keyPair.privateKey, preKeyMessage.ephemeralKey)
+    ];
+    
+    if (oneTimePreKey) {
+      secrets.push(await diffieHellman(oneTimePreKey.keyPair.privateKey, preKeyMessage.ephemeralKey));
+    }
+    
+    const session = {
+      recipientId: senderId,
+      recipientDeviceId: messageBundle.senderDeviceId,
+      sessionId,
+      established: Date.now(),
+      initiator: false,
+      sendingChain: null,
+      receivingChain: null,
+      rootKey: null,
+      ratchetKeyPair: null,
+      ratchetPublicKey: null,
+      remoteRatchetKey: null,
+      remoteIdentityKey: preKeyMessage.identityKey,
+      previousCounter: 0,
+      pendingPreKey: null,
+      associatedData: toArray(concatBytes(
+        preKeyMessage.identityKey,
+        await exportPublicKey(this.identityKey.publicKey)
+      )),
+      messageKeys: new Map(),
+      skipCount: 0
+    };
+    
+    await this.initializeDoubleRatchet(session, await this.deriveSharedSecret(secrets), {
+      ratchetKeyPair: signedPreKey.keyPair
+    });
+    
+    return session;
+  }
+
+  /**
+   * Retire a one-time pre-key once a session has been created from it
+   * The private key is deleted, so the session's first messages stay secret even if this
+   * device's keys later leak. The record is kept, without keys, so its ID is never reused
+   * and the next bundle publishes a fresh key.
+   * @param {number|null} preKeyId - One-time pre-key ID (null when the bundle had none)
+   * @returns {Promise<void>}
+   */
+  async retirePreKey(preKeyId) {
+    const preKey = preKeyId !== null && preKeyId !== undefined ? this.preKeyStore.get(preKeyId) : null;
+    if (!preKey || preKey.used) {
+      return;
+    }
+    
+    const retired = { id: preKey.id, createdAt: preKey.createdAt, used: true, usedAt: Date.now() };
+    this.preKeyStore.set(retired.id, retired);
+    await this.savePreKeys([retired]);
+  }
+
+  /**
+   * Combine X3DH DH outputs into the initial root key
+   * @param {Array<Uint8Array>} secrets - DH outputs
+   * @returns {Promise<Uint8Array>} - Shared secret
+   */
+  async deriveSharedSecret(secrets) {
+    return hkdf(
+      concatBytes(new Uint8Array(32).fill(0xff), ...secrets),
+      new Uint8Array(32),
+      ENCRYPTION_CONFIG.PROTOCOL.X3DH_INFO,
+      32
+    );
+  }
+
+  /**
+   * Initialize double ratchet for forward secrecy
+   * The initiator starts with a sending chain against the recipient's signed pre-key;
+   * the responder uses its signed pre-key as the first ratchet key and waits for a message.
+   * @param {Object} session - Session object
+   * @param {Uint8Array} sharedSecret - Initial shared secret
+   * @param {Object} options - { remoteRatchetKey } for initiators, { ratchetKeyPair } for responders
+   * @returns {Promise<void>}
+   */
+  async initializeDoubleRatchet(session, sharedSecret, { remoteRatchetKey = null, ratchetKeyPair = null }) {
+    session.rootKey = sharedSecret;
+    session.receivingChain = { chainKey: null, messageNumber: 0 };
+    session.sendingChain = { chainKey: null, messageNumber: 0 };
+    
+    if (remoteRatchetKey) {
+      session.ratchetKeyPair = await generateExchangeKeyPair();
+      session.remoteRatchetKey = remoteRatchetKey;
+      
+      const [rootKey, chainKey] = await this.deriveRootKey(
+        session.rootKey,
+        await diffieHellman(session.ratchetKeyPair.privateKey, remoteRatchetKey)
+      );
+      session.rootKey = rootKey;
+      session.sendingChain = { chainKey, messageNumber: 0 };
+    } else {
+      session.ratchetKeyPair = ratchetKeyPair;
+    }
+    
+    session.ratchetPublicKey = await exportPublicKey(session.ratchetKeyPair.publicKey);
+  }
+
+  /**
+   * Perform a DH ratchet step after receiving a new ratchet key
+   * @param {Object} session - Session object
+   * @param {Object} header - Message header
+   * @returns {Promise<void>}
+   */
+  async ratchetStep(session, header) {
+    session.previousCounter = session.sendingChain.messageNumber;
+    session.remoteRatchetKey = header.dh;
+    
+    const [receivingRoot, receivingChainKey] = await this.deriveRootKey(
+      session.rootKey,
+      await diffieHellman(session.ratchetKeyPair.privateKey, header.dh)
+    );
+    session.receivingChain = { chainKey: receivingChainKey, messageNumber: 0 };
+    
+    session.ratchetKeyPair = await generateExchangeKeyPair();
+    session.ratchetPublicKey = await exportPublicKey(session.ratchetKeyPair.publicKey);
+    
+    const [sendingRoot, sendingChainKey] = await this.deriveRootKey(
+      receivingRoot,
+      await diffieHellman(session.ratchetKeyPair.privateKey, header.dh)
+    );
+    session.rootKey = sendingRoot;
+    session.sendingChain = { chainKey: sendingChainKey, messageNumber: 0 };
+  }
+
+  /**
+   * Derive a new root key and chain key (KDF_RK)
+   * @param {Uint8Array} rootKey - Current root key
+   * @param {Uint8Array} dhOutput - DH output
+   * @returns {Promise<Array<Uint8Array>>} - [rootKey, chainKey]
+   */
+  async deriveRootKey(rootKey, dhOutput) {
+    const output = await hkdf(dhOutput, rootKey, ENCRYPTION_CONFIG.PROTOCOL.RATCHET_INFO, 64);
+    return [output.slice(0, 32), output.slice(32)];
+  }
+
+  /**
+   * Derive message key from chain key
+   * @param {Uint8Array} chainKey - Chain key
    * @returns {Promise<CryptoKey>} - Message key
    */
-  async getMessageKey(session, messageNumber) {
+  async deriveMessageKey(chainKey) {
+    return importMessageKey(await this.deriveMessageKeyBytes(chainKey));
+  }
+
+  /**
+   * Derive raw message key bytes from chain key
+   * @param {Uint8Array} chainKey - Chain key
+   * @returns {Promise<Uint8Array>} - Message key bytes
+   */
+  async deriveMessageKeyBytes(chainKey) {
+    return hmac(chainKey, ENCRYPTION_CONFIG.FORWARD_SECRECY.MESSAGE_KEY_CONSTANT);
+  }
+
+  /**
+   * Advance chain key for forward secrecy
+   * @param {Uint8Array} chainKey - Current chain key
+   * @returns {Promise<Uint8Array>} - New chain key
+   */
+  async advanceChainKey(chainKey) {
+    return hmac(chainKey, ENCRYPTION_CONFIG.FORWARD_SECRECY.CHAIN_KEY_CONSTANT);
+  }
+
+  /**
+   * Get message key for a received message header
+   * Keys for skipped messages are kept so late arrivals can still be decrypted.
+   * @param {Object} session - Session object (mutated)
+   * @param {Object} header - Message header { dh, pn, n }
+   * @returns {Promise<CryptoKey>} - Message key
+   */
+  async getMessageKey(session, header) {
+    const skippedId = `${header.dh.join('.')}:${header.n}`;
+    
     // Check if we have the key cached
-    if (session.messageKeys.has(messageNumber)) {
-      return session.messageKeys.get(messageNumber);
+    if (session.messageKeys.has(skippedId)) {
+      const messageKey = session.messageKeys.get(skippedId);
+      session.messageKeys.delete(skippedId);
+      return importMessageKey(messageKey);
     }
     
-    // TODO: Implement message key derivation for out-of-order messages
-    // For now, use receiving chain key
-    return session.receivingChain.chainKey;
+    if (!equalBytes(header.dh, session.remoteRatchetKey)) {
+      await this.skipMessageKeys(session, header.pn);
+      await this.ratchetStep(session, header);
+    }
+    
+    await this.skipMessageKeys(session, header.n);
+    
+    const messageKey = await this.deriveMessageKey(session.receivingChain.chainKey);
+    session.receivingChain = {
+      chainKey: await this.advanceChainKey(session.receivingChain.chainKey),
+      messageNumber: session.receivingChain.messageNumber + 1
+    };
+    
+    return messageKey;
   }
 
   /**
-   * Rotate keys if needed for forward secrecy
-   * @param {Object} session - Session object
+   * Store message keys for messages skipped in the current receiving chain
+   * @param {Object} session - Session object (mutated)
+   * @param {number} until - Message number to advance to
    * @returns {Promise<void>}
    */
-  async rotateKeysIfNeeded(session) {
-    if (session.sendingChain.messageNumber >= ENCRYPTION_CONFIG.FORWARD_SECRECY.RATCHET_INTERVAL) {
-      // TODO: Implement key rotation
-      console.log('🔄 Key rotation needed (placeholder)');
+  async skipMessageKeys(session, until) {
+    if (!session.receivingChain.chainKey) {
+      return;
+    }
+    
+    if (until - session.receivingChain.messageNumber > ENCRYPTION_CONFIG.FORWARD_SECRECY.MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+    
+    while (session.receivingChain.messageNumber < until) {
+      const skippedId = `${session.remoteRatchetKey.join('.')}:${session.receivingChain.messageNumber}`;
+      session.messageKeys.set(skippedId, await this.deriveMessageKeyBytes(session.receivingChain.chainKey));
+      session.receivingChain = {
+        chainKey: await this.advanceChainKey(session.receivingChain.chainKey),
+        messageNumber: session.receivingChain.messageNumber + 1
+      };
+      session.skipCount++;
+    }
+    
+    // Drop the oldest skipped keys beyond the limit
+    while (session.messageKeys.size > ENCRYPTION_CONFIG.FORWARD_SECRECY.MAX_SKIP) {
+      session.messageKeys.delete(session.messageKeys.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the message key for a sender key iteration, keeping keys for skipped iterations
+   * @param {Object} state - Received sender key state (mutated)
+   * @param {number} iteration - Message iteration
+   * @returns {Promise<CryptoKey>} - Message key
+   */
+  async getSenderMessageKey(state, iteration) {
+    if (iteration < state.iteration) {
+      const messageKey = state.messageKeys.get(iteration);
+      if (!messageKey) {
+        throw new Error('Message key already used or expired');
+      }
+      state.messageKeys.delete(iteration);
+      return importMessageKey(messageKey);
+    }
+    
+    if (iteration - state.iteration > ENCRYPTION_CONFIG.FORWARD_SECRECY.MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+    
+    while (state.iteration < iteration) {
+      state.messageKeys.set(state.iteration, await this.deriveMessageKeyBytes(state.chainKey));
+      state.chainKey = await this.advanceChainKey(state.chainKey);
+      state.iteration++;
+    }
+    
+    while (state.messageKeys.size > ENCRYPTION_CONFIG.FORWARD_SECRECY.MAX_SKIP) {
+      state.messageKeys.delete(state.messageKeys.keys().next().value);
+    }
+    
+    const messageKey = await this.deriveMessageKey(state.chainKey);
+    state.chainKey = await this.advanceChainKey(state.chainKey);
+    state.iteration++;
+    
+    return messageKey;
+  }
+
+  /**
+   * Build AEAD associated data for a group message
+   * @param {Object} header - { groupId, senderId, keyId, iteration }
+   * @returns {Uint8Array} - Associated data
+   */
+  buildGroupAssociatedData(header) {
+    return new TextEncoder().encode(
+      JSON.stringify([header.groupId, header.senderId, header.keyId, header.iteration])
+    );
+  }
+
+  /**
+   * Make a session the one used for sending to its peer
+   * When both users start a session at the same time, the one started by the
+   * user with the lower ID wins so both sides settle on the same session.
+   * @param {Object} session - Session that just decrypted a message
+   */
+  activateSession(session) {
+    const address = deviceAddress(session.recipientId, session.recipientDeviceId);
+    const activeId = this.activeSessions.get(address);
+    const active = this.sessionStore.get(activeId);
+    
+    if (!active || active.sessionId === session.sessionId) {
+      this.activeSessions.set(address, session.sessionId);
+      return;
+    }
+    
+    const activeUnconfirmed = active.initiator && active.pendingPreKey;
+    if (!activeUnconfirmed || address < deviceAddress(this.userId, this.deviceId)) {
+      this.activeSessions.set(address, session.sessionId);
     }
   }
 
+  /**
+   * Copy session state so a failed decryption leaves the stored session untouched
+   * @param {Object} session - Session object
+   * @returns {Object} - Working copy
+   */
+  cloneSession(session) {
+    return {
+      ...session,
+      sendingChain: { ...session.sendingChain },
+      receivingChain: { ...session.receivingChain },
+      messageKeys: new Map(session.messageKeys)
+    };
+  }
+
+  /**
+   * Build AEAD associated data binding both identities and the message header
+   * @param {Object} session - Session object
+   * @param {Object} header - Message header
+   * @returns {Uint8Array} - Associated data
+   */
+  buildAssociatedData(session, header) {
+    return concatBytes(
+      session.associatedData,
+      new TextEncoder().encode(JSON.stringify([header.dh, header.pn, header.n]))
+    );
+  }
+
   /**
    * Generate session ID
    * @param {string} recipientId - Recipient user ID
+   * @param {string} deviceId - Recipient device ID
    * @returns {string} - Session ID
    */
-  generateSessionId(recipientId) {
-    // TODO: Use current user ID in session ID
-    return `session_${recipientId}_${Date.now()}`;
+  generateSessionId(recipientId, deviceId) {
+    const random = toArray(window.crypto.getRandomValues(new Uint8Array(6)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    
+    return `session_${this.userId}.${this.deviceId}_${recipientId}.${deviceId}_${Date.now()}_${random}`;
+  }
+
+  /**
+   * Initialize the key protecting the sender's own message copies
+   * @returns {Promise<void>}
+   */
+  async initializeLocalKey() {
+    this.localKey = await this.loadLocalKey();
+    
+    if (!this.localKey) {
+      this.localKey = await window.crypto.subtle.generateKey(
+        ENCRYPTION_CONFIG.KEY_SPECS.SYMMETRIC,
+        true,
+        ['encrypt', 'decrypt']
+      );
+      await this.saveLocalKey(this.localKey);
+    }
+  }
+
+  // Storage methods (no-ops when running without a keystore)
+
+  /**
+   * Run an operation that reads and advances stored key state
+   * With a keystore this holds the cross-tab lock; operations must not nest.
+   * @param {function(): Promise<*>} operation - Operation
+   * @returns {Promise<*>} - Operation result
+   */
+  transact(operation) {
+    return this.keyStore ? this.keyStore.withLock(operation) : operation();
+  }
+
+  /**
+   * Reload a cached record if another tab changed it
+   * @param {string} kind - Keystore record kind
+   * @param {string|number} id - Record ID (also the cache key)
+   * @param {Map} cache - In-memory cache for the kind
+   * @returns {Promise<Object|undefined>} - Current value
+   */
+  async refreshRecord(kind, id, cache) {
+    if (this.keyStore) {
+      const stored = await this.keyStore.refresh(kind, id);
+      if (stored === null) {
+        cache.delete(id);
+      } else if (stored !== undefined) {
+        cache.set(id, stored);
+      }
+    }
+    
+    return cache.get(id);
+  }
+
+  /**
+   * Reload which session is used for each peer if another tab changed it
+   * @returns {Promise<void>}
+   */
+  async refreshActiveSessions() {
+    if (!this.keyStore) {
+      return;
+    }
+    
+    const stored = await this.keyStore.refresh(KEYSTORE_CONFIG.KINDS.ACTIVE_SESSIONS, 'all');
+    if (stored !== undefined) {
+      this.activeSessions = stored || new Map();
+    }
+  }
+
+  /**
+   * Get the up-to-date sending session for a peer device
+   * @param {string} recipientId - Peer user ID
+   * @param {string} deviceId - Peer device ID
+   * @returns {Promise<Object|undefined>} - Session
+   */
+  async refreshPeerSession(recipientId, deviceId) {
+    await this.refreshActiveSessions();
+    
+    const sessionId = this.activeSessions.get(deviceAddress(recipientId, deviceId));
+    return sessionId
+      ? this.refreshRecord(KEYSTORE_CONFIG.KINDS.SESSION, sessionId, this.sessionStore)
+      : undefined;
   }
 
-  // Storage methods (TODO: Implement secure storage)
+  /**
+   * Load pre-keys, sessions and sender keys saved by earlier visits or other tabs
+   * @returns {Promise<void>}
+   */
+  async loadStoredState() {
+    if (!this.keyStore) {
+      return;
+    }
+    
+    const { KINDS } = KEYSTORE_CONFIG;
+    
+    await this.loadPreKeys();
+    
+    (await this.keyStore.getAll(KINDS.SESSION)).forEach(session => {
+      this.sessionStore.set(session.sessionId, session);
+    });
+    this.activeSessions = (await this.keyStore.get(KINDS.ACTIVE_SESSIONS, 'all')) || new Map();
+    
+    (await this.keyStore.getAll(KINDS.SENDER_KEY)).forEach(senderKey => {
+      this.senderKeys.set(senderKey.groupId, senderKey);
+    });
+    (await this.keyStore.getAll(KINDS.RECEIVED_SENDER_KEY)).forEach(state => {
+      this.receivedSenderKeys.set(`${state.groupId}:${state.senderId}:${state.keyId}`, state);
+    });
+    
+    (await this.keyStore.getAll(KINDS.VERIFIED_IDENTITY)).forEach(verification => {
+      this.verifiedIdentities.set(verification.userId, verification);
+    });
+  }
 
   /**
-   * Load identity key from storage
-   * @returns {Promise<CryptoKeyPair|null>} - Identity key pair
+   * Reload signed and one-time pre-keys, including ones other tabs generated or used
+   * @returns {Promise<void>}
+   */
+  async loadPreKeys() {
+    if (!this.keyStore) {
+      return;
+    }
+    
+    const { KINDS } = KEYSTORE_CONFIG;
+    
+    this.signedPreKeyStore = new Map();
+    (await this.keyStore.getAll(KINDS.SIGNED_PRE_KEY)).forEach(signedPreKey => {
+      this.signedPreKeyStore.set(signedPreKey.id, signedPreKey);
+      this.signedPreKeyId = Math.max(this.signedPreKeyId || 0, signedPreKey.id);
+    });
+    
+    this.preKeyStore = new Map();
+    (await this.keyStore.getAll(KINDS.PRE_KEY)).forEach(preKey => {
+      this.preKeyStore.set(preKey.id, preKey);
+      this.nextPreKeyId = Math.max(this.nextPreKeyId, preKey.id + 1);
+    });
+  }
+
+  /**
+   * Save this device's ID to storage
+   * @returns {Promise<void>}
+   */
+  async saveDevice() {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.DEVICE, 'device', { deviceId: this.deviceId });
+  }
+
+  /**
+   * Load identity keys from storage
+   * @returns {Promise<Object|null>} - { identityKey, identityExchangeKey }
    */
   async loadIdentityKey() {
-    // TODO: Implement secure storage
-    return null;
+    return this.keyStore ? this.keyStore.get(KEYSTORE_CONFIG.KINDS.IDENTITY, 'identity') : null;
   }
 
   /**
-   * Save identity key to storage
-   * @param {CryptoKeyPair} keyPair - Identity key pair
+   * Save identity keys to storage
+   * @param {Object} identity - { identityKey, identityExchangeKey }
    * @returns {Promise<void>}
    */
-  async saveIdentityKey(keyPair) {
-    // TODO: Implement secure storage
-    console.log('💾 Identity key saved (placeholder)');
+  async saveIdentityKey(identity) {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.IDENTITY, 'identity', identity);
+  }
+
+  /**
+   * Save signed pre-key to storage
+   * @param {Object} signedPreKey - Signed pre-key
+   * @returns {Promise<void>}
+   */
+  async saveSignedPreKey(signedPreKey) {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.SIGNED_PRE_KEY, signedPreKey.id, signedPreKey);
   }
 
   /**
@@ -505,8 +1921,57 @@ export class EncryptionService {
    * @returns {Promise<void>}
    */
   async savePreKeys(preKeys) {
-    // TODO: Implement secure storage
-    console.log(`💾 ${preKeys.length} pre-keys saved (placeholder)`);
+    for (const preKey of preKeys) {
+      await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.PRE_KEY, preKey.id, preKey);
+    }
+  }
+
+  /**
+   * Delete a retired signed pre-key from storage
+   * @param {number} id - Signed pre-key ID
+   * @returns {Promise<void>}
+   */
+  async deleteSignedPreKey(id) {
+    await this.keyStore?.delete(KEYSTORE_CONFIG.KINDS.SIGNED_PRE_KEY, id);
+  }
+
+  /**
+   * Load the local message key from storage
+   * @returns {Promise<CryptoKey|null>} - Local key
+   */
+  async loadLocalKey() {
+    return this.keyStore ? this.keyStore.get(KEYSTORE_CONFIG.KINDS.LOCAL_KEY, 'local') : null;
+  }
+
+  /**
+   * Save the local message key to storage
+   * @param {CryptoKey} key - Local key
+   * @returns {Promise<void>}
+   */
+  async saveLocalKey(key) {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.LOCAL_KEY, 'local', key);
+  }
+
+  /**
+   * Save this user's sender key to storage
+   * @param {Object} senderKey - Sender key state
+   * @returns {Promise<void>}
+   */
+  async saveSenderKey(senderKey) {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.SENDER_KEY, senderKey.groupId, senderKey);
+  }
+
+  /**
+   * Save a received sender key to storage
+   * @param {Object} state - Received sender key state
+   * @returns {Promise<void>}
+   */
+  async saveReceivedSenderKey(state) {
+    await this.keyStore?.put(
+      KEYSTORE_CONFIG.KINDS.RECEIVED_SENDER_KEY,
+      `${state.groupId}:${state.senderId}:${state.keyId}`,
+      state
+    );
   }
 
   /**
@@ -515,8 +1980,105 @@ export class EncryptionService {
    * @returns {Promise<void>}
    */
   async saveSession(session) {
-    // TODO: Implement secure storage
-    console.log(`💾 Session ${session.sessionId} saved (placeholder)`);
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.SESSION, session.sessionId, session);
+  }
+
+  /**
+   * Load the key that encrypts this user's server-side key backup
+   * @returns {Promise<Object|null>} - { keyBytes, salt, kdf, secretType, lastBackupAt }
+   */
+  async loadBackupKey() {
+    return this.keyStore ? this.keyStore.get(KEYSTORE_CONFIG.KINDS.BACKUP_KEY, 'backup') : null;
+  }
+
+  /**
+   * Save the backup key so the backup can be refreshed without asking for the secret again
+   * @param {Object|null} backupKey - Backup key record, or null to forget it
+   * @returns {Promise<void>}
+   */
+  async saveBackupKey(backupKey) {
+    if (!this.keyStore) {
+      return;
+    }
+    
+    await this.keyStore.refresh(KEYSTORE_CONFIG.KINDS.BACKUP_KEY, 'backup');
+    if (backupKey) {
+      await this.keyStore.put(KEYSTORE_CONFIG.KINDS.BACKUP_KEY, 'backup', backupKey);
+    } else {
+      await this.keyStore.delete(KEYSTORE_CONFIG.KINDS.BACKUP_KEY, 'backup');
+    }
+  }
+
+  /**
+   * Load a message this user already decrypted on this device
+   * @param {string} cacheId - Envelope identifier
+   * @returns {Promise<string|null>} - Plaintext
+   */
+  async loadDecryptedMessage(cacheId) {
+    return this.keyStore ? this.keyStore.get(KEYSTORE_CONFIG.KINDS.MESSAGE, cacheId) : null;
+  }
+
+  /**
+   * Keep a decrypted message so other tabs and later visits can show it
+   * @param {string} cacheId - Envelope identifier
+   * @param {string} plaintext - Plaintext
+   * @returns {Promise<void>}
+   */
+  async saveDecryptedMessage(cacheId, plaintext) {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.MESSAGE, cacheId, plaintext);
+  }
+
+  /**
+   * Remember when a cached disappearing message expires
+   * @param {string} cacheId - Envelope identifier
+   * @param {string} expiresAt - Expiry time (ISO string)
+   * @returns {Promise<void>}
+   */
+  async saveDecryptedMessageExpiry(cacheId, expiresAt) {
+    if (!this.keyStore) {
+      return;
+    }
+    
+    await this.keyStore.refresh(KEYSTORE_CONFIG.KINDS.MESSAGE_EXPIRY, cacheId);
+    await this.keyStore.put(KEYSTORE_CONFIG.KINDS.MESSAGE_EXPIRY, cacheId, { cacheId, expiresAt });
+  }
+
+  /**
+   * Delete a decrypted message from this device's cache
+   * @param {string} cacheId - Envelope identifier
+   * @returns {Promise<void>}
+   */
+  async deleteDecryptedMessage(cacheId) {
+    await this.keyStore?.delete(KEYSTORE_CONFIG.KINDS.MESSAGE, cacheId);
+    await this.keyStore?.delete(KEYSTORE_CONFIG.KINDS.MESSAGE_EXPIRY, cacheId);
+  }
+
+  /**
+   * Delete cached disappearing messages that expired, including ones that expired
+   * while this device was offline
+   * @returns {Promise<number>} - Number of messages deleted
+   */
+  async purgeExpiredDecryptedMessages() {
+    if (!this.keyStore) {
+      return 0;
+    }
+    
+    const now = Date.now();
+    const expired = (await this.keyStore.getAll(KEYSTORE_CONFIG.KINDS.MESSAGE_EXPIRY))
+      .filter(record => new Date(record.expiresAt).getTime() <= now);
+    
+    for (const { cacheId } of expired) {
+      await this.deleteDecryptedMessage(cacheId);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Save which session is used for each peer
+   * @returns {Promise<void>}
+   */
+  async saveActiveSessions() {
+    await this.keyStore?.put(KEYSTORE_CONFIG.KINDS.ACTIVE_SESSIONS, 'all', this.activeSessions);
   }
 }
 
@@ -525,16 +2087,18 @@ export const encryptionService = new EncryptionService();
 
 /**
  * Initialize encryption for the application
+ * @param {string} userId - Current user ID
+ * @param {string} passphrase - Keystore passphrase
  * @returns {Promise<boolean>} - Success status
  */
-export async function initializeEncryption() {
+export async function initializeEncryption(userId = null, passphrase = null) {
   try {
     // Check if Web Crypto API is available
     if (!window.crypto || !window.crypto.subtle) {
       throw new Error('Web Crypto API not available');
     }
     
-    return await encryptionService.initialize();
+    return await encryptionService.initialize(userId, passphrase);
   } catch (error) {
     console.error('Failed to initialize encryption:', error);
     return false;
@@ -542,13 +2106,14 @@ export async function initializeEncryption() {
 }
 
 /**
- * Encrypt message for recipient
+ * Encrypt message for one of a recipient's devices
  * @param {string} recipientId - Recipient user ID
  * @param {string} message - Message to encrypt
+ * @param {string} deviceId - Recipient device ID
  * @returns {Promise<Object>} - Encrypted message bundle
  */
-export async function encryptMessage(recipientId, message) {
-  return encryptionService.encryptMessage(recipientId, message);
+export async function encryptMessage(recipientId, message, deviceId) {
+  return encryptionService.encryptMessage(recipientId, message, deviceId);
 }
 
 /**
@@ -569,11 +2134,11 @@ export async function getPublicKeyBundle() {
 }
 
 /**
- * Establish secure session with user
+ * Establish secure session with one of a user's devices
  * @param {string} recipientId - Recipient user ID
- * @param {Object} recipientBundle - Recipient's key bundle
+ * @param {Object} recipientBundle - Key bundle of the recipient device
  * @returns {Promise<Object>} - Session information
  */
 export async function establishSession(recipientId, recipientBundle) {
   return encryptionService.establishSession(recipientId, recipientBundle);
-}
\ No newline at end of file
+}
@@ -0,0 +1,181 @@
+/**
+ * Key Directory for Shadow-Bind
+ * Publishes each user's public key bundles so others can start encrypted sessions
+ *
+ * Firestore layout:
+ * /keyDirectory/{userId}
+ *   { userId, bundle, devices: { [deviceId]: { bundle, certificate, name, linkedAt } }, updatedAt }
+ * `bundle` belongs to the user's main device, whose identity key is the account identity
+ * shown in safety numbers. Linked devices carry a certificate signed by that key.
+ * Only public keys are ever written here.
+ */
+
+import { db } from '../firebase';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteField,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Publish the main device's public key bundle, keeping linked devices
+ * @param {string} userId - User ID
+ * @param {Object} bundle - Public key bundle from EncryptionService.getPublicKeyBundle
+ * @returns {Promise<void>}
+ */
+export async function publishKeyBundle(userId, bundle) {
+  try {
+    await setDoc(doc(db, 'keyDirectory', userId), {
+      userId,
+      bundle,
+      updatedAt: serverTimestamp()
+    }, { mergeFields: ['userId', 'bundle', 'updatedAt'] });
+  } catch (error) {
+    console.error('Error publishing key bundle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a device the main device with a new account identity
+ * Linked devices were vouched for by the old identity, so they are removed.
+ * @param {string} userId - User ID
+ * @param {Object} bundle - Public key bundle of the new main device
+ * @returns {Promise<void>}
+ */
+export async function replaceKeyDirectoryEntry(userId, bundle) {
+  try {
+    await setDoc(doc(db, 'keyDirectory', userId), {
+      userId,
+      bundle,
+      devices: {},
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error replacing key directory entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publish a linked device's current public key bundle
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Linked device ID
+ * @param {Object} bundle - Public key bundle of the device
+ * @returns {Promise<void>}
+ */
+export async function publishDeviceBundle(userId, deviceId, bundle) {
+  try {
+    await updateDoc(doc(db, 'keyDirectory', userId), {
+      [`devices.${deviceId}.bundle`]: bundle,
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error publishing device bundle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a linked device to a user's directory entry
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Linked device ID
+ * @param {Object} device - { bundle, certificate, name }
+ * @returns {Promise<void>}
+ */
+export async function addLinkedDevice(userId, deviceId, { bundle, certificate, name }) {
+  try {
+    await updateDoc(doc(db, 'keyDirectory', userId), {
+      [`devices.${deviceId}`]: {
+        bundle,
+        certificate,
+        name,
+        linkedAt: serverTimestamp()
+      },
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error adding linked device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a linked device; senders stop encrypting for it
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Linked device ID
+ * @returns {Promise<void>}
+ */
+export async function removeLinkedDevice(userId, deviceId) {
+  try {
+    await updateDoc(doc(db, 'keyDirectory', userId), {
+      [`devices.${deviceId}`]: deleteField(),
+      updatedAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error removing linked device:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up a user's whole directory entry, including linked devices
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { bundle, devices }, or null if the user has not published keys
+ */
+export async function getKeyDirectoryEntry(userId) {
+  try {
+    const snapshot = await getDoc(doc(db, 'keyDirectory', userId));
+    return snapshot.exists() ? snapshot.data() : null;
+  } catch (error) {
+    console.error('Error fetching key directory entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to a user's whole directory entry
+ * @param {string} userId - User ID
+ * @param {function(Object|null): void} callback - Called with the entry, or null if none is published
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToKeyDirectoryEntry(userId, callback) {
+  return onSnapshot(doc(db, 'keyDirectory', userId), (snapshot) => {
+    callback(snapshot.exists() ? snapshot.data() : null);
+  }, (error) => {
+    console.error('Error subscribing to key directory entry:', error);
+  });
+}
+
+/**
+ * Look up the public key bundle of a user's main device
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Public key bundle, or null if the user has not published one
+ */
+export async function getKeyBundle(userId) {
+  try {
+    const snapshot = await getDoc(doc(db, 'keyDirectory', userId));
+    return snapshot.exists() ? snapshot.data().bundle : null;
+  } catch (error) {
+    console.error('Error fetching key bundle:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to the published key bundle of a user's main device
+ * @param {string} userId - User ID
+ * @param {function(Object|null): void} callback - Called with the bundle, or null if none is published
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToKeyBundle(userId, callback) {
+  return onSnapshot(doc(db, 'keyDirectory', userId), (snapshot) => {
+    callback(snapshot.exists() ? snapshot.data().bundle : null);
+  }, (error) => {
+    console.error('Error subscribing to key bundle:', error);
+  });
+}
@@ -0,0 +1,480 @@
+/**
+ * Encrypted Key Storage for Shadow-Bind
+ * Persists EncryptionService keys and ratchet state in IndexedDB
+ *
+ * Every record is sealed with AES-GCM under a wrapping key derived from the
+ * user's passphrase with PBKDF2, so private keys never touch disk in the clear.
+ * Updates run under a Web Lock shared by all tabs of the same user and are
+ * written with a version check, so two tabs cannot advance the same ratchet
+ * from the same starting point.
+ */
+
+/**
+ * Keystore configuration
+ */
+export const KEYSTORE_CONFIG = {
+  DB_NAME: 'shadow-bind-keys',
+  DB_VERSION: 1,
+  META_STORE: 'meta',
+  RECORD_STORE: 'records',
+
+  // Record kinds
+  KINDS: {
+    IDENTITY: 'identity',
+    SIGNED_PRE_KEY: 'signedPreKey',
+    PRE_KEY: 'preKey',
+    LOCAL_KEY: 'localKey',
+    SESSION: 'session',
+    ACTIVE_SESSIONS: 'activeSessions',
+    SENDER_KEY: 'senderKey',
+    RECEIVED_SENDER_KEY: 'receivedSenderKey',
+    VERIFIED_IDENTITY: 'verifiedIdentity',
+    BACKUP_KEY: 'backupKey',
+    DEVICE: 'device',
+    MESSAGE: 'message', // decrypted message cache, keyed by envelope
+    MESSAGE_EXPIRY: 'messageExpiry' // when cached disappearing messages must be deleted
+  },
+
+  // Encrypted with the wrapping key to tell a wrong passphrase from a corrupt record
+  VERIFIER: 'shadow-bind-keystore',
+
+  MIN_PASSPHRASE_LENGTH: 8
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether persistent key storage can be used in this environment
+ * @returns {boolean} - IndexedDB and Web Crypto availability
+ */
+export function isKeystoreSupported() {
+  return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Open (and upgrade) the key database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(KEYSTORE_CONFIG.DB_NAME, KEYSTORE_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(KEYSTORE_CONFIG.META_STORE, { keyPath: 'userId' });
+        const records = request.result.createObjectStore(KEYSTORE_CONFIG.RECORD_STORE, { keyPath: 'key' });
+        records.createIndex('owner', ['userId', 'kind']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run an operation inside a single IndexedDB transaction
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode
+ * @param {function(IDBObjectStore, IDBTransaction): IDBRequest|void} operation - Store operation
+ * @returns {Promise<*>} - Result of the returned request
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName), transaction);
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || keystoreError('Key update conflict', 'keystore-conflict'));
+  });
+}
+
+/**
+ * Create a keystore error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error
+ */
+function keystoreError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Convert a value with typed arrays, Maps and CryptoKeys into JSON-safe data
+ * @param {*} value - Value
+ * @returns {Promise<*>} - Serializable value
+ */
+export async function serializeValue(value) {
+  if (value instanceof CryptoKey) {
+    return {
+      $cryptoKey: {
+        jwk: await crypto.subtle.exportKey('jwk', value),
+        algorithm: value.algorithm,
+        usages: value.usages
+      }
+    };
+  }
+  if (value instanceof Uint8Array) {
+    return { $bytes: Array.from(value) };
+  }
+  if (value instanceof Map) {
+    const entries = [];
+    for (const [key, item] of value) {
+      entries.push([key, await serializeValue(item)]);
+    }
+    return { $map: entries };
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(serializeValue));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = await serializeValue(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Restore a value produced by serializeValue
+ * @param {*} value - Serialized value
+ * @returns {Promise<*>} - Original value
+ */
+export async function deserializeValue(value) {
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(deserializeValue));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value.$cryptoKey) {
+    const { jwk, algorithm, usages } = value.$cryptoKey;
+    return crypto.subtle.importKey('jwk', jwk, algorithm, true, usages);
+  }
+  if (value.$bytes) {
+    return new Uint8Array(value.$bytes);
+  }
+  if (value.$map) {
+    const entries = [];
+    for (const [key, item] of value.$map) {
+      entries.push([key, await deserializeValue(item)]);
+    }
+    return new Map(entries);
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = await deserializeValue(item);
+  }
+  return result;
+}
+
+/**
+ * Derive the AES-GCM wrapping key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Per-user salt
+ * @param {Object} kdf - PBKDF2 parameters { name, hash, iterations }
+ * @returns {Promise<CryptoKey>} - Wrapping key
+ */
+async function deriveWrappingKey(passphrase, salt, kdf) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    kdf.name,
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a user already has a keystore on this device
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether a passphrase was set up before
+ */
+export async function hasKeyStore(userId) {
+  if (!isKeystoreSupported()) {
+    return false;
+  }
+
+  const meta = await withStore(KEYSTORE_CONFIG.META_STORE, 'readonly', store => store.get(userId));
+  return !!meta;
+}
+
+/**
+ * Encrypted record storage for one user
+ */
+export class KeyStore {
+  constructor(userId, wrappingKey) {
+    this.userId = userId;
+    this.wrappingKey = wrappingKey;
+    this.versions = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run an update exclusively across every tab of this user
+   * Falls back to an in-tab queue where Web Locks are unavailable;
+   * version checks on write still catch conflicting tabs there.
+   * @param {function(): Promise<*>} operation - Operation
+   * @returns {Promise<*>} - Operation result
+   */
+  withLock(operation) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(`${KEYSTORE_CONFIG.DB_NAME}:${this.userId}`, operation);
+    }
+
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read and decrypt a record
+   * @param {string} kind - Record kind
+   * @param {string|number} id - Record ID
+   * @returns {Promise<*>} - Stored value, or null
+   */
+  async get(kind, id) {
+    const record = await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readonly', store =>
+      store.get(this.recordKey(kind, id))
+    );
+    if (!record) {
+      return null;
+    }
+
+    this.versions.set(record.key, record.version);
+    return this.open(record);
+  }
+
+  /**
+   * Read a record only if another tab changed it since this tab last read or wrote it
+   * @param {string} kind - Record kind
+   * @param {string|number} id - Record ID
+   * @returns {Promise<*>} - New value, or undefined when unchanged
+   */
+  async refresh(kind, id) {
+    const key = this.recordKey(kind, id);
+    const record = await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readonly', store => store.get(key));
+
+    if ((record?.version ?? undefined) === this.versions.get(key)) {
+      return undefined;
+    }
+    if (!record) {
+      this.versions.delete(key);
+      return null;
+    }
+
+    this.versions.set(key, record.version);
+    return this.open(record);
+  }
+
+  /**
+   * Read and decrypt every record of a kind
+   * @param {string} kind - Record kind
+   * @returns {Promise<Array>} - Stored values
+   */
+  async getAll(kind) {
+    const records = await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readonly', store =>
+      store.index('owner').getAll([this.userId, kind])
+    );
+
+    const values = [];
+    for (const record of records) {
+      this.versions.set(record.key, record.version);
+      values.push(await this.open(record));
+    }
+    return values;
+  }
+
+  /**
+   * Encrypt and write a record
+   * The write fails if another tab changed the record after this tab last saw it.
+   * @param {string} kind - Record kind
+   * @param {string|number} id - Record ID
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async put(kind, id, value) {
+    const key = this.recordKey(kind, id);
+    const expectedVersion = this.versions.get(key);
+    const sealed = await this.seal(value);
+    const record = {
+      key,
+      userId: this.userId,
+      kind,
+      id,
+      version: (expectedVersion || 0) + 1,
+      ...sealed,
+      updatedAt: Date.now()
+    };
+
+    await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readwrite', (store, transaction) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (request.result?.version !== expectedVersion) {
+          transaction.abort();
+          return;
+        }
+        store.put(record);
+      };
+    });
+
+    this.versions.set(key, record.version);
+  }
+
+  /**
+   * Delete a record
+   * @param {string} kind - Record kind
+   * @param {string|number} id - Record ID
+   * @returns {Promise<void>}
+   */
+  async delete(kind, id) {
+    const key = this.recordKey(kind, id);
+    await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readwrite', store => store.delete(key));
+    this.versions.delete(key);
+  }
+
+  /**
+   * Delete every record of a kind
+   * @param {string} kind - Record kind
+   * @returns {Promise<void>}
+   */
+  async deleteAll(kind) {
+    const keys = await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readonly', store =>
+      store.index('owner').getAllKeys([this.userId, kind])
+    );
+
+    await withStore(KEYSTORE_CONFIG.RECORD_STORE, 'readwrite', store => {
+      keys.forEach(key => store.delete(key));
+    });
+    keys.forEach(key => this.versions.delete(key));
+  }
+
+  /**
+   * Build the primary key of a record
+   * @param {string} kind - Record kind
+   * @param {string|number} id - Record ID
+   * @returns {string} - Record key
+   */
+  recordKey(kind, id) {
+    return `${this.userId}:${kind}:${id}`;
+  }
+
+  /**
+   * Encrypt a value with the wrapping key
+   * @param {*} value - Value
+   * @returns {Promise<Object>} - { iv, ciphertext }
+   */
+  async seal(value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(await serializeValue(value)));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.wrappingKey, plaintext);
+
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+  }
+
+  /**
+   * Decrypt a stored record
+   * @param {Object} record - Stored record
+   * @returns {Promise<*>} - Value
+   */
+  async open(record) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.iv },
+      this.wrappingKey,
+      record.ciphertext
+    );
+
+    return deserializeValue(JSON.parse(new TextDecoder().decode(plaintext)));
+  }
+}
+
+/**
+ * Unlock (or create) a user's keystore with their passphrase
+ * The PBKDF2 parameters are saved with the salt, so changing the defaults later
+ * does not lock anyone out of an existing store.
+ * @param {string} userId - User ID
+ * @param {string} passphrase - User passphrase
+ * @param {Object} kdf - PBKDF2 defaults { name, hash, iterations, salt_length } for new stores
+ * @returns {Promise<KeyStore>} - Unlocked keystore
+ */
+export async function openKeyStore(userId, passphrase, kdf) {
+  if (!passphrase) {
+    throw keystoreError('A passphrase is required to unlock encryption keys', 'keystore-locked');
+  }
+
+  const existing = await withStore(KEYSTORE_CONFIG.META_STORE, 'readonly', store => store.get(userId));
+
+  if (existing) {
+    const wrappingKey = await deriveWrappingKey(passphrase, existing.salt, existing.kdf);
+
+    try {
+      const verifier = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: existing.verifier.iv },
+        wrappingKey,
+        existing.verifier.ciphertext
+      );
+      if (new TextDecoder().decode(verifier) !== KEYSTORE_CONFIG.VERIFIER) {
+        throw new Error('Verifier mismatch');
+      }
+    } catch (error) {
+      throw keystoreError('Incorrect passphrase', 'wrong-passphrase');
+    }
+
+    return new KeyStore(userId, wrappingKey);
+  }
+
+  if (passphrase.length < KEYSTORE_CONFIG.MIN_PASSPHRASE_LENGTH) {
+    throw keystoreError(
+      `Passphrase must be at least ${KEYSTORE_CONFIG.MIN_PASSPHRASE_LENGTH} characters`,
+      'weak-passphrase'
+    );
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(kdf.salt_length));
+  const kdfParams = { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations };
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, kdfParams);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    wrappingKey,
+    new TextEncoder().encode(KEYSTORE_CONFIG.VERIFIER)
+  );
+
+  // add() rather than put(): if another tab created the store first, unlock that one instead
+  try {
+    await withStore(KEYSTORE_CONFIG.META_STORE, 'readwrite', store => store.add({
+      userId,
+      salt,
+      kdf: kdfParams,
+      verifier: { iv, ciphertext: new Uint8Array(ciphertext) },
+      createdAt: Date.now()
+    }));
+  } catch (error) {
+    if (error?.name === 'ConstraintError') {
+      return openKeyStore(userId, passphrase, kdf);
+    }
+    throw error;
+  }
+
+  return new KeyStore(userId, wrappingKey);
+}
@@ -0,0 +1,443 @@
+/**
+ * Chat Message Encryption for Shadow-Bind
+ * Connects EncryptionService sessions to chat messages
+ *
+ * Encrypted messages carry an `e2ee` payload instead of text:
+ * {
+ *   version: 1,
+ *   senderId: string,
+ *   senderDeviceId: string,
+ *   envelopes: { [userId]: { [deviceId]: messageBundle } },  // one ratchet message per device,
+ *                                                            // including the sender's other devices
+ *   self: { iv, ciphertext }                                 // sending device's copy (local key)
+ * }
+ *
+ * Group messages are encrypted once with the sending device's sender key instead:
+ * {
+ *   version: 1,
+ *   scheme: 'sender_key',
+ *   senderId: string,
+ *   senderDeviceId: string,
+ *   group: groupMessageBundle,
+ *   self: { iv, ciphertext }
+ * }
+ * Sender keys reach every member device (and the sender's other devices) through
+ * ./senderKeys, encrypted over pairwise sessions. Device lists come from ./devices.
+ */
+
+import { encryptionService, initializeEncryption, deviceAddress } from './e2ee';
+import { isKeystoreSupported } from './keystore';
+import { refreshKeyBackupIfStale } from './backup';
+import { DEVICE_CONFIG, publishDeviceKeys, getUserDevices, isUserDevice } from './devices';
+import { maintainPreKeys, claimPreKeyBundle } from './preKeys';
+import {
+  sendSenderKeyDistribution,
+  deleteSenderKeyDistribution,
+  subscribeToSenderKeyDistributions
+} from './senderKeys';
+
+export const E2EE_VERSION = 1;
+export const SENDER_KEY_SCHEME = 'sender_key';
+
+// Ratchet message keys are single-use, so results are cached per envelope
+const decryptionCache = new Map();
+
+// Distribution documents already handled, so snapshot repeats are ignored
+const processedDistributions = new Set();
+
+// Session state must not be advanced by two operations at once
+let operationQueue = Promise.resolve();
+
+/**
+ * Run an operation after all previously queued session operations
+ * @param {function(): Promise<*>} operation - Operation
+ * @returns {Promise<*>} - Operation result
+ */
+function runExclusive(operation) {
+  const result = operationQueue.then(operation);
+  operationQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check whether the user must enter their passphrase before encryption can start
+ * @param {string} userId - Current user ID
+ * @returns {boolean} - Whether the keystore is still locked
+ */
+export function isEncryptionLocked(userId) {
+  return isKeystoreSupported() && !(encryptionService.isInitialized && encryptionService.userId === userId);
+}
+
+/**
+ * Initialize encryption for a user and publish this device's key bundle
+ * A device that has not been linked to the account yet is not ready: see ./deviceLinking.
+ * @param {string} userId - Current user ID
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function initializeChatEncryption(userId, passphrase = null) {
+  try {
+    if (!await initializeEncryption(userId, passphrase)) {
+      return false;
+    }
+
+    // Disappearing messages may have expired while this device was away
+    await encryptionService.purgeExpiredDecryptedMessages()
+      .catch(error => console.error('Error purging expired messages:', error));
+
+    if (await publishDeviceKeys(userId) === DEVICE_CONFIG.STATUS.UNLINKED) {
+      return false;
+    }
+
+    // Sessions have moved on since the last visit; don't hold up the chat for the upload
+    refreshKeyBackupIfStale(userId);
+    maintainPreKeys(userId, { force: true });
+    return true;
+  } catch (error) {
+    console.error('Error initializing chat encryption:', error);
+    return false;
+  }
+}
+
+/**
+ * Encrypt text for each of a user's devices
+ * Sessions are set up the first time two devices message, with a one-time pre-key claimed
+ * from the pre-key server (or the key directory bundle when none can be claimed).
+ * A device whose bundle cannot be used is skipped so the others still get the message.
+ * @param {string} userId - Recipient user ID
+ * @param {Array<Object>} devices - Devices from getUserDevices
+ * @param {string} text - Plaintext
+ * @returns {Promise<Object>} - { [deviceId]: messageBundle }
+ */
+async function encryptForDevices(userId, devices, text) {
+  const envelopes = {};
+
+  for (const device of devices) {
+    try {
+      if (!encryptionService.hasSession(userId, device.deviceId)) {
+        await encryptionService.establishSession(userId, await claimPreKeyBundle(userId, device));
+      }
+      envelopes[device.deviceId] = await encryptionService.encryptMessage(userId, text, device.deviceId);
+    } catch (error) {
+      console.error(`Error encrypting for ${deviceAddress(userId, device.deviceId)}:`, error);
+    }
+  }
+
+  return envelopes;
+}
+
+/**
+ * Get the sending user's devices other than this one
+ * @param {string} senderId - Current user ID
+ * @returns {Promise<Array<Object>>} - Devices
+ */
+async function getOtherOwnDevices(senderId) {
+  return (await getUserDevices(senderId)).filter(device => device.deviceId !== encryptionService.deviceId);
+}
+
+/**
+ * Reject the first messages of a session from a device the sender never linked
+ * Later messages ride on a session that already passed this check.
+ * @param {Object} envelope - Pairwise message bundle
+ * @returns {Promise<void>}
+ */
+async function checkSenderDevice(envelope) {
+  if (envelope.preKey &&
+      !await isUserDevice(envelope.senderId, envelope.senderDeviceId, envelope.preKey.identityKey)) {
+    throw new Error('Message came from a device that is not linked to the sender');
+  }
+}
+
+/**
+ * Encrypt message text for a set of recipients
+ * Recipients without a published bundle cannot receive the message and are reported back.
+ * @param {string} text - Message text
+ * @param {string} senderId - Current user ID
+ * @param {Array<string>} recipientIds - Recipient user IDs
+ * @returns {Promise<Object>} - { e2ee, missingRecipients }
+ */
+export async function encryptChatMessage(text, senderId, recipientIds) {
+  return runExclusive(async () => {
+    const envelopes = {};
+    const missingRecipients = [];
+    const uniqueRecipients = Array.from(new Set(recipientIds)).filter(id => id && id !== senderId);
+
+    for (const recipientId of uniqueRecipients) {
+      const deviceEnvelopes = await encryptForDevices(recipientId, await getUserDevices(recipientId), text);
+      if (Object.keys(deviceEnvelopes).length === 0) {
+        missingRecipients.push(recipientId);
+        continue;
+      }
+
+      envelopes[recipientId] = deviceEnvelopes;
+    }
+
+    // The sender's other devices read their own messages like any recipient
+    const ownDevices = await getOtherOwnDevices(senderId);
+    if (ownDevices.length > 0) {
+      envelopes[senderId] = await encryptForDevices(senderId, ownDevices, text);
+    }
+
+    const self = await encryptionService.encryptLocal(text);
+    decryptionCache.set(envelopeKey(self), { text });
+
+    return {
+      e2ee: {
+        version: E2EE_VERSION,
+        senderId,
+        senderDeviceId: encryptionService.deviceId,
+        envelopes,
+        self
+      },
+      missingRecipients
+    };
+  });
+}
+
+/**
+ * Encrypt message text for a group chat with this device's sender key
+ * Each chat (a group channel) has its own key, so members of one private channel cannot
+ * read another. The key is replaced when the channel's key epoch moves on (a member was removed or left)
+ * or when a device that received it is no longer a member device, so former members and
+ * unlinked devices cannot read anything sent afterwards. Member devices (and this user's
+ * other devices) that have not received the current key get it first.
+ * @param {string} text - Message text
+ * @param {string} senderId - Current user ID
+ * @param {Object} group - { chatId, memberIds, keyEpoch } of the channel
+ * @returns {Promise<Object>} - { e2ee, missingRecipients }
+ */
+export async function encryptGroupChatMessage(text, senderId, { chatId, memberIds, keyEpoch = 0 }) {
+  return runExclusive(async () => {
+    const members = Array.from(new Set(memberIds)).filter(id => id && id !== senderId);
+    const missingRecipients = [];
+    const targets = [];
+
+    for (const memberId of members) {
+      const devices = await getUserDevices(memberId);
+      if (devices.length === 0) {
+        missingRecipients.push(memberId);
+      }
+      devices.forEach(device => targets.push({ userId: memberId, device }));
+    }
+    (await getOtherOwnDevices(senderId)).forEach(device => targets.push({ userId: senderId, device }));
+
+    const addresses = targets.map(target => deviceAddress(target.userId, target.device.deviceId));
+
+    let senderKey = await encryptionService.getSenderKey(chatId);
+    if (!senderKey ||
+        senderKey.epoch !== keyEpoch ||
+        senderKey.distributedTo.some(address => !addresses.includes(address))) {
+      senderKey = await encryptionService.createSenderKey(chatId, keyEpoch);
+    }
+
+    const undistributed = targets.filter((target, index) => !senderKey.distributedTo.includes(addresses[index]));
+    if (undistributed.length > 0) {
+      const distribution = JSON.stringify(encryptionService.createSenderKeyDistribution(chatId));
+      const delivered = [];
+
+      for (const { userId: recipientId, device } of undistributed) {
+        const envelope = (await encryptForDevices(recipientId, [device], distribution))[device.deviceId];
+        if (!envelope) {
+          continue;
+        }
+
+        await sendSenderKeyDistribution(chatId, {
+          groupId: chatId,
+          senderId,
+          recipientId,
+          recipientDeviceId: device.deviceId,
+          keyId: senderKey.keyId,
+          envelope
+        });
+        delivered.push(deviceAddress(recipientId, device.deviceId));
+      }
+
+      await encryptionService.markSenderKeyDistributed(chatId, delivered);
+    }
+
+    const group = await encryptionService.encryptGroupMessage(chatId, text);
+    const self = await encryptionService.encryptLocal(text);
+    decryptionCache.set(envelopeKey(self), { text });
+
+    return {
+      e2ee: {
+        version: E2EE_VERSION,
+        scheme: SENDER_KEY_SCHEME,
+        senderId,
+        senderDeviceId: encryptionService.deviceId,
+        group,
+        self
+      },
+      missingRecipients
+    };
+  });
+}
+
+/**
+ * Store sender keys distributed to this device in a group chat as they arrive
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Current user ID
+ * @param {function(): void} onKeys - Called after new sender keys were stored
+ * @returns {function} - Unsubscribe function
+ */
+export function receiveSenderKeys(chatId, userId, onKeys) {
+  return subscribeToSenderKeyDistributions(chatId, userId, encryptionService.deviceId, (distributions) => {
+    const fresh = distributions.filter(item => !processedDistributions.has(item.id));
+    if (fresh.length === 0) {
+      return;
+    }
+    fresh.forEach(item => processedDistributions.add(item.id));
+
+    runExclusive(async () => {
+      let stored = 0;
+
+      for (const item of fresh) {
+        try {
+          if (item.envelope?.senderId !== item.senderId || item.envelope?.recipientId !== userId ||
+              item.envelope?.recipientDeviceId !== encryptionService.deviceId) {
+            throw new Error('Distribution envelope does not match its sender');
+          }
+
+          await checkSenderDevice(item.envelope);
+
+          const distribution = JSON.parse(await encryptionService.decryptMessage(item.envelope));
+          if (item.envelope.preKey) {
+            maintainPreKeys(userId);
+          }
+          if (distribution.groupId !== item.groupId || distribution.keyId !== item.keyId) {
+            throw new Error('Distribution does not match its envelope');
+          }
+
+          await encryptionService.processSenderKeyDistribution(distribution, item.senderId);
+          stored++;
+        } catch (error) {
+          console.error('Error processing sender key:', error);
+        }
+
+        await deleteSenderKeyDistribution(chatId, item.id).catch(() => {});
+      }
+
+      return stored;
+    }).then(stored => stored > 0 && onKeys());
+  });
+}
+
+/**
+ * Pick the envelope addressed to one of a user's devices
+ * @param {Object} e2ee - Message e2ee payload
+ * @param {string} userId - Reading user ID
+ * @param {string} deviceId - Reading device ID (this device by default)
+ * @returns {Object|null} - Envelope
+ */
+export function getEnvelope(e2ee, userId, deviceId = encryptionService.deviceId) {
+  if (!e2ee) {
+    return null;
+  }
+  if (e2ee.senderId === userId && (!e2ee.senderDeviceId || e2ee.senderDeviceId === deviceId)) {
+    return e2ee.self;
+  }
+  return e2ee.scheme === SENDER_KEY_SCHEME
+    ? e2ee.group || null
+    : e2ee.envelopes?.[userId]?.[deviceId] || null;
+}
+
+/**
+ * Identify an envelope (its random IV is unique per encryption)
+ * @param {Object} envelope - Envelope
+ * @returns {string} - Cache key
+ */
+export function envelopeKey(envelope) {
+  return `${envelope.sessionId || envelope.keyId || 'local'}:${envelope.iv.join('.')}`;
+}
+
+/**
+ * Decrypt an e2ee payload for the current user
+ * @param {Object} e2ee - Message e2ee payload
+ * @param {string} userId - Reading user ID
+ * @param {Object} options - { expiresAt: when a disappearing message must leave the local cache }
+ * A group message whose sender key has not arrived yet is reported as retryable and not cached.
+ * @returns {Promise<Object>} - { text } or { error, retryable }
+ */
+export async function decryptChatPayload(e2ee, userId, { expiresAt = null } = {}) {
+  const envelope = getEnvelope(e2ee, userId);
+  if (!envelope) {
+    return { error: 'This message was not encrypted for you' };
+  }
+
+  const key = envelopeKey(envelope);
+  if (decryptionCache.has(key)) {
+    return decryptionCache.get(key);
+  }
+
+  return runExclusive(async () => {
+    if (decryptionCache.has(key)) {
+      return decryptionCache.get(key);
+    }
+
+    let result;
+    try {
+      let text;
+      if (envelope === e2ee.self) {
+        text = await encryptionService.decryptLocal(envelope);
+      } else if (e2ee.scheme === SENDER_KEY_SCHEME) {
+        if (envelope.senderId !== e2ee.senderId) {
+          throw new Error('Group message sender mismatch');
+        }
+        text = await encryptionService.decryptGroupMessage(envelope);
+      } else {
+        if (envelope.senderId !== e2ee.senderId || envelope.senderDeviceId !== e2ee.senderDeviceId) {
+          throw new Error('Message sender mismatch');
+        }
+        await checkSenderDevice(envelope);
+        text = await encryptionService.decryptMessage(envelope);
+
+        // A new session may have used up one of this device's one-time pre-keys
+        if (envelope.preKey) {
+          maintainPreKeys(userId);
+        }
+      }
+      if (expiresAt) {
+        await encryptionService.saveDecryptedMessageExpiry(key, expiresAt);
+      }
+      result = { text };
+    } catch (error) {
+      if (error.code === 'sender-key-missing') {
+        return { error: 'Waiting for the sender\'s key', retryable: true };
+      }
+      result = { error: error.message || 'Decryption failed' };
+    }
+
+    decryptionCache.set(key, result);
+    return result;
+  });
+}
+
+/**
+ * Forget the plaintext of a deleted or expired message on this device
+ * @param {Object} e2ee - Message e2ee payload
+ * @param {string} userId - Reading user ID
+ * @returns {Promise<void>}
+ */
+export async function forgetChatPayload(e2ee, userId) {
+  const envelope = getEnvelope(e2ee, userId);
+  if (!envelope) {
+    return;
+  }
+
+  const key = envelopeKey(envelope);
+  decryptionCache.delete(key);
+  await runExclusive(() => encryptionService.deleteDecryptedMessage(key));
+}
+
+/**
+ * Decrypt a chat message for the current user
+ * @param {Object} message - Chat message
+ * @param {string} userId - Reading user ID
+ * @returns {Promise<Object>} - { text } or { error }
+ */
+export async function decryptChatMessage(message, userId) {
+  if (!message.e2ee) {
+    return { text: message.text };
+  }
+  return decryptChatPayload(message.e2ee, userId, { expiresAt: message.expiresAt });
+}
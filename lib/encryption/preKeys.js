@@ -0,0 +1,217 @@
+/**
+ * Pre-key Publishing for Shadow-Bind
+ * Keeps this device's one-time pre-keys stocked on the pre-key server (/api/prekeys)
+ * and rotates its signed pre-key
+ *
+ * Every sender starting a session claims one one-time pre-key, so the server's supply
+ * shrinks as new contacts write. Once it falls below MIN_COUNT this device generates and
+ * uploads another batch. The signed pre-key is replaced every ROTATION_INTERVAL and the
+ * new one is published to both the pre-key server and the key directory (./keyDirectory).
+ */
+
+import { encryptionService } from './e2ee';
+import { DEVICE_CONFIG, getDeviceStatus, publishDeviceKeys } from './devices';
+import { fetchWithAuth } from '../auth/apiRequests';
+
+/**
+ * Pre-key configuration
+ */
+export const PREKEY_CONFIG = {
+  API_PATH: '/api/prekeys',
+  BATCH_SIZE: 100,
+  MIN_COUNT: 20,
+  ROTATION_INTERVAL: 7 * 24 * 60 * 60 * 1000,
+  // Replaced signed pre-keys still accept sessions from bundles fetched before the rotation
+  SIGNED_PRE_KEY_RETENTION: 30 * 24 * 60 * 60 * 1000,
+  // Pre-key messages arrive in bursts; the server count is checked at most this often
+  CHECK_INTERVAL: 60 * 1000
+};
+
+// Maintenance in progress, so bursts of pre-key messages share one check
+let maintenance = null;
+let lastCheckedAt = 0;
+
+/**
+ * Compare two raw public keys
+ * @param {Array<number>} a - First key
+ * @param {Array<number>} b - Second key
+ * @returns {boolean} - Whether both are the same key
+ */
+function sameKey(a, b) {
+  return !!a && !!b && a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+/**
+ * Call the pre-key API
+ * @param {string} method - HTTP method
+ * @param {Object} params - Query parameters
+ * @param {Object} body - JSON body
+ * @returns {Promise<*>} - Response data
+ */
+async function callPreKeyApi(method, params = {}, body = null) {
+  const response = await fetchWithAuth(`${PREKEY_CONFIG.API_PATH}?${new URLSearchParams(params)}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    const error = new Error(result.error || `Pre-key request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Get how many one-time pre-keys of this device the server has left
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { count, signedPreKeyId }
+ */
+export async function getPreKeyCount(userId) {
+  return callPreKeyApi('GET', { action: 'count', userId, deviceId: encryptionService.deviceId });
+}
+
+/**
+ * Upload this device's bundle and every pre-key the server does not have yet
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { count, signedPreKeyId } after the upload
+ */
+export async function publishPreKeys(userId) {
+  try {
+    // Reads the pre-keys first so the bundle has a signed pre-key another tab may have rotated
+    const { preKeys, replace } = await encryptionService.getUnpublishedPreKeys();
+    const bundle = await encryptionService.getPublicKeyBundle();
+
+    // The first batch carries the bundle (and the replace flag), even with no pre-keys to add
+    let status = null;
+    for (let i = 0; i === 0 || i < preKeys.length; i += PREKEY_CONFIG.BATCH_SIZE) {
+      const batch = preKeys.slice(i, i + PREKEY_CONFIG.BATCH_SIZE);
+      status = await callPreKeyApi('POST', {}, { userId, bundle, preKeys: batch, replace: replace && i === 0 });
+      await encryptionService.markPreKeysPublished(batch.map(preKey => preKey.id));
+    }
+
+    return status;
+  } catch (error) {
+    console.error('Error publishing pre-keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate and upload more one-time pre-keys when the server is running low
+ * Also uploads the bundle when the server has an older signed pre-key than this device.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether anything was uploaded
+ */
+export async function replenishPreKeys(userId) {
+  try {
+    const { count, signedPreKeyId } = await getPreKeyCount(userId);
+    const { preKeys } = await encryptionService.getUnpublishedPreKeys();
+    const outdated = signedPreKeyId !== encryptionService.signedPreKeyId;
+
+    if (count >= PREKEY_CONFIG.MIN_COUNT && !outdated) {
+      return false;
+    }
+
+    if (count + preKeys.length < PREKEY_CONFIG.MIN_COUNT) {
+      await encryptionService.replenishPreKeys(PREKEY_CONFIG.BATCH_SIZE);
+    }
+
+    const status = await publishPreKeys(userId);
+    console.log(`🔑 Published pre-keys (${status.count} available)`);
+    return true;
+  } catch (error) {
+    console.error('Error replenishing pre-keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the signed pre-key if it is due and publish the new one
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Whether the signed pre-key was rotated
+ */
+export async function rotateSignedPreKeyIfDue(userId) {
+  try {
+    const rotated = await encryptionService.rotateSignedPreKey({
+      maxAge: PREKEY_CONFIG.ROTATION_INTERVAL,
+      retention: PREKEY_CONFIG.SIGNED_PRE_KEY_RETENTION
+    });
+    if (!rotated) {
+      return false;
+    }
+
+    await publishDeviceKeys(userId);
+    await publishPreKeys(userId);
+    console.log(`🔑 Rotated signed pre-key ${rotated.id}`);
+    return true;
+  } catch (error) {
+    console.error('Error rotating signed pre-key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rotate the signed pre-key and top up one-time pre-keys as needed
+ * Safe to call often: runs once at a time and at most every CHECK_INTERVAL unless forced.
+ * Errors are logged, not thrown, so callers need not wait for it.
+ * @param {string} userId - User ID
+ * @param {Object} options - { force: check even if one ran recently }
+ * @returns {Promise<void>}
+ */
+export function maintainPreKeys(userId, { force = false } = {}) {
+  const status = getDeviceStatus();
+  if (status !== DEVICE_CONFIG.STATUS.MAIN && status !== DEVICE_CONFIG.STATUS.LINKED) {
+    return Promise.resolve();
+  }
+  if (maintenance) {
+    return maintenance;
+  }
+  if (!force && Date.now() - lastCheckedAt < PREKEY_CONFIG.CHECK_INTERVAL) {
+    return Promise.resolve();
+  }
+
+  lastCheckedAt = Date.now();
+  maintenance = (async () => {
+    try {
+      await rotateSignedPreKeyIfDue(userId);
+      await replenishPreKeys(userId);
+    } catch (error) {
+      console.error('Error maintaining pre-keys:', error);
+    } finally {
+      maintenance = null;
+    }
+  })();
+
+  return maintenance;
+}
+
+/**
+ * Get the bundle to start a session with one of a user's devices
+ * Claims a one-time pre-key from the server when it can. The claimed bundle is only used
+ * if its identity keys are the ones verified through the key directory; otherwise, or
+ * when the server cannot be reached, the directory bundle is used.
+ * @param {string} userId - Recipient user ID
+ * @param {Object} device - Device from getUserDevices
+ * @returns {Promise<Object>} - Public key bundle
+ */
+export async function claimPreKeyBundle(userId, device) {
+  try {
+    const claimed = await callPreKeyApi('POST', { action: 'claim' }, { userId, deviceId: device.deviceId });
+
+    if (claimed.deviceId === device.deviceId &&
+        sameKey(claimed.identityKey, device.bundle.identityKey) &&
+        sameKey(claimed.identityExchangeKey, device.bundle.identityExchangeKey)) {
+      return claimed;
+    }
+    console.warn(`Ignoring claimed pre-key bundle of ${userId}: identity does not match the directory`);
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error('Error claiming pre-key bundle:', error);
+    }
+  }
+
+  return device.bundle;
+}
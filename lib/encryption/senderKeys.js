@@ -0,0 +1,84 @@
+/**
+ * Sender Key Distribution for Shadow-Bind
+ * Delivers group sender keys to members, each copy encrypted over a pairwise session
+ *
+ * Firestore layout:
+ * /chats/{chatId}/senderKeys/{senderId}_{keyId}_{recipientId}_{recipientDeviceId}
+ *   { groupId, senderId, recipientId, recipientDeviceId, keyId, envelope, createdAt }
+ * The envelope is a ratchet message for one device, so the server never sees a sender key.
+ */
+
+import { db } from '../firebase';
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Store an encrypted sender key distribution for one member device
+ * @param {string} chatId - Chat ID of the group conversation
+ * @param {Object} distribution - { groupId, senderId, recipientId, recipientDeviceId, keyId, envelope }
+ * @returns {Promise<void>}
+ */
+export async function sendSenderKeyDistribution(chatId, distribution) {
+  try {
+    const { groupId, senderId, recipientId, recipientDeviceId, keyId, envelope } = distribution;
+    const distributionId = `${senderId}_${keyId}_${recipientId}_${recipientDeviceId}`;
+
+    await setDoc(doc(db, 'chats', chatId, 'senderKeys', distributionId), {
+      groupId,
+      senderId,
+      recipientId,
+      recipientDeviceId,
+      keyId,
+      envelope,
+      createdAt: serverTimestamp()
+    });
+  } catch (error) {
+    console.error('Error sending sender key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a distribution once its recipient has stored the key
+ * @param {string} chatId - Chat ID
+ * @param {string} distributionId - Distribution document ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSenderKeyDistribution(chatId, distributionId) {
+  try {
+    await deleteDoc(doc(db, 'chats', chatId, 'senderKeys', distributionId));
+  } catch (error) {
+    console.error('Error deleting sender key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to sender key distributions addressed to one of a user's devices
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Recipient user ID
+ * @param {string} deviceId - Recipient device ID
+ * @param {function(Array): void} callback - Called with distributions, each with its document id
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToSenderKeyDistributions(chatId, userId, deviceId, callback) {
+  const distributionsQuery = query(
+    collection(db, 'chats', chatId, 'senderKeys'),
+    where('recipientId', '==', userId),
+    where('recipientDeviceId', '==', deviceId)
+  );
+
+  return onSnapshot(distributionsQuery, (snapshot) => {
+    callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+  }, (error) => {
+    console.error('Error subscribing to sender keys:', error);
+  });
+}
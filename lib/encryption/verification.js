@@ -0,0 +1,149 @@
+/**
+ * Safety Number Verification for Shadow-Bind
+ * Lets two users confirm out of band that they hold each other's real identity keys
+ *
+ * Each user's fingerprint is an iterated SHA-512 hash of their identity keys and
+ * user ID, rendered as 30 digits. A safety number is both fingerprints in a fixed
+ * order, so both people see the same 60 digits and the same QR code.
+ */
+
+import QRCode from 'qrcode';
+import { encryptionService } from './e2ee';
+import { getKeyBundle, subscribeToKeyBundle } from './keyDirectory';
+
+/**
+ * Verification configuration
+ */
+export const VERIFICATION_CONFIG = {
+  FINGERPRINT_VERSION: 0,
+  ITERATIONS: 5200,
+  // Digits per user fingerprint, shown in groups of five
+  FINGERPRINT_DIGITS: 30,
+  GROUP_SIZE: 5,
+  QR_PREFIX: 'shadowbind-sn'
+};
+
+/**
+ * Compute one user's displayable fingerprint
+ * @param {string} userId - User ID
+ * @param {Object} identity - { identityKey, identityExchangeKey } raw public keys
+ * @returns {Promise<string>} - Fingerprint digits
+ */
+async function computeFingerprint(userId, identity) {
+  const publicKeys = new Uint8Array([...identity.identityKey, ...identity.identityExchangeKey]);
+  const version = new Uint8Array([0, VERIFICATION_CONFIG.FINGERPRINT_VERSION]);
+
+  let hash = new Uint8Array(await window.crypto.subtle.digest(
+    'SHA-512',
+    new Uint8Array([...version, ...publicKeys, ...new TextEncoder().encode(userId)])
+  ));
+
+  // Stretch the hash so brute-forcing a key with a matching fingerprint is expensive
+  for (let i = 1; i < VERIFICATION_CONFIG.ITERATIONS; i++) {
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', new Uint8Array([...hash, ...publicKeys])));
+  }
+
+  let digits = '';
+  for (let offset = 0; digits.length < VERIFICATION_CONFIG.FINGERPRINT_DIGITS; offset += 5) {
+    const chunk = hash.slice(offset, offset + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(VERIFICATION_CONFIG.GROUP_SIZE, '0');
+  }
+
+  return digits;
+}
+
+/**
+ * Compute the safety number shared by the current user and a contact
+ * @param {string} localUserId - Current user ID
+ * @param {Object} localIdentity - Current user's { identityKey, identityExchangeKey }
+ * @param {string} remoteUserId - Contact user ID
+ * @param {Object} remoteIdentity - Contact's { identityKey, identityExchangeKey }
+ * @returns {Promise<Object>} - { digits, groups, qrPayload }
+ */
+export async function computeSafetyNumber(localUserId, localIdentity, remoteUserId, remoteIdentity) {
+  const fingerprints = [
+    { userId: localUserId, digits: await computeFingerprint(localUserId, localIdentity) },
+    { userId: remoteUserId, digits: await computeFingerprint(remoteUserId, remoteIdentity) }
+  ].sort((a, b) => (a.userId < b.userId ? -1 : 1));
+
+  const digits = fingerprints.map(fingerprint => fingerprint.digits).join('');
+
+  return {
+    digits,
+    groups: digits.match(new RegExp(`.{${VERIFICATION_CONFIG.GROUP_SIZE}}`, 'g')),
+    qrPayload: `${VERIFICATION_CONFIG.QR_PREFIX}:${VERIFICATION_CONFIG.FINGERPRINT_VERSION}:${digits}`
+  };
+}
+
+/**
+ * Render a safety number as a QR code image
+ * @param {Object} safetyNumber - Result of computeSafetyNumber
+ * @returns {Promise<string>} - PNG data URL
+ */
+export function renderSafetyNumberQr(safetyNumber) {
+  return QRCode.toDataURL(safetyNumber.qrPayload, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+}
+
+/**
+ * Check a scanned QR payload or typed safety number against the expected one
+ * @param {Object} safetyNumber - Result of computeSafetyNumber
+ * @param {string} input - Scanned payload or digits (spaces are ignored)
+ * @returns {boolean} - Whether they match
+ */
+export function matchesSafetyNumber(safetyNumber, input) {
+  const value = (input || '').trim();
+
+  if (value.startsWith(`${VERIFICATION_CONFIG.QR_PREFIX}:`)) {
+    return value === safetyNumber.qrPayload;
+  }
+  return value.replace(/\s+/g, '') === safetyNumber.digits;
+}
+
+/**
+ * Compute the safety number with a contact from their published key bundle
+ * @param {string} userId - Current user ID
+ * @param {string} contactId - Contact user ID
+ * @returns {Promise<Object|null>} - { safetyNumber, identity }, or null if the contact has no keys
+ */
+export async function getSafetyNumber(userId, contactId) {
+  const bundle = await getKeyBundle(contactId);
+  if (!bundle) {
+    return null;
+  }
+
+  const identity = {
+    identityKey: bundle.identityKey,
+    identityExchangeKey: bundle.identityExchangeKey
+  };
+  const safetyNumber = await computeSafetyNumber(
+    userId,
+    await encryptionService.getIdentityPublicKeys(),
+    contactId,
+    identity
+  );
+
+  return { safetyNumber, identity };
+}
+
+/**
+ * Watch a verified contact's published identity keys
+ * Unverified contacts are reported as unchanged: only a broken verification is worth a warning.
+ * @param {string} contactId - Contact user ID
+ * @param {function(Object): void} callback - Called with { verified, changed }
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToIdentityStatus(contactId, callback) {
+  return subscribeToKeyBundle(contactId, async (bundle) => {
+    const verification = await encryptionService.getIdentityVerification(contactId);
+    if (!verification) {
+      callback({ verified: false, changed: false });
+      return;
+    }
+
+    const verified = !!bundle && await encryptionService.verifyIdentity(contactId, {
+      identityKey: bundle.identityKey,
+      identityExchangeKey: bundle.identityExchangeKey
+    });
+    callback({ verified, changed: !verified });
+  });
+}
@@ -22,6 +22,7 @@ import {
   ref, 
   uploadBytesResumable, 
   getDownloadURL, 
+  getBytes,
   deleteObject,
   listAll 
 } from 'firebase/storage';
@@ -114,6 +115,90 @@ export async function uploadFile({ file, userId, groupId = null, folderId = null
   }
 }
 
+/**
+ * Upload an end-to-end encrypted file
+ * The data is ciphertext and the record carries no name, type or media metadata;
+ * those travel inside the encrypted chat message (see lib/encryption/attachments).
+ * @param {Object} options - Upload options
+ * @param {Blob} options.data - Encrypted file contents
+ * @param {string} options.userId - User ID
+ * @param {string} options.groupId - Optional group ID
+ * @param {function} options.onProgress - Progress callback
+ * @returns {Promise<Object>} Upload result
+ */
+export async function uploadEncryptedFile({ data, userId, groupId = null, onProgress }) {
+  try {
+    // Random names so the path reveals nothing about the file
+    const objectId = Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    const path = groupId
+      ? `groups/${groupId}/attachments/${objectId}`
+      : `users/${userId}/attachments/${objectId}`;
+
+    const uploadTask = uploadBytesResumable(ref(storage, path), data, {
+      contentType: 'application/octet-stream'
+    });
+
+    return new Promise((resolve, reject) => {
+      uploadTask.on('state_changed',
+        (snapshot) => {
+          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+          if (onProgress) onProgress(progress);
+        },
+        (error) => {
+          console.error('Encrypted upload error:', error);
+          reject(error);
+        },
+        async () => {
+          try {
+            const fileRecord = {
+              encrypted: true,
+              size: data.size,
+              storagePath: path,
+              userId,
+              groupId,
+              folderId: null,
+              createdAt: serverTimestamp(),
+              updatedAt: serverTimestamp(),
+              version: 1,
+              isPublic: false,
+              sharedWith: []
+            };
+
+            const docRef = await addDoc(collection(db, 'files'), fileRecord);
+
+            resolve({
+              id: docRef.id,
+              ...fileRecord
+            });
+          } catch (error) {
+            console.error('Failed to create encrypted file record:', error);
+            reject(error);
+          }
+        }
+      );
+    });
+  } catch (error) {
+    console.error('Encrypted upload initialization failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download a stored file's contents
+ * @param {string} storagePath - Storage path of the file
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+export async function downloadFileBytes(storagePath) {
+  try {
+    return await getBytes(ref(storage, storagePath));
+  } catch (error) {
+    console.error('Failed to download file:', error);
+    throw error;
+  }
+}
+
 /**
  * Get files and folders for a user or group
  * @param {Object} options - Query options
@@ -264,6 +349,43 @@ export async function deleteFile(fileId, userId) {
   }
 }
 
+/**
+ * Delete every file and folder of a group
+ * Used when a group is deleted, so no per-file permission check is made.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<number>} Number of files deleted
+ */
+export async function deleteGroupFiles(groupId) {
+  try {
+    const filesSnapshot = await getDocs(query(collection(db, 'files'), where('groupId', '==', groupId)));
+
+    for (const fileDoc of filesSnapshot.docs) {
+      const { storagePath } = fileDoc.data();
+
+      if (storagePath) {
+        try {
+          await deleteObject(ref(storage, storagePath));
+        } catch (error) {
+          // Already gone from storage; the record still has to go
+          if (error.code !== 'storage/object-not-found') {
+            throw error;
+          }
+        }
+      }
+
+      await deleteDoc(fileDoc.ref);
+    }
+
+    const foldersSnapshot = await getDocs(query(collection(db, 'folders'), where('groupId', '==', groupId)));
+    await Promise.all(foldersSnapshot.docs.map(folderDoc => deleteDoc(folderDoc.ref)));
+
+    return filesSnapshot.size;
+  } catch (error) {
+    console.error('Failed to delete group files:', error);
+    throw error;
+  }
+}
+
 /**
  * Search files and folders
  * @param {Object} options - Search options
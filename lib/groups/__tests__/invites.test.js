@@ -0,0 +1,118 @@
+import {
+  GROUPS_CONFIG,
+  generateInviteCode,
+  normalizeInviteCode,
+  getInviteStatus,
+  createGroupInvite,
+  previewGroupInvite,
+  joinGroupWithInvite
+} from '../service';
+import { firestoreDocs } from '../../../__tests__/helpers/firestore';
+
+jest.mock('firebase/firestore', () => require('../../../__tests__/helpers/firestore').firestoreMock);
+
+const { STATUS } = GROUPS_CONFIG.INVITE_LINKS;
+
+function addGroup(id, type, members = ['owner']) {
+  firestoreDocs.set(`groups/${id}`, { name: id, type, memberCount: members.length, settings: { allowInvites: true } });
+  members.forEach(userId => firestoreDocs.set(`groupMembers/${id}-${userId}`, {
+    groupId: id,
+    userId,
+    role: userId === 'owner' ? GROUPS_CONFIG.ROLES.OWNER : GROUPS_CONFIG.ROLES.MEMBER,
+    isActive: true
+  }));
+}
+
+function addInvite(code, groupId, fields = {}) {
+  firestoreDocs.set(`groupInvites/${code}`, { code, groupId, createdBy: 'owner', expiresAt: null, maxUses: null, uses: 0, revoked: false, ...fields });
+}
+
+describe('invite codes', () => {
+  it('generates codes that normalize to themselves', () => {
+    const code = generateInviteCode();
+
+    expect(code).toMatch(GROUPS_CONFIG.INVITE_LINKS.CODE_PATTERN);
+    expect(normalizeInviteCode(code)).toBe(code);
+    expect(generateInviteCode()).not.toBe(code);
+  });
+
+  it('accepts typed codes in any case with spaces or dashes', () => {
+    expect(normalizeInviteCode('abcd-efgh jkmn')).toBe('ABCDEFGHJKMN');
+    expect(normalizeInviteCode('ABCDEFGHJKM0')).toBeNull();
+    expect(normalizeInviteCode('ABCDEF')).toBeNull();
+    expect(normalizeInviteCode(null)).toBeNull();
+  });
+
+  it('reports revoked, expired and used-up links', () => {
+    const now = 1000;
+
+    expect(getInviteStatus({ expiresAt: null, uses: 3 }, now)).toBe(STATUS.ACTIVE);
+    expect(getInviteStatus({ revoked: true, expiresAt: 500 }, now)).toBe(STATUS.REVOKED);
+    expect(getInviteStatus({ expiresAt: 1000 }, now)).toBe(STATUS.EXPIRED);
+    expect(getInviteStatus({ expiresAt: { toMillis: () => 2000 } }, now)).toBe(STATUS.ACTIVE);
+    expect(getInviteStatus({ maxUses: 2, uses: 2 }, now)).toBe(STATUS.EXHAUSTED);
+  });
+});
+
+describe('invite links', () => {
+  beforeEach(() => {
+    firestoreDocs.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addGroup('book-club', GROUPS_CONFIG.TYPES.PRIVATE);
+    addGroup('hideout', GROUPS_CONFIG.TYPES.SECRET);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('previews an active link without its status', async () => {
+    addInvite('ABCDEFGHJKMN', 'book-club');
+
+    const preview = await previewGroupInvite('abcd-efgh-jkmn');
+
+    expect(preview).toEqual({
+      code: 'ABCDEFGHJKMN',
+      expiresAt: null,
+      group: expect.objectContaining({ id: 'book-club', name: 'book-club', memberCount: 1 })
+    });
+    expect(preview).not.toHaveProperty('status');
+  });
+
+  it('gives unknown, revoked, expired, used-up and secret-group links the same answer', async () => {
+    addInvite('RRRRRRRRRRRR', 'book-club', { revoked: true });
+    addInvite('EEEEEEEEEEEE', 'book-club', { expiresAt: Date.now() - 1 });
+    addInvite('UUUUUUUUUUUU', 'book-club', { maxUses: 1, uses: 1 });
+    addInvite('SSSSSSSSSSSS', 'hideout');
+
+    const codes = ['ZZZZZZZZZZZZ', 'RRRRRRRRRRRR', 'EEEEEEEEEEEE', 'UUUUUUUUUUUU', 'SSSSSSSSSSSS', 'not a code'];
+    const failures = await Promise.all(codes.flatMap(code => [
+      previewGroupInvite(code).catch(error => error),
+      joinGroupWithInvite(code, 'mallory').catch(error => error)
+    ]));
+
+    failures.forEach(error => {
+      expect(error.status).toBe(404);
+      expect(error.message).toBe('This invite link is not valid');
+    });
+    expect(firestoreDocs.get('groups/hideout').memberCount).toBe(1);
+  });
+
+  it('joins with a link and counts the use', async () => {
+    addInvite('ABCDEFGHJKMN', 'book-club', { maxUses: 1 });
+
+    expect(await joinGroupWithInvite('ABCDEFGHJKMN', 'owner')).toEqual({ groupId: 'book-club', alreadyMember: true });
+    expect(await joinGroupWithInvite('ABCDEFGHJKMN', 'bob')).toEqual({ groupId: 'book-club', alreadyMember: false });
+    expect(firestoreDocs.get('groupInvites/ABCDEFGHJKMN').uses).toBe(1);
+    expect(firestoreDocs.get('groups/book-club').memberCount).toBe(2);
+
+    await expect(joinGroupWithInvite('ABCDEFGHJKMN', 'carol')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('creates no links for secret groups', async () => {
+    await expect(createGroupInvite('hideout', 'owner')).rejects.toMatchObject({ status: 400 });
+
+    const invite = await createGroupInvite('book-club', 'owner', { maxUses: 5 });
+    expect(firestoreDocs.get(`groupInvites/${invite.code}`)).toMatchObject({ groupId: 'book-club', maxUses: 5, uses: 0 });
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  GROUPS_CONFIG,
+  joinGroup,
+  getJoinRequests,
+  reviewJoinRequest,
+  claimJoinRequestNotification
+} from '../service';
+import { firestoreDocs } from '../../../__tests__/helpers/firestore';
+
+jest.mock('firebase/firestore', () => require('../../../__tests__/helpers/firestore').firestoreMock);
+
+const { TYPES, ROLES, JOIN_REQUEST_STATUS } = GROUPS_CONFIG;
+
+function addGroup(id, type, members = { owner: ROLES.OWNER }) {
+  firestoreDocs.set(`groups/${id}`, { name: id, type, memberCount: Object.keys(members).length, settings: {} });
+  Object.entries(members).forEach(([userId, role]) => firestoreDocs.set(`groupMembers/${id}-${userId}`, {
+    groupId: id,
+    userId,
+    role,
+    isActive: true
+  }));
+}
+
+describe('join requests', () => {
+  beforeEach(() => {
+    firestoreDocs.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addGroup('town-square', TYPES.PUBLIC);
+    addGroup('book-club', TYPES.PRIVATE, { owner: ROLES.OWNER, member: ROLES.MEMBER });
+    addGroup('hideout', TYPES.SECRET);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('joins public groups at once and hides secret groups', async () => {
+    expect(await joinGroup('town-square', 'bob')).toEqual({ status: 'joined', request: null });
+    expect(await joinGroup('town-square', 'bob')).toEqual({ status: 'member', request: null });
+    await expect(joinGroup('hideout', 'bob')).rejects.toMatchObject({ status: 404, message: 'Group not found' });
+  });
+
+  it('queues one pending request per applicant for private groups', async () => {
+    const { status, request } = await joinGroup('book-club', 'bob', { message: ' I like books ' });
+    const again = await joinGroup('book-club', 'bob');
+
+    expect(status).toBe('pending');
+    expect(request).toMatchObject({ userId: 'bob', message: 'I like books', status: JOIN_REQUEST_STATUS.PENDING });
+    expect(again.request.id).toBe(request.id);
+    expect(await getJoinRequests('book-club', 'owner')).toHaveLength(1);
+    await expect(getJoinRequests('book-club', 'member')).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('lets only members who manage members review, once', async () => {
+    const { request } = await joinGroup('book-club', 'bob');
+
+    await expect(reviewJoinRequest(request.id, 'member', true)).rejects.toMatchObject({ status: 403 });
+
+    const reviewed = await reviewJoinRequest(request.id, 'owner', true, 'Welcome');
+    expect(reviewed).toMatchObject({ status: JOIN_REQUEST_STATUS.APPROVED, reviewedBy: 'owner', responseMessage: 'Welcome' });
+    expect(firestoreDocs.get('groups/book-club').memberCount).toBe(3);
+
+    await expect(reviewJoinRequest(request.id, 'owner', false)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('lets only the reviewer claim the applicant\'s notification, once', async () => {
+    const { request } = await joinGroup('book-club', 'bob');
+
+    await expect(claimJoinRequestNotification(request.id, 'owner')).rejects.toMatchObject({ status: 403 });
+
+    await reviewJoinRequest(request.id, 'owner', false);
+
+    await expect(claimJoinRequestNotification(request.id, 'bob')).rejects.toMatchObject({ status: 403 });
+    expect(await claimJoinRequestNotification(request.id, 'owner')).toMatchObject({ id: request.id, status: JOIN_REQUEST_STATUS.REJECTED });
+    expect(await claimJoinRequestNotification(request.id, 'owner')).toBeNull();
+    await expect(claimJoinRequestNotification('missing', 'owner')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -12,16 +12,21 @@ import {
   deleteDoc, 
   getDoc, 
   getDocs, 
+  setDoc, 
   query, 
   where, 
   orderBy, 
   limit, 
   onSnapshot,
+  runTransaction,
   serverTimestamp,
   arrayUnion,
   arrayRemove,
   increment 
 } from 'firebase/firestore';
+import { getMessageStore } from '../messages/store';
+import { deleteGroupFiles } from '../file-management/service';
+import { fetchWithAuth } from '../auth/apiRequests';
 
 /**
  * Group configuration and constants
@@ -42,6 +47,7 @@ export const GROUPS_CONFIG = {
       'manage_settings',
       'manage_members',
       'manage_roles',
+      'manage_channels',
       'moderate_content',
       'manage_files',
       'view_analytics'
@@ -49,6 +55,7 @@ export const GROUPS_CONFIG = {
     admin: [
       'manage_members',
       'manage_roles',
+      'manage_channels',
       'moderate_content',
       'manage_files',
       'view_analytics'
@@ -80,6 +87,71 @@ export const GROUPS_CONFIG = {
     GAMING: 'gaming'
   },
   
+  // Direct invitation states
+  INVITATION_STATUS: {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined'
+  },
+  
+  // How a member joined, recorded on their membership
+  JOIN_METHODS: {
+    PUBLIC: 'public',
+    INVITE_LINK: 'invite_link',
+    INVITATION: 'invitation',
+    JOIN_REQUEST: 'join_request'
+  },
+  
+  // Requests to join groups that need approval
+  JOIN_REQUEST_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+  },
+  MAX_JOIN_MESSAGE_LENGTH: 500,
+  // Pushes the applicant a `group_invite` notification once a request is reviewed
+  JOIN_REQUESTS_API_PATH: '/api/groups/join-requests',
+  
+  // Invite links (/join/<code>); secret groups have none, they are joined by invitation only
+  INVITE_LINKS: {
+    // Previews and joins for the join page
+    API_PATH: '/api/groups/invites',
+    
+    // 12 characters from 32 unambiguous ones (no I, O, 0 or 1): 60 bits of randomness
+    CODE_LENGTH: 12,
+    CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+    CODE_PATTERN: /^[A-HJ-NP-Z2-9]{12}$/,
+    DEFAULT_EXPIRY: 7 * 24 * 60 * 60 * 1000, // 7 days
+    EXPIRY_OPTIONS: [
+      { label: '1 hour', duration: 60 * 60 * 1000 },
+      { label: '1 day', duration: 24 * 60 * 60 * 1000 },
+      { label: '7 days', duration: 7 * 24 * 60 * 60 * 1000 },
+      { label: '30 days', duration: 30 * 24 * 60 * 60 * 1000 },
+      { label: 'Never', duration: null }
+    ],
+    MAX_USES_OPTIONS: [null, 1, 5, 10, 25, 100],
+    STATUS: {
+      ACTIVE: 'active',
+      EXPIRED: 'expired',
+      REVOKED: 'revoked',
+      EXHAUSTED: 'exhausted'
+    }
+  },
+  
+  // Topic channels inside a group; every group has a #general channel
+  CHANNELS: {
+    DEFAULT_NAME: 'general',
+    NAME_PATTERN: /^[a-z0-9][a-z0-9_-]{0,79}$/,
+    MAX_TOPIC_LENGTH: 250,
+    MAX_CHANNELS: 100,
+    // Every member may post and upload in a channel unless an override denies it
+    BASE_PERMISSIONS: ['send_messages', 'upload_files'],
+    // Permissions a channel override may allow or deny
+    OVERRIDABLE_PERMISSIONS: ['send_messages', 'upload_files', 'moderate_content', 'manage_files'],
+    // Latest messages counted for unread badges: the page a chat view marks read
+    UNREAD_WINDOW: 50
+  },
+  
   // Limits
   MAX_MEMBERS: 10000,
   MAX_NAME_LENGTH: 100,
@@ -87,6 +159,18 @@ export const GROUPS_CONFIG = {
   MAX_FILES_SIZE: 1024 * 1024 * 1024 // 1GB
 };
 
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function groupError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 /**
  * Create a new group
  * @param {Object} groupData - Group creation data
@@ -133,6 +217,10 @@ export async function createGroup(groupData, creatorId) {
         maxFileSize: 10 * 1024 * 1024, // 10MB default
         allowedFileTypes: ['image', 'document', 'video', 'audio']
       },
+      // Sender keys are per channel, see keyEpoch on /groupChannels
+      encryption: {
+        enabled: true
+      },
       analytics: {
         totalMessages: 0,
         totalFiles: 0,
@@ -145,6 +233,7 @@ export async function createGroup(groupData, creatorId) {
     
     // Add creator as owner
     await addGroupMember(groupRef.id, creatorId, GROUPS_CONFIG.ROLES.OWNER);
+    await ensureDefaultChannel(groupRef.id, creatorId);
     
     // Create initial analytics entry
     await initializeGroupAnalytics(groupRef.id, creatorId);
@@ -216,12 +305,14 @@ export async function updateGroup(groupId, updates, userId) {
 
 /**
  * Add member to group
+ * The group document's members map is kept in step so the group lists for the new member.
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to add
  * @param {string} role - Member role
+ * @param {Object|null} joinedVia - { method: GROUPS_CONFIG.JOIN_METHODS value, code | invitationId, invitedBy }
  * @returns {Promise<boolean>} - Success status
  */
-export async function addGroupMember(groupId, userId, role = GROUPS_CONFIG.ROLES.MEMBER) {
+export async function addGroupMember(groupId, userId, role = GROUPS_CONFIG.ROLES.MEMBER, joinedVia = null) {
   try {
     const memberData = {
       groupId,
@@ -229,7 +320,8 @@ export async function addGroupMember(groupId, userId, role = GROUPS_CONFIG.ROLES
       role,
       joinedAt: serverTimestamp(),
       isActive: true,
-      permissions: GROUPS_CONFIG.PERMISSIONS[role] || []
+      permissions: GROUPS_CONFIG.PERMISSIONS[role] || [],
+      joinedVia
     };
     
     await addDoc(collection(db, 'groupMembers'), memberData);
@@ -237,11 +329,16 @@ export async function addGroupMember(groupId, userId, role = GROUPS_CONFIG.ROLES
     // Update group member count
     await updateDoc(doc(db, 'groups', groupId), {
       memberCount: increment(1),
+      [`members.${userId}`]: {
+        role,
+        joinedAt: serverTimestamp(),
+        permissions: memberData.permissions
+      },
       updatedAt: serverTimestamp()
     });
     
     // Log activity
-    await logGroupActivity(groupId, userId, 'member_added', { role });
+    await logGroupActivity(groupId, userId, 'member_added', { role, joinedVia });
     
     return true;
   } catch (error) {
@@ -250,19 +347,245 @@ export async function addGroupMember(groupId, userId, role = GROUPS_CONFIG.ROLES
   }
 }
 
+/**
+ * Reconcile a group's membership documents with its members map
+ * Groups created by this service before it mirrored members into the map have only
+ * groupMembers documents, and groups created by the old group chat have only the map.
+ * Each is filled in from the other, so both are complete afterwards. A null map entry
+ * means the member left through the old group chat, which cleared only the map, so a
+ * leftover membership document is removed rather than restored.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - { group, members: [{ userId, role, joinedAt }] }
+ */
+export async function backfillGroupMembers(groupId) {
+  try {
+    const groupRef = doc(db, 'groups', groupId);
+    const groupDoc = await getDoc(groupRef);
+    if (!groupDoc.exists()) {
+      throw groupError('Group not found', 404);
+    }
+    const group = groupDoc.data();
+    const memberMap = group.members || {};
+    
+    const membersQuery = query(
+      collection(db, 'groupMembers'),
+      where('groupId', '==', groupId),
+      where('isActive', '==', true)
+    );
+    const membersSnapshot = await getDocs(membersQuery);
+    
+    const members = new Map();
+    const mapUpdates = {};
+    
+    for (const memberDoc of membersSnapshot.docs) {
+      const { userId, role, joinedAt = null } = memberDoc.data();
+      
+      if (memberMap[userId] === null) {
+        await deleteDoc(memberDoc.ref);
+        continue;
+      }
+      
+      members.set(userId, { userId, role, joinedAt });
+      if (!memberMap[userId]) {
+        mapUpdates[`members.${userId}`] = {
+          role,
+          joinedAt: joinedAt || serverTimestamp(),
+          permissions: GROUPS_CONFIG.PERMISSIONS[role] || []
+        };
+      }
+    }
+    
+    for (const [userId, entry] of Object.entries(memberMap)) {
+      if (!entry || members.has(userId)) {
+        continue;
+      }
+      
+      // The old group chat stored permissions: ['all'] for owners, so only the role is kept
+      const role = Object.values(GROUPS_CONFIG.ROLES).includes(entry.role) ? entry.role : GROUPS_CONFIG.ROLES.MEMBER;
+      await addDoc(collection(db, 'groupMembers'), {
+        groupId,
+        userId,
+        role,
+        joinedAt: entry.joinedAt || serverTimestamp(),
+        isActive: true,
+        permissions: GROUPS_CONFIG.PERMISSIONS[role] || [],
+        joinedVia: null
+      });
+      members.set(userId, { userId, role, joinedAt: entry.joinedAt || null });
+    }
+    
+    if (Object.keys(mapUpdates).length > 0) {
+      await updateDoc(groupRef, mapUpdates);
+    }
+    
+    return { group, members: [...members.values()] };
+  } catch (error) {
+    console.error('Error backfilling group members:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's membership in a group, with permissions for their role
+ * The role comes from the user's groupMembers document and the permissions from
+ * GROUPS_CONFIG.PERMISSIONS, so every check agrees and memberships stored before a
+ * permission was added still get it. The members map decides only when the two
+ * disagree about whether the user is in the group, and the group is then backfilled.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { userId, role, permissions }, null for non-members
+ */
+async function getMembership(groupId, userId) {
+  const membersQuery = query(
+    collection(db, 'groupMembers'),
+    where('groupId', '==', groupId),
+    where('userId', '==', userId),
+    where('isActive', '==', true)
+  );
+  const [groupDoc, membersSnapshot] = await Promise.all([
+    getDoc(doc(db, 'groups', groupId)),
+    getDocs(membersQuery)
+  ]);
+  if (!groupDoc.exists()) {
+    return null;
+  }
+  
+  const mapEntry = groupDoc.data().members?.[userId];
+  let role = membersSnapshot.empty ? null : membersSnapshot.docs[0].data().role;
+  
+  // A membership document without a map entry, or the reverse, is a group from before
+  // both were kept; a null map entry is a member who left through the old group chat
+  if (mapEntry === null || (mapEntry && !role)) {
+    const { members } = await backfillGroupMembers(groupId);
+    role = members.find(member => member.userId === userId)?.role || null;
+  }
+  if (!role) {
+    return null;
+  }
+  
+  return { userId, role, permissions: GROUPS_CONFIG.PERMISSIONS[role] || [] };
+}
+
+/**
+ * Pick who inherits a group from a departing owner
+ * The longest-serving admin, or the longest-serving member when there are no admins.
+ * @param {Array} members - Remaining members from backfillGroupMembers
+ * @returns {Object} - Successor
+ */
+function pickSuccessor(members) {
+  const joinedAt = (member) => member.joinedAt?.toMillis?.() ?? Infinity;
+  const bySeniority = [...members].sort((a, b) => joinedAt(a) - joinedAt(b));
+
+  return bySeniority.find(member => member.role === GROUPS_CONFIG.ROLES.ADMIN) || bySeniority[0];
+}
+
+/**
+ * Set a member's role on their membership and in the group's members map
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<void>}
+ */
+async function setMemberRole(groupId, userId, role) {
+  const permissions = GROUPS_CONFIG.PERMISSIONS[role] || [];
+  const membersQuery = query(
+    collection(db, 'groupMembers'),
+    where('groupId', '==', groupId),
+    where('userId', '==', userId)
+  );
+  
+  const membersSnapshot = await getDocs(membersQuery);
+  
+  for (const memberDoc of membersSnapshot.docs) {
+    await updateDoc(memberDoc.ref, {
+      role,
+      permissions,
+      updatedAt: serverTimestamp()
+    });
+  }
+  await updateDoc(doc(db, 'groups', groupId), {
+    [`members.${userId}.role`]: role,
+    [`members.${userId}.permissions`]: permissions
+  });
+}
+
+/**
+ * Delete every document in a collection that belongs to a group
+ * @param {string} collectionName - Collection name
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+async function deleteGroupDocs(collectionName, groupId) {
+  const snapshot = await getDocs(query(collection(db, collectionName), where('groupId', '==', groupId)));
+  await Promise.all(snapshot.docs.map(groupDoc => deleteDoc(groupDoc.ref)));
+}
+
+/**
+ * Delete a group with its messages, files, analytics and everything else kept for it
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+async function deleteGroupData(groupId) {
+  // #general's chat is the group's own (chatId === groupId)
+  const channelsSnapshot = await getDocs(query(collection(db, 'groupChannels'), where('groupId', '==', groupId)));
+  const chatIds = new Set([groupId, ...channelsSnapshot.docs.map(channelDoc => channelDoc.data().chatId)]);
+  for (const chatId of chatIds) {
+    await getMessageStore().deleteChat(chatId);
+  }
+  await deleteGroupFiles(groupId);
+  
+  for (const collectionName of [
+    'groupChannels',
+    'groupMembers',
+    'groupInvitations',
+    'groupInvites',
+    'groupJoinRequests',
+    'groupAnalytics',
+    'groupActivity'
+  ]) {
+    await deleteGroupDocs(collectionName, groupId);
+  }
+  
+  await deleteDoc(doc(db, 'groups', groupId));
+}
+
 /**
  * Remove member from group
+ * Only the owner can remove themselves. When the owner leaves, the longest-serving admin
+ * becomes owner; when the last member leaves, the group and all its data are deleted.
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID to remove
  * @param {string} removedBy - ID of user performing removal
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<Object>} - { deleted, newOwnerId }
  */
 export async function removeGroupMember(groupId, userId, removedBy) {
   try {
+    // Who is left decides whether the group is deleted, so both membership records must be complete
+    const { members } = await backfillGroupMembers(groupId);
+    const leaving = members.find(member => member.userId === userId);
+    if (!leaving) {
+      throw groupError('Member not found', 404);
+    }
+    const leavingOwner = leaving.role === GROUPS_CONFIG.ROLES.OWNER;
+    
     // Check permissions
-    const canManage = await hasGroupPermission(groupId, removedBy, 'manage_members');
-    if (!canManage && removedBy !== userId) {
-      throw new Error('Insufficient permissions');
+    if (removedBy !== userId) {
+      if (leavingOwner) {
+        throw groupError('The group owner cannot be removed', 403);
+      }
+      
+      const canManage = await hasGroupPermission(groupId, removedBy, 'manage_members');
+      if (!canManage) {
+        throw groupError('Insufficient permissions', 403);
+      }
+    }
+    
+    const remaining = members.filter(member => member.userId !== userId);
+    
+    // Nobody left to hand the group to
+    if (remaining.length === 0) {
+      await deleteGroupData(groupId);
+      return { deleted: true, newOwnerId: null };
     }
     
     // Find and remove member document
@@ -278,9 +601,26 @@ export async function removeGroupMember(groupId, userId, removedBy) {
       await deleteDoc(memberDoc.ref);
     }
     
+    // Rotate sender keys in every channel so the removed member cannot decrypt
+    // anything sent from now on, and drop them from private channels
+    const channelsQuery = query(
+      collection(db, 'groupChannels'),
+      where('groupId', '==', groupId)
+    );
+    const channelsSnapshot = await getDocs(channelsQuery);
+    
+    for (const channelDoc of channelsSnapshot.docs) {
+      const channelUpdates = { keyEpoch: increment(1) };
+      if (channelDoc.data().memberIds?.includes(userId)) {
+        channelUpdates.memberIds = arrayRemove(userId);
+      }
+      await updateDoc(channelDoc.ref, channelUpdates);
+    }
+    
     // Update group member count
     await updateDoc(doc(db, 'groups', groupId), {
-      memberCount: increment(-1),
+      memberCount: remaining.length,
+      [`members.${userId}`]: null,
       updatedAt: serverTimestamp()
     });
     
@@ -288,15 +628,74 @@ export async function removeGroupMember(groupId, userId, removedBy) {
     const actionType = removedBy === userId ? 'member_left' : 'member_removed';
     await logGroupActivity(groupId, removedBy, actionType, { removedUserId: userId });
     
-    return true;
+    // A group always has an owner
+    let newOwnerId = null;
+    if (leavingOwner) {
+      newOwnerId = pickSuccessor(remaining).userId;
+      
+      await setMemberRole(groupId, newOwnerId, GROUPS_CONFIG.ROLES.OWNER);
+      await updateDoc(doc(db, 'groups', groupId), { ownerId: newOwnerId });
+      await logGroupActivity(groupId, userId, 'ownership_transferred', {
+        previousOwnerId: userId,
+        newOwnerId,
+        automatic: true
+      });
+    }
+    
+    return { deleted: false, newOwnerId };
   } catch (error) {
     console.error('Error removing group member:', error);
     throw error;
   }
 }
 
+/**
+ * Transfer group ownership to another member
+ * The previous owner stays in the group as an admin.
+ * @param {string} groupId - Group ID
+ * @param {string} newOwnerId - Member who becomes owner
+ * @param {string} currentOwnerId - ID of the current owner
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function transferGroupOwnership(groupId, newOwnerId, currentOwnerId) {
+  try {
+    await getGroup(groupId);
+    
+    const currentOwner = await getMembership(groupId, currentOwnerId);
+    if (currentOwner?.role !== GROUPS_CONFIG.ROLES.OWNER) {
+      throw groupError('Only the group owner can transfer ownership', 403);
+    }
+    if (newOwnerId === currentOwnerId) {
+      throw groupError('You already own this group', 400);
+    }
+    if (!(await getMembership(groupId, newOwnerId))) {
+      throw groupError('Member not found', 404);
+    }
+    
+    await setMemberRole(groupId, newOwnerId, GROUPS_CONFIG.ROLES.OWNER);
+    await setMemberRole(groupId, currentOwnerId, GROUPS_CONFIG.ROLES.ADMIN);
+    await updateDoc(doc(db, 'groups', groupId), {
+      ownerId: newOwnerId,
+      updatedAt: serverTimestamp()
+    });
+    
+    // Log activity
+    await logGroupActivity(groupId, currentOwnerId, 'ownership_transferred', {
+      previousOwnerId: currentOwnerId,
+      newOwnerId,
+      automatic: false
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error transferring group ownership:', error);
+    throw error;
+  }
+}
+
 /**
  * Update member role
+ * Ownership changes hands only through transferGroupOwnership.
  * @param {string} groupId - Group ID
  * @param {string} userId - User ID
  * @param {string} newRole - New role
@@ -311,26 +710,20 @@ export async function updateMemberRole(groupId, userId, newRole, updatedBy) {
       throw new Error('Insufficient permissions');
     }
     
-    // Find member document
-    const membersQuery = query(
-      collection(db, 'groupMembers'),
-      where('groupId', '==', groupId),
-      where('userId', '==', userId)
-    );
-    
-    const membersSnapshot = await getDocs(membersQuery);
+    if (newRole === GROUPS_CONFIG.ROLES.OWNER) {
+      throw groupError('Use ownership transfer to make a member owner', 400);
+    }
     
-    if (membersSnapshot.empty) {
+    const member = await getMembership(groupId, userId);
+    if (!member) {
       throw new Error('Member not found');
     }
+    if (member.role === GROUPS_CONFIG.ROLES.OWNER) {
+      throw groupError("The group owner's role cannot be changed", 403);
+    }
     
     // Update role
-    const memberDoc = membersSnapshot.docs[0];
-    await updateDoc(memberDoc.ref, {
-      role: newRole,
-      permissions: GROUPS_CONFIG.PERMISSIONS[newRole] || [],
-      updatedAt: serverTimestamp()
-    });
+    await setMemberRole(groupId, userId, newRole);
     
     // Log activity
     await logGroupActivity(groupId, updatedBy, 'role_updated', { 
@@ -390,21 +783,8 @@ export async function getGroupMembers(groupId, limitCount = 100) {
  */
 export async function hasGroupPermission(groupId, userId, permission) {
   try {
-    const membersQuery = query(
-      collection(db, 'groupMembers'),
-      where('groupId', '==', groupId),
-      where('userId', '==', userId),
-      where('isActive', '==', true)
-    );
-    
-    const snapshot = await getDocs(membersQuery);
-    
-    if (snapshot.empty) {
-      return false;
-    }
-    
-    const member = snapshot.docs[0].data();
-    return member.permissions?.includes(permission) || false;
+    const member = await getMembership(groupId, userId);
+    return member?.permissions.includes(permission) || false;
   } catch (error) {
     console.error('Error checking group permission:', error);
     return false;
@@ -434,11 +814,13 @@ export async function searchGroups(searchParams) {
       constraints.push(where('category', '==', category));
     }
     
-    // Filter by type (only show public groups in discovery unless user is member)
-    if (type) {
+    // Filter by type; secret groups are never discoverable, private ones are so people can ask to join
+    if (type === GROUPS_CONFIG.TYPES.SECRET) {
+      return [];
+    } else if (type) {
       constraints.push(where('type', '==', type));
     } else {
-      constraints.push(where('type', '==', GROUPS_CONFIG.TYPES.PUBLIC));
+      constraints.push(where('type', 'in', [GROUPS_CONFIG.TYPES.PUBLIC, GROUPS_CONFIG.TYPES.PRIVATE]));
     }
     
     // TODO: Implement full-text search
@@ -456,6 +838,10 @@ export async function searchGroups(searchParams) {
     snapshot.forEach((doc) => {
       const groupData = { id: doc.id, ...doc.data() };
       
+      if (groupData.type === GROUPS_CONFIG.TYPES.SECRET) {
+        return;
+      }
+      
       // Simple text search filter
       if (searchQuery) {
         const searchLower = searchQuery.toLowerCase();
@@ -526,67 +912,1322 @@ export async function getUserGroups(userId) {
 }
 
 /**
- * Initialize group analytics
+ * Check whether a user is an active member of a group
  * @param {string} groupId - Group ID
- * @param {string} creatorId - Creator ID
- * @returns {Promise<boolean>} - Success status
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} - Membership status
  */
-async function initializeGroupAnalytics(groupId, creatorId) {
+async function isGroupMember(groupId, userId) {
+  return Boolean(await getMembership(groupId, userId));
+}
+
+/**
+ * Invite a user to a group
+ * Members who manage members can always invite; other members only while the group allows invites.
+ * @param {string} groupId - Group ID
+ * @param {string} inviteeId - User ID to invite
+ * @param {string} invitedBy - ID of the inviting member
+ * @returns {Promise<Object>} - Invitation
+ */
+export async function inviteToGroup(groupId, inviteeId, invitedBy) {
   try {
-    await addDoc(collection(db, 'groupAnalytics'), {
+    const group = await getGroup(groupId);
+    
+    const canManage = await hasGroupPermission(groupId, invitedBy, 'manage_members');
+    const canInvite = canManage || (group.settings?.allowInvites && await isGroupMember(groupId, invitedBy));
+    if (!canInvite) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    if (await isGroupMember(groupId, inviteeId)) {
+      throw groupError('User is already a member', 409);
+    }
+    
+    // One open invitation per user and group
+    const pendingQuery = query(
+      collection(db, 'groupInvitations'),
+      where('groupId', '==', groupId),
+      where('inviteeId', '==', inviteeId),
+      where('status', '==', GROUPS_CONFIG.INVITATION_STATUS.PENDING)
+    );
+    const pending = await getDocs(pendingQuery);
+    if (!pending.empty) {
+      return { id: pending.docs[0].id, ...pending.docs[0].data() };
+    }
+    
+    const invitation = {
       groupId,
-      date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-      metrics: {
-        messagesCount: 0,
-        filesCount: 0,
-        activeUsers: 1,
-        newMembers: 1
-      },
-      createdAt: serverTimestamp()
-    });
+      groupName: group.name,
+      inviteeId,
+      invitedBy,
+      status: GROUPS_CONFIG.INVITATION_STATUS.PENDING,
+      createdAt: serverTimestamp(),
+      respondedAt: null
+    };
     
-    return true;
+    const invitationRef = await addDoc(collection(db, 'groupInvitations'), invitation);
+    
+    // Log activity
+    await logGroupActivity(groupId, invitedBy, 'member_invited', { inviteeId });
+    
+    return {
+      id: invitationRef.id,
+      ...invitation
+    };
   } catch (error) {
-    console.error('Error initializing group analytics:', error);
-    return false;
+    console.error('Error inviting group member:', error);
+    throw error;
   }
 }
 
 /**
- * Log group activity
- * @param {string} groupId - Group ID
- * @param {string} userId - User ID
- * @param {string} action - Action type
- * @param {Object} metadata - Additional data
- * @returns {Promise<boolean>} - Success status
+ * Accept or decline a group invitation
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - ID of the invited user
+ * @param {boolean} accept - Whether to join the group
+ * @returns {Promise<Object>} - Updated invitation
  */
-async function logGroupActivity(groupId, userId, action, metadata = {}) {
+export async function respondToGroupInvitation(invitationId, userId, accept) {
   try {
-    await addDoc(collection(db, 'groupActivity'), {
-      groupId,
-      userId,
-      action,
-      metadata,
-      timestamp: serverTimestamp()
+    const invitationRef = doc(db, 'groupInvitations', invitationId);
+    const invitationDoc = await getDoc(invitationRef);
+    
+    if (!invitationDoc.exists()) {
+      throw groupError('Invitation not found', 404);
+    }
+    
+    const invitation = invitationDoc.data();
+    if (invitation.inviteeId !== userId) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    if (invitation.status !== GROUPS_CONFIG.INVITATION_STATUS.PENDING) {
+      throw groupError(`Invitation already ${invitation.status}`, 409);
+    }
+    
+    if (accept && !(await isGroupMember(invitation.groupId, userId))) {
+      await addGroupMember(invitation.groupId, userId, GROUPS_CONFIG.ROLES.MEMBER, {
+        method: GROUPS_CONFIG.JOIN_METHODS.INVITATION,
+        invitationId,
+        invitedBy: invitation.invitedBy
+      });
+    }
+    
+    const status = accept
+      ? GROUPS_CONFIG.INVITATION_STATUS.ACCEPTED
+      : GROUPS_CONFIG.INVITATION_STATUS.DECLINED;
+    await updateDoc(invitationRef, {
+      status,
+      respondedAt: serverTimestamp()
     });
     
-    return true;
+    // Log activity
+    await logGroupActivity(invitation.groupId, userId, accept ? 'invitation_accepted' : 'invitation_declined', {
+      invitationId,
+      invitedBy: invitation.invitedBy
+    });
+    
+    return {
+      id: invitationId,
+      ...invitation,
+      status
+    };
   } catch (error) {
-    console.error('Error logging group activity:', error);
-    return false;
+    console.error('Error responding to group invitation:', error);
+    throw error;
   }
 }
 
 /**
- * Subscribe to group updates
- * @param {string} groupId - Group ID
- * @param {function} callback - Update callback
- * @returns {function} - Unsubscribe function
+ * Get a user's open group invitations
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Pending invitations
  */
-export function subscribeToGroup(groupId, callback) {
-  return onSnapshot(doc(db, 'groups', groupId), (doc) => {
-    if (doc.exists()) {
-      callback({
+export async function getGroupInvitations(userId) {
+  try {
+    const invitationsQuery = query(
+      collection(db, 'groupInvitations'),
+      where('inviteeId', '==', userId),
+      where('status', '==', GROUPS_CONFIG.INVITATION_STATUS.PENDING)
+    );
+    
+    const snapshot = await getDocs(invitationsQuery);
+    return snapshot.docs.map(invitationDoc => ({ id: invitationDoc.id, ...invitationDoc.data() }));
+  } catch (error) {
+    console.error('Error getting group invitations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate an invite link code from a cryptographically secure source
+ * @returns {string} - Invite code
+ */
+export function generateInviteCode() {
+  const { CODE_LENGTH, CODE_ALPHABET } = GROUPS_CONFIG.INVITE_LINKS;
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+  
+  // The alphabet has 32 characters, so the low five bits pick one without bias
+  return Array.from(bytes, byte => CODE_ALPHABET[byte & 31]).join('');
+}
+
+/**
+ * Normalize a typed or pasted invite code
+ * @param {string} code - Invite code, any case, optionally with spaces or dashes
+ * @returns {string|null} - Normalized code, or null when it cannot be one
+ */
+export function normalizeInviteCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  return GROUPS_CONFIG.INVITE_LINKS.CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Get the state of an invite link
+ * @param {Object} invite - Invite link
+ * @param {number} now - Current time in ms
+ * @returns {string} - GROUPS_CONFIG.INVITE_LINKS.STATUS value
+ */
+export function getInviteStatus(invite, now = Date.now()) {
+  const { STATUS } = GROUPS_CONFIG.INVITE_LINKS;
+  const expiresAt = invite.expiresAt?.toMillis?.() ?? invite.expiresAt;
+  
+  if (invite.revoked) {
+    return STATUS.REVOKED;
+  }
+  if (expiresAt && expiresAt <= now) {
+    return STATUS.EXPIRED;
+  }
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    return STATUS.EXHAUSTED;
+  }
+  return STATUS.ACTIVE;
+}
+
+/**
+ * Create an invite link for a group
+ * Members who manage members can always create links; other members only while the group allows invites.
+ * @param {string} groupId - Group ID
+ * @param {string} createdBy - ID of the creating member
+ * @param {Object} options - { expiresIn: ms or null for no expiry, maxUses: number or null for unlimited }
+ * @returns {Promise<Object>} - Invite link
+ */
+export async function createGroupInvite(groupId, createdBy, { expiresIn = GROUPS_CONFIG.INVITE_LINKS.DEFAULT_EXPIRY, maxUses = null } = {}) {
+  try {
+    const group = await getGroup(groupId);
+    
+    const canManage = await hasGroupPermission(groupId, createdBy, 'manage_members');
+    const canInvite = canManage || (group.settings?.allowInvites && await isGroupMember(groupId, createdBy));
+    if (!canInvite) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    if (group.type === GROUPS_CONFIG.TYPES.SECRET) {
+      throw groupError('Secret groups can only be joined by invitation', 400);
+    }
+    
+    if (expiresIn !== null && !(Number.isFinite(expiresIn) && expiresIn > 0)) {
+      throw groupError('Invalid invite expiry', 400);
+    }
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+      throw groupError('Invalid invite use limit', 400);
+    }
+    
+    const code = generateInviteCode();
+    const invite = {
+      code,
+      groupId,
+      createdBy,
+      createdAt: serverTimestamp(),
+      expiresAt: expiresIn === null ? null : Date.now() + expiresIn,
+      maxUses,
+      uses: 0,
+      revoked: false,
+      revokedAt: null,
+      revokedBy: null
+    };
+    
+    // The code is the document ID, so joining reads the invite directly
+    await setDoc(doc(db, 'groupInvites', code), invite);
+    
+    // Log activity
+    await logGroupActivity(groupId, createdBy, 'invite_created', { code, expiresAt: invite.expiresAt, maxUses });
+    
+    return invite;
+  } catch (error) {
+    console.error('Error creating group invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a group's invite links, newest first
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of a member who manages members
+ * @returns {Promise<Array>} - Invite links with their status
+ */
+export async function getGroupInvites(groupId, userId) {
+  try {
+    if (!(await hasGroupPermission(groupId, userId, 'manage_members'))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    const invitesQuery = query(
+      collection(db, 'groupInvites'),
+      where('groupId', '==', groupId),
+      orderBy('createdAt', 'desc')
+    );
+    
+    const snapshot = await getDocs(invitesQuery);
+    return snapshot.docs.map(inviteDoc => {
+      const invite = inviteDoc.data();
+      return { ...invite, status: getInviteStatus(invite) };
+    });
+  } catch (error) {
+    console.error('Error getting group invites:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke an invite link
+ * @param {string} code - Invite code
+ * @param {string} userId - The link's creator or a member who manages members
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function revokeGroupInvite(code, userId) {
+  try {
+    const inviteRef = doc(db, 'groupInvites', code);
+    const inviteDoc = await getDoc(inviteRef);
+    
+    if (!inviteDoc.exists()) {
+      throw groupError('Invite not found', 404);
+    }
+    
+    const invite = inviteDoc.data();
+    if (invite.createdBy !== userId && !(await hasGroupPermission(invite.groupId, userId, 'manage_members'))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    await updateDoc(inviteRef, {
+      revoked: true,
+      revokedAt: serverTimestamp(),
+      revokedBy: userId
+    });
+    
+    // Log activity
+    await logGroupActivity(invite.groupId, userId, 'invite_revoked', { code });
+    
+    return true;
+  } catch (error) {
+    console.error('Error revoking group invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the error for an invite link that cannot be used
+ * Unknown, expired, revoked and used-up links and links to secret groups all get the same
+ * answer, so a code reveals nothing about a group it does not admit to.
+ * @returns {Error} - 404 error
+ */
+function invalidInviteError() {
+  return groupError('This invite link is not valid', 404);
+}
+
+/**
+ * Look up an active invite link and the group it joins, for the join page
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} - { code, expiresAt, group: public group details }
+ */
+export async function previewGroupInvite(code) {
+  try {
+    const normalized = normalizeInviteCode(code);
+    const inviteDoc = normalized ? await getDoc(doc(db, 'groupInvites', normalized)) : null;
+    const invite = inviteDoc?.exists() ? inviteDoc.data() : null;
+    
+    if (!invite || getInviteStatus(invite) !== GROUPS_CONFIG.INVITE_LINKS.STATUS.ACTIVE) {
+      throw invalidInviteError();
+    }
+    
+    const group = await getGroup(invite.groupId);
+    if (group.type === GROUPS_CONFIG.TYPES.SECRET) {
+      throw invalidInviteError();
+    }
+    
+    return {
+      code: normalized,
+      expiresAt: invite.expiresAt,
+      group: {
+        id: group.id,
+        name: group.name,
+        description: group.description,
+        avatar: group.avatar || null,
+        category: group.category,
+        type: group.type,
+        memberCount: group.memberCount || 0
+      }
+    };
+  } catch (error) {
+    console.error('Error previewing group invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Join a group with an invite link
+ * The use is counted in a transaction, so a link never admits more than its limit.
+ * @param {string} code - Invite code
+ * @param {string} userId - Joining user ID
+ * @returns {Promise<Object>} - { groupId, alreadyMember }
+ */
+export async function joinGroupWithInvite(code, userId) {
+  try {
+    const { STATUS } = GROUPS_CONFIG.INVITE_LINKS;
+    const normalized = normalizeInviteCode(code);
+    if (!normalized) {
+      throw invalidInviteError();
+    }
+    
+    const inviteRef = doc(db, 'groupInvites', normalized);
+    const inviteDoc = await getDoc(inviteRef);
+    if (!inviteDoc.exists() || getInviteStatus(inviteDoc.data()) !== STATUS.ACTIVE) {
+      throw invalidInviteError();
+    }
+    
+    const { groupId } = inviteDoc.data();
+    const group = await getGroup(groupId);
+    if (group.type === GROUPS_CONFIG.TYPES.SECRET) {
+      throw invalidInviteError();
+    }
+    
+    if (await isGroupMember(groupId, userId)) {
+      return { groupId, alreadyMember: true };
+    }
+    
+    if ((group.memberCount || 0) >= (group.settings?.maxMembers || GROUPS_CONFIG.MAX_MEMBERS)) {
+      throw groupError('Group is full', 409);
+    }
+    
+    const invite = await runTransaction(db, async (transaction) => {
+      const current = await transaction.get(inviteRef);
+      const data = current.data();
+      
+      // Another join may have used the link up since it was read
+      if (getInviteStatus(data) !== STATUS.ACTIVE) {
+        throw invalidInviteError();
+      }
+      
+      transaction.update(inviteRef, {
+        uses: increment(1),
+        lastUsedAt: serverTimestamp()
+      });
+      return data;
+    });
+    
+    await addGroupMember(groupId, userId, GROUPS_CONFIG.ROLES.MEMBER, {
+      method: GROUPS_CONFIG.JOIN_METHODS.INVITE_LINK,
+      code: normalized,
+      invitedBy: invite.createdBy
+    });
+    
+    return { groupId, alreadyMember: false };
+  } catch (error) {
+    console.error('Error joining group with invite:', error);
+    throw error;
+  }
+}
+
+/**
+ * Call the invite links API
+ * @param {string} url - API URL
+ * @param {Object} options - fetch options
+ * @param {Function} request - fetch, or fetchWithAuth for [auth] calls
+ * @returns {Promise<Object>} - Response data
+ */
+async function callInvitesApi(url, options, request) {
+  const response = await request(url, options);
+  const result = await response.json().catch(() => ({}));
+  
+  if (!response.ok || !result.success) {
+    const error = new Error(result.error || `Invite request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result.data;
+}
+
+/**
+ * Fetch the preview of an invite link from the server
+ * Works signed out, so the join page can show the group before logging in.
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} - See previewGroupInvite
+ */
+export async function fetchGroupInvitePreview(code) {
+  return callInvitesApi(`${GROUPS_CONFIG.INVITE_LINKS.API_PATH}?code=${encodeURIComponent(code)}`, {}, fetch);
+}
+
+/**
+ * Join a group with an invite link as the signed-in user
+ * @param {string} code - Invite code
+ * @returns {Promise<Object>} - { groupId, alreadyMember }
+ */
+export async function requestGroupInviteJoin(code) {
+  return callInvitesApi(`${GROUPS_CONFIG.INVITE_LINKS.API_PATH}?action=join`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code })
+  }, fetchWithAuth);
+}
+
+/**
+ * Check whether joining a group needs a member who manages members to approve it
+ * @param {Object} group - Group document
+ * @returns {boolean} - Whether joins are requests
+ */
+function requiresApproval(group) {
+  return group.type === GROUPS_CONFIG.TYPES.PRIVATE || Boolean(group.settings?.requireApproval);
+}
+
+/**
+ * Join a group found through discovery
+ * Public groups are joined at once; private groups get a pending request for their
+ * managers to review. Secret groups can only be joined by invitation.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Joining user ID
+ * @param {Object} options - { message: note to the group's managers }
+ * @returns {Promise<Object>} - { status: 'joined' | 'member' | 'pending', request }
+ */
+export async function joinGroup(groupId, userId, { message = '' } = {}) {
+  try {
+    const group = await getGroup(groupId);
+    
+    // Answer as if the group did not exist, so its existence is not confirmed
+    if (group.type === GROUPS_CONFIG.TYPES.SECRET) {
+      throw groupError('Group not found', 404);
+    }
+    
+    if (await isGroupMember(groupId, userId)) {
+      return { status: 'member', request: null };
+    }
+    
+    if (!requiresApproval(group)) {
+      if ((group.memberCount || 0) >= (group.settings?.maxMembers || GROUPS_CONFIG.MAX_MEMBERS)) {
+        throw groupError('Group is full', 409);
+      }
+      
+      await addGroupMember(groupId, userId, GROUPS_CONFIG.ROLES.MEMBER, {
+        method: GROUPS_CONFIG.JOIN_METHODS.PUBLIC
+      });
+      return { status: 'joined', request: null };
+    }
+    
+    const note = String(message || '').trim();
+    if (note.length > GROUPS_CONFIG.MAX_JOIN_MESSAGE_LENGTH) {
+      throw groupError('Message too long', 400);
+    }
+    
+    // One open request per user and group
+    const pendingQuery = query(
+      collection(db, 'groupJoinRequests'),
+      where('groupId', '==', groupId),
+      where('userId', '==', userId),
+      where('status', '==', GROUPS_CONFIG.JOIN_REQUEST_STATUS.PENDING)
+    );
+    const pending = await getDocs(pendingQuery);
+    if (!pending.empty) {
+      return { status: 'pending', request: { id: pending.docs[0].id, ...pending.docs[0].data() } };
+    }
+    
+    const request = {
+      groupId,
+      groupName: group.name,
+      userId,
+      message: note,
+      status: GROUPS_CONFIG.JOIN_REQUEST_STATUS.PENDING,
+      createdAt: serverTimestamp(),
+      reviewedBy: null,
+      reviewedAt: null,
+      responseMessage: null,
+      applicantNotifiedAt: null
+    };
+    
+    const requestRef = await addDoc(collection(db, 'groupJoinRequests'), request);
+    
+    // Log activity
+    await logGroupActivity(groupId, userId, 'join_requested', { requestId: requestRef.id });
+    
+    return { status: 'pending', request: { id: requestRef.id, ...request } };
+  } catch (error) {
+    console.error('Error joining group:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a group's pending join requests, oldest first
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of a member who manages members
+ * @returns {Promise<Array>} - Pending requests
+ */
+export async function getJoinRequests(groupId, userId) {
+  try {
+    if (!(await hasGroupPermission(groupId, userId, 'manage_members'))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    const requestsQuery = query(
+      collection(db, 'groupJoinRequests'),
+      where('groupId', '==', groupId),
+      where('status', '==', GROUPS_CONFIG.JOIN_REQUEST_STATUS.PENDING),
+      orderBy('createdAt', 'asc')
+    );
+    
+    const snapshot = await getDocs(requestsQuery);
+    return snapshot.docs.map(requestDoc => ({ id: requestDoc.id, ...requestDoc.data() }));
+  } catch (error) {
+    console.error('Error getting join requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's own pending join requests
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Pending requests
+ */
+export async function getUserJoinRequests(userId) {
+  try {
+    const requestsQuery = query(
+      collection(db, 'groupJoinRequests'),
+      where('userId', '==', userId),
+      where('status', '==', GROUPS_CONFIG.JOIN_REQUEST_STATUS.PENDING)
+    );
+    
+    const snapshot = await getDocs(requestsQuery);
+    return snapshot.docs.map(requestDoc => ({ id: requestDoc.id, ...requestDoc.data() }));
+  } catch (error) {
+    console.error('Error getting user join requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approve or reject a join request
+ * @param {string} requestId - Join request ID
+ * @param {string} reviewerId - ID of a member who manages members
+ * @param {boolean} approve - Whether to admit the applicant
+ * @param {string} message - Optional note to the applicant
+ * @returns {Promise<Object>} - Reviewed request
+ */
+export async function reviewJoinRequest(requestId, reviewerId, approve, message = '') {
+  try {
+    const requestRef = doc(db, 'groupJoinRequests', requestId);
+    const requestDoc = await getDoc(requestRef);
+    
+    if (!requestDoc.exists()) {
+      throw groupError('Join request not found', 404);
+    }
+    
+    const request = requestDoc.data();
+    if (!(await hasGroupPermission(request.groupId, reviewerId, 'manage_members'))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    if (request.status !== GROUPS_CONFIG.JOIN_REQUEST_STATUS.PENDING) {
+      throw groupError(`Join request already ${request.status}`, 409);
+    }
+    
+    const note = String(message || '').trim();
+    if (note.length > GROUPS_CONFIG.MAX_JOIN_MESSAGE_LENGTH) {
+      throw groupError('Message too long', 400);
+    }
+    
+    if (approve && !(await isGroupMember(request.groupId, request.userId))) {
+      await addGroupMember(request.groupId, request.userId, GROUPS_CONFIG.ROLES.MEMBER, {
+        method: GROUPS_CONFIG.JOIN_METHODS.JOIN_REQUEST,
+        requestId,
+        approvedBy: reviewerId
+      });
+    }
+    
+    const reviewed = {
+      status: approve ? GROUPS_CONFIG.JOIN_REQUEST_STATUS.APPROVED : GROUPS_CONFIG.JOIN_REQUEST_STATUS.REJECTED,
+      reviewedBy: reviewerId,
+      reviewedAt: serverTimestamp(),
+      responseMessage: note || null
+    };
+    await updateDoc(requestRef, reviewed);
+    
+    // Log activity
+    await logGroupActivity(request.groupId, reviewerId, approve ? 'join_approved' : 'join_rejected', {
+      requestId,
+      applicantId: request.userId
+    });
+    
+    return {
+      id: requestId,
+      ...request,
+      ...reviewed
+    };
+  } catch (error) {
+    console.error('Error reviewing join request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a reviewed join request for notifying its applicant
+ * @param {string} requestId - Join request ID
+ * @param {string} reviewerId - ID of the member who reviewed the request
+ * @returns {Promise<Object|null>} - The request, or null when it was already notified
+ */
+export async function claimJoinRequestNotification(requestId, reviewerId) {
+  const requestRef = doc(db, 'groupJoinRequests', requestId);
+  
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(requestRef);
+    if (!current.exists()) {
+      throw groupError('Join request not found', 404);
+    }
+    
+    // Pending requests have no reviewer yet
+    const request = current.data();
+    if (request.reviewedBy !== reviewerId) {
+      throw groupError('Only the reviewer can notify the applicant', 403);
+    }
+    if (request.applicantNotifiedAt) {
+      return null;
+    }
+    
+    transaction.update(requestRef, { applicantNotifiedAt: serverTimestamp() });
+    return { id: requestId, ...request };
+  });
+}
+
+/**
+ * Ask the server to tell an applicant the signed-in user reviewed their request
+ * Safe to repeat: each request notifies once.
+ * @param {string} requestId - Join request ID
+ * @returns {Promise<void>}
+ */
+export async function requestJoinRequestNotification(requestId) {
+  try {
+    const response = await fetchWithAuth(`${GROUPS_CONFIG.JOIN_REQUESTS_API_PATH}?action=notify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requestId })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Error requesting join request notification:', error);
+  }
+}
+
+/**
+ * Get the ID of a group's #general channel
+ * @param {string} groupId - Group ID
+ * @returns {string} - Channel ID
+ */
+function defaultChannelId(groupId) {
+  return `${groupId}_${GROUPS_CONFIG.CHANNELS.DEFAULT_NAME}`;
+}
+
+/**
+ * Create a group's #general channel unless it exists
+ * Its chat is the group's own, so messages sent before channels existed stay in #general.
+ * @param {string} groupId - Group ID
+ * @param {string} createdBy - User ID recorded as creator
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultChannel(groupId, createdBy) {
+  const channelRef = doc(db, 'groupChannels', defaultChannelId(groupId));
+  if ((await getDoc(channelRef)).exists()) {
+    return;
+  }
+  
+  await setDoc(channelRef, {
+    groupId,
+    name: GROUPS_CONFIG.CHANNELS.DEFAULT_NAME,
+    topic: '',
+    isDefault: true,
+    isPrivate: false,
+    memberIds: null,
+    chatId: groupId,
+    keyEpoch: 0,
+    permissionOverrides: { roles: {}, members: {} },
+    createdBy,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp()
+  });
+}
+
+/**
+ * Normalize a channel name: lowercase, no leading #, spaces as dashes
+ * @param {string} name - Channel name as typed
+ * @returns {string} - Channel name
+ */
+export function normalizeChannelName(name) {
+  return String(name || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Check whether a member can see a channel
+ * @param {Object} channel - Channel
+ * @param {string} userId - User ID
+ * @returns {boolean} - Public channels are visible to every member, private ones to their members
+ */
+function canViewChannel(channel, userId) {
+  return !channel.isPrivate || Boolean(channel.memberIds?.includes(userId));
+}
+
+/**
+ * Work out a member's permissions in a channel
+ * Starts from the member's role permissions plus CHANNELS.BASE_PERMISSIONS, then applies the
+ * channel's override for their role and finally its override for them; a deny beats an allow
+ * at the same level. The owner's permissions are never reduced.
+ * @param {Object} channel - Channel with permissionOverrides { roles, members } of { allow, deny }
+ * @param {Object} member - { userId, role, permissions } from the group membership
+ * @returns {Array<string>} - Permissions
+ */
+export function getChannelPermissions(channel, member) {
+  const permissions = new Set([...GROUPS_CONFIG.CHANNELS.BASE_PERMISSIONS, ...member.permissions]);
+  
+  if (member.role !== GROUPS_CONFIG.ROLES.OWNER) {
+    const { roles = {}, members = {} } = channel?.permissionOverrides || {};
+    
+    for (const override of [roles[member.role], members[member.userId]]) {
+      override?.allow?.forEach(permission => permissions.add(permission));
+      override?.deny?.forEach(permission => permissions.delete(permission));
+    }
+  }
+  
+  return [...permissions];
+}
+
+/**
+ * Find the channel a chat belongs to
+ * @param {string} groupId - Group ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - Channel
+ */
+export async function getChannelForChat(groupId, chatId) {
+  const channelsQuery = query(
+    collection(db, 'groupChannels'),
+    where('groupId', '==', groupId),
+    where('chatId', '==', chatId),
+    limit(1)
+  );
+  
+  const snapshot = await getDocs(channelsQuery);
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+}
+
+/**
+ * Find the group a chat belongs to and check that a user may use it
+ * Group chats are channels, and a group's own ID is the chat of its #general (which has no
+ * channel document in groups created before channels). Only members who can see the channel
+ * may use a group chat; any other chat is open to every signed-in user.
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { groupId, channel, member }, all null for an open chat
+ */
+export async function getChatAccess(chatId, userId) {
+  const channelsQuery = query(
+    collection(db, 'groupChannels'),
+    where('chatId', '==', chatId),
+    limit(1)
+  );
+  const [channelsSnapshot, groupDoc] = await Promise.all([
+    getDocs(channelsQuery),
+    getDoc(doc(db, 'groups', chatId))
+  ]);
+  
+  const channel = channelsSnapshot.empty
+    ? null
+    : { id: channelsSnapshot.docs[0].id, ...channelsSnapshot.docs[0].data() };
+  const groupId = channel?.groupId || (groupDoc.exists() ? chatId : null);
+  if (!groupId) {
+    return { groupId: null, channel: null, member: null };
+  }
+  
+  const member = await getMembership(groupId, userId);
+  if (!member || (channel && !canViewChannel(channel, userId))) {
+    throw groupError('Not a member of this chat', 403);
+  }
+  
+  return { groupId, channel, member };
+}
+
+/**
+ * Check if user has a permission in the channel a group chat belongs to
+ * A group chat without a channel (a group's chat before #general was created) has no overrides.
+ * @param {string} groupId - Group ID
+ * @param {string} chatId - Chat ID of the channel
+ * @param {string} userId - User ID
+ * @param {string} permission - Permission to check
+ * @returns {Promise<boolean>} - Has permission
+ */
+export async function hasChannelPermission(groupId, chatId, userId, permission) {
+  try {
+    const [member, channel] = await Promise.all([
+      getMembership(groupId, userId),
+      getChannelForChat(groupId, chatId)
+    ]);
+    
+    if (!member || (channel && !canViewChannel(channel, userId))) {
+      return false;
+    }
+    
+    return getChannelPermissions(channel, member).includes(permission);
+  } catch (error) {
+    console.error('Error checking channel permission:', error);
+    return false;
+  }
+}
+
+/**
+ * Validate channel permission overrides
+ * @param {string} groupId - Group ID
+ * @param {Object} overrides - { roles: { role: { allow, deny } }, members: { userId: { allow, deny } } }
+ * @returns {Promise<Object>} - Overrides with empty entries dropped
+ */
+async function validatePermissionOverrides(groupId, overrides) {
+  const validOverride = (override) => {
+    const allow = override?.allow || [];
+    const deny = override?.deny || [];
+    
+    if (!Array.isArray(allow) || !Array.isArray(deny) ||
+        [...allow, ...deny].some(permission => !GROUPS_CONFIG.CHANNELS.OVERRIDABLE_PERMISSIONS.includes(permission))) {
+      throw groupError('Invalid channel permission override', 400);
+    }
+    
+    return allow.length || deny.length ? { allow, deny } : null;
+  };
+  
+  const result = { roles: {}, members: {} };
+  
+  Object.entries(overrides?.roles || {}).forEach(([role, override]) => {
+    if (!Object.values(GROUPS_CONFIG.ROLES).includes(role)) {
+      throw groupError('Invalid channel permission override', 400);
+    }
+    const valid = validOverride(override);
+    if (valid) result.roles[role] = valid;
+  });
+  
+  for (const [memberId, override] of Object.entries(overrides?.members || {})) {
+    if (!(await isGroupMember(groupId, memberId))) {
+      throw groupError('Member not found', 404);
+    }
+    const valid = validOverride(override);
+    if (valid) result.members[memberId] = valid;
+  }
+  
+  return result;
+}
+
+/**
+ * List the channels in a snapshot a member can see
+ * @param {QuerySnapshot} snapshot - groupChannels snapshot
+ * @param {string} userId - User ID
+ * @returns {Array} - Channels, #general first, then by name
+ */
+function visibleChannels(snapshot, userId) {
+  return snapshot.docs
+    .map(channelDoc => ({ id: channelDoc.id, ...channelDoc.data() }))
+    .filter(channel => canViewChannel(channel, userId))
+    .sort((a, b) => (b.isDefault - a.isDefault) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a channel a member manages, checking manage_channels
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Channel
+ */
+async function getManagedChannel(channelId, userId) {
+  const channelDoc = await getDoc(doc(db, 'groupChannels', channelId));
+  if (!channelDoc.exists()) {
+    throw groupError('Channel not found', 404);
+  }
+  
+  const channel = { id: channelDoc.id, ...channelDoc.data() };
+  if (!(await hasGroupPermission(channel.groupId, userId, 'manage_channels'))) {
+    throw groupError('Insufficient permissions', 403);
+  }
+  
+  return channel;
+}
+
+/**
+ * Get the channels of a group a member can see
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<Array>} - Channels, #general first, then by name
+ */
+export async function getGroupChannels(groupId, userId) {
+  try {
+    const group = await getGroup(groupId);
+    if (!(await isGroupMember(groupId, userId))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    // Groups created before channels get #general on first use
+    await ensureDefaultChannel(groupId, group.ownerId || userId);
+    
+    const channelsQuery = query(
+      collection(db, 'groupChannels'),
+      where('groupId', '==', groupId)
+    );
+    
+    const snapshot = await getDocs(channelsQuery);
+    
+    return visibleChannels(snapshot, userId);
+  } catch (error) {
+    console.error('Error getting group channels:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a channel in a group
+ * Private channels are visible only to their members; the creator is always one.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - ID of a member with manage_channels
+ * @param {Object} channelData - { name, topic, isPrivate, memberIds }
+ * @returns {Promise<Object>} - Created channel
+ */
+export async function createChannel(groupId, userId, { name, topic = '', isPrivate = false, memberIds = [] }) {
+  try {
+    await getGroup(groupId);
+    if (!(await hasGroupPermission(groupId, userId, 'manage_channels'))) {
+      throw groupError('Insufficient permissions', 403);
+    }
+    
+    const channelName = normalizeChannelName(name);
+    if (!GROUPS_CONFIG.CHANNELS.NAME_PATTERN.test(channelName)) {
+      throw groupError('Channel names use lowercase letters, numbers, dashes and underscores', 400);
+    }
+    if (topic.length > GROUPS_CONFIG.CHANNELS.MAX_TOPIC_LENGTH) {
+      throw groupError('Topic too long', 400);
+    }
+    
+    const existingSnapshot = await getDocs(query(
+      collection(db, 'groupChannels'),
+      where('groupId', '==', groupId)
+    ));
+    if (existingSnapshot.docs.some(channelDoc => channelDoc.data().name === channelName)) {
+      throw groupError('A channel with this name already exists', 409);
+    }
+    if (existingSnapshot.size >= GROUPS_CONFIG.CHANNELS.MAX_CHANNELS) {
+      throw groupError('This group has too many channels', 400);
+    }
+    
+    const channelMembers = isPrivate ? [...new Set([userId, ...memberIds])] : null;
+    for (const memberId of channelMembers || []) {
+      if (!(await isGroupMember(groupId, memberId))) {
+        throw groupError('Member not found', 404);
+      }
+    }
+    
+    // Each channel is its own chat, with its own sender keys; members replace
+    // theirs whenever keyEpoch changes
+    const channelRef = doc(collection(db, 'groupChannels'));
+    const channel = {
+      groupId,
+      name: channelName,
+      topic: topic.trim(),
+      isDefault: false,
+      isPrivate: Boolean(isPrivate),
+      memberIds: channelMembers,
+      chatId: channelRef.id,
+      keyEpoch: 0,
+      permissionOverrides: { roles: {}, members: {} },
+      createdBy: userId,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+    
+    await setDoc(channelRef, channel);
+    
+    // Log activity
+    await logGroupActivity(groupId, userId, 'channel_created', {
+      channelId: channelRef.id,
+      name: channelName,
+      isPrivate: channel.isPrivate
+    });
+    
+    return { id: channelRef.id, ...channel };
+  } catch (error) {
+    console.error('Error creating channel:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a channel's name, topic or permission overrides
+ * #general cannot be renamed.
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - ID of a member with manage_channels
+ * @param {Object} updates - { name, topic, permissionOverrides }
+ * @returns {Promise<Object>} - Updated channel
+ */
+export async function updateChannel(channelId, userId, { name, topic, permissionOverrides }) {
+  try {
+    const channel = await getManagedChannel(channelId, userId);
+    const updates = {};
+    
+    if (name !== undefined) {
+      const channelName = normalizeChannelName(name);
+      if (channel.isDefault && channelName !== channel.name) {
+        throw groupError(`#${channel.name} cannot be renamed`, 400);
+      }
+      if (!GROUPS_CONFIG.CHANNELS.NAME_PATTERN.test(channelName)) {
+        throw groupError('Channel names use lowercase letters, numbers, dashes and underscores', 400);
+      }
+      
+      const duplicateSnapshot = await getDocs(query(
+        collection(db, 'groupChannels'),
+        where('groupId', '==', channel.groupId),
+        where('name', '==', channelName)
+      ));
+      if (duplicateSnapshot.docs.some(channelDoc => channelDoc.id !== channelId)) {
+        throw groupError('A channel with this name already exists', 409);
+      }
+      updates.name = channelName;
+    }
+    
+    if (topic !== undefined) {
+      if (topic.length > GROUPS_CONFIG.CHANNELS.MAX_TOPIC_LENGTH) {
+        throw groupError('Topic too long', 400);
+      }
+      updates.topic = topic.trim();
+    }
+    
+    if (permissionOverrides !== undefined) {
+      updates.permissionOverrides = await validatePermissionOverrides(channel.groupId, permissionOverrides);
+    }
+    
+    await updateDoc(doc(db, 'groupChannels', channelId), {
+      ...updates,
+      updatedAt: serverTimestamp()
+    });
+    
+    // Log activity
+    await logGroupActivity(channel.groupId, userId, 'channel_updated', {
+      channelId,
+      fields: Object.keys(updates)
+    });
+    
+    return { ...channel, ...updates };
+  } catch (error) {
+    console.error('Error updating channel:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a group member to a private channel
+ * @param {string} channelId - Channel ID
+ * @param {string} memberId - Group member to add
+ * @param {string} addedBy - ID of a member with manage_channels
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function addChannelMember(channelId, memberId, addedBy) {
+  try {
+    const channel = await getManagedChannel(channelId, addedBy);
+    
+    if (!channel.isPrivate) {
+      throw groupError('Every group member is in a public channel', 400);
+    }
+    if (!(await isGroupMember(channel.groupId, memberId))) {
+      throw groupError('Member not found', 404);
+    }
+    
+    await updateDoc(doc(db, 'groupChannels', channelId), {
+      memberIds: arrayUnion(memberId),
+      updatedAt: serverTimestamp()
+    });
+    
+    // Log activity
+    await logGroupActivity(channel.groupId, addedBy, 'channel_member_added', { channelId, memberId });
+    
+    return true;
+  } catch (error) {
+    console.error('Error adding channel member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from a private channel, or leave it
+ * Sender keys are rotated so the removed member cannot read what is sent next.
+ * @param {string} channelId - Channel ID
+ * @param {string} memberId - Channel member to remove
+ * @param {string} removedBy - The member themselves, or a member with manage_channels
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function removeChannelMember(channelId, memberId, removedBy) {
+  try {
+    const channelDoc = await getDoc(doc(db, 'groupChannels', channelId));
+    if (!channelDoc.exists()) {
+      throw groupError('Channel not found', 404);
+    }
+    const channel = channelDoc.data();
+    
+    if (removedBy !== memberId) {
+      await getManagedChannel(channelId, removedBy);
+    }
+    if (!channel.isPrivate) {
+      throw groupError('Every group member is in a public channel', 400);
+    }
+    
+    await updateDoc(doc(db, 'groupChannels', channelId), {
+      memberIds: arrayRemove(memberId),
+      keyEpoch: increment(1),
+      updatedAt: serverTimestamp()
+    });
+    
+    // Log activity
+    const actionType = removedBy === memberId ? 'channel_member_left' : 'channel_member_removed';
+    await logGroupActivity(channel.groupId, removedBy, actionType, { channelId, memberId });
+    
+    return true;
+  } catch (error) {
+    console.error('Error removing channel member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a channel and its messages
+ * #general cannot be deleted.
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - ID of a member with manage_channels
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function deleteChannel(channelId, userId) {
+  try {
+    const channel = await getManagedChannel(channelId, userId);
+    
+    if (channel.isDefault) {
+      throw groupError(`#${channel.name} cannot be deleted`, 400);
+    }
+    
+    await getMessageStore().deleteChat(channel.chatId);
+    await deleteDoc(doc(db, 'groupChannels', channelId));
+    
+    // Log activity
+    await logGroupActivity(channel.groupId, userId, 'channel_deleted', { channelId, name: channel.name });
+    
+    return true;
+  } catch (error) {
+    console.error('Error deleting channel:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a member's unread messages in a page of channel messages
+ * Uses the read receipts a chat view records as messages are shown.
+ * @param {Array} messages - Messages
+ * @param {string} userId - User ID
+ * @returns {number} - Unread messages
+ */
+export function countUnreadMessages(messages, userId) {
+  return messages.filter(message =>
+    message.senderId !== userId && !message.deleted && !message.readBy?.[userId]
+  ).length;
+}
+
+/**
+ * Subscribe to a member's unread counts in channels
+ * Counts cover each channel's latest CHANNELS.UNREAD_WINDOW messages.
+ * @param {Array} channels - Channels from getGroupChannels (id and chatId are used)
+ * @param {string} userId - User ID
+ * @param {function(Object): void} callback - Called with { channelId: count }
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToChannelUnreadCounts(channels, userId, callback) {
+  const counts = {};
+  
+  const unsubscribes = channels.map(channel => getMessageStore().subscribeToMessages(channel.chatId, (messages) => {
+    counts[channel.id] = countUnreadMessages(messages, userId);
+    callback({ ...counts });
+  }, {
+    limit: GROUPS_CONFIG.CHANNELS.UNREAD_WINDOW,
+    onError: (error) => console.error('Error counting unread messages:', error)
+  }));
+  
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Initialize group analytics
+ * @param {string} groupId - Group ID
+ * @param {string} creatorId - Creator ID
+ * @returns {Promise<boolean>} - Success status
+ */
+async function initializeGroupAnalytics(groupId, creatorId) {
+  try {
+    await addDoc(collection(db, 'groupAnalytics'), {
+      groupId,
+      date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
+      metrics: {
+        messagesCount: 0,
+        filesCount: 0,
+        activeUsers: 1,
+        newMembers: 1
+      },
+      createdAt: serverTimestamp()
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error initializing group analytics:', error);
+    return false;
+  }
+}
+
+/**
+ * Log group activity
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {string} action - Action type
+ * @param {Object} metadata - Additional data
+ * @returns {Promise<boolean>} - Success status
+ */
+async function logGroupActivity(groupId, userId, action, metadata = {}) {
+  try {
+    await addDoc(collection(db, 'groupActivity'), {
+      groupId,
+      userId,
+      action,
+      metadata,
+      timestamp: serverTimestamp()
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error logging group activity:', error);
+    return false;
+  }
+}
+
+/**
+ * Subscribe to group updates
+ * @param {string} groupId - Group ID
+ * @param {function} callback - Update callback
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToGroup(groupId, callback) {
+  return onSnapshot(doc(db, 'groups', groupId), (doc) => {
+    if (doc.exists()) {
+      callback({
         id: doc.id,
         ...doc.data()
       });
@@ -596,6 +2237,49 @@ export function subscribeToGroup(groupId, callback) {
   });
 }
 
+/**
+ * Subscribe to the channels of a group a member can see
+ * Groups created before channels get #general on first use.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Member user ID
+ * @param {function} callback - Called with channels, #general first
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToGroupChannels(groupId, userId, callback) {
+  ensureDefaultChannel(groupId, userId)
+    .catch(error => console.error('Error creating default channel:', error));
+  
+  const channelsQuery = query(
+    collection(db, 'groupChannels'),
+    where('groupId', '==', groupId)
+  );
+  
+  return onSnapshot(channelsQuery, (snapshot) => {
+    callback(visibleChannels(snapshot, userId));
+  });
+}
+
+/**
+ * Subscribe to the key epoch of the channel a group chat belongs to
+ * Members replace their sender keys for the chat whenever it changes.
+ * @param {string} groupId - Group ID
+ * @param {string} chatId - Chat ID of the channel
+ * @param {function} callback - Called with the epoch (0 for a chat without a channel)
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToChannelKeyEpoch(groupId, chatId, callback) {
+  const channelsQuery = query(
+    collection(db, 'groupChannels'),
+    where('groupId', '==', groupId),
+    where('chatId', '==', chatId),
+    limit(1)
+  );
+  
+  return onSnapshot(channelsQuery, (snapshot) => {
+    callback(snapshot.empty ? 0 : snapshot.docs[0].data().keyEpoch || 0);
+  });
+}
+
 /**
  * Subscribe to group members updates
  * @param {string} groupId - Group ID
@@ -0,0 +1,86 @@
+import { createMemoryBackend } from '../backends/memory';
+
+describe('memory message backend', () => {
+  let backend;
+
+  beforeEach(() => {
+    backend = createMemoryBackend();
+  });
+
+  it('returns the stored message when a message id is created twice', async () => {
+    const first = await backend.create('general', { id: 'client-0001', text: 'hello', senderId: 'alice' });
+    const second = await backend.create('general', { id: 'client-0001', text: 'changed', senderId: 'alice' });
+
+    expect(second).toEqual(first);
+    expect((await backend.list('general', { limit: 50 })).messages).toHaveLength(1);
+  });
+
+  it('pages before and after a cursor, oldest first', async () => {
+    for (let i = 0; i < 5; i++) {
+      await backend.create('general', { id: `client-000${i}`, text: `m${i}` });
+    }
+
+    const latest = await backend.list('general', { limit: 2 });
+    expect(latest.messages.map(message => message.text)).toEqual(['m3', 'm4']);
+    expect(latest.hasMore).toBe(true);
+
+    const older = await backend.list('general', { before: 'client-0003', limit: 2 });
+    expect(older.messages.map(message => message.text)).toEqual(['m1', 'm2']);
+    expect(older.hasMore).toBe(true);
+
+    const newer = await backend.list('general', { after: 'client-0002', limit: 5 });
+    expect(newer.messages.map(message => message.text)).toEqual(['m3', 'm4']);
+    expect(newer.hasMore).toBe(false);
+  });
+
+  it('serializes dates like Firestore reads', async () => {
+    const expiresAt = new Date('2030-01-01T00:00:00.000Z');
+    const created = await backend.create('general', { text: 'hi', expiresAt });
+
+    expect(created.expiresAt).toBe('2030-01-01T00:00:00.000Z');
+    expect(typeof created.timestamp).toBe('string');
+  });
+
+  it('lists expired messages up to now, soonest first', async () => {
+    await backend.create('general', { id: 'client-late', expiresAt: new Date('2030-01-03') });
+    await backend.create('general', { id: 'client-soon', expiresAt: new Date('2030-01-01') });
+    await backend.create('general', { id: 'client-kept', expiresAt: null });
+
+    const expired = await backend.listExpired('general', { now: new Date('2030-01-04'), limit: 10 });
+    expect(expired.map(message => message.id)).toEqual(['client-soon', 'client-late']);
+
+    const limited = await backend.listExpired('general', { now: new Date('2030-01-02'), limit: 10 });
+    expect(limited.map(message => message.id)).toEqual(['client-soon']);
+  });
+
+  it('deletes a message with its revisions', async () => {
+    const message = await backend.create('general', { text: 'hi' });
+    await backend.addRevision('general', message.id, { action: 'edited', text: 'hi' });
+
+    await backend.delete('general', message.id);
+
+    expect(await backend.get('general', message.id)).toBeNull();
+    expect(await backend.listRevisions('general', message.id)).toEqual([]);
+  });
+
+  it('deletes a chat with its messages, revisions and settings and notifies subscribers', async () => {
+    const message = await backend.create('room', { text: 'hi' });
+    await backend.addRevision('room', message.id, { action: 'edited', text: 'hi' });
+    await backend.updateChatSettings('room', { expiry: { duration: 1000 } });
+    await backend.create('other', { text: 'kept' });
+
+    const onMessages = jest.fn();
+    const onSettings = jest.fn();
+    backend.subscribe('room', { limit: 50 }, onMessages);
+    backend.subscribeToChatSettings('room', onSettings);
+
+    await backend.deleteChat('room');
+
+    expect((await backend.list('room', { limit: 50 })).messages).toEqual([]);
+    expect(await backend.listRevisions('room', message.id)).toEqual([]);
+    expect(await backend.getChatSettings('room')).toEqual({});
+    expect(onMessages).toHaveBeenLastCalledWith([]);
+    expect(onSettings).toHaveBeenLastCalledWith({});
+    expect((await backend.list('other', { limit: 50 })).messages).toHaveLength(1);
+  });
+});
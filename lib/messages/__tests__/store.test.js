@@ -0,0 +1,201 @@
+import { MessageStore, MESSAGES_CONFIG } from '../store';
+import { createMemoryBackend } from '../backends/memory';
+
+const { EXPIRY_TIMERS } = MESSAGES_CONFIG;
+
+// The chat group-1 belongs to group-1, whose moderators hold moderate_content and
+// manage_settings; every member may post except the muted. Any other chat is open.
+const MEMBERS = ['alice', 'bob', 'mod', 'muted'];
+const MODERATORS = ['mod'];
+const MUTED = ['muted'];
+
+function createStore() {
+  return new MessageStore(createMemoryBackend(), {
+    checkGroupPermission: async (groupId, userId) => MODERATORS.includes(userId),
+    checkChannelPermission: async (groupId, chatId, userId, permission) => {
+      if (permission === 'moderate_content') {
+        return MODERATORS.includes(userId);
+      }
+      return !(permission === 'send_messages' && MUTED.includes(userId));
+    },
+    resolveChatAccess: async (chatId, userId) => {
+      if (chatId !== 'group-1') {
+        return { groupId: null };
+      }
+      if (!MEMBERS.includes(userId)) {
+        throw Object.assign(new Error('Not a member of this chat'), { status: 403 });
+      }
+      return { groupId: 'group-1' };
+    }
+  });
+}
+
+describe('MessageStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createMessage', () => {
+    it('is idempotent for a client-generated id', async () => {
+      const first = await store.createMessage('general', { id: 'client-0001', text: 'hello', senderId: 'alice' });
+      const retry = await store.createMessage('general', { id: 'client-0001', text: 'hello', senderId: 'alice' });
+
+      expect(retry).toEqual(first);
+      expect((await store.listMessages('general')).messages).toHaveLength(1);
+    });
+
+    it('rejects a client id already used by another sender', async () => {
+      await store.createMessage('general', { id: 'client-0001', text: 'hello', senderId: 'alice' });
+
+      await expect(store.createMessage('general', { id: 'client-0001', text: 'hijack', senderId: 'mallory' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('takes the group from the chat, not from the request', async () => {
+      const open = await store.createMessage('general', { text: 'hi', senderId: 'alice', groupId: 'group-1' });
+      const grouped = await store.createMessage('group-1', { text: 'hi', senderId: 'alice', groupId: 'other' });
+
+      expect(open.groupId).toBeNull();
+      expect(grouped.groupId).toBe('group-1');
+    });
+
+    it('only lets members with send_messages post in a group chat', async () => {
+      await expect(store.createMessage('group-1', { text: 'hi', senderId: 'mallory' }))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(store.createMessage('group-1', { text: 'hi', senderId: 'muted' }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('rejects malformed client ids', async () => {
+      await expect(store.createMessage('general', { id: 'bad id', text: 'hello', senderId: 'alice' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('editMessage', () => {
+    it('records the previous text as a revision', async () => {
+      const message = await store.createMessage('general', { text: 'helo', senderId: 'alice' });
+
+      const edited = await store.editMessage('general', message.id, { text: 'hello', userId: 'alice' });
+
+      expect(edited).toMatchObject({ text: 'hello', edited: true });
+      const revisions = await store.getMessageRevisions('general', message.id, { userId: 'alice' });
+      expect(revisions).toEqual([expect.objectContaining({ action: 'edited', text: 'helo', editorId: 'alice' })]);
+    });
+
+    it('only lets the sender edit', async () => {
+      const message = await store.createMessage('group-1', { text: 'hi', senderId: 'alice', groupId: 'group-1' });
+
+      await expect(store.editMessage('group-1', message.id, { text: 'changed', userId: 'mod' }))
+        .rejects.toMatchObject({ status: 403 });
+      expect((await store.getMessage('group-1', message.id)).text).toBe('hi');
+    });
+
+    it('refuses to edit a deleted message', async () => {
+      const message = await store.createMessage('general', { text: 'hi', senderId: 'alice' });
+      await store.deleteMessage('general', message.id, { userId: 'alice' });
+
+      await expect(store.editMessage('general', message.id, { text: 'back', userId: 'alice' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('deleteMessage', () => {
+    it('leaves a tombstone and purges the edit history', async () => {
+      const message = await store.createMessage('general', { text: 'secret', senderId: 'alice' });
+      await store.editMessage('general', message.id, { text: 'secret!', userId: 'alice' });
+
+      const tombstone = await store.deleteMessage('general', message.id, { userId: 'alice' });
+
+      expect(tombstone).toMatchObject({ text: '', deleted: true, deletedBy: 'alice' });
+      expect(await store.getMessageRevisions('general', message.id, { userId: 'alice' })).toEqual([]);
+    });
+
+    it('lets group moderators delete and view history, but not other members', async () => {
+      const message = await store.createMessage('group-1', { text: 'spam', senderId: 'alice', groupId: 'group-1' });
+
+      await expect(store.deleteMessage('group-1', message.id, { userId: 'bob' }))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(store.getMessageRevisions('group-1', message.id, { userId: 'bob' }))
+        .rejects.toMatchObject({ status: 403 });
+
+      const tombstone = await store.deleteMessage('group-1', message.id, { userId: 'mod' });
+      expect(tombstone).toMatchObject({ deleted: true, deletedBy: 'mod' });
+      expect(await store.getMessageRevisions('group-1', message.id, { userId: 'mod' })).toEqual([]);
+    });
+
+    it('gives moderators no say over messages outside groups', async () => {
+      const message = await store.createMessage('general', { text: 'hi', senderId: 'alice' });
+
+      await expect(store.deleteMessage('general', message.id, { userId: 'mod' }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('disappearing messages', () => {
+    it('hides expired messages and purges them, keeping the timer notice', async () => {
+      jest.useFakeTimers({ now: new Date('2030-01-01T00:00:00Z') });
+
+      await store.updateExpirySettings('general', { userId: 'alice', duration: EXPIRY_TIMERS.FIVE_MINUTES });
+      const message = await store.createMessage('general', { text: 'soon gone', senderId: 'alice' });
+      expect(message.expiresAt).toBe('2030-01-01T00:05:00.000Z');
+
+      expect(await store.purgeExpiredMessages('general')).toEqual([]);
+
+      jest.setSystemTime(new Date('2030-01-01T00:05:00Z'));
+
+      await expect(store.getMessage('general', message.id)).rejects.toMatchObject({ status: 404 });
+      const purged = await store.purgeExpiredMessages('general');
+      expect(purged.map(item => item.id)).toEqual([message.id]);
+
+      const { messages } = await store.listMessages('general');
+      expect(messages).toEqual([expect.objectContaining({ type: MESSAGES_CONFIG.TYPES.SYSTEM, expiresAt: null })]);
+    });
+
+    it('only lets members with manage_settings set a group minimum', async () => {
+      const change = { duration: EXPIRY_TIMERS.ONE_DAY, minimum: EXPIRY_TIMERS.ONE_HOUR };
+
+      await expect(store.updateExpirySettings('group-1', { ...change, userId: 'bob' }))
+        .rejects.toMatchObject({ status: 403 });
+
+      const settings = await store.updateExpirySettings('group-1', { ...change, userId: 'mod' });
+      expect(settings).toMatchObject({ duration: EXPIRY_TIMERS.ONE_DAY, minimum: EXPIRY_TIMERS.ONE_HOUR });
+
+      await expect(store.updateExpirySettings('group-1', { userId: 'bob', duration: EXPIRY_TIMERS.FIVE_MINUTES }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('takes the group from the chat, not from the request', async () => {
+      const change = { userId: 'mod', minimum: EXPIRY_TIMERS.ONE_HOUR, groupId: 'group-1' };
+
+      await expect(store.updateExpirySettings('general', change)).rejects.toMatchObject({ status: 403 });
+      await expect(store.updateExpirySettings('group-1', { userId: 'mallory', duration: EXPIRY_TIMERS.ONE_DAY }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('deleteChat', () => {
+    it('removes every message and the chat settings', async () => {
+      await store.updateExpirySettings('room', { userId: 'alice', duration: EXPIRY_TIMERS.ONE_DAY });
+      const message = await store.createMessage('room', { text: 'hi', senderId: 'alice' });
+      await store.createMessage('general', { text: 'kept', senderId: 'alice' });
+
+      await store.deleteChat('room');
+
+      expect((await store.listMessages('room')).messages).toEqual([]);
+      await expect(store.getMessage('room', message.id)).rejects.toMatchObject({ status: 404 });
+      expect((await store.getExpirySettings('room')).duration).toBe(EXPIRY_TIMERS.OFF);
+      expect((await store.listMessages('general')).messages).toHaveLength(1);
+    });
+
+    it('rejects invalid chat ids', async () => {
+      await expect(store.deleteChat('../messages')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
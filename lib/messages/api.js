@@ -0,0 +1,158 @@
+/**
+ * Messages API Client for Shadow-Bind
+ * Reads and writes messages through /api/messages as the signed-in user, so the server
+ * decides who may post, edit, react or moderate in a chat. Live updates still come from
+ * MessageStore.subscribeToMessages and subscribeToExpirySettings.
+ *
+ * Methods mirror MessageStore without the acting user, which the route takes from the ID token.
+ */
+
+import { fetchWithAuth } from '../auth/apiRequests';
+
+/**
+ * Messages API client configuration
+ */
+export const MESSAGES_API_CONFIG = {
+  API_PATH: '/api/messages'
+};
+
+/**
+ * Call the messages API
+ * @param {string} method - HTTP method
+ * @param {Object} params - Query parameters; null and undefined values are left out
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - Response body ({ success, data, ... })
+ */
+async function callMessagesApi(method, params = {}, body = null) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== null && value !== undefined)
+  );
+  const response = await fetchWithAuth(`${MESSAGES_API_CONFIG.API_PATH}?${query}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.success) {
+    const error = new Error(result.error || `Messages request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+export const messagesApi = {
+  /**
+   * List a page of messages in a chat
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - { before, after, limit }
+   * @returns {Promise<Object>} - { messages, pageInfo }
+   */
+  async listMessages(chatId, { before = null, after = null, limit = null } = {}) {
+    const { data, pageInfo } = await callMessagesApi('GET', { chatId, before, after, limit });
+    return { messages: data, pageInfo };
+  },
+
+  /**
+   * Get the reply chain a message belongs to
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Any message in the thread
+   * @returns {Promise<Object>} - { rootId, messages }
+   */
+  async getThread(chatId, messageId) {
+    return (await callMessagesApi('GET', { chatId, messageId, action: 'thread' })).data;
+  },
+
+  /**
+   * Send a message; the sender is the signed-in user
+   * @param {string} chatId - Chat ID
+   * @param {Object} message - Message data for MessageStore.createMessage
+   * @returns {Promise<Object>} - Created (or previously created) message
+   */
+  async createMessage(chatId, message) {
+    return (await callMessagesApi('POST', {}, { ...message, chatId })).data;
+  },
+
+  /**
+   * Edit one of the signed-in user's messages
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} edit - { text, e2ee, mentions }
+   * @returns {Promise<Object>} - Updated message
+   */
+  async editMessage(chatId, messageId, { text, e2ee = null, mentions }) {
+    return (await callMessagesApi('PATCH', {}, { chatId, messageId, text, e2ee, mentions })).data;
+  },
+
+  /**
+   * Delete a message for everyone
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - Tombstone
+   */
+  async deleteMessage(chatId, messageId) {
+    return (await callMessagesApi('DELETE', { chatId, messageId })).data;
+  },
+
+  /**
+   * Add or remove the signed-in user's reaction
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {string} emoji - Reaction
+   * @returns {Promise<Object>} - Updated message
+   */
+  async toggleReaction(chatId, messageId, emoji) {
+    return (await callMessagesApi('POST', { action: 'react' }, { chatId, messageId, emoji })).data;
+  },
+
+  /**
+   * Record that the signed-in user received or read messages
+   * @param {string} chatId - Chat ID
+   * @param {Array<string>} messageIds - Message IDs
+   * @param {string} status - MESSAGES_CONFIG.RECEIPT_STATUS.DELIVERED or READ
+   * @returns {Promise<number>} - Messages updated
+   */
+  async acknowledgeMessages(chatId, messageIds, status) {
+    return (await callMessagesApi('POST', { action: 'receipt' }, { chatId, messageIds, status })).data.updated;
+  },
+
+  /**
+   * Get who received and read one of the signed-in user's messages
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Array>} - Receipts
+   */
+  async getReceipts(chatId, messageId) {
+    return (await callMessagesApi('GET', { chatId, messageId, action: 'receipts' })).data;
+  },
+
+  /**
+   * Get a message's edit history
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Array>} - Revisions (oldest first)
+   */
+  async getMessageRevisions(chatId, messageId) {
+    return (await callMessagesApi('GET', { chatId, messageId, action: 'revisions' })).data;
+  },
+
+  /**
+   * Change a chat's disappearing message timer
+   * @param {string} chatId - Chat ID
+   * @param {Object} change - { senderName, duration, minimum }
+   * @returns {Promise<Object>} - Expiry settings
+   */
+  async updateExpirySettings(chatId, change) {
+    return (await callMessagesApi('POST', { action: 'expiry' }, { ...change, chatId })).data;
+  },
+
+  /**
+   * Delete a chat's expired messages for everyone
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array>} - Deleted messages
+   */
+  async purgeExpiredMessages(chatId) {
+    return (await callMessagesApi('DELETE', { chatId, action: 'expired' })).data.messages;
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * Firestore Message Backend for Shadow-Bind
+ * Stores chat messages under /chats/{chatId}/messages/{messageId}
+ * and chat settings on /chats/{chatId}
+ */
+
+import { db } from '../../firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Get the messages collection for a chat
+ * @param {string} chatId - Chat ID
+ * @returns {CollectionReference} - Messages collection
+ */
+function messagesCollection(chatId) {
+  return collection(db, 'chats', chatId, 'messages');
+}
+
+/**
+ * Get the revisions collection for a message
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @returns {CollectionReference} - Revisions collection
+ */
+function revisionsCollection(chatId, messageId) {
+  return collection(db, 'chats', chatId, 'messages', messageId, 'revisions');
+}
+
+/**
+ * Convert a snapshot into a plain object with ISO timestamps
+ * @param {DocumentSnapshot} snapshot - Document snapshot
+ * @returns {Object} - Serialized document
+ */
+function serializeSnapshot(snapshot) {
+  return { id: snapshot.id, ...serializeValue(snapshot.data()) };
+}
+
+/**
+ * Recursively convert Firestore Timestamps to ISO strings
+ * @param {*} value - Firestore value
+ * @returns {*} - Plain value
+ */
+function serializeValue(value) {
+  if (typeof value?.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+
+  if (value && typeof value === 'object') {
+    const plain = {};
+    Object.entries(value).forEach(([key, item]) => {
+      plain[key] = serializeValue(item);
+    });
+    return plain;
+  }
+
+  return value;
+}
+
+/**
+ * Convert a message snapshot into a plain object with ISO timestamps
+ * @param {DocumentSnapshot} snapshot - Message snapshot
+ * @returns {Object} - Serialized message
+ */
+function serializeMessage(snapshot) {
+  const message = serializeSnapshot(snapshot);
+
+  // Pending server timestamps are null until the write is acknowledged
+  message.timestamp = message.timestamp || null;
+
+  return message;
+}
+
+/**
+ * Permanently delete a message's revisions
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+async function deleteRevisions(chatId, messageId) {
+  const revisions = await getDocs(revisionsCollection(chatId, messageId));
+  await Promise.all(revisions.docs.map(revision => deleteDoc(revision.ref)));
+}
+
+/**
+ * Permanently delete a message with its revisions
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<void>}
+ */
+async function deleteMessage(chatId, messageId) {
+  await deleteRevisions(chatId, messageId);
+
+  await deleteDoc(doc(messagesCollection(chatId), messageId));
+}
+
+/**
+ * Create a Firestore message backend
+ * @returns {Object} - Message backend
+ */
+export function createFirestoreBackend() {
+  return {
+    name: 'firestore',
+
+    async list(chatId, { before = null, after = null, limit: pageSize }) {
+      const messagesRef = messagesCollection(chatId);
+      const cursorId = before || after;
+      const constraints = [orderBy('timestamp', after ? 'asc' : 'desc')];
+
+      if (cursorId) {
+        const cursor = await getDoc(doc(messagesRef, cursorId));
+        constraints.push(startAfter(cursor));
+      }
+
+      // Fetch one extra document to know whether another page exists
+      constraints.push(limit(pageSize + 1));
+
+      const snapshot = await getDocs(query(messagesRef, ...constraints));
+      const docs = snapshot.docs.slice(0, pageSize);
+      const messages = docs.map(serializeMessage);
+
+      return {
+        messages: after ? messages : messages.reverse(),
+        hasMore: snapshot.docs.length > pageSize
+      };
+    },
+
+    async get(chatId, messageId) {
+      const snapshot = await getDoc(doc(messagesCollection(chatId), messageId));
+      return snapshot.exists() ? serializeMessage(snapshot) : null;
+    },
+
+    async create(chatId, message) {
+      const { id, ...data } = message;
+      const record = { ...data, timestamp: serverTimestamp() };
+      let messageRef;
+
+      if (id) {
+        messageRef = doc(messagesCollection(chatId), id);
+
+        // Create-if-absent so a retried client id never overwrites the original
+        await runTransaction(db, async (transaction) => {
+          const existing = await transaction.get(messageRef);
+          if (!existing.exists()) {
+            transaction.set(messageRef, record);
+          }
+        });
+      } else {
+        messageRef = await addDoc(messagesCollection(chatId), record);
+      }
+
+      return serializeMessage(await getDoc(messageRef));
+    },
+
+    async update(chatId, messageId, updates) {
+      const messageRef = doc(messagesCollection(chatId), messageId);
+      await updateDoc(messageRef, updates);
+      return serializeMessage(await getDoc(messageRef));
+    },
+
+    async listThread(chatId, rootId) {
+      const [root, replies] = await Promise.all([
+        getDoc(doc(messagesCollection(chatId), rootId)),
+        getDocs(query(
+          messagesCollection(chatId),
+          where('threadRootId', '==', rootId),
+          orderBy('timestamp', 'asc')
+        ))
+      ]);
+
+      return [
+        ...(root.exists() ? [serializeMessage(root)] : []),
+        ...replies.docs.map(serializeMessage)
+      ];
+    },
+
+    async setReaction(chatId, messageId, userId, emoji) {
+      const messageRef = doc(messagesCollection(chatId), messageId);
+
+      // Field paths keep concurrent reactions from different users independent
+      await updateDoc(messageRef, {
+        [`reactions.${userId}`]: emoji || deleteField()
+      });
+
+      return serializeMessage(await getDoc(messageRef));
+    },
+
+    async setReceipt(chatId, messageId, userId, { deliveredAt = null, readAt = null }) {
+      const messageRef = doc(messagesCollection(chatId), messageId);
+      const updates = {};
+
+      if (deliveredAt) {
+        updates[`deliveredTo.${userId}`] = deliveredAt;
+      }
+      if (readAt) {
+        updates[`readBy.${userId}`] = readAt;
+      }
+
+      await updateDoc(messageRef, updates);
+      return serializeMessage(await getDoc(messageRef));
+    },
+
+    async addRevision(chatId, messageId, revision) {
+      const revisionRef = await addDoc(revisionsCollection(chatId, messageId), revision);
+      return serializeSnapshot(await getDoc(revisionRef));
+    },
+
+    async listRevisions(chatId, messageId) {
+      const snapshot = await getDocs(query(
+        revisionsCollection(chatId, messageId),
+        orderBy('createdAt', 'asc')
+      ));
+      return snapshot.docs.map(serializeSnapshot);
+    },
+
+    deleteRevisions,
+
+    async listExpired(chatId, { now, limit: batchSize }) {
+      const snapshot = await getDocs(query(
+        messagesCollection(chatId),
+        where('expiresAt', '<=', now),
+        orderBy('expiresAt', 'asc'),
+        limit(batchSize)
+      ));
+      return snapshot.docs.map(serializeMessage);
+    },
+
+    async delete(chatId, messageId) {
+      await deleteMessage(chatId, messageId);
+    },
+
+    async deleteChat(chatId) {
+      const messages = await getDocs(messagesCollection(chatId));
+      for (const message of messages.docs) {
+        await deleteMessage(chatId, message.id);
+      }
+
+      await deleteDoc(doc(db, 'chats', chatId));
+    },
+
+    async getChatSettings(chatId) {
+      const snapshot = await getDoc(doc(db, 'chats', chatId));
+      return snapshot.exists() ? serializeValue(snapshot.data()) : {};
+    },
+
+    async updateChatSettings(chatId, updates) {
+      const chatRef = doc(db, 'chats', chatId);
+      await setDoc(chatRef, { ...updates, updatedAt: serverTimestamp() }, { merge: true });
+      return serializeValue((await getDoc(chatRef)).data());
+    },
+
+    subscribeToChatSettings(chatId, callback, onError) {
+      return onSnapshot(doc(db, 'chats', chatId), (snapshot) => {
+        callback(snapshot.exists() ? serializeValue(snapshot.data()) : {});
+      }, onError);
+    },
+
+    subscribe(chatId, { limit: pageSize }, callback, onError) {
+      const latestQuery = query(
+        messagesCollection(chatId),
+        orderBy('timestamp', 'desc'),
+        limit(pageSize)
+      );
+
+      return onSnapshot(latestQuery, (snapshot) => {
+        callback(snapshot.docs.map(serializeMessage).reverse());
+      }, onError);
+    }
+  };
+}
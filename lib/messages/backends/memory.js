@@ -0,0 +1,261 @@
+/**
+ * In-memory Message Backend for Shadow-Bind
+ * Keeps chat messages in process memory (local development and tests)
+ */
+
+/**
+ * Deep-copy a stored record, converting Date values to ISO strings like Firestore reads do
+ * @param {*} record - Stored record
+ * @returns {*} - Serialized copy
+ */
+function serialize(record) {
+  if (record instanceof Date) {
+    return record.toISOString();
+  }
+
+  if (Array.isArray(record)) {
+    return record.map(serialize);
+  }
+
+  if (record && typeof record === 'object') {
+    const copy = {};
+    Object.entries(record).forEach(([key, value]) => {
+      copy[key] = serialize(value);
+    });
+    return copy;
+  }
+
+  return record;
+}
+
+/**
+ * Create an in-memory message backend
+ * @returns {Object} - Message backend
+ */
+export function createMemoryBackend() {
+  const chats = new Map();
+  const revisions = new Map();
+  const listeners = new Map();
+  const settings = new Map();
+  const settingsListeners = new Map();
+  let sequence = 0;
+
+  const getChat = (chatId) => {
+    if (!chats.has(chatId)) {
+      chats.set(chatId, []);
+    }
+    return chats.get(chatId);
+  };
+
+  const notify = (chatId) => {
+    const chatListeners = listeners.get(chatId);
+    if (!chatListeners) {
+      return;
+    }
+
+    const messages = getChat(chatId);
+    chatListeners.forEach(({ pageSize, callback }) => {
+      callback(messages.slice(-pageSize).map(serialize));
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async list(chatId, { before = null, after = null, limit: pageSize }) {
+      const messages = getChat(chatId);
+      let start;
+      let end;
+      let hasMore;
+
+      if (before) {
+        end = messages.findIndex(message => message.id === before);
+        start = Math.max(0, end - pageSize);
+        hasMore = start > 0;
+      } else if (after) {
+        start = messages.findIndex(message => message.id === after) + 1;
+        end = Math.min(messages.length, start + pageSize);
+        hasMore = end < messages.length;
+      } else {
+        end = messages.length;
+        start = Math.max(0, end - pageSize);
+        hasMore = start > 0;
+      }
+
+      return {
+        messages: messages.slice(start, end).map(serialize),
+        hasMore
+      };
+    },
+
+    async get(chatId, messageId) {
+      const message = getChat(chatId).find(item => item.id === messageId);
+      return message ? serialize(message) : null;
+    },
+
+    async create(chatId, message) {
+      const existing = message.id && getChat(chatId).find(item => item.id === message.id);
+      if (existing) {
+        return serialize(existing);
+      }
+
+      const stored = {
+        ...message,
+        id: message.id || `msg_${Date.now()}_${++sequence}`,
+        timestamp: new Date().toISOString()
+      };
+
+      getChat(chatId).push(stored);
+      notify(chatId);
+
+      return serialize(stored);
+    },
+
+    async update(chatId, messageId, updates) {
+      const messages = getChat(chatId);
+      const index = messages.findIndex(item => item.id === messageId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      messages[index] = { ...messages[index], ...updates };
+      notify(chatId);
+
+      return serialize(messages[index]);
+    },
+
+    async listThread(chatId, rootId) {
+      return getChat(chatId)
+        .filter(message => message.id === rootId || message.threadRootId === rootId)
+        .map(serialize);
+    },
+
+    async setReaction(chatId, messageId, userId, emoji) {
+      const messages = getChat(chatId);
+      const index = messages.findIndex(item => item.id === messageId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const reactions = { ...messages[index].reactions };
+      if (emoji) {
+        reactions[userId] = emoji;
+      } else {
+        delete reactions[userId];
+      }
+
+      messages[index] = { ...messages[index], reactions };
+      notify(chatId);
+
+      return serialize(messages[index]);
+    },
+
+    async setReceipt(chatId, messageId, userId, { deliveredAt = null, readAt = null }) {
+      const messages = getChat(chatId);
+      const index = messages.findIndex(item => item.id === messageId);
+
+      if (index === -1) {
+        return null;
+      }
+
+      const message = messages[index];
+      messages[index] = {
+        ...message,
+        deliveredTo: deliveredAt ? { ...message.deliveredTo, [userId]: deliveredAt } : message.deliveredTo,
+        readBy: readAt ? { ...message.readBy, [userId]: readAt } : message.readBy
+      };
+      notify(chatId);
+
+      return serialize(messages[index]);
+    },
+
+    async addRevision(chatId, messageId, revision) {
+      const key = `${chatId}/${messageId}`;
+      if (!revisions.has(key)) {
+        revisions.set(key, []);
+      }
+
+      const stored = { ...revision, id: `rev_${Date.now()}_${++sequence}` };
+      revisions.get(key).push(stored);
+
+      return serialize(stored);
+    },
+
+    async listRevisions(chatId, messageId) {
+      return (revisions.get(`${chatId}/${messageId}`) || []).map(serialize);
+    },
+
+    async deleteRevisions(chatId, messageId) {
+      revisions.delete(`${chatId}/${messageId}`);
+    },
+
+    async listExpired(chatId, { now, limit: batchSize }) {
+      return getChat(chatId)
+        .filter(message => message.expiresAt && new Date(message.expiresAt) <= now)
+        .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+        .slice(0, batchSize)
+        .map(serialize);
+    },
+
+    async delete(chatId, messageId) {
+      const messages = getChat(chatId);
+      const index = messages.findIndex(item => item.id === messageId);
+
+      if (index !== -1) {
+        messages.splice(index, 1);
+        notify(chatId);
+      }
+      revisions.delete(`${chatId}/${messageId}`);
+    },
+
+    async deleteChat(chatId) {
+      getChat(chatId).forEach(message => revisions.delete(`${chatId}/${message.id}`));
+      chats.delete(chatId);
+      settings.delete(chatId);
+
+      notify(chatId);
+      settingsListeners.get(chatId)?.forEach(callback => callback({}));
+    },
+
+    async getChatSettings(chatId) {
+      return serialize(settings.get(chatId) || {});
+    },
+
+    async updateChatSettings(chatId, updates) {
+      settings.set(chatId, { ...settings.get(chatId), ...updates, updatedAt: new Date() });
+
+      const current = serialize(settings.get(chatId));
+      settingsListeners.get(chatId)?.forEach(callback => callback(current));
+      return current;
+    },
+
+    subscribeToChatSettings(chatId, callback) {
+      if (!settingsListeners.has(chatId)) {
+        settingsListeners.set(chatId, new Set());
+      }
+
+      settingsListeners.get(chatId).add(callback);
+      callback(serialize(settings.get(chatId) || {}));
+
+      return () => {
+        settingsListeners.get(chatId)?.delete(callback);
+      };
+    },
+
+    subscribe(chatId, { limit: pageSize }, callback) {
+      if (!listeners.has(chatId)) {
+        listeners.set(chatId, new Set());
+      }
+
+      const listener = { pageSize, callback };
+      listeners.get(chatId).add(listener);
+      callback(getChat(chatId).slice(-pageSize).map(serialize));
+
+      return () => {
+        listeners.get(chatId)?.delete(listener);
+      };
+    }
+  };
+}
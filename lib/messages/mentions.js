@@ -0,0 +1,241 @@
+/**
+ * Mentions for Shadow-Bind
+ * Composer autocomplete and the structured mention entities stored with a message
+ *
+ * A message's `mentions` are entities pointing into its plaintext:
+ *   { type: 'user', userId, offset, length } - @Name of a chat member
+ *   { type: 'here', offset, length }         - @here, members who are online
+ *   { type: 'everyone', offset, length }     - @everyone, every member
+ * Entities are stored in the clear next to the encrypted text so the server can notify
+ * the people mentioned; they reveal who was mentioned, never what was said.
+ */
+
+/**
+ * Mentions configuration
+ */
+export const MENTIONS_CONFIG = {
+  TYPES: {
+    USER: 'user',
+    HERE: 'here',
+    EVERYONE: 'everyone'
+  },
+
+  // Group permission needed for @here and @everyone
+  BROADCAST_PERMISSION: 'manage_members',
+
+  // Limits
+  MAX_MENTIONS: 50,
+  MAX_QUERY_LENGTH: 32,
+  MAX_SUGGESTIONS: 8,
+  MAX_BROADCAST_RECIPIENTS: 1000
+};
+
+const BROADCAST_TYPES = [MENTIONS_CONFIG.TYPES.HERE, MENTIONS_CONFIG.TYPES.EVERYONE];
+
+/**
+ * Check whether a mention type reaches more than one named member
+ * @param {string} type - Mention type
+ * @returns {boolean} - Whether it is @here or @everyone
+ */
+export function isBroadcastMention(type) {
+  return BROADCAST_TYPES.includes(type);
+}
+
+/**
+ * Find the @-query being typed at the caret
+ * @param {string} text - Composer text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} - { start: index of '@', query } or null outside a mention
+ */
+export function findMentionQuery(text, caret) {
+  const before = text.slice(0, caret);
+  const match = before.match(new RegExp(`(^|\\s)@([^\\s@]{0,${MENTIONS_CONFIG.MAX_QUERY_LENGTH}})$`));
+  if (!match) {
+    return null;
+  }
+
+  return { start: caret - match[2].length - 1, query: match[2] };
+}
+
+/**
+ * Suggest members for an @-query
+ * A query matches the start of any word of a member's name.
+ * @param {Array} candidates - [{ userId, label }]
+ * @param {string} query - Text typed after '@'
+ * @param {Object} options - { canBroadcast: offer @here and @everyone }
+ * @returns {Array} - [{ type, userId, label }]
+ */
+export function suggestMentions(candidates, query, { canBroadcast = false } = {}) {
+  const needle = query.toLowerCase();
+  const matches = (label) => label.toLowerCase().split(/\s+/).some(word => word.startsWith(needle));
+
+  const broadcasts = canBroadcast
+    ? BROADCAST_TYPES.filter(type => type.startsWith(needle)).map(type => ({ type, userId: null, label: type }))
+    : [];
+  const members = candidates
+    .filter(candidate => candidate.label && matches(candidate.label))
+    .map(candidate => ({ type: MENTIONS_CONFIG.TYPES.USER, userId: candidate.userId, label: candidate.label }));
+
+  return [...broadcasts, ...members].slice(0, MENTIONS_CONFIG.MAX_SUGGESTIONS);
+}
+
+/**
+ * Replace the @-query at the caret with a picked mention
+ * @param {string} text - Composer text
+ * @param {Object} query - From findMentionQuery
+ * @param {string} label - Picked name
+ * @returns {Object} - { text, caret } after the inserted mention and a space
+ */
+export function insertMention(text, query, label) {
+  const end = query.start + 1 + query.query.length;
+  const inserted = `@${label} `;
+
+  return {
+    text: text.slice(0, query.start) + inserted + text.slice(end).replace(/^ /, ''),
+    caret: query.start + inserted.length
+  };
+}
+
+/**
+ * Build the mention entities for text about to be sent
+ * Only mentions picked from suggestions that are still intact in the text count, so a
+ * name that was edited after picking it is no longer a mention.
+ * @param {string} text - Message text
+ * @param {Array} picks - [{ type, userId, label }] picked while composing
+ * @param {Object} options - { canBroadcast: keep @here and @everyone typed by hand }
+ * @returns {Array} - Mention entities, in text order
+ */
+export function buildMentionEntities(text, picks, { canBroadcast = false } = {}) {
+  const entities = [];
+  const taken = new Set();
+  const isBoundary = (char) => char === undefined || /[\s.,!?;:)\]}'"]/.test(char);
+
+  const addOccurrences = (token, entity) => {
+    let offset = text.indexOf(token);
+    while (offset !== -1) {
+      const precededBySpace = offset === 0 || /\s/.test(text[offset - 1]);
+      if (precededBySpace && isBoundary(text[offset + token.length]) && !taken.has(offset)) {
+        taken.add(offset);
+        entities.push({ ...entity, offset, length: token.length });
+      }
+      offset = text.indexOf(token, offset + token.length);
+    }
+  };
+
+  // Longer names first so "@Ann Lee" is not taken for "@Ann"
+  const uniquePicks = Array.from(new Map(picks.map(pick => [`${pick.type}:${pick.userId}:${pick.label}`, pick])).values())
+    .sort((a, b) => b.label.length - a.label.length);
+
+  uniquePicks
+    .filter(pick => pick.type === MENTIONS_CONFIG.TYPES.USER)
+    .forEach(pick => addOccurrences(`@${pick.label}`, { type: pick.type, userId: pick.userId }));
+
+  if (canBroadcast) {
+    BROADCAST_TYPES.forEach(type => addOccurrences(`@${type}`, { type }));
+  }
+
+  return entities
+    .sort((a, b) => a.offset - b.offset)
+    .filter((entity, index, sorted) => index === 0 || entity.offset >= sorted[index - 1].offset + sorted[index - 1].length)
+    .slice(0, MENTIONS_CONFIG.MAX_MENTIONS);
+}
+
+/**
+ * Recover picks from a message's entities, e.g. to keep its mentions while editing it
+ * @param {string} text - Message plaintext
+ * @param {Array} mentions - Mention entities
+ * @returns {Array} - [{ type, userId, label }]
+ */
+export function mentionPicks(text, mentions = []) {
+  return (mentions || []).map(mention => ({
+    type: mention.type,
+    userId: mention.userId || null,
+    label: text.slice(mention.offset + 1, mention.offset + mention.length)
+  }));
+}
+
+/**
+ * Validate mention entities sent with a message
+ * @param {*} mentions - Entities from the client
+ * @param {Object} options - { text: plaintext when not encrypted, maxLength }
+ * @returns {Array} - Normalized entities
+ * @throws {Error} - With status 400 when malformed
+ */
+export function normalizeMentions(mentions, { text = null, maxLength }) {
+  const invalid = () => {
+    const error = new Error('Invalid mentions');
+    error.status = 400;
+    return error;
+  };
+
+  if (mentions === null || mentions === undefined) {
+    return [];
+  }
+  if (!Array.isArray(mentions) || mentions.length > MENTIONS_CONFIG.MAX_MENTIONS) {
+    throw invalid();
+  }
+
+  const limit = text === null ? maxLength : text.length;
+
+  return mentions.map(mention => {
+    const { type, userId = null, offset, length } = mention || {};
+
+    if (!Object.values(MENTIONS_CONFIG.TYPES).includes(type) ||
+        !Number.isInteger(offset) || !Number.isInteger(length) ||
+        offset < 0 || length < 2 || offset + length > limit) {
+      throw invalid();
+    }
+    if (type === MENTIONS_CONFIG.TYPES.USER && (typeof userId !== 'string' || !userId)) {
+      throw invalid();
+    }
+    if (text !== null && text[offset] !== '@') {
+      throw invalid();
+    }
+
+    return type === MENTIONS_CONFIG.TYPES.USER
+      ? { type, userId, offset, length }
+      : { type, offset, length };
+  });
+}
+
+/**
+ * Check whether a message's mentions include a user
+ * @param {Array} mentions - Mention entities
+ * @param {string} userId - User ID
+ * @returns {boolean} - Whether the user was named, or everyone/here was mentioned
+ */
+export function mentionsUser(mentions, userId) {
+  return (mentions || []).some(mention =>
+    isBroadcastMention(mention.type) || mention.userId === userId
+  );
+}
+
+/**
+ * Split text into plain and mention segments for rendering
+ * @param {string} text - Message plaintext
+ * @param {Array} mentions - Mention entities
+ * @returns {Array} - [{ text, mention: entity or null }]
+ */
+export function splitMentions(text, mentions) {
+  const segments = [];
+  let position = 0;
+
+  (mentions || [])
+    .filter(mention => mention.offset >= 0 && mention.offset + mention.length <= text.length)
+    .sort((a, b) => a.offset - b.offset)
+    .forEach(mention => {
+      if (mention.offset < position) {
+        return;
+      }
+      if (mention.offset > position) {
+        segments.push({ text: text.slice(position, mention.offset), mention: null });
+      }
+      segments.push({ text: text.slice(mention.offset, mention.offset + mention.length), mention });
+      position = mention.offset + mention.length;
+    });
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), mention: null });
+  }
+  return segments;
+}
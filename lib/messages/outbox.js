@@ -0,0 +1,319 @@
+/**
+ * Message Outbox for Shadow-Bind
+ * Persists unsent messages in IndexedDB until the message store accepts them
+ *
+ * The notification service worker reads the same database and flushes it from
+ * its `sync` handler, so the schema here must match public/sw-notifications.js.
+ */
+
+/**
+ * Outbox configuration
+ */
+export const OUTBOX_CONFIG = {
+  DB_NAME: 'shadow-bind-outbox',
+  DB_VERSION: 1,
+  STORE_NAME: 'messages',
+  SYNC_TAG: 'message-outbox-sync',
+  CHANNEL_NAME: 'shadow-bind-outbox',
+
+  // Entry states
+  STATUS: {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    FAILED: 'failed'
+  },
+
+  // Automatic retries before an entry needs a manual retry
+  MAX_ATTEMPTS: 5,
+
+  // A sending entry older than this was abandoned by a closed tab or worker
+  SENDING_TIMEOUT: 30 * 1000
+};
+
+let dbPromise = null;
+const outboxListeners = new Set();
+
+/**
+ * Check whether the outbox can be used in this environment
+ * @returns {boolean} - IndexedDB availability
+ */
+export function isOutboxSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Generate a client-side message ID used as the idempotency key
+ * @returns {string} - Client ID
+ */
+export function generateClientId() {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID().replace(/-/g, '')
+    : `${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+
+  return `c_${Date.now().toString(36)}_${random}`;
+}
+
+/**
+ * Open (and upgrade) the outbox database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openOutbox() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_CONFIG.DB_NAME, OUTBOX_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_CONFIG.STORE_NAME, { keyPath: 'clientId' });
+        store.createIndex('chatId', 'chatId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against the outbox object store
+ * @param {string} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+ * @returns {Promise<*>} - Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openOutbox();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(OUTBOX_CONFIG.STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Notify subscribers in this tab and in other tabs that the outbox changed
+ * @param {string} chatId - Chat ID
+ */
+function broadcastChange(chatId) {
+  outboxListeners.forEach(listener => listener(chatId));
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(OUTBOX_CONFIG.CHANNEL_NAME);
+    channel.postMessage({ type: 'OUTBOX_UPDATED', chatId });
+    channel.close();
+  }
+}
+
+/**
+ * Queue a message for sending
+ * @param {string} chatId - Chat ID
+ * @param {Object} message - Message data for MessageStore.createMessage, including its client id
+ * @returns {Promise<Object>} - Outbox entry
+ */
+export async function enqueueMessage(chatId, message) {
+  const entry = {
+    clientId: message.id,
+    chatId,
+    message,
+    status: OUTBOX_CONFIG.STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await withStore('readwrite', store => store.put(entry));
+  broadcastChange(chatId);
+
+  return entry;
+}
+
+/**
+ * List queued messages for a chat, oldest first
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>} - Outbox entries
+ */
+export async function listOutbox(chatId) {
+  const entries = await withStore('readonly', store => store.index('chatId').getAll(chatId));
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Update an outbox entry
+ * @param {string} clientId - Client message ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} - Updated entry
+ */
+export async function updateOutboxEntry(clientId, updates) {
+  const entry = await withStore('readonly', store => store.get(clientId));
+  if (!entry) {
+    return null;
+  }
+
+  const updated = { ...entry, ...updates, updatedAt: Date.now() };
+  await withStore('readwrite', store => store.put(updated));
+  broadcastChange(entry.chatId);
+
+  return updated;
+}
+
+/**
+ * Remove an entry once it is sent or discarded
+ * @param {string} clientId - Client message ID
+ * @param {string} chatId - Chat ID (for change notifications)
+ * @returns {Promise<void>}
+ */
+export async function removeOutboxEntry(clientId, chatId) {
+  await withStore('readwrite', store => store.delete(clientId));
+  broadcastChange(chatId);
+}
+
+/**
+ * Check whether an entry should be picked up by a flush
+ * @param {Object} entry - Outbox entry
+ * @returns {boolean} - Whether the entry can be sent
+ */
+export function isSendable(entry) {
+  if (entry.status === OUTBOX_CONFIG.STATUS.PENDING) {
+    return true;
+  }
+
+  return entry.status === OUTBOX_CONFIG.STATUS.SENDING &&
+    Date.now() - entry.updatedAt > OUTBOX_CONFIG.SENDING_TIMEOUT;
+}
+
+/**
+ * Send one queued message through a create function
+ * Client errors (4xx) fail the entry permanently, except 401: an expired session is not the
+ * message's fault, so it stays queued like a network error.
+ * @param {Object} entry - Outbox entry
+ * @param {function(string, Object): Promise<Object>} createMessage - e.g. MessageStore.createMessage
+ * @returns {Promise<string>} - 'sent', or the entry's new status
+ */
+export async function sendOutboxEntry(entry, createMessage) {
+  const attempts = entry.attempts + 1;
+  await updateOutboxEntry(entry.clientId, { status: OUTBOX_CONFIG.STATUS.SENDING, attempts });
+
+  try {
+    await createMessage(entry.chatId, entry.message);
+    await removeOutboxEntry(entry.clientId, entry.chatId);
+    return 'sent';
+  } catch (error) {
+    const permanent = error.status >= 400 && error.status < 500 && error.status !== 401;
+    const exhausted = attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS;
+    const status = permanent || exhausted ? OUTBOX_CONFIG.STATUS.FAILED : OUTBOX_CONFIG.STATUS.PENDING;
+
+    console.error('Error sending queued message:', error);
+    await updateOutboxEntry(entry.clientId, { status, lastError: error.message });
+
+    return status;
+  }
+}
+
+/**
+ * Send every pending message in a chat, in order
+ * Stops at the first retryable failure so later messages never overtake earlier ones.
+ * @param {string} chatId - Chat ID
+ * @param {function(string, Object): Promise<Object>} createMessage - Create function
+ * @returns {Promise<Object>} - { sent, pending } counts
+ */
+export async function flushOutbox(chatId, createMessage) {
+  const entries = (await listOutbox(chatId)).filter(isSendable);
+  let sent = 0;
+
+  for (const entry of entries) {
+    const result = await sendOutboxEntry(entry, createMessage);
+
+    if (result === 'sent') {
+      sent++;
+    } else if (result === OUTBOX_CONFIG.STATUS.PENDING) {
+      break;
+    }
+  }
+
+  const remaining = await listOutbox(chatId);
+  return {
+    sent,
+    pending: remaining.filter(entry => entry.status !== OUTBOX_CONFIG.STATUS.FAILED).length
+  };
+}
+
+/**
+ * Put a failed entry back in the queue
+ * @param {string} clientId - Client message ID
+ * @returns {Promise<Object|null>} - Updated entry
+ */
+export async function retryOutboxEntry(clientId) {
+  return updateOutboxEntry(clientId, {
+    status: OUTBOX_CONFIG.STATUS.PENDING,
+    attempts: 0,
+    lastError: null
+  });
+}
+
+/**
+ * Ask the service worker to flush the outbox when connectivity returns
+ * @returns {Promise<boolean>} - Whether background sync was registered
+ */
+export async function requestOutboxSync() {
+  try {
+    if (!('serviceWorker' in navigator)) {
+      return false;
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) {
+      return false;
+    }
+
+    await registration.sync.register(OUTBOX_CONFIG.SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.error('Error registering outbox sync:', error);
+    return false;
+  }
+}
+
+/**
+ * Subscribe to outbox changes for a chat, including changes made by other tabs and the service worker
+ * @param {string} chatId - Chat ID
+ * @param {function(Array): void} callback - Called with the chat's outbox entries
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToOutbox(chatId, callback) {
+  let active = true;
+
+  const refresh = () => {
+    listOutbox(chatId)
+      .then(entries => active && callback(entries))
+      .catch(error => console.error('Error reading outbox:', error));
+  };
+
+  const listener = (changedChatId) => {
+    if (!changedChatId || changedChatId === chatId) {
+      refresh();
+    }
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(OUTBOX_CONFIG.CHANNEL_NAME)
+    : null;
+  if (channel) {
+    channel.onmessage = (event) => listener(event.data?.chatId);
+  }
+
+  outboxListeners.add(listener);
+  refresh();
+
+  return () => {
+    active = false;
+    outboxListeners.delete(listener);
+    channel?.close();
+  };
+}
@@ -0,0 +1,1014 @@
+/**
+ * Message Store for Shadow-Bind
+ * Persists chat messages behind a pluggable backend with cursor-based pagination
+ */
+
+import { isConfigured } from '../firebase';
+import { getChatAccess, hasGroupPermission, hasChannelPermission } from '../groups/service';
+import { MENTIONS_CONFIG, isBroadcastMention, normalizeMentions } from './mentions';
+import { createFirestoreBackend } from './backends/firestore';
+import { createMemoryBackend } from './backends/memory';
+
+/**
+ * Message store configuration
+ */
+export const MESSAGES_CONFIG = {
+  // Built-in storage backends
+  BACKENDS: {
+    FIRESTORE: 'firestore',
+    MEMORY: 'memory'
+  },
+
+  // Message types
+  TYPES: {
+    TEXT: 'text',
+    IMAGE: 'image',
+    FILE: 'file',
+    SYSTEM: 'system'
+  },
+
+  // Per-recipient delivery status
+  RECEIPT_STATUS: {
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read'
+  },
+
+  // Disappearing message timers in milliseconds; OFF keeps messages
+  EXPIRY_TIMERS: {
+    OFF: 0,
+    FIVE_MINUTES: 5 * 60 * 1000,
+    ONE_HOUR: 60 * 60 * 1000,
+    ONE_DAY: 24 * 60 * 60 * 1000,
+    ONE_WEEK: 7 * 24 * 60 * 60 * 1000
+  },
+  EXPIRY_LABELS: {
+    0: 'Off',
+    [5 * 60 * 1000]: '5 minutes',
+    [60 * 60 * 1000]: '1 hour',
+    [24 * 60 * 60 * 1000]: '1 day',
+    [7 * 24 * 60 * 60 * 1000]: '1 week'
+  },
+
+  // Quick reactions offered in the chat UI
+  QUICK_REACTIONS: ['👍', '❤️', '😂', '😮', '😢', '🙏'],
+
+  // Pagination
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+
+  // Limits
+  DEFAULT_CHAT_ID: 'general',
+  MAX_TEXT_LENGTH: 4000,
+  MAX_REACTION_LENGTH: 16,
+  REPLY_PREVIEW_LENGTH: 120,
+  MAX_RECEIPT_BATCH: 100,
+  MAX_EXPIRED_BATCH: 100,
+  MAX_E2EE_PAYLOAD_BYTES: 512 * 1024,
+  CHAT_ID_PATTERN: /^[A-Za-z0-9_-]{1,128}$/,
+  CLIENT_ID_PATTERN: /^[A-Za-z0-9_-]{8,128}$/
+};
+
+/**
+ * Message backend interface
+ * @typedef {Object} MessageBackend
+ * @property {string} name - Backend name
+ * @property {function(string, Object): Promise<{messages: Array, hasMore: boolean}>} list
+ *   - List a page of messages (oldest first) before/after a cursor message ID
+ * @property {function(string, string): Promise<Object|null>} get - Get a message by ID
+ * @property {function(string, Object): Promise<Object>} create
+ *   - Store a new message; when message.id is set and already exists, return the stored message unchanged
+ * @property {function(string, string, Object): Promise<Object|null>} update - Update a message
+ * @property {function(string, string): Promise<Array>} listThread - List a thread root and its replies
+ * @property {function(string, string, string, string|null): Promise<Object|null>} setReaction
+ *   - Set or clear one user's reaction on a message
+ * @property {function(string, string, string, Object): Promise<Object|null>} setReceipt
+ *   - Record deliveredAt/readAt for one recipient
+ * @property {function(string, string, Object): Promise<Object>} addRevision - Append a message revision
+ * @property {function(string, string): Promise<Array>} listRevisions - List revisions (oldest first)
+ * @property {function(string, string): Promise<void>} deleteRevisions - Permanently delete a message's revisions
+ * @property {function(string, Object, function, function): function} subscribe
+ *   - Subscribe to the latest messages in a chat, returns an unsubscribe function
+ * @property {function(string, Object): Promise<Array>} listExpired
+ *   - List messages whose expiresAt is at or before options.now (oldest first, up to options.limit)
+ * @property {function(string, string): Promise<void>} delete
+ *   - Permanently delete a message with its revisions
+ * @property {function(string): Promise<void>} deleteChat - Permanently delete every message and the settings of a chat
+ * @property {function(string): Promise<Object>} getChatSettings - Get a chat's settings ({} when unset)
+ * @property {function(string, Object): Promise<Object>} updateChatSettings - Merge into a chat's settings
+ * @property {function(string, function, function): function} subscribeToChatSettings
+ *   - Subscribe to a chat's settings, returns an unsubscribe function
+ */
+
+const backendFactories = {
+  [MESSAGES_CONFIG.BACKENDS.FIRESTORE]: createFirestoreBackend,
+  [MESSAGES_CONFIG.BACKENDS.MEMORY]: createMemoryBackend
+};
+
+/**
+ * Register an additional backend (e.g. a SQLite adapter used by a test harness)
+ * @param {string} name - Backend name, selectable via MESSAGE_STORE_BACKEND
+ * @param {function(): MessageBackend} factory - Backend factory
+ */
+export function registerMessageBackend(name, factory) {
+  backendFactories[name] = factory;
+}
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Build the quoted preview stored on a reply
+ * @param {Object} parent - Message being replied to
+ * @returns {Object} - Reply preview
+ */
+function buildReplyPreview(parent) {
+  // Encrypted text is never quoted in the clear; clients resolve it from the parent message
+  const text = parent.deleted || parent.e2ee ? '' : parent.text;
+
+  return {
+    senderId: parent.senderId,
+    senderName: parent.senderName,
+    text: text.length > MESSAGES_CONFIG.REPLY_PREVIEW_LENGTH
+      ? `${text.slice(0, MESSAGES_CONFIG.REPLY_PREVIEW_LENGTH)}…`
+      : text,
+    encrypted: Boolean(parent.e2ee),
+    deleted: Boolean(parent.deleted)
+  };
+}
+
+/**
+ * Check whether a disappearing message has expired
+ * @param {Object} message - Message
+ * @param {Date|number} now - Current time
+ * @returns {boolean} - Whether the message should no longer be shown
+ */
+export function isMessageExpired(message, now = Date.now()) {
+  return Boolean(message?.expiresAt) && new Date(message.expiresAt).getTime() <= new Date(now).getTime();
+}
+
+/**
+ * Describe a disappearing message timer for display
+ * @param {number} duration - Timer in milliseconds
+ * @returns {string} - Label, e.g. '1 hour'
+ */
+export function describeExpiryTimer(duration) {
+  return MESSAGES_CONFIG.EXPIRY_LABELS[duration || 0] || `${Math.round(duration / 60000)} minutes`;
+}
+
+/**
+ * Aggregate per-user reactions into counts for display
+ * @param {Object} reactions - Map of userId to emoji
+ * @param {string} currentUserId - Viewing user ID
+ * @returns {Array<{emoji: string, count: number, reactedByMe: boolean}>} - Reaction counts
+ */
+export function aggregateReactions(reactions = {}, currentUserId = null) {
+  const counts = new Map();
+
+  Object.entries(reactions || {}).forEach(([reactorId, emoji]) => {
+    const entry = counts.get(emoji) || { emoji, count: 0, reactedByMe: false };
+    entry.count++;
+    entry.reactedByMe = entry.reactedByMe || reactorId === currentUserId;
+    counts.set(emoji, entry);
+  });
+
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Summarize delivery and read receipts for a message
+ * @param {Object} message - Message with deliveredTo/readBy maps
+ * @param {Array<string>} recipientIds - Expected recipients (e.g. group members); when
+ *   omitted, any recipient acknowledging counts
+ * @returns {Object} - Aggregate status and counts
+ */
+export function summarizeReceipts(message, recipientIds = null) {
+  const recipients = recipientIds
+    ? recipientIds.filter(id => id !== message.senderId)
+    : null;
+  const deliveredIds = Object.keys(message.deliveredTo || {});
+  const readIds = Object.keys(message.readBy || {});
+  const countOf = (ids) => recipients ? ids.filter(id => recipients.includes(id)).length : ids.length;
+
+  const deliveredCount = countOf(deliveredIds);
+  const readCount = countOf(readIds);
+  const total = recipients ? recipients.length : null;
+  const reachedAll = (count) => count > 0 && (total === null || count >= total);
+
+  let status = MESSAGES_CONFIG.RECEIPT_STATUS.SENT;
+  if (reachedAll(readCount)) {
+    status = MESSAGES_CONFIG.RECEIPT_STATUS.READ;
+  } else if (reachedAll(deliveredCount)) {
+    status = MESSAGES_CONFIG.RECEIPT_STATUS.DELIVERED;
+  }
+
+  return { status, deliveredCount, readCount, total };
+}
+
+/**
+ * Message Store Class
+ * Validates messages and delegates persistence to a backend
+ */
+export class MessageStore {
+  /**
+   * @param {MessageBackend} backend - Storage backend
+   * @param {Object} options - Store options
+   * @param {function(string, string, string): Promise<boolean>} options.checkGroupPermission
+   *   - Group permission check, defaults to the groups service
+   * @param {function(string, string, string, string): Promise<boolean>} options.checkChannelPermission
+   *   - Permission check in the channel a group chat belongs to, defaults to the groups service
+   * @param {function(string, string): Promise<Object>} options.resolveChatAccess
+   *   - Finds a chat's group and rejects users who may not use it, defaults to the groups service
+   */
+  constructor(backend, {
+    checkGroupPermission = hasGroupPermission,
+    checkChannelPermission = hasChannelPermission,
+    resolveChatAccess = getChatAccess
+  } = {}) {
+    this.backend = backend;
+    this.checkGroupPermission = checkGroupPermission;
+    this.checkChannelPermission = checkChannelPermission;
+    this.resolveChatAccess = resolveChatAccess;
+  }
+
+  /**
+   * Check that a user may read and write a chat
+   * @param {string} chatId - Chat ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { groupId } of the chat's group, null for an open chat
+   */
+  async authorizeChat(chatId, userId) {
+    this.validateChatId(chatId);
+
+    if (!userId) {
+      throw storeError('userId is required', 400);
+    }
+
+    const { groupId } = await this.resolveChatAccess(chatId, userId);
+    return { groupId };
+  }
+
+  /**
+   * List a page of messages in a chat
+   * @param {string} chatId - Chat ID
+   * @param {Object} options - Pagination options
+   * @param {string} options.before - Return messages older than this message ID
+   * @param {string} options.after - Return messages newer than this message ID
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - Messages (oldest first) and page info
+   */
+  async listMessages(chatId, { before = null, after = null, limit: pageSize } = {}) {
+    this.validateChatId(chatId);
+
+    if (before && after) {
+      throw storeError('Only one of before or after may be given', 400);
+    }
+
+    const cursor = before || after;
+    if (cursor && !(await this.backend.get(chatId, cursor))) {
+      throw storeError('Cursor message not found', 400);
+    }
+
+    const { messages, hasMore } = await this.backend.list(chatId, {
+      before,
+      after,
+      limit: this.normalizePageSize(pageSize)
+    });
+
+    // Cursors come from the unfiltered page so paging continues past expired messages
+    const liveMessages = messages.filter(message => !isMessageExpired(message));
+
+    return {
+      messages: liveMessages,
+      pageInfo: {
+        hasMore,
+        direction: after ? 'after' : 'before',
+        startCursor: messages[0]?.id || null,
+        endCursor: messages[messages.length - 1]?.id || null
+      }
+    };
+  }
+
+  /**
+   * Get a single message
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - Message
+   */
+  async getMessage(chatId, messageId) {
+    this.validateChatId(chatId);
+
+    const message = await this.backend.get(chatId, messageId);
+    if (!message || isMessageExpired(message)) {
+      throw storeError('Message not found', 404);
+    }
+
+    return message;
+  }
+
+  /**
+   * Create a message in a chat
+   * A client-generated id makes the call idempotent, so queued messages can be retried safely.
+   * @param {string} chatId - Chat ID
+   * @param {Object} messageData - Message data
+   * @returns {Promise<Object>} - Created (or previously created) message
+   */
+  async createMessage(chatId, messageData) {
+    this.validateChatId(chatId);
+
+    const {
+      id = null,
+      text,
+      senderId,
+      senderName = null,
+      replyTo = null,
+      type = MESSAGES_CONFIG.TYPES.TEXT,
+      metadata = {},
+      e2ee = null,
+      mentions = null
+    } = messageData;
+
+    if (!senderId) {
+      throw storeError('senderId is required', 400);
+    }
+
+    // End-to-end encrypted messages carry ciphertext only
+    const trimmedText = e2ee ? this.validateE2ee(e2ee, senderId, text) : this.validateText(text);
+
+    if (!Object.values(MESSAGES_CONFIG.TYPES).includes(type)) {
+      throw storeError('Invalid message type', 400);
+    }
+
+    // The group comes from the chat, never from the request; only members may post in a group chat
+    const { groupId } = await this.resolveChatAccess(chatId, senderId);
+
+    // Group chats are channels, which may stop members posting or uploading
+    if (groupId && type !== MESSAGES_CONFIG.TYPES.SYSTEM) {
+      const permissions = type === MESSAGES_CONFIG.TYPES.TEXT ? ['send_messages'] : ['send_messages', 'upload_files'];
+      for (const permission of permissions) {
+        if (!(await this.checkChannelPermission(groupId, chatId, senderId, permission))) {
+          throw storeError('Insufficient permissions', 403);
+        }
+      }
+    }
+
+    const mentionEntities = await this.validateMentions(mentions, {
+      text: e2ee ? null : trimmedText,
+      senderId,
+      groupId
+    });
+
+    if (id) {
+      if (!MESSAGES_CONFIG.CLIENT_ID_PATTERN.test(id)) {
+        throw storeError('Invalid message id', 400);
+      }
+
+      const existing = await this.backend.get(chatId, id);
+      if (existing) {
+        return this.resolveDuplicate(existing, senderId);
+      }
+    }
+
+    let replyFields = { replyTo: null, replyPreview: null, threadRootId: null };
+    if (replyTo) {
+      const parent = await this.backend.get(chatId, replyTo);
+      if (!parent || isMessageExpired(parent)) {
+        throw storeError('Reply target not found', 400);
+      }
+      replyFields = {
+        replyTo,
+        replyPreview: buildReplyPreview(parent),
+        threadRootId: parent.threadRootId || parent.id
+      };
+    }
+
+    // The chat's timer applies to every new message; system messages record timer changes and stay
+    const { expiry } = await this.backend.getChatSettings(chatId);
+    const expiresAt = expiry?.duration && type !== MESSAGES_CONFIG.TYPES.SYSTEM
+      ? new Date(Date.now() + expiry.duration)
+      : null;
+
+    const message = {
+      text: trimmedText,
+      senderId,
+      senderName: senderName || senderId,
+      groupId,
+      type,
+      metadata,
+      e2ee,
+      mentions: mentionEntities,
+      mentionsNotifiedAt: null,
+      expiresAt,
+      reactions: {},
+      deliveredTo: {},
+      readBy: {},
+      ...replyFields,
+      edited: false,
+      editedAt: null,
+      deleted: false,
+      deletedAt: null,
+      deletedBy: null
+    };
+
+    if (id) {
+      message.id = id;
+    }
+
+    const created = await this.backend.create(chatId, message);
+
+    // A concurrent retry may have stored the same id first
+    return id ? this.resolveDuplicate(created, senderId) : created;
+  }
+
+  /**
+   * Get the reply chain a message belongs to
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Any message in the thread
+   * @returns {Promise<Object>} - Thread root ID and messages (oldest first)
+   */
+  async getThread(chatId, messageId) {
+    const message = await this.getMessage(chatId, messageId);
+    const rootId = message.threadRootId || message.id;
+    const messages = (await this.backend.listThread(chatId, rootId))
+      .filter(item => !isMessageExpired(item));
+
+    return { rootId, messages };
+  }
+
+  /**
+   * Toggle a user's emoji reaction on a message
+   * Each user holds at most one reaction; reacting with the same emoji removes it.
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} reaction - Reaction data
+   * @param {string} reaction.userId - Reacting user ID
+   * @param {string} reaction.emoji - Emoji
+   * @returns {Promise<Object>} - Updated message
+   */
+  async toggleReaction(chatId, messageId, { userId, emoji }) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (!userId) {
+      throw storeError('userId is required', 400);
+    }
+
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MESSAGES_CONFIG.MAX_REACTION_LENGTH) {
+      throw storeError('Invalid reaction', 400);
+    }
+
+    if (message.deleted) {
+      throw storeError('Message has been deleted', 409);
+    }
+
+    const current = message.reactions?.[userId] || null;
+    return this.backend.setReaction(chatId, messageId, userId, current === emoji ? null : emoji);
+  }
+
+  /**
+   * Acknowledge delivery or reading of messages by a recipient
+   * Reading implies delivery. Own messages and existing receipts are skipped.
+   * @param {string} chatId - Chat ID
+   * @param {Array<string>} messageIds - Message IDs
+   * @param {Object} receipt - Receipt data
+   * @param {string} receipt.userId - Recipient user ID
+   * @param {string} receipt.status - 'delivered' or 'read'
+   * @returns {Promise<number>} - Number of messages updated
+   */
+  async acknowledgeMessages(chatId, messageIds, { userId, status }) {
+    this.validateChatId(chatId);
+
+    const { DELIVERED, READ } = MESSAGES_CONFIG.RECEIPT_STATUS;
+
+    if (!userId) {
+      throw storeError('userId is required', 400);
+    }
+
+    if (![DELIVERED, READ].includes(status)) {
+      throw storeError('Invalid receipt status', 400);
+    }
+
+    if (!Array.isArray(messageIds) || messageIds.length > MESSAGES_CONFIG.MAX_RECEIPT_BATCH) {
+      throw storeError('Invalid messageIds', 400);
+    }
+
+    const now = new Date();
+    let updated = 0;
+
+    for (const messageId of messageIds) {
+      const message = await this.backend.get(chatId, messageId);
+      if (!message || message.senderId === userId || message.deleted || isMessageExpired(message)) {
+        continue;
+      }
+
+      const receipt = {};
+      if (!message.deliveredTo?.[userId]) {
+        receipt.deliveredAt = now;
+      }
+      if (status === READ && !message.readBy?.[userId]) {
+        receipt.readAt = now;
+      }
+
+      if (Object.keys(receipt).length > 0) {
+        await this.backend.setReceipt(chatId, messageId, userId, receipt);
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get per-recipient receipts for a message ("seen by" list)
+   * Only the sender may view receipts.
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} options - Options
+   * @param {string} options.userId - ID of user requesting receipts
+   * @returns {Promise<Array>} - Receipts, most recently read first
+   */
+  async getReceipts(chatId, messageId, { userId }) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (message.senderId !== userId) {
+      throw storeError('Only the sender can view receipts', 403);
+    }
+
+    const recipientIds = new Set([
+      ...Object.keys(message.deliveredTo || {}),
+      ...Object.keys(message.readBy || {})
+    ]);
+
+    return Array.from(recipientIds)
+      .map(recipientId => ({
+        userId: recipientId,
+        deliveredAt: message.deliveredTo?.[recipientId] || null,
+        readAt: message.readBy?.[recipientId] || null
+      }))
+      .sort((a, b) => (b.readAt || '').localeCompare(a.readAt || ''));
+  }
+
+  /**
+   * Edit a message's text, recording the previous text as a revision
+   * Encrypted messages are edited by replacing their e2ee payload.
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} edit - Edit data
+   * @param {string} edit.text - New text
+   * @param {Object} edit.e2ee - New encrypted payload (encrypted messages only)
+   * @param {Array} edit.mentions - Mention entities for the new text (kept when omitted)
+   * @param {string} edit.userId - ID of user editing (must be the sender)
+   * @returns {Promise<Object>} - Updated message
+   */
+  async editMessage(chatId, messageId, { text, e2ee = null, mentions, userId }) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (message.deleted) {
+      throw storeError('Message has been deleted', 409);
+    }
+
+    if (message.senderId !== userId) {
+      throw storeError('Only the sender can edit a message', 403);
+    }
+
+    if (Boolean(message.e2ee) !== Boolean(e2ee)) {
+      throw storeError(message.e2ee ? 'Encrypted messages must be edited with an e2ee payload' : 'Message is not encrypted', 400);
+    }
+
+    const trimmedText = e2ee ? this.validateE2ee(e2ee, userId, text) : this.validateText(text);
+    const mentionEntities = mentions === undefined
+      ? message.mentions || []
+      : await this.validateMentions(mentions, { text: e2ee ? null : trimmedText, senderId: userId, groupId: message.groupId });
+    if (!e2ee && trimmedText === message.text && mentions === undefined) {
+      return message;
+    }
+
+    const editedAt = new Date();
+
+    await this.backend.addRevision(chatId, messageId, {
+      action: 'edited',
+      text: message.text,
+      e2ee: message.e2ee || null,
+      editorId: userId,
+      createdAt: editedAt
+    });
+
+    return this.backend.update(chatId, messageId, {
+      text: trimmedText,
+      e2ee,
+      mentions: mentionEntities,
+      edited: true,
+      editedAt
+    });
+  }
+
+  /**
+   * Delete a message for everyone, leaving a tombstone in its place
+   * Its edit history goes too, so no earlier text outlives the deletion.
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} options - Delete options
+   * @param {string} options.userId - ID of user deleting (sender or group moderator)
+   * @returns {Promise<Object>} - Tombstone message
+   */
+  async deleteMessage(chatId, messageId, { userId }) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (message.deleted) {
+      return message;
+    }
+
+    if (!(await this.canModerate(chatId, message, userId))) {
+      throw storeError('Insufficient permissions', 403);
+    }
+
+    const deletedAt = new Date();
+
+    await this.backend.deleteRevisions(chatId, messageId);
+
+    return this.backend.update(chatId, messageId, {
+      text: '',
+      e2ee: null,
+      metadata: {},
+      mentions: [],
+      reactions: {},
+      deleted: true,
+      deletedAt,
+      deletedBy: userId
+    });
+  }
+
+  /**
+   * Get the revision history of a message
+   * Only the sender and moderators of the message's group may view it.
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @param {Object} options - Options
+   * @param {string} options.userId - ID of user requesting history
+   * @returns {Promise<Array>} - Revisions (oldest first)
+   */
+  async getMessageRevisions(chatId, messageId, { userId }) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (!(await this.canModerate(chatId, message, userId))) {
+      throw storeError('Insufficient permissions', 403);
+    }
+
+    return this.backend.listRevisions(chatId, messageId);
+  }
+
+  /**
+   * Check whether a user may delete a message or view its history
+   * @param {string} chatId - Chat ID
+   * @param {Object} message - Message
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - Is sender or a moderator of the message's channel
+   */
+  async canModerate(chatId, message, userId) {
+    if (!userId) {
+      return false;
+    }
+
+    if (message.senderId === userId) {
+      return true;
+    }
+
+    return Boolean(message.groupId) &&
+      this.checkChannelPermission(message.groupId, chatId, userId, 'moderate_content');
+  }
+
+  /**
+   * Record that a message's mentions have been notified
+   * @param {string} chatId - Chat ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<boolean>} - False when they had already been notified
+   */
+  async markMentionsNotified(chatId, messageId) {
+    const message = await this.getMessage(chatId, messageId);
+
+    if (message.mentionsNotifiedAt) {
+      return false;
+    }
+
+    await this.backend.update(chatId, messageId, { mentionsNotifiedAt: new Date() });
+    return true;
+  }
+
+  /**
+   * Subscribe to the latest messages in a chat
+   * @param {string} chatId - Chat ID
+   * @param {function} callback - Called with messages (oldest first)
+   * @param {Object} options - Subscription options
+   * @param {number} options.limit - Number of latest messages
+   * @param {function} options.onError - Error callback
+   * @returns {function} - Unsubscribe function
+   */
+  subscribeToMessages(chatId, callback, { limit: pageSize, onError } = {}) {
+    this.validateChatId(chatId);
+    return this.backend.subscribe(chatId, { limit: this.normalizePageSize(pageSize) }, (messages) => {
+      callback(messages.filter(message => !isMessageExpired(message)));
+    }, onError);
+  }
+
+  /**
+   * Get a chat's disappearing message settings
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object>} - { duration, minimum, groupId, updatedBy, updatedAt }
+   */
+  async getExpirySettings(chatId) {
+    this.validateChatId(chatId);
+
+    const { expiry } = await this.backend.getChatSettings(chatId);
+    return this.normalizeExpiry(expiry);
+  }
+
+  /**
+   * Change a chat's disappearing message timer or, in group chats, its minimum
+   * Every change is announced with a system message so all participants see it.
+   * The timer may not be shorter than the minimum; only members with manage_settings
+   * may change the minimum, and raising it lengthens a shorter timer to match.
+   * @param {string} chatId - Chat ID
+   * @param {Object} change - Change data
+   * @param {string} change.userId - ID of user making the change
+   * @param {string} change.senderName - Display name for the system message
+   * @param {number} change.duration - New timer (one of MESSAGES_CONFIG.EXPIRY_TIMERS)
+   * @param {number} change.minimum - New minimum timer (group chats only)
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async updateExpirySettings(chatId, { userId, senderName = null, duration, minimum }) {
+    const current = await this.getExpirySettings(chatId);
+
+    if (!userId) {
+      throw storeError('userId is required', 400);
+    }
+
+    // The group comes from the chat, never from the request
+    const { groupId } = await this.resolveChatAccess(chatId, userId);
+
+    const timers = Object.values(MESSAGES_CONFIG.EXPIRY_TIMERS);
+    if ((duration !== undefined && !timers.includes(duration)) || (minimum !== undefined && !timers.includes(minimum))) {
+      throw storeError('Invalid expiry timer', 400);
+    }
+
+    const next = { ...current, groupId };
+
+    if (minimum !== undefined && minimum !== current.minimum) {
+      if (!groupId || !(await this.checkGroupPermission(groupId, userId, 'manage_settings'))) {
+        throw storeError('Insufficient permissions', 403);
+      }
+      next.minimum = minimum;
+    }
+
+    if (duration !== undefined) {
+      next.duration = duration;
+    }
+
+    if (next.duration && next.duration < next.minimum) {
+      if (duration !== undefined && duration !== current.duration) {
+        throw storeError(`Timer cannot be shorter than ${describeExpiryTimer(next.minimum)} in this group`, 400);
+      }
+      next.duration = next.minimum;
+    }
+
+    if (next.duration === current.duration && next.minimum === current.minimum) {
+      return current;
+    }
+
+    const { expiry } = await this.backend.updateChatSettings(chatId, {
+      expiry: { ...next, updatedBy: userId, updatedAt: new Date() }
+    });
+
+    const name = senderName || userId;
+    const notices = [];
+    if (next.minimum !== current.minimum) {
+      notices.push(next.minimum
+        ? `${name} required disappearing messages to last at least ${describeExpiryTimer(next.minimum)}`
+        : `${name} removed the minimum for disappearing messages`);
+    }
+    if (next.duration !== current.duration) {
+      notices.push(next.duration
+        ? `${name} set disappearing messages to ${describeExpiryTimer(next.duration)}`
+        : `${name} turned off disappearing messages`);
+    }
+
+    await this.createMessage(chatId, {
+      text: notices.join('. '),
+      senderId: userId,
+      senderName,
+      type: MESSAGES_CONFIG.TYPES.SYSTEM,
+      metadata: { event: 'expiry_changed', duration: next.duration, minimum: next.minimum }
+    });
+
+    return this.normalizeExpiry(expiry);
+  }
+
+  /**
+   * Permanently delete a chat's expired messages
+   * Any participant's client may run this; expired messages are already hidden from reads.
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Array>} - Deleted messages, so callers can drop local copies
+   */
+  async purgeExpiredMessages(chatId) {
+    this.validateChatId(chatId);
+
+    const expired = await this.backend.listExpired(chatId, {
+      now: new Date(),
+      limit: MESSAGES_CONFIG.MAX_EXPIRED_BATCH
+    });
+
+    for (const message of expired) {
+      await this.backend.delete(chatId, message.id);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Permanently delete a chat with all its messages and settings
+   * Callers check permissions; the groups service does this when a group's last member leaves.
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<void>}
+   */
+  async deleteChat(chatId) {
+    this.validateChatId(chatId);
+    await this.backend.deleteChat(chatId);
+  }
+
+  /**
+   * Subscribe to a chat's disappearing message settings
+   * @param {string} chatId - Chat ID
+   * @param {function(Object): void} callback - Called with the settings
+   * @param {Object} options - Subscription options
+   * @param {function} options.onError - Error callback
+   * @returns {function} - Unsubscribe function
+   */
+  subscribeToExpirySettings(chatId, callback, { onError } = {}) {
+    this.validateChatId(chatId);
+    return this.backend.subscribeToChatSettings(chatId, (settings) => {
+      callback(this.normalizeExpiry(settings.expiry));
+    }, onError);
+  }
+
+  // Private helper methods
+
+  /**
+   * Fill in defaults for stored expiry settings
+   * @param {Object} expiry - Stored settings
+   * @returns {Object} - Expiry settings
+   */
+  normalizeExpiry(expiry) {
+    return {
+      duration: expiry?.duration || MESSAGES_CONFIG.EXPIRY_TIMERS.OFF,
+      minimum: expiry?.minimum || MESSAGES_CONFIG.EXPIRY_TIMERS.OFF,
+      groupId: expiry?.groupId || null,
+      updatedBy: expiry?.updatedBy || null,
+      updatedAt: expiry?.updatedAt || null
+    };
+  }
+
+  /**
+   * Validate and trim message text
+   * @param {string} text - Message text
+   * @returns {string} - Trimmed text
+   */
+  validateText(text) {
+    const trimmedText = typeof text === 'string' ? text.trim() : '';
+
+    if (!trimmedText) {
+      throw storeError('Text is required', 400);
+    }
+
+    if (trimmedText.length > MESSAGES_CONFIG.MAX_TEXT_LENGTH) {
+      throw storeError('Message text too long', 400);
+    }
+
+    return trimmedText;
+  }
+
+  /**
+   * Validate mention entities
+   * @param {Array} mentions - Mention entities
+   * @param {Object} options - Options
+   * @param {string|null} options.text - Plaintext, or null for encrypted messages
+   * @param {string} options.senderId - Sender of the message
+   * @param {string|null} options.groupId - Group the chat belongs to
+   * @returns {Promise<Array>} - Normalized entities
+   */
+  async validateMentions(mentions, { text, senderId, groupId }) {
+    const entities = normalizeMentions(mentions, { text, maxLength: MESSAGES_CONFIG.MAX_TEXT_LENGTH });
+
+    // @here and @everyone reach the whole group, so they need the right to manage its members
+    if (entities.some(mention => isBroadcastMention(mention.type)) &&
+        (!groupId || !(await this.checkGroupPermission(groupId, senderId, MENTIONS_CONFIG.BROADCAST_PERMISSION)))) {
+      throw storeError('Only members who manage the group may mention @here or @everyone', 403);
+    }
+
+    return entities;
+  }
+
+  /**
+   * Validate an end-to-end encrypted payload
+   * The server cannot read it, so only its shape and size are checked.
+   * @param {Object} e2ee - Encrypted payload
+   * @param {string} senderId - Sender of the message
+   * @param {string} text - Plaintext field, which must be empty
+   * @returns {string} - Empty text to store alongside the payload
+   */
+  validateE2ee(e2ee, senderId, text) {
+    if (text) {
+      throw storeError('Encrypted messages must not include plaintext', 400);
+    }
+
+    if (typeof e2ee !== 'object' || !e2ee.version || e2ee.senderId !== senderId || !e2ee.self) {
+      throw storeError('Invalid e2ee payload', 400);
+    }
+
+    // Group messages carry one sender-key ciphertext; others carry an envelope per recipient
+    const recipientsValid = e2ee.scheme === 'sender_key'
+      ? typeof e2ee.group === 'object' && e2ee.group?.senderId === senderId
+      : typeof e2ee.envelopes === 'object';
+    if (!recipientsValid) {
+      throw storeError('Invalid e2ee payload', 400);
+    }
+
+    if (JSON.stringify(e2ee).length > MESSAGES_CONFIG.MAX_E2EE_PAYLOAD_BYTES) {
+      throw storeError('Encrypted payload too large', 400);
+    }
+
+    return '';
+  }
+
+  /**
+   * Accept a stored message as the result of a retried create from the same sender
+   * @param {Object} message - Stored message
+   * @param {string} senderId - Sender of the create request
+   * @returns {Object} - Stored message
+   */
+  resolveDuplicate(message, senderId) {
+    if (message.senderId !== senderId) {
+      throw storeError('Message id already in use', 409);
+    }
+    return message;
+  }
+
+  /**
+   * Validate chat ID against the Firestore-safe pattern
+   * @param {string} chatId - Chat ID
+   */
+  validateChatId(chatId) {
+    if (typeof chatId !== 'string' || !MESSAGES_CONFIG.CHAT_ID_PATTERN.test(chatId)) {
+      throw storeError('Invalid chatId', 400);
+    }
+  }
+
+  /**
+   * Clamp a requested page size to the configured bounds
+   * @param {number|string} pageSize - Requested page size
+   * @returns {number} - Page size
+   */
+  normalizePageSize(pageSize) {
+    const parsed = parseInt(pageSize, 10);
+    if (!parsed || parsed < 1) {
+      return MESSAGES_CONFIG.DEFAULT_PAGE_SIZE;
+    }
+    return Math.min(parsed, MESSAGES_CONFIG.MAX_PAGE_SIZE);
+  }
+}
+
+/**
+ * Create a message store for a named backend
+ * @param {string} backendName - Backend name
+ * @returns {MessageStore} - Message store
+ */
+export function createMessageStore(backendName) {
+  const factory = backendFactories[backendName];
+  if (!factory) {
+    throw new Error(`Unknown message store backend: ${backendName}`);
+  }
+  return new MessageStore(factory());
+}
+
+let defaultStore = null;
+
+/**
+ * Get the application message store
+ * Uses MESSAGE_STORE_BACKEND when set, otherwise Firestore when configured
+ * and the in-memory backend as a fallback.
+ * @returns {MessageStore} - Message store
+ */
+export function getMessageStore() {
+  if (!defaultStore) {
+    const backendName = process.env.MESSAGE_STORE_BACKEND ||
+      (isConfigured ? MESSAGES_CONFIG.BACKENDS.FIRESTORE : MESSAGES_CONFIG.BACKENDS.MEMORY);
+    defaultStore = createMessageStore(backendName);
+  }
+  return defaultStore;
+}
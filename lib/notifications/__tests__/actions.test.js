@@ -0,0 +1,69 @@
+import {
+  NOTIFICATION_ACTIONS_CONFIG,
+  addNotificationActions,
+  createActionToken,
+  performNotificationAction,
+  verifyActionToken
+} from '../actions';
+import { getMessageStore } from '../../messages/store';
+
+jest.mock('../../groups/service', () => ({
+  getChatAccess: async () => ({ groupId: null, channel: null, member: null })
+}));
+
+const { ACTIONS } = NOTIFICATION_ACTIONS_CONFIG;
+
+describe('notification actions', () => {
+  it('signs tokens and rejects tampered or expired ones', async () => {
+    const token = await createActionToken({ sub: 'alice', actions: [ACTIONS.MARK_READ] });
+    expect(await verifyActionToken(token)).toMatchObject({ sub: 'alice', actions: [ACTIONS.MARK_READ] });
+
+    const [body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'mallory', actions: [ACTIONS.MARK_READ], exp: Date.now() + 1000 }))
+      .toString('base64url');
+    await expect(verifyActionToken(`${forged}.${signature}`)).rejects.toMatchObject({ status: 401 });
+    await expect(verifyActionToken(`${body}.${signature}.x`)).rejects.toMatchObject({ status: 401 });
+
+    const expired = await createActionToken({ sub: 'alice', actions: [] }, -1);
+    await expect(verifyActionToken(expired)).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('lets message notifications send their delivery receipt without offering it as a button', async () => {
+    const notification = await addNotificationActions('bob', {
+      category: 'message',
+      title: 'Alice',
+      data: { chatId: 'general', messageId: 'm1' }
+    });
+
+    expect(notification.actions.map(({ action }) => action)).toEqual([ACTIONS.REPLY, ACTIONS.MARK_READ, ACTIONS.MUTE]);
+    expect(notification.data.recipientId).toBe('bob');
+
+    const claims = await verifyActionToken(notification.data.actionToken);
+    expect(claims.actions).toEqual([ACTIONS.REPLY, ACTIONS.MARK_READ, ACTIONS.MARK_DELIVERED]);
+  });
+
+  it('records delivery and read receipts for the token\'s recipient', async () => {
+    const message = await getMessageStore().createMessage('general', { text: 'hi', senderId: 'alice' });
+    const { data } = await addNotificationActions('bob', {
+      category: 'message',
+      data: { chatId: 'general', messageId: message.id }
+    });
+    const claims = await verifyActionToken(data.actionToken);
+
+    await performNotificationAction(claims, { action: ACTIONS.MARK_DELIVERED });
+    let stored = await getMessageStore().getMessage('general', message.id);
+    expect(stored.deliveredTo.bob).toBeDefined();
+    expect(stored.readBy.bob).toBeUndefined();
+
+    await performNotificationAction(claims, { action: ACTIONS.MARK_READ });
+    stored = await getMessageStore().getMessage('general', message.id);
+    expect(stored.readBy.bob).toBeDefined();
+  });
+
+  it('refuses actions the token does not allow', async () => {
+    const claims = await verifyActionToken(await createActionToken({ sub: 'bob', actions: [ACTIONS.MARK_DELIVERED] }));
+
+    await expect(performNotificationAction(claims, { action: ACTIONS.MARK_READ })).rejects.toMatchObject({ status: 403 });
+    await expect(performNotificationAction(claims, { action: ACTIONS.MUTE })).rejects.toMatchObject({ status: 400 });
+  });
+});
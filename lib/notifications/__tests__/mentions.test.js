@@ -0,0 +1,77 @@
+import { notifyMentions } from '../mentions';
+import { sendPushToUser } from '../webPush';
+import { getMessageStore } from '../../messages/store';
+
+jest.mock('../webPush', () => ({
+  ...jest.requireActual('../webPush'),
+  sendPushToUser: jest.fn(async () => ({ sent: 1 }))
+}));
+
+// group-1's private channel chat is seen by alice and bob; carol is a member who cannot see it
+jest.mock('../../groups/service', () => ({
+  getChatAccess: jest.fn(async (chatId) => (chatId === 'private-channel'
+    ? { groupId: 'group-1', channel: { isPrivate: true, memberIds: ['alice', 'bob'] } }
+    : { groupId: null, channel: null })),
+  getGroupMembers: jest.fn(async () => ['alice', 'bob', 'carol'].map(userId => ({ userId }))),
+  hasGroupPermission: jest.fn(async (groupId, userId) => userId === 'alice'),
+  hasChannelPermission: jest.fn(async () => true)
+}));
+
+/**
+ * Build a message mentioning each user (or 'everyone') in turn
+ * @param {Array<string>} names - User IDs, or 'everyone'
+ * @returns {Object} - { text, mentions }
+ */
+function mentioning(names) {
+  const text = names.map(name => `@${name}`).join(' ');
+  let offset = 0;
+  const mentions = names.map((name) => {
+    const entity = name === 'everyone'
+      ? { type: 'everyone', offset, length: name.length + 1 }
+      : { type: 'user', userId: name, offset, length: name.length + 1 };
+    offset += name.length + 2;
+    return entity;
+  });
+  return { text, mentions };
+}
+const notified = () => sendPushToUser.mock.calls.map(([recipientId]) => recipientId).sort();
+
+describe('notifyMentions', () => {
+  beforeEach(() => {
+    sendPushToUser.mockClear();
+  });
+
+  it('reaches only members who can see a group channel', async () => {
+    const message = await getMessageStore().createMessage('private-channel', {
+      ...mentioning(['bob', 'carol', 'mallory']),
+      senderId: 'alice'
+    });
+
+    await notifyMentions('private-channel', message.id);
+
+    expect(notified()).toEqual(['bob']);
+  });
+
+  it('sends @everyone to the channel\'s members, not the whole group', async () => {
+    const message = await getMessageStore().createMessage('private-channel', {
+      ...mentioning(['everyone']),
+      senderId: 'alice'
+    });
+
+    await notifyMentions('private-channel', message.id);
+
+    expect(notified()).toEqual(['bob']);
+  });
+
+  it('reaches people who posted in an open chat, whoever the message names', async () => {
+    await getMessageStore().createMessage('lobby', { text: 'hello', senderId: 'dave' });
+    const message = await getMessageStore().createMessage('lobby', {
+      ...mentioning(['dave', 'frank']),
+      senderId: 'erin'
+    });
+
+    await notifyMentions('lobby', message.id);
+
+    expect(notified()).toEqual(['dave']);
+  });
+});
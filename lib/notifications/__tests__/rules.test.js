@@ -0,0 +1,106 @@
+import {
+  NOTIFICATION_RULES_CONFIG,
+  ruleKey,
+  isDoNotDisturbTime,
+  matchKeyword,
+  evaluateNotification
+} from '../rules';
+
+const { MODES, SOUNDS, VIBRATIONS } = NOTIFICATION_RULES_CONFIG;
+
+const noon = new Date(2030, 0, 1, 12);
+
+const message = (fields = {}) => ({
+  category: 'message',
+  priority: 'normal',
+  title: 'Alice',
+  body: 'See you at lunch',
+  data: { chatId: 'chat-1', groupId: 'group-1' },
+  ...fields
+});
+
+const rules = (fields = {}) => ({ preferences: null, keywords: [], conversations: {}, ...fields });
+
+describe('do not disturb', () => {
+  it('covers hours inside the window, including windows past midnight', () => {
+    const at = (hour) => new Date(2030, 0, 1, hour);
+
+    expect(isDoNotDisturbTime({ start: 9, end: 17 }, at(12))).toBe(true);
+    expect(isDoNotDisturbTime({ start: 9, end: 17 }, at(17))).toBe(false);
+    expect(isDoNotDisturbTime({ start: 22, end: 7 }, at(23))).toBe(true);
+    expect(isDoNotDisturbTime({ start: 22, end: 7 }, at(6))).toBe(true);
+    expect(isDoNotDisturbTime({ start: 22, end: 7 }, at(12))).toBe(false);
+    expect(isDoNotDisturbTime(null, at(23))).toBe(false);
+  });
+});
+
+describe('keyword alerts', () => {
+  it('matches whole words and phrases in any case', () => {
+    expect(matchKeyword(['deploy', 'lunch break'], 'Time for a LUNCH BREAK!')).toBe('lunch break');
+    expect(matchKeyword(['deploy'], 'redeployed the app')).toBeNull();
+    expect(matchKeyword(['c++'], 'who knows c++?')).toBe('c++');
+    expect(matchKeyword(['café'], 'meet at the café')).toBe('café');
+    expect(matchKeyword(null, 'anything')).toBeNull();
+  });
+});
+
+describe('evaluateNotification', () => {
+  it('shows everything when there are no rules', () => {
+    expect(evaluateNotification(rules(), message(), noon)).toEqual({
+      show: true,
+      sound: SOUNDS.DEFAULT,
+      vibration: VIBRATIONS.DEFAULT,
+      keyword: null
+    });
+  });
+
+  it('hides categories the user turned off', () => {
+    const preferences = { categories: { message: false, mention: true } };
+
+    expect(evaluateNotification(rules({ preferences }), message(), noon).show).toBe(false);
+    expect(evaluateNotification(rules({ preferences }), message({ category: 'mention' }), noon).show).toBe(true);
+  });
+
+  it('lets only high priority non-mentions through do not disturb', () => {
+    const preferences = { doNotDisturb: true, doNotDisturbSchedule: { start: 9, end: 17 } };
+
+    expect(evaluateNotification(rules({ preferences }), message(), noon).show).toBe(false);
+    expect(evaluateNotification(rules({ preferences }), message({ priority: 'high' }), noon).show).toBe(true);
+    expect(evaluateNotification(rules({ preferences }), message({ category: 'mention', priority: 'high' }), noon).show).toBe(false);
+  });
+
+  it('lets mentions through muted conversations until the mute ends', () => {
+    const conversations = {
+      [ruleKey('group', 'group-1')]: { mode: MODES.MUTED, mutedUntil: noon.getTime() + 1000 }
+    };
+
+    expect(evaluateNotification(rules({ conversations }), message(), noon).show).toBe(false);
+    expect(evaluateNotification(rules({ conversations }), message({ category: 'mention' }), noon).show).toBe(true);
+    expect(evaluateNotification(rules({ conversations }), message(), new Date(noon.getTime() + 1000)).show).toBe(true);
+  });
+
+  it('prefers the chat\'s rule over its group\'s and uses its sound and vibration', () => {
+    const conversations = {
+      [ruleKey('group', 'group-1')]: { mode: MODES.MUTED, mutedUntil: null },
+      [ruleKey('chat', 'chat-1')]: { mode: MODES.ALL, sound: SOUNDS.CHIME, vibration: VIBRATIONS.LONG }
+    };
+
+    expect(evaluateNotification(rules({ conversations }), message(), noon)).toMatchObject({
+      show: true,
+      sound: SOUNDS.CHIME,
+      vibration: VIBRATIONS.LONG
+    });
+  });
+
+  it('shows only mentions and keyword alerts in mentions-only conversations', () => {
+    const conversations = { [ruleKey('chat', 'chat-1')]: { mode: MODES.MENTIONS } };
+    const keywords = ['lunch'];
+
+    expect(evaluateNotification(rules({ conversations }), message(), noon).show).toBe(false);
+    expect(evaluateNotification(rules({ conversations }), message({ category: 'mention' }), noon).show).toBe(true);
+    expect(evaluateNotification(rules({ conversations, keywords }), message(), noon)).toMatchObject({
+      show: true,
+      keyword: 'lunch'
+    });
+  });
+});
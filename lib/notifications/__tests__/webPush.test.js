@@ -0,0 +1,42 @@
+import { isAuthorizedSender } from '../webPush';
+
+const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+describe('isAuthorizedSender', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env.NOTIFICATIONS_API_SECRET;
+    delete process.env.NOTIFICATIONS_API_OPEN;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('requires the secret as a bearer token when it is set', () => {
+    process.env.NOTIFICATIONS_API_SECRET = 's3cret';
+
+    expect(isAuthorizedSender(request('Bearer s3cret'))).toBe(true);
+    expect(isAuthorizedSender(request('Bearer wrong'))).toBe(false);
+    expect(isAuthorizedSender(request())).toBe(false);
+  });
+
+  it('refuses everyone when no secret is set', () => {
+    process.env.NODE_ENV = 'development';
+
+    expect(isAuthorizedSender(request())).toBe(false);
+    expect(isAuthorizedSender(request('Bearer anything'))).toBe(false);
+  });
+
+  it('opens sending only with NOTIFICATIONS_API_OPEN outside production', () => {
+    process.env.NOTIFICATIONS_API_OPEN = 'true';
+
+    process.env.NODE_ENV = 'development';
+    expect(isAuthorizedSender(request())).toBe(true);
+
+    process.env.NODE_ENV = 'production';
+    expect(isAuthorizedSender(request())).toBe(false);
+  });
+});
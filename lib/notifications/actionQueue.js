@@ -0,0 +1,227 @@
+/**
+ * Notification Action Queue for Shadow-Bind
+ * Notification buttons pressed while the app is closed or offline, kept in IndexedDB
+ * until the notification service worker has performed them
+ *
+ * The service worker writes the queue and replays it from its `sync` handler, so the
+ * schema here must match public/sw-notifications.js. The worker cannot encrypt: inline
+ * replies wait as `awaiting_encryption` until a tab with unlocked keys encrypts them here
+ * and hands them back as `pending`.
+ */
+
+import { getMessageStore } from '../messages/store';
+import { getChannelForChat, getGroupMembers } from '../groups/service';
+import {
+  isEncryptionLocked,
+  encryptChatMessage,
+  encryptGroupChatMessage
+} from '../encryption/messaging';
+
+/**
+ * Action queue configuration
+ */
+export const ACTION_QUEUE_CONFIG = {
+  DB_NAME: 'shadow-bind-notification-actions',
+  DB_VERSION: 1,
+  STORE_NAME: 'actions',
+  SYNC_TAG: 'notification-action-sync',
+  CHANNEL_NAME: 'shadow-bind-notification-actions',
+
+  // Entry states
+  STATUS: {
+    AWAITING_ENCRYPTION: 'awaiting_encryption',
+    PENDING: 'pending',
+    FAILED: 'failed'
+  },
+
+  // Automatic retries before an entry is given up
+  MAX_ATTEMPTS: 5
+};
+
+const { STATUS } = ACTION_QUEUE_CONFIG;
+
+let dbPromise = null;
+
+/**
+ * Check whether the queue can be used in this environment
+ * @returns {boolean} - IndexedDB availability
+ */
+export function isActionQueueSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade) the queue database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openQueue() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ACTION_QUEUE_CONFIG.DB_NAME, ACTION_QUEUE_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ACTION_QUEUE_CONFIG.STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against the queue object store
+ * @param {string} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+ * @returns {Promise<*>} - Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openQueue();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ACTION_QUEUE_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(ACTION_QUEUE_CONFIG.STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Ask the service worker to replay the queue, now if it can and when connectivity returns
+ * @returns {Promise<boolean>} - Whether a service worker was reached
+ */
+export async function requestActionSync() {
+  try {
+    if (!('serviceWorker' in navigator)) {
+      return false;
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(ACTION_QUEUE_CONFIG.SYNC_TAG);
+    }
+    registration.active?.postMessage({ type: 'FLUSH_NOTIFICATION_ACTIONS' });
+
+    return true;
+  } catch (error) {
+    console.error('Error requesting notification action sync:', error);
+    return false;
+  }
+}
+
+/**
+ * Encrypt an inline reply for the conversation it answers
+ * @param {Object} entry - Queue entry with data { chatId, groupId, messageId } and text
+ * @param {string} userId - Current user ID
+ * @returns {Promise<Object>} - { e2ee }
+ */
+async function encryptReply(entry, userId) {
+  const { chatId, groupId, messageId } = entry.data;
+
+  if (groupId) {
+    const [channel, members] = await Promise.all([getChannelForChat(groupId, chatId), getGroupMembers(groupId)]);
+    // Private channels are encrypted for their members only
+    const memberIds = members
+      .map(member => member.userId)
+      .filter(memberId => !channel?.isPrivate || channel.memberIds?.includes(memberId));
+    return encryptGroupChatMessage(entry.text, userId, {
+      chatId,
+      memberIds,
+      keyEpoch: channel?.keyEpoch || 0
+    });
+  }
+
+  // Reply to everyone the original was addressed to
+  const original = await getMessageStore().getMessage(chatId, messageId);
+  return encryptChatMessage(entry.text, userId, [
+    original.senderId,
+    ...Object.keys(original.e2ee?.envelopes || {})
+  ]);
+}
+
+/**
+ * Encrypt the current user's queued inline replies and hand them to the service worker
+ * The queue entry's id becomes the message id, so a reply encrypted twice is stored once.
+ * @param {Object} sender - { userId, senderName }
+ * @returns {Promise<number>} - Replies made ready to send
+ */
+export async function encryptQueuedReplies({ userId, senderName }) {
+  if (!isActionQueueSupported() || isEncryptionLocked(userId)) {
+    return 0;
+  }
+
+  const waiting = (await withStore('readonly', store => store.getAll()))
+    .filter(entry => entry.status === STATUS.AWAITING_ENCRYPTION && entry.data.recipientId === userId);
+  let ready = 0;
+
+  for (const entry of waiting) {
+    try {
+      const { e2ee } = await encryptReply(entry, userId);
+      const message = {
+        id: entry.id,
+        text: '',
+        e2ee,
+        senderId: userId,
+        senderName,
+        groupId: entry.data.groupId || null,
+        replyTo: entry.data.messageId
+      };
+
+      // Another tab may have handled it meanwhile
+      const current = await withStore('readonly', store => store.get(entry.id));
+      if (current?.status !== STATUS.AWAITING_ENCRYPTION) {
+        continue;
+      }
+
+      await withStore('readwrite', store => store.put({
+        ...current,
+        text: null,
+        message,
+        status: STATUS.PENDING,
+        updatedAt: Date.now()
+      }));
+      ready++;
+    } catch (error) {
+      console.error('Error encrypting notification reply:', error);
+    }
+  }
+
+  if (ready > 0) {
+    await requestActionSync();
+  }
+
+  return ready;
+}
+
+/**
+ * Encrypt queued replies now and whenever the service worker queues another
+ * @param {Object} sender - { userId, senderName }
+ * @returns {function} - Stop watching
+ */
+export function watchQueuedReplies(sender) {
+  if (!isActionQueueSupported()) {
+    return () => {};
+  }
+
+  const run = () => {
+    encryptQueuedReplies(sender)
+      .catch(error => console.error('Error reading notification action queue:', error));
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(ACTION_QUEUE_CONFIG.CHANNEL_NAME)
+    : null;
+  if (channel) {
+    channel.onmessage = (event) => event.data?.type === 'REPLY_QUEUED' && run();
+  }
+
+  run();
+
+  return () => channel?.close();
+}
@@ -0,0 +1,233 @@
+/**
+ * Notification Actions for Shadow-Bind (server only)
+ * Signs the buttons attached to pushes and performs them when the service worker calls back
+ *
+ * The service worker has no user session, so every push that carries actions also carries
+ * an action token: an HMAC-signed, expiring grant naming the user, the conversation or
+ * invitation, and the actions it allows. POST /api/notifications/actions accepts nothing else.
+ *
+ * Tokens are signed with NOTIFICATION_ACTION_SECRET. Outside production a key is generated
+ * per server process when none is configured; tokens from before a restart are then rejected.
+ *
+ * Muting is not performed here: conversation rules live on the device (lib/notifications/rules),
+ * so the service worker applies it locally.
+ */
+
+import { getMessageStore } from '../messages/store';
+import { respondToGroupInvitation } from '../groups/service';
+import { toBase64Url, fromBase64Url } from '../base64url';
+
+/**
+ * Notification action configuration
+ */
+export const NOTIFICATION_ACTIONS_CONFIG = {
+  ACTIONS: {
+    REPLY: 'reply',
+    MARK_READ: 'mark_read',
+    MARK_DELIVERED: 'mark_delivered',
+    MUTE: 'mute',
+    ACCEPT_INVITE: 'accept_invite',
+    DECLINE_INVITE: 'decline_invite'
+  },
+
+  // Tokens outlive the push's TTL so notifications left on screen keep working
+  TOKEN_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+  MUTE_DURATION: 60 * 60 * 1000 // 1 hour
+};
+
+const { ACTIONS } = NOTIFICATION_ACTIONS_CONFIG;
+
+// Actions performed by this server; mute is applied by the service worker
+const SERVER_ACTIONS = [
+  ACTIONS.REPLY,
+  ACTIONS.MARK_READ,
+  ACTIONS.MARK_DELIVERED,
+  ACTIONS.ACCEPT_INVITE,
+  ACTIONS.DECLINE_INVITE
+];
+
+let generatedKey = null;
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function actionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the HMAC key tokens are signed with
+ * @returns {Promise<CryptoKey>} - HMAC-SHA-256 key
+ */
+async function getSigningKey() {
+  const secret = process.env.NOTIFICATION_ACTION_SECRET;
+
+  if (secret) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('NOTIFICATION_ACTION_SECRET is not configured');
+  }
+
+  if (!generatedKey) {
+    console.warn('[Actions] No NOTIFICATION_ACTION_SECRET configured, using a temporary key');
+    generatedKey = crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  }
+  return generatedKey;
+}
+
+/**
+ * Create an action token
+ * @param {Object} claims - { sub: user ID, actions, chatId, groupId, messageId, invitationId }
+ * @param {number} ttl - Lifetime in ms
+ * @returns {Promise<string>} - Token
+ */
+export async function createActionToken(claims, ttl = NOTIFICATION_ACTIONS_CONFIG.TOKEN_TTL) {
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify({ ...claims, exp: Date.now() + ttl })));
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), new TextEncoder().encode(body));
+
+  return `${body}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Verify an action token
+ * @param {string} token - Token
+ * @returns {Promise<Object>} - Claims
+ */
+export async function verifyActionToken(token) {
+  const [body, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!body || !signature || extra !== undefined) {
+    throw actionError('Invalid action token', 401);
+  }
+
+  const valid = await crypto.subtle.verify(
+    'HMAC',
+    await getSigningKey(),
+    fromBase64Url(signature),
+    new TextEncoder().encode(body)
+  );
+  if (!valid) {
+    throw actionError('Invalid action token', 401);
+  }
+
+  const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+  if (!(claims.exp > Date.now())) {
+    throw actionError('Action token expired', 401);
+  }
+
+  return claims;
+}
+
+/**
+ * Attach the actions a notification supports, with a token for them
+ * Message and mention notifications get reply, mark read and mute, and their token also
+ * lets the service worker send the delivery receipt; group invitations get accept and
+ * decline. Other notifications are returned unchanged.
+ * @param {string} userId - Recipient user ID
+ * @param {Object} notification - Notification for the service worker
+ * @returns {Promise<Object>} - Notification with actions and data.actionToken
+ */
+export async function addNotificationActions(userId, notification) {
+  const { category, data = {} } = notification;
+  let actions;
+  let receiptActions = [];
+
+  if ((category === 'message' || category === 'mention') && data.chatId && data.messageId) {
+    actions = [
+      { action: ACTIONS.REPLY, title: 'Reply', type: 'text', placeholder: 'Reply…' },
+      { action: ACTIONS.MARK_READ, title: 'Mark as read' },
+      { action: ACTIONS.MUTE, title: 'Mute for 1 hour' }
+    ];
+    receiptActions = [ACTIONS.MARK_DELIVERED];
+  } else if (category === 'group_invite' && data.invitationId) {
+    actions = [
+      { action: ACTIONS.ACCEPT_INVITE, title: 'Accept' },
+      { action: ACTIONS.DECLINE_INVITE, title: 'Decline' }
+    ];
+  } else {
+    return notification;
+  }
+
+  const actionToken = await createActionToken({
+    sub: userId,
+    actions: [
+      ...actions.map(({ action }) => action).filter(action => SERVER_ACTIONS.includes(action)),
+      ...receiptActions
+    ],
+    chatId: data.chatId || null,
+    groupId: data.groupId || null,
+    messageId: data.messageId || null,
+    invitationId: data.invitationId || null
+  });
+
+  return {
+    ...notification,
+    actions,
+    data: { ...data, recipientId: userId, actionToken }
+  };
+}
+
+/**
+ * Post an already encrypted reply to the message a notification was about
+ * @param {Object} claims - Token claims
+ * @param {Object} message - Message data for MessageStore.createMessage
+ * @returns {Promise<Object>} - Created message
+ */
+async function replyToMessage(claims, message) {
+  if (!message?.e2ee) {
+    throw actionError('Replies must be end-to-end encrypted', 400);
+  }
+  if (message.senderId !== claims.sub) {
+    throw actionError('Insufficient permissions', 403);
+  }
+  if (message.replyTo !== claims.messageId || (message.groupId || null) !== claims.groupId) {
+    throw actionError('Reply does not match the notification', 400);
+  }
+
+  return getMessageStore().createMessage(claims.chatId, { ...message, mentions: null });
+}
+
+/**
+ * Perform an action a verified token allows
+ * @param {Object} claims - Token claims
+ * @param {Object} request - { action, message: encrypted reply for `reply` }
+ * @returns {Promise<Object>} - Action result
+ */
+export async function performNotificationAction(claims, { action, message = null }) {
+  if (!SERVER_ACTIONS.includes(action)) {
+    throw actionError('Unknown action', 400);
+  }
+  if (!claims.actions?.includes(action)) {
+    throw actionError('Action not allowed by this token', 403);
+  }
+
+  switch (action) {
+    case ACTIONS.REPLY: {
+      const created = await replyToMessage(claims, message);
+      return { messageId: created.id };
+    }
+
+    case ACTIONS.MARK_READ:
+    case ACTIONS.MARK_DELIVERED: {
+      const updated = await getMessageStore().acknowledgeMessages(claims.chatId, [claims.messageId], {
+        userId: claims.sub,
+        status: action === ACTIONS.MARK_READ ? 'read' : 'delivered'
+      });
+      return { updated };
+    }
+
+    default: {
+      const invitation = await respondToGroupInvitation(
+        claims.invitationId,
+        claims.sub,
+        action === ACTIONS.ACCEPT_INVITE
+      );
+      return { groupId: invitation.groupId, status: invitation.status };
+    }
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Firestore Push Subscription Backend for Shadow-Bind
+ * Stores subscriptions under /pushSubscriptions/{userId}/devices/{deviceId}
+ */
+
+import { db } from '../../firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Get a device's subscription document
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @returns {DocumentReference} - Subscription document
+ */
+function subscriptionDoc(userId, deviceId) {
+  return doc(db, 'pushSubscriptions', userId, 'devices', deviceId);
+}
+
+/**
+ * Convert a snapshot into a plain subscription
+ * @param {DocumentSnapshot} snapshot - Subscription snapshot
+ * @returns {Object} - Subscription
+ */
+function serializeSubscription(snapshot) {
+  const { updatedAt, ...subscription } = snapshot.data();
+  return {
+    ...subscription,
+    updatedAt: typeof updatedAt?.toDate === 'function' ? updatedAt.toDate().toISOString() : null
+  };
+}
+
+/**
+ * Create a Firestore push subscription backend
+ * @returns {Object} - Push subscription backend
+ */
+export function createFirestoreBackend() {
+  return {
+    name: 'firestore',
+
+    async save(userId, deviceId, subscription) {
+      const subscriptionRef = subscriptionDoc(userId, deviceId);
+      await setDoc(subscriptionRef, { ...subscription, updatedAt: serverTimestamp() });
+      return serializeSubscription(await getDoc(subscriptionRef));
+    },
+
+    async get(userId, deviceId) {
+      const snapshot = await getDoc(subscriptionDoc(userId, deviceId));
+      return snapshot.exists() ? serializeSubscription(snapshot) : null;
+    },
+
+    async remove(userId, deviceId) {
+      await deleteDoc(subscriptionDoc(userId, deviceId));
+    },
+
+    async list(userId) {
+      const snapshot = await getDocs(collection(db, 'pushSubscriptions', userId, 'devices'));
+      return snapshot.docs.map(serializeSubscription);
+    }
+  };
+}
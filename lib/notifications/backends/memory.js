@@ -0,0 +1,44 @@
+/**
+ * In-memory Push Subscription Backend for Shadow-Bind
+ * Keeps subscriptions in process memory (local development and tests)
+ */
+
+/**
+ * Create an in-memory push subscription backend
+ * @returns {Object} - Push subscription backend
+ */
+export function createMemoryBackend() {
+  const users = new Map();
+
+  const getDevices = (userId) => {
+    if (!users.has(userId)) {
+      users.set(userId, new Map());
+    }
+    return users.get(userId);
+  };
+
+  const copy = (subscription) => JSON.parse(JSON.stringify(subscription));
+
+  return {
+    name: 'memory',
+
+    async save(userId, deviceId, subscription) {
+      const record = { ...copy(subscription), updatedAt: new Date().toISOString() };
+      getDevices(userId).set(deviceId, record);
+      return copy(record);
+    },
+
+    async get(userId, deviceId) {
+      const record = getDevices(userId).get(deviceId);
+      return record ? copy(record) : null;
+    },
+
+    async remove(userId, deviceId) {
+      getDevices(userId).delete(deviceId);
+    },
+
+    async list(userId) {
+      return Array.from(getDevices(userId).values()).map(copy);
+    }
+  };
+}
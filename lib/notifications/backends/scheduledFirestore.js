@@ -0,0 +1,140 @@
+/**
+ * Firestore Scheduled Notification Backend for Shadow-Bind
+ * Stores scheduled notifications under /scheduledNotifications/{id}
+ *
+ * Due times and leases are ISO strings, which sort like the times they stand for.
+ * Dispatching queries (status, scheduledFor) and (status, leaseUntil), and listing
+ * queries userId, so the first two need composite indexes.
+ */
+
+import { db } from '../../firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  orderBy,
+  limit as limitTo,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Get the scheduled notifications collection
+ * @returns {CollectionReference} - Scheduled notifications
+ */
+function scheduledCollection() {
+  return collection(db, 'scheduledNotifications');
+}
+
+/**
+ * Convert Firestore data into a plain scheduled notification
+ * @param {string} id - Document ID
+ * @param {Object} data - Document data
+ * @returns {Object} - Scheduled notification
+ */
+function serializeScheduled(id, data) {
+  const toISOString = (value) => typeof value?.toDate === 'function' ? value.toDate().toISOString() : null;
+  return {
+    ...data,
+    id,
+    createdAt: toISOString(data.createdAt),
+    updatedAt: toISOString(data.updatedAt) || new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a record may be claimed for dispatching
+ * @param {Object} data - Scheduled notification data
+ * @param {string} now - Current time (ISO)
+ * @returns {boolean} - Whether it is due
+ */
+function isClaimable(data, now) {
+  return (data.status === 'scheduled' && data.scheduledFor <= now) ||
+    (data.status === 'sending' && data.leaseUntil <= now);
+}
+
+/**
+ * Create a Firestore scheduled notification backend
+ * @returns {Object} - Scheduled notification backend
+ */
+export function createScheduledFirestoreBackend() {
+  return {
+    name: 'firestore',
+
+    async create(record) {
+      const recordRef = doc(scheduledCollection());
+      await setDoc(recordRef, { ...record, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+      const snapshot = await getDoc(recordRef);
+      return serializeScheduled(snapshot.id, snapshot.data());
+    },
+
+    async get(id) {
+      const snapshot = await getDoc(doc(scheduledCollection(), id));
+      return snapshot.exists() ? serializeScheduled(snapshot.id, snapshot.data()) : null;
+    },
+
+    async update(id, changes, statuses) {
+      const recordRef = doc(scheduledCollection(), id);
+
+      // Check the status and write in one transaction so a dispatch claim cannot slip in between
+      const data = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(recordRef);
+        if (!snapshot.exists() || !statuses.includes(snapshot.data().status)) {
+          return null;
+        }
+        transaction.update(recordRef, { ...changes, updatedAt: serverTimestamp() });
+        return { ...snapshot.data(), ...changes, updatedAt: null };
+      });
+
+      return data ? serializeScheduled(id, data) : null;
+    },
+
+    async listByUser(userId) {
+      const snapshot = await getDocs(query(scheduledCollection(), where('userId', '==', userId)));
+      return snapshot.docs.map(record => serializeScheduled(record.id, record.data()));
+    },
+
+    async claimDue(now, { limit, leaseUntil }) {
+      const [scheduled, expired] = await Promise.all([
+        getDocs(query(
+          scheduledCollection(),
+          where('status', '==', 'scheduled'),
+          where('scheduledFor', '<=', now),
+          orderBy('scheduledFor', 'asc'),
+          limitTo(limit)
+        )),
+        getDocs(query(
+          scheduledCollection(),
+          where('status', '==', 'sending'),
+          where('leaseUntil', '<=', now),
+          orderBy('leaseUntil', 'asc'),
+          limitTo(limit)
+        ))
+      ]);
+
+      const claimed = [];
+      for (const candidate of [...scheduled.docs, ...expired.docs].slice(0, limit)) {
+        // Another worker may have claimed it since the query ran
+        const data = await runTransaction(db, async (transaction) => {
+          const snapshot = await transaction.get(candidate.ref);
+          if (!snapshot.exists() || !isClaimable(snapshot.data(), now)) {
+            return null;
+          }
+          const changes = { status: 'sending', leaseUntil, attempts: (snapshot.data().attempts || 0) + 1 };
+          transaction.update(candidate.ref, { ...changes, updatedAt: serverTimestamp() });
+          return { ...snapshot.data(), ...changes, updatedAt: null };
+        });
+
+        if (data) {
+          claimed.push(serializeScheduled(candidate.id, data));
+        }
+      }
+
+      return claimed;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * In-memory Scheduled Notification Backend for Shadow-Bind
+ * Keeps scheduled notifications in process memory (local development and tests)
+ */
+
+/**
+ * Check whether a record may be claimed for dispatching
+ * @param {Object} record - Scheduled notification
+ * @param {string} now - Current time (ISO)
+ * @returns {boolean} - Whether it is due
+ */
+function isClaimable(record, now) {
+  return (record.status === 'scheduled' && record.scheduledFor <= now) ||
+    (record.status === 'sending' && record.leaseUntil <= now);
+}
+
+/**
+ * Create an in-memory scheduled notification backend
+ * @returns {Object} - Scheduled notification backend
+ */
+export function createScheduledMemoryBackend() {
+  const records = new Map();
+
+  const copy = (record) => JSON.parse(JSON.stringify(record));
+
+  return {
+    name: 'memory',
+
+    async create(record) {
+      const now = new Date().toISOString();
+      const stored = { ...copy(record), id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+      records.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async get(id) {
+      const record = records.get(id);
+      return record ? copy(record) : null;
+    },
+
+    async update(id, changes, statuses) {
+      const record = records.get(id);
+      if (!record || !statuses.includes(record.status)) {
+        return null;
+      }
+      Object.assign(record, copy(changes), { updatedAt: new Date().toISOString() });
+      return copy(record);
+    },
+
+    async listByUser(userId) {
+      return Array.from(records.values())
+        .filter(record => record.userId === userId)
+        .map(copy);
+    },
+
+    async claimDue(now, { limit, leaseUntil }) {
+      const due = Array.from(records.values())
+        .filter(record => isClaimable(record, now))
+        .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor))
+        .slice(0, limit);
+
+      return due.map(record => {
+        Object.assign(record, {
+          status: 'sending',
+          leaseUntil,
+          attempts: record.attempts + 1,
+          updatedAt: new Date().toISOString()
+        });
+        return copy(record);
+      });
+    }
+  };
+}
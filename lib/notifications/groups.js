@@ -0,0 +1,69 @@
+/**
+ * Group Notifications for Shadow-Bind (server only)
+ * Pushes `group_invite` notifications: invitations with accept and decline actions,
+ * and the outcome of requests to join private groups
+ */
+
+import { claimJoinRequestNotification, GROUPS_CONFIG } from '../groups/service';
+import { WEB_PUSH_CONFIG, sendPushToUser } from './webPush';
+import { addNotificationActions } from './actions';
+
+/**
+ * Notify a user that they were invited to a group
+ * @param {Object} invitation - Invitation from inviteToGroup
+ * @param {string} inviterName - Display name of the inviting member
+ * @returns {Promise<Object>} - { sent, removed, failed }
+ */
+export async function notifyGroupInvitation(invitation, inviterName) {
+  const notification = await addNotificationActions(invitation.inviteeId, {
+    title: 'Group invitation',
+    body: `${inviterName || invitation.invitedBy} invited you to join ${invitation.groupName}`,
+    category: 'group_invite',
+    priority: 'normal',
+    tag: `group_invite_${invitation.id}`,
+    data: {
+      groupId: invitation.groupId,
+      invitationId: invitation.id
+    }
+  });
+
+  return sendPushToUser(invitation.inviteeId, notification, {
+    urgency: WEB_PUSH_CONFIG.URGENCY.NORMAL
+  });
+}
+
+/**
+ * Tell an applicant that their join request was approved or rejected
+ * Each reviewed request notifies once, however often this is called.
+ * @param {string} requestId - Join request ID
+ * @param {string} reviewerId - ID of the member who reviewed the request; anyone else gets a 403
+ * @returns {Promise<Object>} - { notified: whether a push was attempted }
+ */
+export async function notifyJoinRequestReviewed(requestId, reviewerId) {
+  const request = await claimJoinRequestNotification(requestId, reviewerId);
+  if (!request) {
+    return { notified: false };
+  }
+
+  const approved = request.status === GROUPS_CONFIG.JOIN_REQUEST_STATUS.APPROVED;
+  const outcome = approved
+    ? `You are now a member of ${request.groupName}`
+    : `Your request to join ${request.groupName} was declined`;
+
+  await sendPushToUser(request.userId, {
+    title: approved ? 'Join request approved' : 'Join request declined',
+    body: request.responseMessage ? `${outcome}: "${request.responseMessage}"` : outcome,
+    category: 'group_invite',
+    priority: 'normal',
+    tag: `join_request_${request.id}`,
+    data: {
+      groupId: request.groupId,
+      requestId: request.id,
+      status: request.status
+    }
+  }, {
+    urgency: WEB_PUSH_CONFIG.URGENCY.NORMAL
+  });
+
+  return { notified: true };
+}
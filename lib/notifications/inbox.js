@@ -0,0 +1,262 @@
+/**
+ * Notification Inbox for Shadow-Bind
+ * Keeps received notifications and their read state in IndexedDB on this device
+ *
+ * The notification service worker records pushes into the same database and sets the
+ * app badge from its unread count, so the schema here must match public/sw-notifications.js.
+ */
+
+/**
+ * Inbox configuration
+ */
+export const INBOX_CONFIG = {
+  DB_NAME: 'shadow-bind-notifications',
+  DB_VERSION: 1,
+  STORE_NAME: 'inbox',
+  CHANNEL_NAME: 'shadow-bind-notifications',
+
+  // Oldest entries are dropped beyond this
+  MAX_ENTRIES: 500
+};
+
+let dbPromise = null;
+const inboxListeners = new Set();
+
+/**
+ * Check whether the inbox can be used in this environment
+ * @returns {boolean} - IndexedDB availability
+ */
+export function isInboxSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade) the inbox database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openInbox() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(INBOX_CONFIG.DB_NAME, INBOX_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(INBOX_CONFIG.STORE_NAME, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run requests against the inbox object store in one transaction
+ * @param {string} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+ * @returns {Promise<*>} - Result of the request the operation returns
+ */
+async function withStore(mode, operation) {
+  const db = await openInbox();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(INBOX_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(INBOX_CONFIG.STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Count unread entries
+ * @param {Array} entries - Inbox entries
+ * @returns {number} - Unread count
+ */
+function countUnread(entries) {
+  return entries.filter(entry => !entry.read).length;
+}
+
+/**
+ * Set the app badge to the unread count
+ * The service worker owns the badge (it also updates it for pushes while no tab is
+ * open), so it is asked to recount; the badge is set here only without a worker.
+ * @param {number} unread - Unread count
+ * @returns {Promise<void>}
+ */
+async function syncBadge(unread) {
+  try {
+    const registration = 'serviceWorker' in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+
+    if (registration?.active) {
+      registration.active.postMessage({ type: 'UPDATE_BADGE' });
+    } else if ('setAppBadge' in navigator) {
+      await navigator.setAppBadge(unread);
+    }
+  } catch (error) {
+    console.error('Error updating notification badge:', error);
+  }
+}
+
+/**
+ * Notify subscribers in this tab and in other tabs that the inbox changed, and resync the badge
+ * @returns {Promise<void>}
+ */
+async function broadcastChange() {
+  inboxListeners.forEach(listener => listener());
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(INBOX_CONFIG.CHANNEL_NAME);
+    channel.postMessage({ type: 'INBOX_UPDATED' });
+    channel.close();
+  }
+
+  await syncBadge(countUnread(await withStore('readonly', store => store.getAll())));
+}
+
+/**
+ * Record a notification in the inbox
+ * @param {Object} notification - { id, title, body, category, priority, data, timestamp }
+ * @returns {Promise<Object>} - Inbox entry
+ */
+export async function addToInbox(notification) {
+  const entry = {
+    id: notification.id,
+    title: notification.title,
+    body: notification.body || '',
+    category: notification.category,
+    priority: notification.priority || null,
+    data: notification.data || {},
+    timestamp: notification.timestamp || Date.now(),
+    read: false
+  };
+
+  const entries = await withStore('readonly', store => store.getAll());
+  const overflow = entries
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, Math.max(0, entries.length + 1 - INBOX_CONFIG.MAX_ENTRIES));
+
+  await withStore('readwrite', store => {
+    overflow.forEach(old => store.delete(old.id));
+    return store.put(entry);
+  });
+  await broadcastChange();
+
+  return entry;
+}
+
+/**
+ * List inbox entries, newest first
+ * @param {Object} options - { category, unreadOnly, limit }
+ * @returns {Promise<Array>} - Inbox entries
+ */
+export async function listInbox({ category = null, unreadOnly = false, limit = INBOX_CONFIG.MAX_ENTRIES } = {}) {
+  const entries = await withStore('readonly', store => store.getAll());
+
+  return entries
+    .filter(entry => (!category || entry.category === category) && (!unreadOnly || !entry.read))
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
+/**
+ * Count unread entries
+ * @returns {Promise<number>} - Unread count
+ */
+export async function getUnreadCount() {
+  return countUnread(await withStore('readonly', store => store.getAll()));
+}
+
+/**
+ * Mark entries read or unread
+ * @param {Array<string>} ids - Entry IDs
+ * @param {boolean} read - New read state
+ * @returns {Promise<number>} - Entries changed
+ */
+export async function setInboxRead(ids, read = true) {
+  const wanted = new Set(ids);
+  const changed = (await withStore('readonly', store => store.getAll()))
+    .filter(entry => wanted.has(entry.id) && entry.read !== read);
+
+  if (changed.length === 0) {
+    return 0;
+  }
+
+  await withStore('readwrite', store => {
+    changed.forEach(entry => store.put({ ...entry, read }));
+  });
+  await broadcastChange();
+
+  return changed.length;
+}
+
+/**
+ * Mark every entry read, optionally in one category
+ * @param {string|null} category - Category, or null for all
+ * @returns {Promise<number>} - Entries changed
+ */
+export async function markInboxRead(category = null) {
+  const unread = await listInbox({ category, unreadOnly: true });
+  return setInboxRead(unread.map(entry => entry.id), true);
+}
+
+/**
+ * Remove entries
+ * @param {Array<string>} ids - Entry IDs
+ * @returns {Promise<void>}
+ */
+export async function removeFromInbox(ids) {
+  await withStore('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+  await broadcastChange();
+}
+
+/**
+ * Remove every entry, optionally in one category
+ * @param {string|null} category - Category, or null for all
+ * @returns {Promise<number>} - Entries removed
+ */
+export async function clearInbox(category = null) {
+  const entries = await listInbox({ category });
+  await removeFromInbox(entries.map(entry => entry.id));
+  return entries.length;
+}
+
+/**
+ * Subscribe to inbox changes, including changes made by other tabs and the service worker
+ * @param {function(Array): void} callback - Called with all entries, newest first
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToInbox(callback) {
+  let active = true;
+
+  const refresh = () => {
+    listInbox()
+      .then(entries => active && callback(entries))
+      .catch(error => console.error('Error reading notification inbox:', error));
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(INBOX_CONFIG.CHANNEL_NAME)
+    : null;
+  if (channel) {
+    channel.onmessage = refresh;
+  }
+
+  inboxListeners.add(refresh);
+  refresh();
+
+  return () => {
+    active = false;
+    inboxListeners.delete(refresh);
+    channel?.close();
+  };
+}
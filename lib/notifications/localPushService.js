@@ -0,0 +1,150 @@
+/**
+ * Local Push Service for Shadow-Bind (server only, development)
+ * Stands in for a browser vendor's push service so Web Push can be tested end to end
+ *
+ * Creating a subscription returns the same { endpoint, keys } a browser would, with the
+ * endpoint pointing at /api/notifications/local-push. Pushes sent there have their VAPID
+ * token checked and their payload decrypted like a browser would, and are kept for
+ * inspection. Deleted subscriptions answer 410 Gone, as real push services do.
+ * State lives in process memory.
+ */
+
+import { fromBase64Url, toBase64Url } from '../base64url';
+import { decryptPayload } from './webPush';
+
+/**
+ * Local push service configuration
+ */
+export const LOCAL_PUSH_CONFIG = {
+  API_PATH: '/api/notifications/local-push',
+  MAX_MESSAGES: 50,
+  // Clock skew tolerated when checking VAPID token expiry
+  CLOCK_SKEW: 60
+};
+
+const subscriptions = new Map();
+
+/**
+ * Check whether the local push service may be used
+ * @returns {boolean} - Enabled outside production, or with LOCAL_PUSH_SERVICE=true
+ */
+export function isLocalPushServiceEnabled() {
+  return process.env.NODE_ENV !== 'production' || process.env.LOCAL_PUSH_SERVICE === 'true';
+}
+
+/**
+ * Create a subscription on the local push service
+ * @param {string} origin - Origin the endpoint is served from, e.g. http://localhost:3000
+ * @returns {Promise<Object>} - PushSubscription JSON: { endpoint, expirationTime, keys: { p256dh, auth } }
+ */
+export async function createLocalSubscription(origin) {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+  const auth = crypto.getRandomValues(new Uint8Array(16));
+  const id = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+
+  subscriptions.set(id, { privateKey: keyPair.privateKey, publicKey, auth, messages: [] });
+
+  return {
+    endpoint: `${origin}${LOCAL_PUSH_CONFIG.API_PATH}?id=${id}`,
+    expirationTime: null,
+    keys: { p256dh: toBase64Url(publicKey), auth: toBase64Url(auth) }
+  };
+}
+
+/**
+ * Check a VAPID Authorization header (RFC 8292)
+ * @param {string} authorization - `vapid t=<jwt>, k=<public key>`
+ * @param {string} origin - Origin of the push endpoint (the token's audience)
+ * @returns {Promise<boolean>} - Whether the token is valid
+ */
+async function verifyVapidAuthorization(authorization, origin) {
+  const params = Object.fromEntries((authorization || '').replace(/^vapid\s+/i, '').split(',')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value));
+  const [header, claims, signature] = (params.t || '').split('.');
+  if (!params.k || !header || !claims || !signature) {
+    return false;
+  }
+
+  try {
+    const { aud, exp, sub } = JSON.parse(new TextDecoder().decode(fromBase64Url(claims)));
+    const now = Math.floor(Date.now() / 1000);
+    if (aud !== origin || !sub || !(exp > now - LOCAL_PUSH_CONFIG.CLOCK_SKEW) || exp > now + 24 * 60 * 60) {
+      return false;
+    }
+
+    const key = await crypto.subtle.importKey(
+      'raw',
+      fromBase64Url(params.k),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    return crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      fromBase64Url(signature),
+      new TextEncoder().encode(`${header}.${claims}`)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Accept a push for a local subscription
+ * @param {string} id - Subscription ID
+ * @param {Object} request - { origin, headers (lower-case names), body: Uint8Array }
+ * @returns {Promise<number>} - HTTP status to answer with
+ */
+export async function receiveLocalPush(id, { origin, headers, body }) {
+  const subscription = subscriptions.get(id);
+  if (!subscription) {
+    return 410;
+  }
+
+  if (!await verifyVapidAuthorization(headers.authorization, origin)) {
+    return 403;
+  }
+  if (headers['content-encoding'] !== 'aes128gcm' || headers.ttl === undefined) {
+    return 400;
+  }
+
+  let payload;
+  try {
+    payload = new TextDecoder().decode(await decryptPayload(body, subscription));
+  } catch (error) {
+    return 400;
+  }
+
+  subscription.messages.push({
+    payload,
+    ttl: Number(headers.ttl),
+    urgency: headers.urgency || null,
+    topic: headers.topic || null,
+    receivedAt: new Date().toISOString()
+  });
+  subscription.messages = subscription.messages.slice(-LOCAL_PUSH_CONFIG.MAX_MESSAGES);
+
+  return 201;
+}
+
+/**
+ * List the pushes a local subscription received, newest last
+ * @param {string} id - Subscription ID
+ * @returns {Array|null} - Messages with decrypted payloads, or null for an unknown subscription
+ */
+export function listLocalPushes(id) {
+  const subscription = subscriptions.get(id);
+  return subscription ? subscription.messages.map(message => ({ ...message })) : null;
+}
+
+/**
+ * Delete a local subscription, as if the browser had unsubscribed
+ * @param {string} id - Subscription ID
+ * @returns {boolean} - Whether the subscription existed
+ */
+export function deleteLocalSubscription(id) {
+  return subscriptions.delete(id);
+}
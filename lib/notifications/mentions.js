@@ -0,0 +1,145 @@
+/**
+ * Mention Notifications for Shadow-Bind (server only)
+ * Pushes high-priority `mention` notifications to the people a message mentions
+ *
+ * Only members of the chat can be reached, as the server finds them from the chat rather than
+ * the message: members who can see the channel in group chats, and people who recently posted
+ * in any other chat. @everyone reaches every member and @here those who are online or away.
+ * Whether a push is shown (group mutes, do not disturb) is decided on the receiving device.
+ * Each push carries reply, mark read and mute actions.
+ */
+
+import { getMessageStore, MESSAGES_CONFIG } from '../messages/store';
+import { MENTIONS_CONFIG, isBroadcastMention } from '../messages/mentions';
+import { getChatAccess, getGroupMembers, hasGroupPermission } from '../groups/service';
+import { getPresenceRecord, resolvePresence, PRESENCE_CONFIG } from '../presence/service';
+import { WEB_PUSH_CONFIG, sendPushToUser } from './webPush';
+import { addNotificationActions } from './actions';
+
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Get the users a message could mention
+ * @param {string} chatId - Chat ID
+ * @param {Object} message - Stored message
+ * @returns {Promise<Object>} - { groupId, audience: member user IDs without the sender }
+ */
+async function getMentionAudience(chatId, message) {
+  const { groupId, channel } = await getChatAccess(chatId, message.senderId);
+  let memberIds;
+
+  if (groupId) {
+    memberIds = (await getGroupMembers(groupId, MENTIONS_CONFIG.MAX_BROADCAST_RECIPIENTS))
+      .map(member => member.userId)
+      .filter(memberId => !channel?.isPrivate || channel.memberIds?.includes(memberId));
+  } else {
+    const { messages } = await getMessageStore().listMessages(chatId, { limit: MESSAGES_CONFIG.MAX_PAGE_SIZE });
+    memberIds = messages.map(item => item.senderId);
+  }
+
+  return {
+    groupId,
+    audience: Array.from(new Set(memberIds)).filter(memberId => memberId !== message.senderId)
+  };
+}
+
+/**
+ * Resolve who a message's mentions notify
+ * @param {string} chatId - Chat ID
+ * @param {Object} message - Stored message
+ * @returns {Promise<Map<string, string>>} - User ID to the mention type that reached them
+ */
+async function resolveMentionRecipients(chatId, message) {
+  const mentions = message.mentions || [];
+  const { groupId, audience } = await getMentionAudience(chatId, message);
+  const recipients = new Map();
+
+  // Checked again here because clients may write messages to Firestore directly
+  const broadcasts = mentions.filter(mention => isBroadcastMention(mention.type));
+  const canBroadcast = broadcasts.length > 0 && Boolean(groupId) &&
+    await hasGroupPermission(groupId, message.senderId, MENTIONS_CONFIG.BROADCAST_PERMISSION);
+
+  mentions
+    .filter(mention => mention.type === MENTIONS_CONFIG.TYPES.USER && audience.includes(mention.userId))
+    .forEach(mention => recipients.set(mention.userId, mention.type));
+
+  if (canBroadcast && broadcasts.some(mention => mention.type === MENTIONS_CONFIG.TYPES.EVERYONE)) {
+    audience.forEach(memberId => recipients.has(memberId) || recipients.set(memberId, MENTIONS_CONFIG.TYPES.EVERYONE));
+  } else if (canBroadcast) {
+    const presence = await Promise.all(audience.map(async (memberId) =>
+      [memberId, resolvePresence(await getPresenceRecord(memberId)).status]
+    ));
+    presence
+      .filter(([memberId, status]) => status !== PRESENCE_CONFIG.STATUS.OFFLINE && !recipients.has(memberId))
+      .forEach(([memberId]) => recipients.set(memberId, MENTIONS_CONFIG.TYPES.HERE));
+  }
+
+  return recipients;
+}
+
+/**
+ * Build the push shown for a mention
+ * @param {Object} message - Stored message
+ * @param {string} type - Mention type that reached the recipient
+ * @returns {Object} - Notification for the service worker
+ */
+function buildMentionNotification(message, type) {
+  const titles = {
+    [MENTIONS_CONFIG.TYPES.USER]: `${message.senderName} mentioned you`,
+    [MENTIONS_CONFIG.TYPES.HERE]: `${message.senderName} mentioned @here`,
+    [MENTIONS_CONFIG.TYPES.EVERYONE]: `${message.senderName} mentioned @everyone`
+  };
+
+  // The server cannot read encrypted messages, so there is nothing to preview
+  const body = message.e2ee
+    ? 'Open the chat to read the message'
+    : message.text.slice(0, PREVIEW_LENGTH);
+
+  return {
+    title: titles[type],
+    body,
+    category: 'mention',
+    priority: 'high',
+    tag: `mention_${message.id}`,
+    data: {
+      chatId: message.chatId,
+      groupId: message.groupId || null,
+      messageId: message.id,
+      mentionType: type
+    }
+  };
+}
+
+/**
+ * Notify the people a stored message mentions
+ * Each message notifies once, however often this is called.
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} - { notified: recipients pushed to }
+ */
+export async function notifyMentions(chatId, messageId) {
+  const store = getMessageStore();
+  const message = await store.getMessage(chatId, messageId);
+
+  if (message.deleted || !(message.mentions || []).length) {
+    return { notified: 0 };
+  }
+  if (!(await store.markMentionsNotified(chatId, messageId))) {
+    return { notified: 0 };
+  }
+
+  const recipients = await resolveMentionRecipients(chatId, message);
+
+  await Promise.all(Array.from(recipients).map(async ([recipientId, type]) => {
+    try {
+      const notification = await addNotificationActions(recipientId, buildMentionNotification({ ...message, chatId }, type));
+      await sendPushToUser(recipientId, notification, {
+        urgency: WEB_PUSH_CONFIG.URGENCY.HIGH
+      });
+    } catch (error) {
+      console.error(`[Mentions] Error notifying ${recipientId}:`, error);
+    }
+  }));
+
+  return { notified: recipients.size };
+}
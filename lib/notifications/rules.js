@@ -0,0 +1,400 @@
+/**
+ * Notification Rules for Shadow-Bind
+ * Per-conversation overrides, keyword alerts and the global preferences they refine
+ *
+ * Rules live in IndexedDB so the notification service worker can apply the same rules to
+ * pushes while no tab is open. It keeps a copy of evaluateNotification, so the schema and
+ * the evaluation here must match public/sw-notifications.js.
+ *
+ * Keywords are matched against a notification's title and body. Pushes for encrypted
+ * messages carry no text, so keyword alerts only fire where the app has decrypted it.
+ */
+
+/**
+ * Notification rules configuration
+ */
+export const NOTIFICATION_RULES_CONFIG = {
+  DB_NAME: 'shadow-bind-notification-rules',
+  DB_VERSION: 1,
+  STORE_NAME: 'settings',
+  CHANNEL_NAME: 'shadow-bind-notification-rules',
+
+  // What a conversation notifies about
+  MODES: {
+    ALL: 'all',
+    MENTIONS: 'mentions',
+    MUTED: 'muted'
+  },
+
+  // Mute lengths offered in the UI (null mutes until unmuted)
+  MUTE_DURATIONS: [
+    { label: '1 hour', duration: 60 * 60 * 1000 },
+    { label: '8 hours', duration: 8 * 60 * 60 * 1000 },
+    { label: '1 day', duration: 24 * 60 * 60 * 1000 },
+    { label: '1 week', duration: 7 * 24 * 60 * 60 * 1000 },
+    { label: 'Until I unmute', duration: null }
+  ],
+
+  // Sounds: the system default, none, or a tone the app plays while it is open
+  SOUNDS: {
+    DEFAULT: 'default',
+    SILENT: 'silent',
+    CHIME: 'chime',
+    PING: 'ping'
+  },
+
+  VIBRATIONS: {
+    DEFAULT: 'default',
+    NONE: 'none',
+    SHORT: 'short',
+    LONG: 'long',
+    PULSE: 'pulse'
+  },
+
+  // Vibration patterns in ms
+  VIBRATION_PATTERNS: {
+    default: [100, 50, 100],
+    none: [],
+    short: [200],
+    long: [500, 200, 500],
+    pulse: [100, 50, 100, 50, 100, 50, 100]
+  },
+
+  // Keyword alert limits
+  MAX_KEYWORDS: 50,
+  MAX_KEYWORD_LENGTH: 64
+};
+
+const { MODES, SOUNDS, VIBRATIONS } = NOTIFICATION_RULES_CONFIG;
+
+// Tones for the app-played sounds: [frequency in Hz, start in s, length in s]
+const TONES = {
+  [SOUNDS.CHIME]: [[880, 0, 0.15], [1320, 0.15, 0.25]],
+  [SOUNDS.PING]: [[1760, 0, 0.12]]
+};
+
+let dbPromise = null;
+const rulesListeners = new Set();
+
+/**
+ * Check whether rules can be stored in this environment
+ * @returns {boolean} - IndexedDB availability
+ */
+export function isRulesSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Get the storage key of a conversation's rule
+ * @param {string} type - 'chat' or 'group'
+ * @param {string} id - Chat or group ID
+ * @returns {string} - Rule key
+ */
+export function ruleKey(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Open (and upgrade) the rules database
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openRules() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(NOTIFICATION_RULES_CONFIG.DB_NAME, NOTIFICATION_RULES_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(NOTIFICATION_RULES_CONFIG.STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against the rules object store
+ * @param {string} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+ * @returns {Promise<*>} - Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openRules();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(NOTIFICATION_RULES_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(NOTIFICATION_RULES_CONFIG.STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Notify subscribers in this tab and in other tabs that the rules changed
+ */
+function broadcastChange() {
+  rulesListeners.forEach(listener => listener());
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(NOTIFICATION_RULES_CONFIG.CHANNEL_NAME);
+    channel.postMessage({ type: 'RULES_UPDATED' });
+    channel.close();
+  }
+}
+
+/**
+ * Load every rule
+ * @returns {Promise<Object>} - { preferences, keywords, conversations: { [ruleKey]: rule } }
+ */
+export async function loadNotificationRules() {
+  const records = await withStore('readonly', store => store.getAll());
+  const rules = { preferences: null, keywords: [], conversations: {} };
+
+  records.forEach(record => {
+    if (record.key === 'preferences') {
+      rules.preferences = record.value;
+    } else if (record.key === 'keywords') {
+      rules.keywords = record.value;
+    } else {
+      rules.conversations[record.key] = record.value;
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Save the global preferences (categories and do not disturb)
+ * @param {Object} preferences - { categories, doNotDisturb, doNotDisturbSchedule }
+ * @returns {Promise<void>}
+ */
+export async function saveNotificationPreferences({ categories, doNotDisturb, doNotDisturbSchedule }) {
+  await withStore('readwrite', store => store.put({
+    key: 'preferences',
+    value: { categories, doNotDisturb, doNotDisturbSchedule }
+  }));
+  broadcastChange();
+}
+
+/**
+ * Set a conversation's rule
+ * A rule that changes nothing is removed.
+ * @param {string} type - 'chat' or 'group'
+ * @param {string} id - Chat or group ID
+ * @param {Object} rule - { mode, muteFor (ms, or null for indefinitely), sound, vibration }
+ * @returns {Promise<Object|null>} - Stored rule, or null when removed
+ */
+export async function setConversationRule(type, id, { mode = MODES.ALL, muteFor = null, sound = SOUNDS.DEFAULT, vibration = VIBRATIONS.DEFAULT } = {}) {
+  if (!Object.values(MODES).includes(mode)) {
+    throw new Error('Invalid notification mode');
+  }
+  if (!Object.values(SOUNDS).includes(sound) || !Object.values(VIBRATIONS).includes(vibration)) {
+    throw new Error('Invalid notification sound or vibration');
+  }
+
+  const rule = {
+    mode,
+    mutedUntil: mode === MODES.MUTED && muteFor ? Date.now() + muteFor : null,
+    sound,
+    vibration
+  };
+  const key = ruleKey(type, id);
+
+  if (mode === MODES.ALL && sound === SOUNDS.DEFAULT && vibration === VIBRATIONS.DEFAULT) {
+    await withStore('readwrite', store => store.delete(key));
+    broadcastChange();
+    return null;
+  }
+
+  await withStore('readwrite', store => store.put({ key, value: rule }));
+  broadcastChange();
+
+  return rule;
+}
+
+/**
+ * Remove a conversation's rule
+ * @param {string} type - 'chat' or 'group'
+ * @param {string} id - Chat or group ID
+ * @returns {Promise<void>}
+ */
+export async function removeConversationRule(type, id) {
+  await withStore('readwrite', store => store.delete(ruleKey(type, id)));
+  broadcastChange();
+}
+
+/**
+ * Set the keywords that alert
+ * @param {Array<string>} keywords - Words or phrases, matched case-insensitively
+ * @returns {Promise<Array<string>>} - Stored keywords
+ */
+export async function setKeywordAlerts(keywords) {
+  const seen = new Set();
+  const normalized = keywords
+    .map(keyword => String(keyword).trim().slice(0, NOTIFICATION_RULES_CONFIG.MAX_KEYWORD_LENGTH))
+    .filter(keyword => {
+      const folded = keyword.toLowerCase();
+      if (!keyword || seen.has(folded)) {
+        return false;
+      }
+      seen.add(folded);
+      return true;
+    })
+    .slice(0, NOTIFICATION_RULES_CONFIG.MAX_KEYWORDS);
+
+  await withStore('readwrite', store => store.put({ key: 'keywords', value: normalized }));
+  broadcastChange();
+
+  return normalized;
+}
+
+/**
+ * Subscribe to rule changes, including changes made in other tabs
+ * @param {function(Object): void} callback - Called with the loaded rules
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToNotificationRules(callback) {
+  let active = true;
+
+  const refresh = () => {
+    loadNotificationRules()
+      .then(rules => active && callback(rules))
+      .catch(error => console.error('Error reading notification rules:', error));
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(NOTIFICATION_RULES_CONFIG.CHANNEL_NAME)
+    : null;
+  if (channel) {
+    channel.onmessage = refresh;
+  }
+
+  rulesListeners.add(refresh);
+  refresh();
+
+  return () => {
+    active = false;
+    rulesListeners.delete(refresh);
+    channel?.close();
+  };
+}
+
+/**
+ * Check if a time falls in the do not disturb window
+ * @param {Object} schedule - { start, end } hours; the window may wrap past midnight
+ * @param {Date} now - Time to check
+ * @returns {boolean} - Is DND time
+ */
+export function isDoNotDisturbTime(schedule, now = new Date()) {
+  if (!schedule) {
+    return false;
+  }
+
+  const hour = now.getHours();
+  const { start, end } = schedule;
+
+  return start <= end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+/**
+ * Find the keyword a text alerts on
+ * @param {Array<string>} keywords - Keywords
+ * @param {string} text - Text to search
+ * @returns {string|null} - Matching keyword
+ */
+export function matchKeyword(keywords, text) {
+  return (keywords || []).find(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+  }) || null;
+}
+
+/**
+ * Decide whether and how to show a notification
+ * The chat's rule wins over its group's; an expired mute counts as notifying about everything.
+ * @param {Object} rules - From loadNotificationRules, with preferences possibly overridden
+ * @param {Object} notification - { category, priority, title, body, data: { chatId, groupId } }
+ * @param {Date} now - Current time
+ * @returns {Object} - { show, sound, vibration, keyword }
+ */
+export function evaluateNotification(rules, notification, now = new Date()) {
+  const { preferences, keywords, conversations = {} } = rules;
+  const { category, priority, title = '', body = '', data = {} } = notification;
+  const isMention = category === 'mention';
+
+  const rule = (data.chatId && conversations[ruleKey('chat', data.chatId)]) ||
+    (data.groupId && conversations[ruleKey('group', data.groupId)]) ||
+    null;
+  const muted = rule?.mode === MODES.MUTED && (!rule.mutedUntil || rule.mutedUntil > now.getTime());
+  const keyword = matchKeyword(keywords, `${title}\n${body}`);
+
+  const verdict = (show) => ({
+    show,
+    sound: rule?.sound || SOUNDS.DEFAULT,
+    vibration: rule?.vibration || VIBRATIONS.DEFAULT,
+    keyword
+  });
+
+  if (preferences?.categories && !preferences.categories[category]) {
+    return verdict(false);
+  }
+
+  // Mentions wait for the end of do not disturb even though they are high priority
+  if (preferences?.doNotDisturb && isDoNotDisturbTime(preferences.doNotDisturbSchedule, now)) {
+    return verdict(priority === 'high' && !isMention);
+  }
+
+  // Muted conversations only get through by mentioning the user
+  if (muted) {
+    return verdict(isMention);
+  }
+
+  if (rule?.mode === MODES.MENTIONS) {
+    return verdict(isMention || Boolean(keyword));
+  }
+
+  return verdict(true);
+}
+
+/**
+ * Play an app-provided notification sound
+ * System sounds (default, silent) are left to the browser.
+ * @param {string} sound - Sound name
+ */
+export function playNotificationSound(sound) {
+  const tones = TONES[sound];
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!tones || !AudioContext) {
+    return;
+  }
+
+  try {
+    const context = new AudioContext();
+
+    tones.forEach(([frequency, start, length]) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, context.currentTime + start);
+      gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + start + length);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + start);
+      oscillator.stop(context.currentTime + start + length);
+    });
+
+    const end = Math.max(...tones.map(([, start, length]) => start + length));
+    setTimeout(() => context.close(), (end + 0.1) * 1000);
+  } catch (error) {
+    console.error('Error playing notification sound:', error);
+  }
+}
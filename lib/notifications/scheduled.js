@@ -0,0 +1,434 @@
+/**
+ * Scheduled Notification Store for Shadow-Bind (server only)
+ * Keeps notifications due at a later time behind a pluggable backend and dispatches
+ * them through Web Push once they are due
+ *
+ * A scheduled notification moves through these states:
+ *   scheduled -> sending -> sent
+ *                        -> failed (after MAX_ATTEMPTS deliveries that reached no device)
+ *   scheduled | sending | failed -> cancelled
+ * Dispatching claims a notification by marking it `sending` with a lease. A worker that
+ * dies mid-send leaves the lease to expire, after which the next run picks it up again;
+ * failed deliveries are retried the same way, with the lease as the retry delay.
+ */
+
+import { isConfigured } from '../firebase';
+import { createScheduledFirestoreBackend } from './backends/scheduledFirestore';
+import { createScheduledMemoryBackend } from './backends/scheduledMemory';
+import { WEB_PUSH_CONFIG, sendPushToUser } from './webPush';
+
+/**
+ * Scheduled notification configuration
+ */
+export const SCHEDULED_NOTIFICATIONS_CONFIG = {
+  // Built-in storage backends
+  BACKENDS: {
+    FIRESTORE: 'firestore',
+    MEMORY: 'memory'
+  },
+
+  STATUS: {
+    SCHEDULED: 'scheduled',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+  },
+
+  // What a notification was scheduled for, so features can find their own again
+  KINDS: {
+    CUSTOM: 'custom',
+    MESSAGE_REMINDER: 'message_reminder',
+    TASK_DUE: 'task_due'
+  },
+
+  // Limits
+  MAX_PENDING_PER_USER: 500,
+  MAX_LEAD_TIME: 365 * 24 * 60 * 60 * 1000, // 1 year
+  PAST_GRACE: 60 * 1000, // 1 minute
+  MAX_TITLE_LENGTH: 200,
+  MAX_REFERENCE_LENGTH: 512,
+  ID_PATTERN: /^[A-Za-z0-9_-]{1,128}$/,
+
+  // Dispatching
+  DISPATCH_BATCH_SIZE: 100,
+  LEASE_DURATION: 2 * 60 * 1000, // 2 minutes
+  RETRY_DELAY: 5 * 60 * 1000, // 5 minutes
+  MAX_ATTEMPTS: 3
+};
+
+const { STATUS } = SCHEDULED_NOTIFICATIONS_CONFIG;
+
+// Fields of a notification the service worker shows; anything else is dropped
+const NOTIFICATION_FIELDS = [
+  'title', 'body', 'category', 'priority', 'data', 'actions',
+  'image', 'icon', 'badge', 'tag', 'requireInteraction', 'silent'
+];
+
+// Notification priorities mapped to Web Push urgency
+const PRIORITY_URGENCY = {
+  high: WEB_PUSH_CONFIG.URGENCY.HIGH,
+  normal: WEB_PUSH_CONFIG.URGENCY.NORMAL,
+  low: WEB_PUSH_CONFIG.URGENCY.LOW
+};
+
+/**
+ * Scheduled notification backend interface
+ * Backends store records as given and add createdAt/updatedAt.
+ * @typedef {Object} ScheduledNotificationBackend
+ * @property {string} name - Backend name
+ * @property {function(Object): Promise<Object>} create - Store a new record, returns it with its ID
+ * @property {function(string): Promise<Object|null>} get - Get a record
+ * @property {function(string, Object, Array<string>): Promise<Object|null>} update - Apply changes
+ *           if the record's status is one of the given ones; resolves null otherwise
+ * @property {function(string): Promise<Array>} listByUser - List a user's records
+ * @property {function(string, Object): Promise<Array>} claimDue - Mark up to `limit` records that are
+ *           scheduled before `now`, or sending with a lease that ran out, as sending until `leaseUntil`
+ *           and count the attempt; resolves the claimed records
+ */
+
+const backendFactories = {
+  [SCHEDULED_NOTIFICATIONS_CONFIG.BACKENDS.FIRESTORE]: createScheduledFirestoreBackend,
+  [SCHEDULED_NOTIFICATIONS_CONFIG.BACKENDS.MEMORY]: createScheduledMemoryBackend
+};
+
+/**
+ * Register an additional backend (e.g. a SQLite adapter used by a test harness)
+ * @param {string} name - Backend name, selectable via SCHEDULED_NOTIFICATION_BACKEND
+ * @param {function(): ScheduledNotificationBackend} factory - Backend factory
+ */
+export function registerScheduledNotificationBackend(name, factory) {
+  backendFactories[name] = factory;
+}
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Scheduled Notification Store Class
+ * Validates scheduled notifications and delegates persistence to a backend
+ */
+export class ScheduledNotificationStore {
+  /**
+   * @param {ScheduledNotificationBackend} backend - Storage backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Schedule a notification for a user
+   * @param {string} userId - User the notification is pushed to
+   * @param {Object} options - { notification, scheduledFor, kind, reference }
+   *        reference is free-form, e.g. { chatId, messageId } for a message reminder
+   * @returns {Promise<Object>} - Scheduled notification
+   */
+  async scheduleNotification(userId, { notification, scheduledFor, kind = SCHEDULED_NOTIFICATIONS_CONFIG.KINDS.CUSTOM, reference = null }) {
+    this.validateId(userId, 'userId');
+
+    if (!Object.values(SCHEDULED_NOTIFICATIONS_CONFIG.KINDS).includes(kind)) {
+      throw storeError('Invalid kind', 400);
+    }
+
+    const pending = (await this.backend.listByUser(userId))
+      .filter(record => record.status === STATUS.SCHEDULED || record.status === STATUS.SENDING);
+    if (pending.length >= SCHEDULED_NOTIFICATIONS_CONFIG.MAX_PENDING_PER_USER) {
+      throw storeError('Too many scheduled notifications', 429);
+    }
+
+    return this.backend.create({
+      userId,
+      notification: this.normalizeNotification(notification),
+      scheduledFor: this.normalizeDueTime(scheduledFor),
+      kind,
+      reference: this.normalizeReference(reference),
+      status: STATUS.SCHEDULED,
+      attempts: 0,
+      leaseUntil: null,
+      lastError: null,
+      delivery: null,
+      sentAt: null
+    });
+  }
+
+  /**
+   * List a user's scheduled notifications, soonest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, kind }
+   * @returns {Promise<Array>} - Scheduled notifications
+   */
+  async listScheduledNotifications(userId, { status = null, kind = null } = {}) {
+    this.validateId(userId, 'userId');
+
+    return (await this.backend.listByUser(userId))
+      .filter(record => (!status || record.status === status) && (!kind || record.kind === kind))
+      .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  }
+
+  /**
+   * Get one of a user's scheduled notifications
+   * @param {string} userId - User ID
+   * @param {string} id - Scheduled notification ID
+   * @returns {Promise<Object>} - Scheduled notification
+   */
+  async getScheduledNotification(userId, id) {
+    this.validateId(userId, 'userId');
+    this.validateId(id, 'id');
+
+    const record = await this.backend.get(id);
+    if (!record || record.userId !== userId) {
+      throw storeError('Scheduled notification not found', 404);
+    }
+    return record;
+  }
+
+  /**
+   * Change a scheduled notification's content or due time
+   * A notification that failed is scheduled again with fresh attempts.
+   * @param {string} userId - User ID
+   * @param {string} id - Scheduled notification ID
+   * @param {Object} changes - { notification, scheduledFor }
+   * @returns {Promise<Object>} - Updated scheduled notification
+   */
+  async updateScheduledNotification(userId, id, { notification, scheduledFor } = {}) {
+    const existing = await this.getScheduledNotification(userId, id);
+
+    const changes = {
+      status: STATUS.SCHEDULED,
+      attempts: 0,
+      leaseUntil: null,
+      lastError: null
+    };
+    if (notification !== undefined) {
+      changes.notification = this.normalizeNotification({ ...existing.notification, ...notification });
+    }
+    if (scheduledFor !== undefined) {
+      changes.scheduledFor = this.normalizeDueTime(scheduledFor);
+    }
+
+    const updated = await this.backend.update(id, changes, [STATUS.SCHEDULED, STATUS.FAILED]);
+    if (!updated) {
+      throw storeError(`A ${existing.status} notification can no longer be changed`, 409);
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * Cancelling one that is being sent right now stops retries but cannot recall a push
+   * that is already on its way.
+   * @param {string} userId - User ID
+   * @param {string} id - Scheduled notification ID
+   * @returns {Promise<Object>} - Cancelled scheduled notification
+   */
+  async cancelScheduledNotification(userId, id) {
+    const existing = await this.getScheduledNotification(userId, id);
+
+    const cancelled = await this.backend.update(
+      id,
+      { status: STATUS.CANCELLED, leaseUntil: null },
+      [STATUS.SCHEDULED, STATUS.SENDING, STATUS.FAILED]
+    );
+    if (!cancelled) {
+      throw storeError(`A ${existing.status} notification cannot be cancelled`, 409);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Claim notifications that are due for dispatching
+   * @param {Object} options - { now, limit }
+   * @returns {Promise<Array>} - Claimed notifications, marked as sending
+   */
+  async claimDueNotifications({ now = Date.now(), limit = SCHEDULED_NOTIFICATIONS_CONFIG.DISPATCH_BATCH_SIZE } = {}) {
+    return this.backend.claimDue(new Date(now).toISOString(), {
+      limit,
+      leaseUntil: new Date(now + SCHEDULED_NOTIFICATIONS_CONFIG.LEASE_DURATION).toISOString()
+    });
+  }
+
+  /**
+   * Record the outcome of dispatching a claimed notification
+   * Deliveries that reached no device are retried after RETRY_DELAY until MAX_ATTEMPTS;
+   * a user without subscribed devices counts as delivered.
+   * @param {Object} record - Claimed notification
+   * @param {Object} outcome - { delivery: { sent, removed, failed } } or { error }
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} - Updated notification, or null if it was cancelled meanwhile
+   */
+  async completeDispatch(record, { delivery = null, error = null }, now = Date.now()) {
+    const delivered = !error && !(delivery.failed > 0 && delivery.sent === 0);
+
+    if (delivered) {
+      return this.backend.update(record.id, {
+        status: STATUS.SENT,
+        leaseUntil: null,
+        lastError: null,
+        delivery,
+        sentAt: new Date(now).toISOString()
+      }, [STATUS.SENDING]);
+    }
+
+    const lastError = error ? error.message : 'No device accepted the push';
+    const retry = record.attempts < SCHEDULED_NOTIFICATIONS_CONFIG.MAX_ATTEMPTS && !(error?.status < 500);
+
+    return this.backend.update(record.id, {
+      status: retry ? STATUS.SENDING : STATUS.FAILED,
+      leaseUntil: retry ? new Date(now + SCHEDULED_NOTIFICATIONS_CONFIG.RETRY_DELAY).toISOString() : null,
+      lastError,
+      delivery
+    }, [STATUS.SENDING]);
+  }
+
+  /**
+   * Keep the fields of a notification the service worker uses
+   * @param {Object} notification - Notification
+   * @returns {Object} - Notification to store
+   */
+  normalizeNotification(notification) {
+    if (!notification || typeof notification.title !== 'string' || !notification.title.trim()) {
+      throw storeError('notification.title is required', 400);
+    }
+    if (notification.title.length > SCHEDULED_NOTIFICATIONS_CONFIG.MAX_TITLE_LENGTH) {
+      throw storeError('notification.title is too long', 400);
+    }
+
+    const normalized = {};
+    for (const field of NOTIFICATION_FIELDS) {
+      if (notification[field] !== undefined && notification[field] !== null) {
+        normalized[field] = notification[field];
+      }
+    }
+
+    if (new TextEncoder().encode(JSON.stringify(normalized)).length > WEB_PUSH_CONFIG.MAX_PAYLOAD_BYTES) {
+      throw storeError(`Notifications are limited to ${WEB_PUSH_CONFIG.MAX_PAYLOAD_BYTES} bytes`, 413);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate a due time
+   * @param {string|number|Date} scheduledFor - Due time
+   * @returns {string} - Due time as an ISO string
+   */
+  normalizeDueTime(scheduledFor) {
+    const dueAt = new Date(scheduledFor);
+    const now = Date.now();
+
+    if (scheduledFor === null || scheduledFor === undefined || Number.isNaN(dueAt.getTime())) {
+      throw storeError('scheduledFor must be a date', 400);
+    }
+    if (dueAt.getTime() < now - SCHEDULED_NOTIFICATIONS_CONFIG.PAST_GRACE) {
+      throw storeError('scheduledFor must be in the future', 400);
+    }
+    if (dueAt.getTime() > now + SCHEDULED_NOTIFICATIONS_CONFIG.MAX_LEAD_TIME) {
+      throw storeError('scheduledFor is too far in the future', 400);
+    }
+    return dueAt.toISOString();
+  }
+
+  /**
+   * Validate a reference to what a notification is about
+   * @param {Object|null} reference - Plain object of IDs
+   * @returns {Object|null} - Reference to store
+   */
+  normalizeReference(reference) {
+    if (reference === null || reference === undefined) {
+      return null;
+    }
+    if (typeof reference !== 'object' || Array.isArray(reference) ||
+        JSON.stringify(reference).length > SCHEDULED_NOTIFICATIONS_CONFIG.MAX_REFERENCE_LENGTH) {
+      throw storeError('Invalid reference', 400);
+    }
+    return reference;
+  }
+
+  /**
+   * Validate an ID against the Firestore-safe pattern
+   * @param {string} id - ID
+   * @param {string} field - Field name for the error message
+   */
+  validateId(id, field) {
+    if (typeof id !== 'string' || !SCHEDULED_NOTIFICATIONS_CONFIG.ID_PATTERN.test(id)) {
+      throw storeError(`Invalid ${field}`, 400);
+    }
+  }
+}
+
+/**
+ * Create a scheduled notification store for a named backend
+ * @param {string} backendName - Backend name
+ * @returns {ScheduledNotificationStore} - Scheduled notification store
+ */
+export function createScheduledNotificationStore(backendName) {
+  const factory = backendFactories[backendName];
+  if (!factory) {
+    throw new Error(`Unknown scheduled notification backend: ${backendName}`);
+  }
+  return new ScheduledNotificationStore(factory());
+}
+
+let defaultStore = null;
+
+/**
+ * Get the application scheduled notification store
+ * Uses SCHEDULED_NOTIFICATION_BACKEND when set, otherwise Firestore when configured
+ * and the in-memory backend as a fallback.
+ * @returns {ScheduledNotificationStore} - Scheduled notification store
+ */
+export function getScheduledNotificationStore() {
+  if (!defaultStore) {
+    const backendName = process.env.SCHEDULED_NOTIFICATION_BACKEND ||
+      (isConfigured ? SCHEDULED_NOTIFICATIONS_CONFIG.BACKENDS.FIRESTORE : SCHEDULED_NOTIFICATIONS_CONFIG.BACKENDS.MEMORY);
+    defaultStore = createScheduledNotificationStore(backendName);
+  }
+  return defaultStore;
+}
+
+/**
+ * Push every notification that is due
+ * Meant to be run periodically by a worker (see /api/notifications/scheduled?action=dispatch).
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} - { claimed, sent, retrying, failed, cancelled }
+ */
+export async function dispatchDueNotifications({ now = Date.now(), limit } = {}) {
+  const store = getScheduledNotificationStore();
+  const claimed = await store.claimDueNotifications({ now, limit });
+  const summary = { claimed: claimed.length, sent: 0, retrying: 0, failed: 0, cancelled: 0 };
+
+  for (const record of claimed) {
+    let outcome;
+    try {
+      outcome = {
+        delivery: await sendPushToUser(record.userId, record.notification, {
+          urgency: PRIORITY_URGENCY[record.notification.priority]
+        })
+      };
+    } catch (error) {
+      console.error(`[Scheduled] Error dispatching ${record.id}:`, error);
+      outcome = { error };
+    }
+
+    const updated = await store.completeDispatch(record, outcome);
+    if (!updated) {
+      summary.cancelled++;
+    } else if (updated.status === STATUS.SENT) {
+      summary.sent++;
+    } else if (updated.status === STATUS.SENDING) {
+      summary.retrying++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
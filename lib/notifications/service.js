@@ -3,28 +3,48 @@
  * Handles push notifications, service worker management, and notification sync
  */
 
-import { db } from '../firebase';
 import { 
-  collection, 
-  addDoc, 
   updateDoc, 
   doc, 
   query, 
   where, 
   orderBy, 
   limit, 
-  onSnapshot, 
-  serverTimestamp 
+  onSnapshot 
 } from 'firebase/firestore';
+import { pushNotificationService } from '../pushNotifications';
+import { fetchWithAuth } from '../auth/apiRequests';
+import {
+  isInboxSupported,
+  addToInbox,
+  listInbox,
+  getUnreadCount,
+  setInboxRead,
+  markInboxRead,
+  removeFromInbox,
+  clearInbox,
+  subscribeToInbox
+} from './inbox';
+import {
+  NOTIFICATION_RULES_CONFIG,
+  isRulesSupported,
+  loadNotificationRules,
+  saveNotificationPreferences,
+  setConversationRule,
+  evaluateNotification,
+  isDoNotDisturbTime,
+  playNotificationSound
+} from './rules';
+
+const SCHEDULED_API = '/api/notifications/scheduled';
 
 /**
  * Notifications configuration
  */
 export const NOTIFICATIONS_CONFIG = {
-  // VAPID configuration (TODO: Replace with actual keys)
+  // VAPID application server key; the private key stays on the server (see ./webPush)
   VAPID_KEYS: {
-    public: 'your-vapid-public-key-here',
-    private: 'your-vapid-private-key-here'
+    public: process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY || null
   },
   
   // Notification categories
@@ -86,6 +106,13 @@ export class NotificationsService {
       // Register service worker
       await this.registerServiceWorker();
       
+      // The service worker cannot play sounds, so it asks an open tab to
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'PLAY_NOTIFICATION_SOUND') {
+          playNotificationSound(event.data.sound);
+        }
+      });
+      
       // Load user preferences
       await this.loadPreferences();
       
@@ -149,10 +176,14 @@ export class NotificationsService {
         throw new Error('Service worker not registered');
       }
 
-      const subscription = await registration.pushManager.subscribe({
-        userVisibleOnly: true,
-        applicationServerKey: this.urlBase64ToUint8Array(NOTIFICATIONS_CONFIG.VAPID_KEYS.public)
-      });
+      // Reuse the browser's subscription so the server keeps one per device
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: this.urlBase64ToUint8Array(
+            NOTIFICATIONS_CONFIG.VAPID_KEYS.public || await pushNotificationService.getVapidPublicKey()
+          )
+        });
 
       this.subscription = subscription;
 
@@ -185,10 +216,12 @@ export class NotificationsService {
         userId = null
       } = notificationData;
 
-      // Check user preferences
-      if (!(await this.shouldSendNotification(category, priority, userId))) {
+      // Check user preferences and the conversation's rules
+      const verdict = await this.evaluateRules({ category, priority, title, body, data });
+      if (!verdict.show) {
         return false;
       }
+      const silent = verdict.sound === NOTIFICATION_RULES_CONFIG.SOUNDS.SILENT;
 
       // Create notification object
       const notification = {
@@ -214,7 +247,11 @@ export class NotificationsService {
           actions,
           image,
           tag: `${category}_${userId || 'system'}`,
-          renotify: priority === NOTIFICATIONS_CONFIG.PRIORITY.HIGH
+          renotify: priority === NOTIFICATIONS_CONFIG.PRIORITY.HIGH,
+          silent,
+          vibrate: silent ? [] : NOTIFICATION_RULES_CONFIG.VIBRATION_PATTERNS[verdict.vibration],
+          // Keyword alerts stay up until they are seen
+          requireInteraction: Boolean(verdict.keyword)
         }
       };
 
@@ -225,6 +262,8 @@ export class NotificationsService {
         await this.addToBatch(notification);
       }
 
+      playNotificationSound(verdict.sound);
+
       // Save to history
       this.notificationHistory.push(notification);
       await this.saveNotificationHistory(notification);
@@ -399,75 +438,222 @@ export class NotificationsService {
       window.focus();
     }
     
+    // Mark notification as read
+    this.markAsRead(notification.id);
+    
     // Navigate to relevant page based on category
-    const { category, data } = notification;
+    const link = this.getNotificationLink(notification);
+    if (link) {
+      window.location.href = link;
+    }
+  }
+
+  /**
+   * Get the page a notification opens
+   * @param {Object} notification - Notification with category and data
+   * @returns {string|null} - URL, or null when there is nowhere to go
+   */
+  getNotificationLink(notification) {
+    const { category, data = {} } = notification;
     
     switch (category) {
       case NOTIFICATIONS_CONFIG.CATEGORIES.MESSAGE:
         if (data.groupId) {
-          window.location.href = `/groups/${data.groupId}`;
-        } else if (data.chatId) {
-          window.location.href = `/chat/${data.chatId}`;
+          return `/groups/${data.groupId}`;
         }
-        break;
+        return data.chatId ? `/chat/${data.chatId}` : null;
         
       case NOTIFICATIONS_CONFIG.CATEGORIES.GROUP_INVITE:
-        window.location.href = `/groups/${data.groupId}`;
-        break;
+        return `/groups/${data.groupId}`;
         
       case NOTIFICATIONS_CONFIG.CATEGORIES.MENTION:
-        window.location.href = `/groups/${data.groupId}?message=${data.messageId}`;
-        break;
+        return data.groupId
+          ? `/groups/${data.groupId}?message=${data.messageId}`
+          : `/chat/${data.chatId}?message=${data.messageId}`;
         
       default:
-        window.location.href = '/notifications';
+        return '/notifications';
     }
-    
-    // Mark notification as read
-    this.markAsRead(notification.id);
   }
 
   /**
    * Schedule notification
+   * Stored on the server and pushed by the dispatch worker, so it survives closing the tab.
    * @param {Object} notificationData - Notification data
    * @param {Date} scheduleTime - When to send
+   * @param {Object} options - { kind, reference } (see SCHEDULED_NOTIFICATIONS_CONFIG.KINDS)
    * @returns {Promise<string>} - Scheduled notification ID
    */
-  async scheduleNotification(notificationData, scheduleTime) {
+  async scheduleNotification(notificationData, scheduleTime, { kind, reference } = {}) {
     try {
-      const scheduledNotification = {
-        ...notificationData,
-        scheduledFor: scheduleTime.toISOString(),
-        status: 'scheduled',
-        createdAt: serverTimestamp()
-      };
-
-      const docRef = await addDoc(collection(db, 'scheduledNotifications'), scheduledNotification);
+      const scheduled = await this.callScheduledApi('POST', {
+        body: {
+          notification: this.toPushNotification(notificationData),
+          scheduledFor: scheduleTime.toISOString(),
+          kind,
+          reference
+        }
+      });
       console.log(`📅 Notification scheduled for ${scheduleTime}`);
       
-      return docRef.id;
+      return scheduled.id;
     } catch (error) {
       console.error('Schedule notification error:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the current user's scheduled notifications, soonest first
+   * @param {Object} filters - { status, kind }
+   * @returns {Promise<Array>} - Scheduled notifications
+   */
+  async getScheduledNotifications({ status, kind } = {}) {
+    return this.callScheduledApi('GET', { query: { status, kind } });
+  }
+
+  /**
+   * Change a scheduled notification
+   * @param {string} scheduledId - Scheduled notification ID
+   * @param {Object} changes - { notificationData, scheduleTime }
+   * @returns {Promise<Object>} - Updated scheduled notification
+   */
+  async updateScheduledNotification(scheduledId, { notificationData, scheduleTime } = {}) {
+    return this.callScheduledApi('PATCH', {
+      body: {
+        id: scheduledId,
+        notification: notificationData ? this.toPushNotification(notificationData) : undefined,
+        scheduledFor: scheduleTime ? scheduleTime.toISOString() : undefined
+      }
+    });
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string} scheduledId - Scheduled notification ID
+   * @returns {Promise<Object>} - Cancelled scheduled notification
+   */
+  async cancelScheduledNotification(scheduledId) {
+    return this.callScheduledApi('DELETE', { body: { id: scheduledId } });
+  }
+
   /**
    * Get notification history
+   * Read from this device's inbox, which also holds pushes the service worker showed
+   * while the app was closed.
    * @param {number} limit - Number of notifications to get
-   * @returns {Promise<Array>} - Notification history
+   * @param {Object} filters - { category, unreadOnly }
+   * @returns {Promise<Array>} - Notification history, newest first
    */
-  async getNotificationHistory(limit = 50) {
+  async getNotificationHistory(limit = 50, { category = null, unreadOnly = false } = {}) {
     try {
-      // TODO: Implement server-side history retrieval
-      // For now, return in-memory history
-      return this.notificationHistory.slice(-limit);
+      if (isInboxSupported()) {
+        return await listInbox({ category, unreadOnly, limit });
+      }
+      
+      return this.notificationHistory
+        .filter(notification => !category || notification.category === category)
+        .slice(-limit)
+        .reverse();
     } catch (error) {
       console.error('Get notification history error:', error);
       return [];
     }
   }
 
+  /**
+   * Subscribe to notification history, including pushes recorded by the service worker
+   * @param {function(Array): void} callback - Called with the history, newest first
+   * @returns {function} - Unsubscribe function
+   */
+  subscribeToNotificationHistory(callback) {
+    if (!isInboxSupported()) {
+      callback(this.notificationHistory.slice().reverse());
+      return () => {};
+    }
+    
+    return subscribeToInbox(callback);
+  }
+
+  /**
+   * Count unread notifications
+   * @returns {Promise<number>} - Unread count
+   */
+  async getUnreadCount() {
+    try {
+      return isInboxSupported() ? await getUnreadCount() : 0;
+    } catch (error) {
+      console.error('Get unread count error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Mark notification as unread
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async markAsUnread(notificationId) {
+    try {
+      if (isInboxSupported()) {
+        await setInboxRead([notificationId], false);
+      }
+    } catch (error) {
+      console.error('Mark as unread error:', error);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   * @param {string|null} category - Only this category, or null for all
+   * @returns {Promise<void>}
+   */
+  async markAllAsRead(category = null) {
+    try {
+      if (isInboxSupported()) {
+        await markInboxRead(category);
+      }
+    } catch (error) {
+      console.error('Mark all as read error:', error);
+    }
+  }
+
+  /**
+   * Remove notifications from history
+   * @param {Array<string>} notificationIds - Notification IDs
+   * @returns {Promise<void>}
+   */
+  async removeFromHistory(notificationIds) {
+    try {
+      const removed = new Set(notificationIds);
+      this.notificationHistory = this.notificationHistory.filter(notification => !removed.has(notification.id));
+      
+      if (isInboxSupported()) {
+        await removeFromInbox(notificationIds);
+      }
+    } catch (error) {
+      console.error('Remove notifications error:', error);
+    }
+  }
+
+  /**
+   * Clear notification history
+   * @param {string|null} category - Only this category, or null for all
+   * @returns {Promise<void>}
+   */
+  async clearHistory(category = null) {
+    try {
+      this.notificationHistory = this.notificationHistory
+        .filter(notification => category && notification.category !== category);
+      
+      if (isInboxSupported()) {
+        await clearInbox(category);
+      }
+    } catch (error) {
+      console.error('Clear notification history error:', error);
+    }
+  }
+
   /**
    * Update notification preferences
    * @param {Object} preferences - New preferences
@@ -477,7 +663,10 @@ export class NotificationsService {
     try {
       this.preferences = { ...this.preferences, ...preferences };
       
-      // TODO: Save to server
+      // Stored on this device, where the service worker applies them to pushes too
+      if (isRulesSupported()) {
+        await saveNotificationPreferences(this.preferences);
+      }
       console.log('⚙️ Notification preferences updated');
       
       return true;
@@ -487,6 +676,37 @@ export class NotificationsService {
     }
   }
 
+  /**
+   * Mute a group's notifications; mentions still come through
+   * @param {string} groupId - Group ID
+   * @param {number|null} muteFor - Mute length in ms, or null until unmuted
+   * @returns {Promise<boolean>} - Success status
+   */
+  async muteGroup(groupId, muteFor = null) {
+    try {
+      await setConversationRule('group', groupId, { mode: NOTIFICATION_RULES_CONFIG.MODES.MUTED, muteFor });
+      return true;
+    } catch (error) {
+      console.error('Mute group error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Unmute a group's notifications
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async unmuteGroup(groupId) {
+    try {
+      await setConversationRule('group', groupId, { mode: NOTIFICATION_RULES_CONFIG.MODES.ALL });
+      return true;
+    } catch (error) {
+      console.error('Unmute group error:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear all notifications
    * @returns {Promise<boolean>} - Success status
@@ -515,24 +735,31 @@ export class NotificationsService {
    * @param {string} category - Notification category
    * @param {string} priority - Notification priority
    * @param {string} userId - User ID
+   * @param {Object} data - Notification data (groupId for group activity)
    * @returns {Promise<boolean>} - Should send
    */
-  async shouldSendNotification(category, priority, userId) {
-    if (!this.preferences) {
-      return true; // Default to sending if no preferences
-    }
-    
-    // Check if category is enabled
-    if (this.preferences.categories && !this.preferences.categories[category]) {
-      return false;
-    }
+  async shouldSendNotification(category, priority, userId, data = {}) {
+    return (await this.evaluateRules({ category, priority, data })).show;
+  }
+
+  /**
+   * Apply preferences, conversation rules and keyword alerts to a notification
+   * The service worker applies the same rules to pushes (see ./rules).
+   * @param {Object} notification - { category, priority, title, body, data }
+   * @returns {Promise<Object>} - { show, sound, vibration, keyword }
+   */
+  async evaluateRules(notification) {
+    let rules = { keywords: [], conversations: {} };
     
-    // Check do not disturb
-    if (this.preferences.doNotDisturb && this.isDoNotDisturbTime()) {
-      return priority === NOTIFICATIONS_CONFIG.PRIORITY.HIGH;
+    try {
+      if (isRulesSupported()) {
+        rules = await loadNotificationRules();
+      }
+    } catch (error) {
+      console.error('Load notification rules error:', error);
     }
     
-    return true;
+    return evaluateNotification({ ...rules, preferences: this.preferences }, notification);
   }
 
   /**
@@ -540,19 +767,7 @@ export class NotificationsService {
    * @returns {boolean} - Is DND time
    */
   isDoNotDisturbTime() {
-    if (!this.preferences?.doNotDisturbSchedule) {
-      return false;
-    }
-    
-    const now = new Date();
-    const hour = now.getHours();
-    const { start, end } = this.preferences.doNotDisturbSchedule;
-    
-    if (start <= end) {
-      return hour >= start && hour < end;
-    } else {
-      return hour >= start || hour < end;
-    }
+    return isDoNotDisturbTime(this.preferences?.doNotDisturbSchedule);
   }
 
   /**
@@ -606,20 +821,81 @@ export class NotificationsService {
    */
   async saveSubscription(subscription) {
     try {
-      // TODO: Save to Firestore
-      console.log('💾 Push subscription saved (placeholder)');
+      await pushNotificationService.sendSubscriptionToServer(subscription);
+      console.log('💾 Push subscription saved');
     } catch (error) {
       console.error('Save subscription error:', error);
     }
   }
 
+  /**
+   * Build the payload the service worker shows from notification data
+   * @param {Object} notificationData - Notification data
+   * @returns {Object} - Push notification
+   */
+  toPushNotification(notificationData) {
+    const {
+      title,
+      body,
+      category = NOTIFICATIONS_CONFIG.CATEGORIES.MESSAGE,
+      priority = NOTIFICATIONS_CONFIG.PRIORITY.NORMAL,
+      data = {},
+      actions = [],
+      image = null,
+      userId = null
+    } = notificationData;
+
+    return {
+      title,
+      body,
+      category,
+      priority,
+      data,
+      actions,
+      image,
+      tag: `${category}_${userId || 'system'}`
+    };
+  }
+
+  /**
+   * Call the scheduled notifications API as the current user
+   * @param {string} method - HTTP method
+   * @param {Object} request - { query, body }
+   * @returns {Promise<*>} - Response data
+   */
+  async callScheduledApi(method, { query: params = {}, body } = {}) {
+    if (!pushNotificationService.getCurrentUserId()) {
+      throw new Error('Sign in to schedule notifications');
+    }
+
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      if (value) {
+        search.set(name, value);
+      }
+    });
+
+    const response = await fetchWithAuth(method === 'GET' ? `${SCHEDULED_API}?${search}` : SCHEDULED_API, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || 'Scheduled notifications request failed');
+    }
+    return result.data;
+  }
+
   /**
    * Load user preferences
    * @returns {Promise<void>}
    */
   async loadPreferences() {
     try {
-      // TODO: Load from Firestore
+      const stored = isRulesSupported() ? (await loadNotificationRules()).preferences : null;
+      
       this.preferences = {
         categories: {
           [NOTIFICATIONS_CONFIG.CATEGORIES.MESSAGE]: true,
@@ -633,7 +909,8 @@ export class NotificationsService {
         doNotDisturbSchedule: {
           start: 22, // 10 PM
           end: 8     // 8 AM
-        }
+        },
+        ...stored
       };
     } catch (error) {
       console.error('Load preferences error:', error);
@@ -647,8 +924,9 @@ export class NotificationsService {
    */
   async saveNotificationHistory(notification) {
     try {
-      // TODO: Save to Firestore
-      console.log('💾 Notification saved to history (placeholder)');
+      if (isInboxSupported()) {
+        await addToInbox(notification);
+      }
     } catch (error) {
       console.error('Save notification history error:', error);
     }
@@ -661,8 +939,9 @@ export class NotificationsService {
    */
   async markAsRead(notificationId) {
     try {
-      // TODO: Update in Firestore
-      console.log(`✅ Notification ${notificationId} marked as read (placeholder)`);
+      if (isInboxSupported()) {
+        await setInboxRead([notificationId], true);
+      }
     } catch (error) {
       console.error('Mark as read error:', error);
     }
@@ -693,10 +972,39 @@ export async function sendNotification(notificationData) {
  * Schedule notification
  * @param {Object} notificationData - Notification data
  * @param {Date} scheduleTime - When to send
+ * @param {Object} options - { kind, reference }
  * @returns {Promise<string>} - Scheduled notification ID
  */
-export async function scheduleNotification(notificationData, scheduleTime) {
-  return notificationsService.scheduleNotification(notificationData, scheduleTime);
+export async function scheduleNotification(notificationData, scheduleTime, options) {
+  return notificationsService.scheduleNotification(notificationData, scheduleTime, options);
+}
+
+/**
+ * Get the current user's scheduled notifications
+ * @param {Object} filters - { status, kind }
+ * @returns {Promise<Array>} - Scheduled notifications
+ */
+export async function getScheduledNotifications(filters) {
+  return notificationsService.getScheduledNotifications(filters);
+}
+
+/**
+ * Change a scheduled notification
+ * @param {string} scheduledId - Scheduled notification ID
+ * @param {Object} changes - { notificationData, scheduleTime }
+ * @returns {Promise<Object>} - Updated scheduled notification
+ */
+export async function updateScheduledNotification(scheduledId, changes) {
+  return notificationsService.updateScheduledNotification(scheduledId, changes);
+}
+
+/**
+ * Cancel a scheduled notification
+ * @param {string} scheduledId - Scheduled notification ID
+ * @returns {Promise<Object>} - Cancelled scheduled notification
+ */
+export async function cancelScheduledNotification(scheduledId) {
+  return notificationsService.cancelScheduledNotification(scheduledId);
 }
 
 /**
@@ -0,0 +1,232 @@
+/**
+ * Push Subscription Store for Shadow-Bind (server only)
+ * Keeps one Web Push subscription per user and device behind a pluggable backend
+ */
+
+import { isConfigured } from '../firebase';
+import { createFirestoreBackend } from './backends/firestore';
+import { createMemoryBackend } from './backends/memory';
+
+/**
+ * Push subscription store configuration
+ */
+export const SUBSCRIPTIONS_CONFIG = {
+  // Built-in storage backends
+  BACKENDS: {
+    FIRESTORE: 'firestore',
+    MEMORY: 'memory'
+  },
+
+  // Push services browsers subscribe with; a host also covers its subdomains.
+  // PUSH_SERVICE_HOSTS (comma-separated) adds more, e.g. this app's host for LOCAL_PUSH_SERVICE.
+  PUSH_SERVICE_HOSTS: [
+    'fcm.googleapis.com', // Chrome, Opera, Samsung Internet
+    'android.googleapis.com', // Chrome subscriptions from before FCM
+    'push.services.mozilla.com', // Firefox
+    'push.apple.com', // Safari
+    'notify.windows.com' // Edge on Windows
+  ],
+  // Where the local push service runs outside production
+  LOOPBACK_HOSTS: ['localhost', '127.0.0.1', '[::1]'],
+
+  // Limits
+  MAX_ENDPOINT_LENGTH: 2048,
+  PUBLIC_KEY_LENGTH: 65,
+  AUTH_SECRET_LENGTH: 16,
+  ID_PATTERN: /^[A-Za-z0-9_-]{1,128}$/
+};
+
+/**
+ * Push subscription backend interface
+ * @typedef {Object} PushSubscriptionBackend
+ * @property {string} name - Backend name
+ * @property {function(string, string, Object): Promise<Object>} save - Store a device's subscription
+ * @property {function(string, string): Promise<Object|null>} get - Get a device's subscription
+ * @property {function(string, string): Promise<void>} remove - Delete a device's subscription
+ * @property {function(string): Promise<Array>} list - List a user's subscriptions
+ */
+
+const backendFactories = {
+  [SUBSCRIPTIONS_CONFIG.BACKENDS.FIRESTORE]: createFirestoreBackend,
+  [SUBSCRIPTIONS_CONFIG.BACKENDS.MEMORY]: createMemoryBackend
+};
+
+/**
+ * Register an additional backend (e.g. a SQLite adapter used by a test harness)
+ * @param {string} name - Backend name, selectable via PUSH_SUBSCRIPTION_BACKEND
+ * @param {function(): PushSubscriptionBackend} factory - Backend factory
+ */
+export function registerPushSubscriptionBackend(name, factory) {
+  backendFactories[name] = factory;
+}
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the length of a base64url value once decoded
+ * @param {*} value - base64url string
+ * @returns {number} - Decoded length, or -1 when it is not base64url
+ */
+function decodedLength(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(value)) {
+    return -1;
+  }
+  return Buffer.from(value, 'base64url').length;
+}
+
+/**
+ * Check that an endpoint belongs to a known push service
+ * The server POSTs to every stored endpoint, so anything else is refused. Loopback
+ * endpoints (the local push service, over http too) are only accepted outside production.
+ * @param {*} endpoint - Subscription endpoint
+ * @returns {boolean} - Whether the endpoint is acceptable
+ */
+export function isValidEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || endpoint.length > SUBSCRIPTIONS_CONFIG.MAX_ENDPOINT_LENGTH) {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.username || url.password) {
+    return false;
+  }
+
+  if (SUBSCRIPTIONS_CONFIG.LOOPBACK_HOSTS.includes(url.hostname)) {
+    return ['http:', 'https:'].includes(url.protocol) && process.env.NODE_ENV !== 'production';
+  }
+
+  const extraHosts = (process.env.PUSH_SERVICE_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+  return url.protocol === 'https:' && [...SUBSCRIPTIONS_CONFIG.PUSH_SERVICE_HOSTS, ...extraHosts]
+    .some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Push Subscription Store Class
+ * Validates subscriptions and delegates persistence to a backend
+ */
+export class PushSubscriptionStore {
+  /**
+   * @param {PushSubscriptionBackend} backend - Storage backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Store a device's push subscription, replacing the one it had
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {Object} subscription - PushSubscription.toJSON(): { endpoint, expirationTime, keys: { p256dh, auth } }
+   * @returns {Promise<Object>} - Stored subscription
+   */
+  async saveSubscription(userId, deviceId, subscription) {
+    this.validateId(userId, 'userId');
+    this.validateId(deviceId, 'deviceId');
+
+    const { endpoint, expirationTime = null, keys = {} } = subscription || {};
+
+    if (!isValidEndpoint(endpoint)) {
+      throw storeError('Invalid push endpoint', 400);
+    }
+    if (decodedLength(keys.p256dh) !== SUBSCRIPTIONS_CONFIG.PUBLIC_KEY_LENGTH ||
+        decodedLength(keys.auth) !== SUBSCRIPTIONS_CONFIG.AUTH_SECRET_LENGTH) {
+      throw storeError('Invalid subscription keys', 400);
+    }
+
+    return this.backend.save(userId, deviceId, {
+      userId,
+      deviceId,
+      endpoint,
+      expirationTime: typeof expirationTime === 'number' ? expirationTime : null,
+      keys: { p256dh: keys.p256dh, auth: keys.auth }
+    });
+  }
+
+  /**
+   * Delete a device's push subscription
+   * With an endpoint, only that subscription is deleted, so a device that subscribed
+   * again in the meantime keeps its new one.
+   * @param {string} userId - User ID
+   * @param {Object} target - { deviceId, endpoint }
+   * @returns {Promise<boolean>} - Whether a subscription was deleted
+   */
+  async removeSubscription(userId, { deviceId, endpoint = null }) {
+    this.validateId(userId, 'userId');
+    this.validateId(deviceId, 'deviceId');
+
+    const existing = await this.backend.get(userId, deviceId);
+    if (!existing || (endpoint && existing.endpoint !== endpoint)) {
+      return false;
+    }
+
+    await this.backend.remove(userId, deviceId);
+    return true;
+  }
+
+  /**
+   * List a user's push subscriptions
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Subscriptions
+   */
+  async listSubscriptions(userId) {
+    this.validateId(userId, 'userId');
+    return this.backend.list(userId);
+  }
+
+  /**
+   * Validate a user or device ID against the Firestore-safe pattern
+   * @param {string} id - ID
+   * @param {string} field - Field name for the error message
+   */
+  validateId(id, field) {
+    if (typeof id !== 'string' || !SUBSCRIPTIONS_CONFIG.ID_PATTERN.test(id)) {
+      throw storeError(`Invalid ${field}`, 400);
+    }
+  }
+}
+
+/**
+ * Create a push subscription store for a named backend
+ * @param {string} backendName - Backend name
+ * @returns {PushSubscriptionStore} - Push subscription store
+ */
+export function createPushSubscriptionStore(backendName) {
+  const factory = backendFactories[backendName];
+  if (!factory) {
+    throw new Error(`Unknown push subscription backend: ${backendName}`);
+  }
+  return new PushSubscriptionStore(factory());
+}
+
+let defaultStore = null;
+
+/**
+ * Get the application push subscription store
+ * Uses PUSH_SUBSCRIPTION_BACKEND when set, otherwise Firestore when configured
+ * and the in-memory backend as a fallback.
+ * @returns {PushSubscriptionStore} - Push subscription store
+ */
+export function getPushSubscriptionStore() {
+  if (!defaultStore) {
+    const backendName = process.env.PUSH_SUBSCRIPTION_BACKEND ||
+      (isConfigured ? SUBSCRIPTIONS_CONFIG.BACKENDS.FIRESTORE : SUBSCRIPTIONS_CONFIG.BACKENDS.MEMORY);
+    defaultStore = createPushSubscriptionStore(backendName);
+  }
+  return defaultStore;
+}
@@ -0,0 +1,359 @@
+/**
+ * Web Push Sender for Shadow-Bind (server only)
+ * Delivers notifications to browser push services without a third-party library
+ *
+ * - Requests are authorized with a VAPID JWT (RFC 8292) signed by the server's key pair.
+ * - Payloads are encrypted for the subscription's keys with aes128gcm (RFC 8291, RFC 8188),
+ *   so the push service only ever sees ciphertext.
+ * - Subscriptions the push service reports as gone (404/410) are deleted.
+ *
+ * Keys come from NEXT_PUBLIC_VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (base64url, as printed by
+ * generateVapidKeys). Outside production a key pair is generated per server process when
+ * none is configured; browsers then have to subscribe again after a restart.
+ */
+
+import { toBase64Url, fromBase64Url } from '../base64url';
+import { getPushSubscriptionStore } from './subscriptions';
+
+/**
+ * Web Push configuration
+ */
+export const WEB_PUSH_CONFIG = {
+  DEFAULT_TTL: 24 * 60 * 60,
+  JWT_EXPIRY: 12 * 60 * 60,
+  DEFAULT_SUBJECT: 'mailto:notifications@shadow-bind.app',
+  RECORD_SIZE: 4096,
+  // A single record: 4096 minus the 86-byte header, the 16-byte tag and the padding delimiter
+  MAX_PAYLOAD_BYTES: 3993,
+  URGENCY: {
+    VERY_LOW: 'very-low',
+    LOW: 'low',
+    NORMAL: 'normal',
+    HIGH: 'high'
+  }
+};
+
+const ECDH_SPEC = { name: 'ECDH', namedCurve: 'P-256' };
+const ECDSA_SPEC = { name: 'ECDSA', namedCurve: 'P-256' };
+
+let generatedKeys = null;
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function pushError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Join byte arrays
+ * @param {...Uint8Array} parts - Byte arrays
+ * @returns {Uint8Array} - Concatenated bytes
+ */
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * HKDF-SHA-256
+ * @param {Uint8Array} salt - Salt
+ * @param {Uint8Array} ikm - Input keying material
+ * @param {Uint8Array} info - Context
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>} - Derived bytes
+ */
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8));
+}
+
+/**
+ * Derive the content encryption key and nonce shared by sender and receiver (RFC 8291 §3.4)
+ * @param {Object} params - Derivation inputs
+ * @param {Uint8Array} params.ecdhSecret - ECDH secret of the two key pairs
+ * @param {Uint8Array} params.authSecret - Subscription auth secret
+ * @param {Uint8Array} params.receiverKey - Subscription (user agent) public key
+ * @param {Uint8Array} params.senderKey - Application server ephemeral public key
+ * @param {Uint8Array} params.salt - Record salt
+ * @returns {Promise<Object>} - { key: CryptoKey, nonce: Uint8Array }
+ */
+async function deriveContentKey({ ecdhSecret, authSecret, receiverKey, senderKey, salt }) {
+  const encoder = new TextEncoder();
+  const keyInfo = concat(encoder.encode('WebPush: info\0'), receiverKey, senderKey);
+  const ikm = await hkdf(authSecret, ecdhSecret, keyInfo, 32);
+
+  const cek = await hkdf(salt, ikm, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, encoder.encode('Content-Encoding: nonce\0'), 12);
+
+  return {
+    key: await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt', 'decrypt']),
+    nonce
+  };
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {Promise<Object>} - { publicKey, privateKey } in base64url (uncompressed point, raw scalar)
+ */
+export async function generateVapidKeys() {
+  const keyPair = await crypto.subtle.generateKey(ECDSA_SPEC, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+  const publicKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+
+  return { publicKey: toBase64Url(publicKey), privateKey: jwk.d };
+}
+
+/**
+ * Get the server's VAPID keys
+ * @returns {Promise<Object>} - { publicKey, privateKey, subject }
+ */
+export async function getVapidKeys() {
+  const publicKey = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY || process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  const subject = process.env.VAPID_SUBJECT || WEB_PUSH_CONFIG.DEFAULT_SUBJECT;
+
+  if (publicKey && privateKey) {
+    return { publicKey, privateKey, subject };
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw pushError('VAPID keys are not configured', 503);
+  }
+
+  if (!generatedKeys) {
+    console.warn('[Push] No VAPID keys configured; generated a temporary key pair for this process');
+    generatedKeys = generateVapidKeys();
+  }
+  return { ...await generatedKeys, subject };
+}
+
+/**
+ * Build the Authorization header for a push service (RFC 8292)
+ * @param {string} endpoint - Subscription endpoint
+ * @param {Object} vapidKeys - Keys from getVapidKeys
+ * @returns {Promise<string>} - `vapid t=<jwt>, k=<public key>`
+ */
+export async function createVapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+  const publicBytes = fromBase64Url(publicKey);
+  const signingKey = await crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(publicBytes.slice(1, 33)),
+    y: toBase64Url(publicBytes.slice(33, 65)),
+    d: privateKey
+  }, ECDSA_SPEC, false, ['sign']);
+
+  const encode = value => toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+  const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + WEB_PUSH_CONFIG.JWT_EXPIRY,
+    sub: subject
+  })}`;
+
+  // Web Crypto returns the raw r || s form JWS expects
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    signingKey,
+    new TextEncoder().encode(unsigned)
+  );
+
+  return `vapid t=${unsigned}.${toBase64Url(signature)}, k=${publicKey}`;
+}
+
+/**
+ * Encrypt a payload for a push subscription (RFC 8291)
+ * @param {Object|string} payload - Notification (JSON encoded) or raw text
+ * @param {Object} keys - Subscription keys { p256dh, auth } in base64url
+ * @returns {Promise<Uint8Array>} - aes128gcm body (header and one record)
+ */
+export async function encryptPayload(payload, { p256dh, auth }) {
+  const plaintext = encodePayload(payload);
+
+  const receiverKey = fromBase64Url(p256dh);
+  const senderKeyPair = await crypto.subtle.generateKey(ECDH_SPEC, true, ['deriveBits']);
+  const senderKey = new Uint8Array(await crypto.subtle.exportKey('raw', senderKeyPair.publicKey));
+  const receiverPublicKey = await crypto.subtle.importKey('raw', receiverKey, ECDH_SPEC, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'ECDH', public: receiverPublicKey },
+    senderKeyPair.privateKey,
+    256
+  ));
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const { key, nonce } = await deriveContentKey({
+    ecdhSecret,
+    authSecret: fromBase64Url(auth),
+    receiverKey,
+    senderKey,
+    salt
+  });
+
+  // 0x02 marks the last (and only) record
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce },
+    key,
+    concat(plaintext, new Uint8Array([2]))
+  ));
+
+  const header = new Uint8Array(21);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, WEB_PUSH_CONFIG.RECORD_SIZE);
+  header[20] = senderKey.length;
+
+  return concat(header, senderKey, ciphertext);
+}
+
+/**
+ * Decrypt an aes128gcm push body the way a user agent does (used by the local push service)
+ * @param {Uint8Array} body - Encrypted body
+ * @param {Object} receiver - { privateKey: CryptoKey (ECDH), publicKey: Uint8Array, auth: Uint8Array }
+ * @returns {Promise<Uint8Array>} - Plaintext
+ */
+export async function decryptPayload(body, { privateKey, publicKey, auth }) {
+  const salt = body.slice(0, 16);
+  const idLength = body[20];
+  const senderKey = body.slice(21, 21 + idLength);
+
+  const senderPublicKey = await crypto.subtle.importKey('raw', senderKey, ECDH_SPEC, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'ECDH', public: senderPublicKey },
+    privateKey,
+    256
+  ));
+
+  const { key, nonce } = await deriveContentKey({
+    ecdhSecret,
+    authSecret: auth,
+    receiverKey: publicKey,
+    senderKey,
+    salt
+  });
+
+  const padded = new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: nonce },
+    key,
+    body.slice(21 + idLength)
+  ));
+
+  // Strip the padding after the last non-zero byte (the 0x02 delimiter)
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) {
+    end--;
+  }
+  if (padded[end] !== 2) {
+    throw new Error('Invalid push record padding');
+  }
+  return padded.slice(0, end);
+}
+
+/**
+ * Encode a push payload and check it fits in one record
+ * @param {Object|string} payload - Notification (JSON encoded) or raw text
+ * @returns {Uint8Array} - Payload bytes
+ */
+function encodePayload(payload) {
+  const bytes = new TextEncoder().encode(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  if (bytes.length > WEB_PUSH_CONFIG.MAX_PAYLOAD_BYTES) {
+    throw pushError(`Push payloads are limited to ${WEB_PUSH_CONFIG.MAX_PAYLOAD_BYTES} bytes`, 413);
+  }
+  return bytes;
+}
+
+/**
+ * Check that a request to send pushes comes from the server side of the app
+ * Without NOTIFICATIONS_API_SECRET nobody may send, unless NOTIFICATIONS_API_OPEN=true
+ * opens sending to anyone for local development (never in production).
+ * @param {Object} req - API request
+ * @returns {boolean} - Whether the request may send pushes
+ */
+export function isAuthorizedSender(req) {
+  const secret = process.env.NOTIFICATIONS_API_SECRET;
+  if (!secret) {
+    return process.env.NOTIFICATIONS_API_OPEN === 'true' && process.env.NODE_ENV !== 'production';
+  }
+  return req.headers.authorization === `Bearer ${secret}`;
+}
+
+/**
+ * Send one push message
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object|string} payload - Notification (JSON encoded) or raw text
+ * @param {Object} options - { ttl in seconds, urgency, topic }
+ * @returns {Promise<Object>} - { ok, status, gone: the subscription no longer exists }
+ */
+export async function sendWebPush(subscription, payload, { ttl = WEB_PUSH_CONFIG.DEFAULT_TTL, urgency, topic } = {}) {
+  const body = await encryptPayload(payload, subscription.keys);
+
+  const headers = {
+    Authorization: await createVapidAuthorization(subscription.endpoint, await getVapidKeys()),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    TTL: String(ttl)
+  };
+  if (urgency) {
+    headers.Urgency = urgency;
+  }
+  if (topic) {
+    headers.Topic = topic;
+  }
+
+  const response = await fetch(subscription.endpoint, { method: 'POST', headers, body });
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    gone: response.status === 404 || response.status === 410
+  };
+}
+
+/**
+ * Push a notification to every subscribed device of a user
+ * Subscriptions the push service reports as gone are deleted.
+ * @param {string} userId - User ID
+ * @param {Object} notification - { title, body, category, data, actions, tag, ... } as shown by the service worker
+ * @param {Object} options - { ttl, urgency, topic }
+ * @returns {Promise<Object>} - { sent, removed, failed }
+ */
+export async function sendPushToUser(userId, notification, options = {}) {
+  // Fail once for an oversized notification rather than once per device
+  encodePayload(notification);
+
+  const store = getPushSubscriptionStore();
+  const subscriptions = await store.listSubscriptions(userId);
+  const result = { sent: 0, removed: 0, failed: 0 };
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      const { ok, status, gone } = await sendWebPush(subscription, notification, options);
+
+      if (ok) {
+        result.sent++;
+      } else if (gone) {
+        await store.removeSubscription(userId, {
+          deviceId: subscription.deviceId,
+          endpoint: subscription.endpoint
+        });
+        result.removed++;
+      } else {
+        console.warn(`[Push] ${subscription.endpoint} answered ${status}`);
+        result.failed++;
+      }
+    } catch (error) {
+      console.error('[Push] Error sending push:', error);
+      result.failed++;
+    }
+  }));
+
+  return result;
+}
@@ -0,0 +1,64 @@
+import { PreKeyStore, PREKEYS_CONFIG } from '../store';
+import { createMemoryBackend } from '../backends/memory';
+import { createBundle, createPreKeys } from '../../../__tests__/helpers/preKeys';
+
+describe('PreKeyStore', () => {
+  let store;
+  let bundle;
+
+  beforeEach(async () => {
+    store = new PreKeyStore(createMemoryBackend());
+    bundle = await createBundle('phone');
+  });
+
+  it('hands out each one-time pre-key once, then the bundle alone', async () => {
+    await store.uploadBundle('alice', { bundle, preKeys: await createPreKeys(2) });
+
+    const first = await store.claimBundle('alice', 'phone', 'bob');
+    const second = await store.claimBundle('alice', 'phone', 'carol');
+    const third = await store.claimBundle('alice', 'phone', 'dave');
+
+    expect([first.preKeyId, second.preKeyId].sort()).toEqual([0, 1]);
+    expect(third).toMatchObject({ deviceId: 'phone', preKeyId: null, preKey: null });
+    expect((await store.countPreKeys('alice', 'phone')).count).toBe(0);
+  });
+
+  it('refuses bundles whose signed pre-key is not signed by the identity key', async () => {
+    const other = await createBundle('phone');
+
+    await expect(store.uploadBundle('alice', { bundle: { ...bundle, signature: other.signature } }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refuses a bundle with a different identity key for a known device', async () => {
+    await store.uploadBundle('alice', { bundle });
+
+    await expect(store.uploadBundle('alice', { bundle: await createBundle('phone') }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('limits how many pre-keys one claimer can take from a device', async () => {
+    await store.uploadBundle('alice', { bundle, preKeys: await createPreKeys(10) });
+
+    for (let i = 0; i < PREKEYS_CONFIG.MAX_DEVICE_CLAIMS_PER_WINDOW; i++) {
+      expect((await store.claimBundle('alice', 'phone', 'mallory')).preKeyId).not.toBeNull();
+    }
+    expect((await store.claimBundle('alice', 'phone', 'mallory')).preKeyId).toBeNull();
+    expect((await store.claimBundle('alice', 'phone', 'bob')).preKeyId).not.toBeNull();
+  });
+
+  it('refuses claims past the per-claimer limit', async () => {
+    await store.uploadBundle('alice', { bundle });
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    for (let i = 0; i < PREKEYS_CONFIG.MAX_CLAIMS_PER_WINDOW; i++) {
+      await store.claimBundle('alice', 'phone', 'mallory');
+    }
+    await expect(store.claimBundle('alice', 'phone', 'mallory')).rejects.toMatchObject({ status: 429 });
+
+    Date.now.mockReturnValue(1000 + PREKEYS_CONFIG.CLAIM_WINDOW + 1);
+    await expect(store.claimBundle('alice', 'phone', 'mallory')).resolves.toMatchObject({ deviceId: 'phone' });
+
+    Date.now.mockRestore();
+  });
+});
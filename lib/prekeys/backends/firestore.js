@@ -0,0 +1,135 @@
+/**
+ * Firestore Pre-key Backend for Shadow-Bind
+ * Stores device bundles under /preKeyBundles/{userId}/devices/{deviceId}
+ * and one-time pre-keys under .../devices/{deviceId}/preKeys/{preKeyId}
+ */
+
+import { db } from '../../firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  orderBy,
+  limit,
+  writeBatch,
+  runTransaction,
+  getCountFromServer,
+  serverTimestamp
+} from 'firebase/firestore';
+
+// Firestore batches hold at most 500 writes
+const BATCH_LIMIT = 500;
+
+// Pre-keys read per claim attempt; concurrent claimers race for the same few documents
+const CLAIM_CANDIDATES = 5;
+const MAX_CLAIM_ATTEMPTS = 5;
+
+/**
+ * Get a device's bundle document
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @returns {DocumentReference} - Bundle document
+ */
+function bundleDoc(userId, deviceId) {
+  return doc(db, 'preKeyBundles', userId, 'devices', deviceId);
+}
+
+/**
+ * Get a device's one-time pre-keys collection
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Device ID
+ * @returns {CollectionReference} - Pre-keys collection
+ */
+function preKeysCollection(userId, deviceId) {
+  return collection(db, 'preKeyBundles', userId, 'devices', deviceId, 'preKeys');
+}
+
+/**
+ * Apply writes in batches small enough for Firestore
+ * @param {Array<function(WriteBatch): void>} writes - Writes to apply
+ * @returns {Promise<void>}
+ */
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Create a Firestore pre-key backend
+ * @returns {Object} - Pre-key backend
+ */
+export function createFirestoreBackend() {
+  return {
+    name: 'firestore',
+
+    async getBundle(userId, deviceId) {
+      const snapshot = await getDoc(bundleDoc(userId, deviceId));
+      if (!snapshot.exists()) {
+        return null;
+      }
+
+      const { updatedAt, ...bundle } = snapshot.data();
+      return bundle;
+    },
+
+    async saveBundle(userId, deviceId, bundle) {
+      await setDoc(bundleDoc(userId, deviceId), { ...bundle, updatedAt: serverTimestamp() });
+    },
+
+    async addPreKeys(userId, deviceId, preKeys, { replace = false } = {}) {
+      const preKeysRef = preKeysCollection(userId, deviceId);
+      const writes = [];
+
+      if (replace) {
+        const existing = await getDocs(preKeysRef);
+        existing.docs.forEach(snapshot => writes.push(batch => batch.delete(snapshot.ref)));
+      }
+
+      preKeys.forEach(preKey => {
+        writes.push(batch => batch.set(doc(preKeysRef, String(preKey.id)), preKey));
+      });
+
+      await commitInBatches(writes);
+    },
+
+    async claimPreKey(userId, deviceId) {
+      const preKeysRef = preKeysCollection(userId, deviceId);
+
+      for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+        const candidates = await getDocs(query(preKeysRef, orderBy('id', 'asc'), limit(CLAIM_CANDIDATES)));
+        if (candidates.empty) {
+          return null;
+        }
+
+        for (const candidate of candidates.docs) {
+          // Read and delete in one transaction so a key is handed out at most once
+          const claimed = await runTransaction(db, async (transaction) => {
+            const snapshot = await transaction.get(candidate.ref);
+            if (!snapshot.exists()) {
+              return null;
+            }
+            transaction.delete(candidate.ref);
+            return snapshot.data();
+          });
+
+          if (claimed) {
+            return claimed;
+          }
+        }
+      }
+
+      return null;
+    },
+
+    async countPreKeys(userId, deviceId) {
+      const snapshot = await getCountFromServer(preKeysCollection(userId, deviceId));
+      return snapshot.data().count;
+    }
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * In-memory Pre-key Backend for Shadow-Bind
+ * Keeps device bundles and one-time pre-keys in process memory (local development and tests)
+ */
+
+/**
+ * Create an in-memory pre-key backend
+ * @returns {Object} - Pre-key backend
+ */
+export function createMemoryBackend() {
+  const devices = new Map();
+
+  const getDevice = (userId, deviceId) => {
+    const key = `${userId}:${deviceId}`;
+    if (!devices.has(key)) {
+      devices.set(key, { bundle: null, preKeys: new Map() });
+    }
+    return devices.get(key);
+  };
+
+  return {
+    name: 'memory',
+
+    async getBundle(userId, deviceId) {
+      const { bundle } = getDevice(userId, deviceId);
+      return bundle ? JSON.parse(JSON.stringify(bundle)) : null;
+    },
+
+    async saveBundle(userId, deviceId, bundle) {
+      getDevice(userId, deviceId).bundle = JSON.parse(JSON.stringify(bundle));
+    },
+
+    async addPreKeys(userId, deviceId, preKeys, { replace = false } = {}) {
+      const device = getDevice(userId, deviceId);
+
+      if (replace) {
+        device.preKeys.clear();
+      }
+      preKeys.forEach(preKey => {
+        device.preKeys.set(preKey.id, { id: preKey.id, publicKey: [...preKey.publicKey] });
+      });
+    },
+
+    async claimPreKey(userId, deviceId) {
+      const device = getDevice(userId, deviceId);
+      if (device.preKeys.size === 0) {
+        return null;
+      }
+
+      // Nothing runs between the lookup and the delete, so each key goes to one claimer
+      const id = Math.min(...device.preKeys.keys());
+      const preKey = device.preKeys.get(id);
+      device.preKeys.delete(id);
+      return preKey;
+    },
+
+    async countPreKeys(userId, deviceId) {
+      return getDevice(userId, deviceId).preKeys.size;
+    }
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * Pre-key Store for Shadow-Bind
+ * Holds each device's signed pre-key bundle and one-time pre-keys behind a pluggable backend
+ *
+ * A device uploads its bundle and a batch of one-time pre-keys. Each sender starting a
+ * session claims one pre-key, which is removed in the same step so no two sessions get
+ * the same key. When a device runs out, claims return the bundle without a one-time
+ * pre-key and X3DH falls back to the signed pre-key alone.
+ * Claims are rate limited per claimer (in this server process) so one account cannot
+ * drain another user's pre-keys.
+ * Only public keys are stored here.
+ */
+
+import { isConfigured } from '../firebase';
+import { ENCRYPTION_CONFIG } from '../encryption/e2ee';
+import { createFirestoreBackend } from './backends/firestore';
+import { createMemoryBackend } from './backends/memory';
+
+/**
+ * Pre-key store configuration
+ */
+export const PREKEYS_CONFIG = {
+  // Built-in storage backends
+  BACKENDS: {
+    FIRESTORE: 'firestore',
+    MEMORY: 'memory'
+  },
+
+  // Claim limits: requests per claimer, and one-time pre-keys one claimer may take from
+  // the same device (further claims get the bundle without one)
+  CLAIM_WINDOW: 60 * 60 * 1000, // 1 hour
+  MAX_CLAIMS_PER_WINDOW: 300,
+  MAX_DEVICE_CLAIMS_PER_WINDOW: 5,
+
+  // Limits
+  MAX_UPLOAD_BATCH: 200,
+  MAX_PRE_KEYS: 1000,
+  MAX_PRE_KEY_ID: 0xffffff,
+  PUBLIC_KEY_LENGTH: 65,
+  SIGNATURE_LENGTH: 64,
+  ID_PATTERN: /^[A-Za-z0-9_-]{1,128}$/
+};
+
+/**
+ * Pre-key backend interface
+ * @typedef {Object} PreKeyBackend
+ * @property {string} name - Backend name
+ * @property {function(string, string): Promise<Object|null>} getBundle - Get a device's stored bundle
+ * @property {function(string, string, Object): Promise<void>} saveBundle - Store a device's bundle
+ * @property {function(string, string, Array, Object): Promise<void>} addPreKeys
+ *   - Store one-time pre-keys ({ id, publicKey }); with options.replace, drop the device's other keys first
+ * @property {function(string, string): Promise<Object|null>} claimPreKey
+ *   - Atomically remove and return one of a device's pre-keys, or null when none are left
+ * @property {function(string, string): Promise<number>} countPreKeys - Count a device's pre-keys
+ */
+
+const backendFactories = {
+  [PREKEYS_CONFIG.BACKENDS.FIRESTORE]: createFirestoreBackend,
+  [PREKEYS_CONFIG.BACKENDS.MEMORY]: createMemoryBackend
+};
+
+/**
+ * Register an additional backend (e.g. a SQLite adapter used by a test harness)
+ * @param {string} name - Backend name, selectable via PREKEY_STORE_BACKEND
+ * @param {function(): PreKeyBackend} factory - Backend factory
+ */
+export function registerPreKeyBackend(name, factory) {
+  backendFactories[name] = factory;
+}
+
+/**
+ * Create an error carrying an HTTP status for API routes
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with status
+ */
+function storeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check that a value is a byte array of the given length
+ * @param {*} value - Value
+ * @param {number} length - Expected length
+ * @returns {boolean} - Whether the value is valid
+ */
+function isByteArray(value, length) {
+  return Array.isArray(value) && value.length === length &&
+    value.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255);
+}
+
+/**
+ * Compare two raw public keys
+ * @param {Array<number>} a - First key
+ * @param {Array<number>} b - Second key
+ * @returns {boolean} - Whether both are the same key
+ */
+function sameKey(a, b) {
+  return !!a && !!b && a.length === b.length && a.every((byte, index) => byte === b[index]);
+}
+
+/**
+ * Pre-key Store Class
+ * Validates uploads and delegates persistence to a backend
+ */
+export class PreKeyStore {
+  /**
+   * @param {PreKeyBackend} backend - Storage backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    // Claim times by claimer and by claimer and device, for rate limiting
+    this.claims = new Map();
+  }
+
+  /**
+   * Upload a device's signed pre-key bundle and one-time pre-keys
+   * A device keeps its identity key for life, so a bundle with a different one is refused.
+   * @param {string} userId - User ID
+   * @param {Object} upload - Upload
+   * @param {Object} upload.bundle - Public key bundle from EncryptionService.getPublicKeyBundle
+   * @param {Array<Object>} upload.preKeys - One-time pre-keys ({ id, publicKey })
+   * @param {boolean} upload.replace - Drop the device's previously uploaded pre-keys
+   * @returns {Promise<Object>} - { count, signedPreKeyId } after the upload
+   */
+  async uploadBundle(userId, { bundle, preKeys = [], replace = false }) {
+    this.validateId(userId, 'userId');
+    const signedBundle = await this.validateBundle(bundle);
+    const { deviceId } = signedBundle;
+
+    if (!Array.isArray(preKeys) || preKeys.length > PREKEYS_CONFIG.MAX_UPLOAD_BATCH) {
+      throw storeError(`Upload at most ${PREKEYS_CONFIG.MAX_UPLOAD_BATCH} pre-keys at a time`, 400);
+    }
+    preKeys.forEach(preKey => this.validatePreKey(preKey));
+
+    const existing = await this.backend.getBundle(userId, deviceId);
+    if (existing && !sameKey(existing.identityKey, signedBundle.identityKey)) {
+      throw storeError('Identity key does not match this device', 409);
+    }
+
+    const count = replace ? 0 : await this.backend.countPreKeys(userId, deviceId);
+    if (count + preKeys.length > PREKEYS_CONFIG.MAX_PRE_KEYS) {
+      throw storeError(`A device can hold at most ${PREKEYS_CONFIG.MAX_PRE_KEYS} pre-keys`, 400);
+    }
+
+    // A tab still holding the previous signed pre-key must not roll a rotation back
+    if (!existing || signedBundle.signedPreKeyId >= existing.signedPreKeyId) {
+      await this.backend.saveBundle(userId, deviceId, signedBundle);
+    }
+
+    await this.backend.addPreKeys(
+      userId,
+      deviceId,
+      preKeys.map(({ id, publicKey }) => ({ id, publicKey })),
+      { replace }
+    );
+
+    return this.countPreKeys(userId, deviceId);
+  }
+
+  /**
+   * Claim a device's bundle with one one-time pre-key for a new session
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} claimerId - ID of the user starting the session
+   * @returns {Promise<Object>} - Bundle; preKeyId and preKey are null when the device ran out
+   *   or the claimer has already taken MAX_DEVICE_CLAIMS_PER_WINDOW of its pre-keys
+   */
+  async claimBundle(userId, deviceId, claimerId) {
+    this.validateId(userId, 'userId');
+    this.validateId(deviceId, 'deviceId');
+    this.validateId(claimerId, 'claimerId');
+
+    if (!this.recordClaim(claimerId, PREKEYS_CONFIG.MAX_CLAIMS_PER_WINDOW)) {
+      throw storeError('Too many pre-key claims, try again later', 429);
+    }
+
+    const bundle = await this.backend.getBundle(userId, deviceId);
+    if (!bundle) {
+      throw storeError('No pre-key bundle for this device', 404);
+    }
+
+    const mayTakePreKey = this.recordClaim(`${claimerId}>${userId}:${deviceId}`, PREKEYS_CONFIG.MAX_DEVICE_CLAIMS_PER_WINDOW);
+    const preKey = mayTakePreKey ? await this.backend.claimPreKey(userId, deviceId) : null;
+
+    return {
+      ...bundle,
+      preKeyId: preKey ? preKey.id : null,
+      preKey: preKey ? preKey.publicKey : null
+    };
+  }
+
+  /**
+   * Report how many one-time pre-keys a device has left
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} - { count, signedPreKeyId } (signedPreKeyId null before the first upload)
+   */
+  async countPreKeys(userId, deviceId) {
+    this.validateId(userId, 'userId');
+    this.validateId(deviceId, 'deviceId');
+
+    const [bundle, count] = await Promise.all([
+      this.backend.getBundle(userId, deviceId),
+      this.backend.countPreKeys(userId, deviceId)
+    ]);
+
+    return {
+      count,
+      signedPreKeyId: bundle ? bundle.signedPreKeyId : null
+    };
+  }
+
+  /**
+   * Count a claim against a limit for the current window
+   * @param {string} key - Claimer, or claimer and device
+   * @param {number} max - Claims allowed per window
+   * @returns {boolean} - False when the limit was already reached (the claim is not counted)
+   */
+  recordClaim(key, max) {
+    const since = Date.now() - PREKEYS_CONFIG.CLAIM_WINDOW;
+    const recent = (this.claims.get(key) || []).filter(time => time > since);
+
+    if (recent.length >= max) {
+      this.claims.set(key, recent);
+      return false;
+    }
+
+    recent.push(Date.now());
+    this.claims.set(key, recent);
+    return true;
+  }
+
+  /**
+   * Validate a bundle and check its signed pre-key was signed by its identity key
+   * @param {Object} bundle - Public key bundle
+   * @returns {Promise<Object>} - Bundle fields that are stored
+   */
+  async validateBundle(bundle) {
+    const { deviceId, identityKey, identityExchangeKey, signedPreKeyId, signedPreKey, signature } = bundle || {};
+
+    this.validateId(deviceId, 'deviceId');
+    if (!isByteArray(identityKey, PREKEYS_CONFIG.PUBLIC_KEY_LENGTH) ||
+        !isByteArray(identityExchangeKey, PREKEYS_CONFIG.PUBLIC_KEY_LENGTH) ||
+        !isByteArray(signedPreKey, PREKEYS_CONFIG.PUBLIC_KEY_LENGTH) ||
+        !isByteArray(signature, PREKEYS_CONFIG.SIGNATURE_LENGTH) ||
+        !Number.isInteger(signedPreKeyId) || signedPreKeyId < 1) {
+      throw storeError('Invalid bundle', 400);
+    }
+
+    let valid = false;
+    try {
+      const key = await crypto.subtle.importKey(
+        'raw',
+        new Uint8Array(identityKey),
+        ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+        false,
+        ['verify']
+      );
+      valid = await crypto.subtle.verify(
+        ENCRYPTION_CONFIG.KEY_SPECS.IDENTITY,
+        key,
+        new Uint8Array(signature),
+        new Uint8Array(signedPreKey)
+      );
+    } catch (error) {
+      valid = false;
+    }
+
+    if (!valid) {
+      throw storeError('Invalid signed pre-key signature', 400);
+    }
+
+    return { deviceId, identityKey, identityExchangeKey, signedPreKeyId, signedPreKey, signature };
+  }
+
+  /**
+   * Validate a one-time pre-key
+   * @param {Object} preKey - { id, publicKey }
+   */
+  validatePreKey(preKey) {
+    if (!Number.isInteger(preKey?.id) || preKey.id < 0 || preKey.id > PREKEYS_CONFIG.MAX_PRE_KEY_ID ||
+        !isByteArray(preKey.publicKey, PREKEYS_CONFIG.PUBLIC_KEY_LENGTH)) {
+      throw storeError('Invalid pre-key', 400);
+    }
+  }
+
+  /**
+   * Validate a user or device ID against the Firestore-safe pattern
+   * @param {string} id - ID
+   * @param {string} field - Field name for the error message
+   */
+  validateId(id, field) {
+    if (typeof id !== 'string' || !PREKEYS_CONFIG.ID_PATTERN.test(id)) {
+      throw storeError(`Invalid ${field}`, 400);
+    }
+  }
+}
+
+/**
+ * Create a pre-key store for a named backend
+ * @param {string} backendName - Backend name
+ * @returns {PreKeyStore} - Pre-key store
+ */
+export function createPreKeyStore(backendName) {
+  const factory = backendFactories[backendName];
+  if (!factory) {
+    throw new Error(`Unknown pre-key store backend: ${backendName}`);
+  }
+  return new PreKeyStore(factory());
+}
+
+let defaultStore = null;
+
+/**
+ * Get the application pre-key store
+ * Uses PREKEY_STORE_BACKEND when set, otherwise Firestore when configured
+ * and the in-memory backend as a fallback.
+ * @returns {PreKeyStore} - Pre-key store
+ */
+export function getPreKeyStore() {
+  if (!defaultStore) {
+    const backendName = process.env.PREKEY_STORE_BACKEND ||
+      (isConfigured ? PREKEYS_CONFIG.BACKENDS.FIRESTORE : PREKEYS_CONFIG.BACKENDS.MEMORY);
+    defaultStore = createPreKeyStore(backendName);
+  }
+  return defaultStore;
+}
@@ -0,0 +1,113 @@
+/**
+ * Presence Hooks for Shadow-Bind
+ * React bindings for the presence service
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { auth, isConfigured } from '../firebase';
+import {
+  presenceService,
+  resolvePresence,
+  subscribeToPresence,
+  subscribeToTyping,
+  PRESENCE_CONFIG
+} from './service';
+
+/**
+ * Keep the signed-in user's heartbeat running while mounted
+ * @param {string} userId - Current user ID
+ */
+export function usePresenceHeartbeat(userId) {
+  useEffect(() => {
+    if (!isConfigured || !userId) return;
+
+    const userName = auth.currentUser?.displayName || auth.currentUser?.email || null;
+    presenceService.retain(userId, userName);
+
+    return () => {
+      presenceService.release();
+    };
+  }, [userId]);
+}
+
+/**
+ * Subscribe to the presence of a set of users
+ * Statuses are re-evaluated periodically so expired heartbeats turn offline.
+ * @param {Array<string>} userIds - Users to watch
+ * @returns {Object} - Map of userId to { status, lastSeen }
+ */
+export function usePresence(userIds) {
+  const [records, setRecords] = useState({});
+  const [now, setNow] = useState(() => Date.now());
+  const key = (userIds || []).filter(Boolean).sort().join(',');
+
+  useEffect(() => {
+    if (!isConfigured || !key) {
+      setRecords({});
+      return;
+    }
+
+    const unsubscribes = key.split(',').map(userId =>
+      subscribeToPresence(userId, (record) => {
+        setRecords(prev => ({ ...prev, [userId]: record }));
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [key]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), PRESENCE_CONFIG.HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const presence = {};
+  (key ? key.split(',') : []).forEach(userId => {
+    presence[userId] = resolvePresence(records[userId], now);
+  });
+
+  return presence;
+}
+
+/**
+ * Track who else is typing in a chat and publish the current user's typing state
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Current user ID
+ * @returns {Object} - { typingUsers, notifyTyping, stopTyping }
+ */
+export function useTypingIndicator(chatId, userId) {
+  const [records, setRecords] = useState([]);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!isConfigured || !chatId || !userId) {
+      setRecords([]);
+      return;
+    }
+
+    const unsubscribe = subscribeToTyping(chatId, setRecords);
+
+    return () => {
+      unsubscribe();
+      presenceService.stopTyping(chatId);
+    };
+  }, [chatId, userId]);
+
+  // Typing records from closed tabs are never deleted, so expire them on the reader side
+  useEffect(() => {
+    if (records.length === 0) return;
+
+    const timer = setInterval(() => setTick(tick => tick + 1), PRESENCE_CONFIG.TYPING_TIMEOUT / 2);
+    return () => clearInterval(timer);
+  }, [records]);
+
+  const notifyTyping = useCallback(() => presenceService.notifyTyping(chatId), [chatId]);
+  const stopTyping = useCallback(() => presenceService.stopTyping(chatId), [chatId]);
+
+  const typingUsers = records.filter(record =>
+    record.userId !== userId &&
+    Date.now() - record.updatedAt < PRESENCE_CONFIG.TYPING_TIMEOUT
+  );
+
+  return { typingUsers, notifyTyping, stopTyping };
+}
@@ -0,0 +1,351 @@
+/**
+ * Presence Service for Shadow-Bind
+ * Tracks online/away/offline status with heartbeats and chat-scoped typing indicators
+ */
+
+import { db } from '../firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+
+/**
+ * Presence configuration
+ */
+export const PRESENCE_CONFIG = {
+  // Presence states
+  STATUS: {
+    ONLINE: 'online',
+    AWAY: 'away',
+    OFFLINE: 'offline'
+  },
+
+  // Heartbeats
+  HEARTBEAT_INTERVAL: 30 * 1000,  // 30 seconds
+  HEARTBEAT_TIMEOUT: 75 * 1000,   // Missed heartbeats mean the tab is gone
+  AWAY_AFTER: 5 * 60 * 1000,      // 5 minutes without activity
+
+  // Typing indicators
+  TYPING_DEBOUNCE: 3000,          // Stop typing after 3 seconds without keystrokes
+  TYPING_THROTTLE: 2000,          // Refresh the typing record at most every 2 seconds
+  TYPING_TIMEOUT: 6000,           // Readers ignore typing records older than this
+
+  // Activity events that reset the away timer
+  ACTIVITY_EVENTS: ['mousemove', 'keydown', 'touchstart', 'scroll']
+};
+
+/**
+ * Resolve the effective status of a presence record
+ * A record whose heartbeat has expired is treated as offline.
+ * @param {Object|null} record - Presence record
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Status and last seen time
+ */
+export function resolvePresence(record, now = Date.now()) {
+  if (!record) {
+    return { status: PRESENCE_CONFIG.STATUS.OFFLINE, lastSeen: null };
+  }
+
+  const lastHeartbeat = record.lastHeartbeat || 0;
+  const expired = now - lastHeartbeat > PRESENCE_CONFIG.HEARTBEAT_TIMEOUT;
+
+  return {
+    status: expired ? PRESENCE_CONFIG.STATUS.OFFLINE : record.status,
+    lastSeen: record.lastSeen?.toDate?.() || (lastHeartbeat ? new Date(lastHeartbeat) : null)
+  };
+}
+
+/**
+ * Format a presence entry for display
+ * @param {Object} presence - { status, lastSeen }
+ * @returns {string} - Human readable status
+ */
+export function formatPresence(presence) {
+  if (!presence) {
+    return 'Offline';
+  }
+
+  if (presence.status === PRESENCE_CONFIG.STATUS.ONLINE) {
+    return 'Online';
+  }
+
+  if (presence.status === PRESENCE_CONFIG.STATUS.AWAY) {
+    return 'Away';
+  }
+
+  return presence.lastSeen ? `Last seen ${presence.lastSeen.toLocaleString()}` : 'Offline';
+}
+
+/**
+ * Presence Service Class
+ * Publishes the current user's presence and typing state
+ */
+export class PresenceService {
+  constructor() {
+    this.userId = null;
+    this.userName = null;
+    this.status = PRESENCE_CONFIG.STATUS.OFFLINE;
+    this.heartbeatTimer = null;
+    this.awayTimer = null;
+    this.retainCount = 0;
+    this.typing = new Map();
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  /**
+   * Start publishing presence for a user
+   * Calls are reference-counted so several components can share one heartbeat.
+   * @param {string} userId - User ID
+   * @param {string} userName - Display name for typing indicators
+   * @returns {Promise<void>}
+   */
+  async retain(userId, userName = null) {
+    this.retainCount++;
+
+    if (this.userId === userId) {
+      return;
+    }
+
+    if (this.userId) {
+      await this.stop();
+    }
+
+    this.userId = userId;
+    this.userName = userName;
+    await this.start();
+  }
+
+  /**
+   * Release a reference taken with retain, stopping when none remain
+   * @returns {Promise<void>}
+   */
+  async release() {
+    this.retainCount = Math.max(0, this.retainCount - 1);
+
+    if (this.retainCount === 0 && this.userId) {
+      await this.stop();
+    }
+  }
+
+  /**
+   * Start heartbeats and activity tracking
+   * @returns {Promise<void>}
+   */
+  async start() {
+    PRESENCE_CONFIG.ACTIVITY_EVENTS.forEach(event => {
+      window.addEventListener(event, this.handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), PRESENCE_CONFIG.HEARTBEAT_INTERVAL);
+    this.resetAwayTimer();
+
+    await this.setStatus(
+      document.visibilityState === 'visible' ? PRESENCE_CONFIG.STATUS.ONLINE : PRESENCE_CONFIG.STATUS.AWAY
+    );
+  }
+
+  /**
+   * Stop heartbeats and mark the user offline
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    PRESENCE_CONFIG.ACTIVITY_EVENTS.forEach(event => {
+      window.removeEventListener(event, this.handleActivity);
+    });
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.awayTimer);
+    this.heartbeatTimer = null;
+    this.awayTimer = null;
+
+    for (const chatId of Array.from(this.typing.keys())) {
+      await this.stopTyping(chatId);
+    }
+
+    await this.setStatus(PRESENCE_CONFIG.STATUS.OFFLINE);
+    this.userId = null;
+    this.userName = null;
+  }
+
+  /**
+   * Write the current user's presence record
+   * @param {string} status - Presence status
+   * @returns {Promise<void>}
+   */
+  async setStatus(status) {
+    if (!this.userId) {
+      return;
+    }
+
+    this.status = status;
+
+    try {
+      await setDoc(doc(db, 'presence', this.userId), {
+        status,
+        lastHeartbeat: Date.now(),
+        lastSeen: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error updating presence:', error);
+    }
+  }
+
+  /**
+   * Refresh the heartbeat so readers keep seeing the user as present
+   * @returns {Promise<void>}
+   */
+  async heartbeat() {
+    if (this.status !== PRESENCE_CONFIG.STATUS.OFFLINE) {
+      await this.setStatus(this.status);
+    }
+  }
+
+  /**
+   * Signal that the current user is typing in a chat
+   * Writes are throttled, and typing stops automatically after a pause.
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<void>}
+   */
+  async notifyTyping(chatId) {
+    if (!this.userId) {
+      return;
+    }
+
+    const now = Date.now();
+    const state = this.typing.get(chatId) || { lastSent: 0, timer: null };
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.stopTyping(chatId), PRESENCE_CONFIG.TYPING_DEBOUNCE);
+    this.typing.set(chatId, state);
+
+    if (now - state.lastSent < PRESENCE_CONFIG.TYPING_THROTTLE) {
+      return;
+    }
+
+    state.lastSent = now;
+
+    try {
+      await setDoc(doc(db, 'chats', chatId, 'typing', this.userId), {
+        userId: this.userId,
+        userName: this.userName || this.userId,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error updating typing state:', error);
+    }
+  }
+
+  /**
+   * Clear the current user's typing state in a chat
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<void>}
+   */
+  async stopTyping(chatId) {
+    const state = this.typing.get(chatId);
+    if (!state || !this.userId) {
+      return;
+    }
+
+    clearTimeout(state.timer);
+    this.typing.delete(chatId);
+
+    try {
+      await deleteDoc(doc(db, 'chats', chatId, 'typing', this.userId));
+    } catch (error) {
+      console.error('Error clearing typing state:', error);
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Return to online on user activity
+   */
+  handleActivity() {
+    this.resetAwayTimer();
+
+    if (this.status === PRESENCE_CONFIG.STATUS.AWAY && document.visibilityState === 'visible') {
+      this.setStatus(PRESENCE_CONFIG.STATUS.ONLINE);
+    }
+  }
+
+  /**
+   * Switch between online and away as the tab is shown or hidden
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      this.handleActivity();
+    } else {
+      this.setStatus(PRESENCE_CONFIG.STATUS.AWAY);
+    }
+  }
+
+  /**
+   * Best-effort offline write when the tab closes; the heartbeat timeout covers failures
+   */
+  handlePageHide() {
+    this.setStatus(PRESENCE_CONFIG.STATUS.OFFLINE);
+  }
+
+  /**
+   * Restart the inactivity timer
+   */
+  resetAwayTimer() {
+    clearTimeout(this.awayTimer);
+    this.awayTimer = setTimeout(() => {
+      this.setStatus(PRESENCE_CONFIG.STATUS.AWAY);
+    }, PRESENCE_CONFIG.AWAY_AFTER);
+  }
+}
+
+// Global presence service instance
+export const presenceService = new PresenceService();
+
+/**
+ * Get a user's presence record once
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Raw presence record (pass to resolvePresence)
+ */
+export async function getPresenceRecord(userId) {
+  const snapshot = await getDoc(doc(db, 'presence', userId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+/**
+ * Subscribe to a user's presence record
+ * @param {string} userId - User ID
+ * @param {function} callback - Called with the raw presence record (or null)
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToPresence(userId, callback) {
+  return onSnapshot(doc(db, 'presence', userId), (snapshot) => {
+    callback(snapshot.exists() ? snapshot.data() : null);
+  }, (error) => {
+    console.error('Error subscribing to presence:', error);
+  });
+}
+
+/**
+ * Subscribe to typing records in a chat
+ * @param {string} chatId - Chat ID
+ * @param {function} callback - Called with typing records
+ * @returns {function} - Unsubscribe function
+ */
+export function subscribeToTyping(chatId, callback) {
+  return onSnapshot(collection(db, 'chats', chatId, 'typing'), (snapshot) => {
+    callback(snapshot.docs.map(typingDoc => typingDoc.data()));
+  }, (error) => {
+    console.error('Error subscribing to typing state:', error);
+  });
+}
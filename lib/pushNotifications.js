@@ -1,8 +1,9 @@
 /**
  * Push Notifications Service
+ * Subscribes this browser to Web Push and registers the subscription per user and device
+ * with /api/notifications/subscriptions; the server sends through lib/notifications/webPush.
  * 
  * TODO: Complete implementation
- * - Implement service worker registration and management
  * - Add notification permission handling and UI
  * - Implement notification categories and settings
  * - Add notification scheduling and batching
@@ -14,6 +15,12 @@
  * - Add cross-platform notification sync
  */
 
+import { auth } from './firebase';
+import { fetchWithAuth } from './auth/apiRequests';
+
+const SUBSCRIPTIONS_API = '/api/notifications/subscriptions';
+const DEVICE_ID_KEY = 'shadow-bind-push-device';
+
 class PushNotificationService {
   constructor() {
     // Check if running in browser environment
@@ -24,12 +31,11 @@ class PushNotificationService {
     }
     this.isSubscribed = false;
     this.subscription = null;
-    this.vapidPublicKey = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY || 'demo-vapid-key';
+    this.vapidPublicKey = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY || null;
   }
 
   /**
    * Initialize push notifications
-   * TODO: Implement proper VAPID key setup and service worker registration
    */
   async initialize() {
     if (!this.isSupported) {
@@ -38,9 +44,8 @@ class PushNotificationService {
     }
 
     try {
-      // Register service worker
-      // TODO: Create proper service worker file at /public/sw-push.js
-      const registration = await navigator.serviceWorker.register('/sw-push.js');
+      // The notification service worker also handles push events
+      const registration = await navigator.serviceWorker.register('/sw-notifications.js');
       console.log('Service Worker registered:', registration);
 
       // Check if already subscribed
@@ -78,8 +83,7 @@ class PushNotificationService {
   }
 
   /**
-   * Subscribe to push notifications
-   * TODO: Implement server endpoint to store subscription
+   * Subscribe to push notifications and register the subscription for this device
    */
   async subscribe() {
     if (!this.isSupported) {
@@ -89,8 +93,7 @@ class PushNotificationService {
     try {
       const registration = await navigator.serviceWorker.ready;
       
-      // TODO: Replace with actual VAPID public key
-      const applicationServerKey = this.urlBase64ToUint8Array(this.vapidPublicKey);
+      const applicationServerKey = this.urlBase64ToUint8Array(await this.getVapidPublicKey());
       
       const subscription = await registration.pushManager.subscribe({
         userVisibleOnly: true,
@@ -100,7 +103,6 @@ class PushNotificationService {
       this.subscription = subscription;
       this.isSubscribed = true;
 
-      // TODO: Send subscription to server
       await this.sendSubscriptionToServer(subscription);
 
       return subscription;
@@ -111,8 +113,7 @@ class PushNotificationService {
   }
 
   /**
-   * Unsubscribe from push notifications
-   * TODO: Implement server endpoint to remove subscription
+   * Unsubscribe from push notifications and remove this device's subscription
    */
   async unsubscribe() {
     if (!this.subscription) {
@@ -123,7 +124,6 @@ class PushNotificationService {
       const success = await this.subscription.unsubscribe();
       
       if (success) {
-        // TODO: Remove subscription from server
         await this.removeSubscriptionFromServer(this.subscription);
         
         this.subscription = null;
@@ -137,22 +137,42 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Get the key push services check the server's pushes against
+   * Falls back to asking the server when NEXT_PUBLIC_VAPID_PUBLIC_KEY is not set.
+   * @returns {Promise<string>} - VAPID public key (base64url)
+   */
+  async getVapidPublicKey() {
+    if (!this.vapidPublicKey) {
+      const response = await fetch(`${SUBSCRIPTIONS_API}?action=vapid-key`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Push notifications are not configured on the server');
+      }
+      this.vapidPublicKey = result.data.publicKey;
+    }
+    return this.vapidPublicKey;
+  }
+
   /**
    * Send subscription to server
-   * TODO: Implement actual API endpoint
+   * @param {PushSubscription} subscription - Push subscription
    */
   async sendSubscriptionToServer(subscription) {
     try {
-      // TODO: Replace with actual server endpoint
-      const response = await fetch('/api/notifications/subscribe', {
+      if (!this.getCurrentUserId()) {
+        throw new Error('Sign in to enable push notifications');
+      }
+
+      const response = await fetchWithAuth(SUBSCRIPTIONS_API, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          subscription: subscription,
-          userId: this.getCurrentUserId(), // TODO: Get from auth
-          preferences: this.getNotificationPreferences() // TODO: Get from user settings
+          deviceId: this.getDeviceId(),
+          subscription: subscription.toJSON()
         })
       });
 
@@ -169,19 +189,18 @@ class PushNotificationService {
 
   /**
    * Remove subscription from server
-   * TODO: Implement actual API endpoint
+   * @param {PushSubscription} subscription - Push subscription
    */
   async removeSubscriptionFromServer(subscription) {
     try {
-      // TODO: Replace with actual server endpoint
-      const response = await fetch('/api/notifications/unsubscribe', {
-        method: 'POST',
+      const response = await fetchWithAuth(SUBSCRIPTIONS_API, {
+        method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          subscription: subscription,
-          userId: this.getCurrentUserId()
+          deviceId: this.getDeviceId(),
+          endpoint: subscription.endpoint
         })
       });
 
@@ -259,11 +278,25 @@ class PushNotificationService {
 
   /**
    * Get current user ID
-   * TODO: Integrate with authentication system
+   * @returns {string|null} - Signed-in user's ID
    */
   getCurrentUserId() {
-    // TODO: Get from Firebase Auth
-    return 'demo-user-id';
+    return auth?.currentUser?.uid || null;
+  }
+
+  /**
+   * Get the ID this browser's push subscription is stored under
+   * @returns {string} - Device ID, created on first use
+   */
+  getDeviceId() {
+    let deviceId = window.localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = Array.from(window.crypto.getRandomValues(new Uint8Array(8)))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      window.localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
   }
 
   /**
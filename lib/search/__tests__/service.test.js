@@ -0,0 +1,75 @@
+import { performSearch, SEARCH_CONFIG } from '../service';
+import { messagesApi } from '../../messages/api';
+
+jest.mock('firebase/firestore', () => ({
+  ...jest.requireActual('firebase/firestore'),
+  addDoc: jest.fn(async () => ({}))
+}));
+
+jest.mock('../../groups/service', () => ({
+  GROUPS_CONFIG: { TYPES: { SECRET: 'secret' } },
+  getGroupChannels: jest.fn(async () => [
+    { id: 'general', chatId: 'group-1' },
+    { id: 'random', chatId: 'random-chat' }
+  ])
+}));
+
+jest.mock('../../messages/api', () => ({
+  messagesApi: { listMessages: jest.fn() }
+}));
+
+// Ciphertext is the plaintext reversed
+jest.mock('../../encryption/messaging', () => ({
+  decryptChatMessage: jest.fn(async (message) => ({ text: message.e2ee.ciphertext.split('').reverse().join('') }))
+}));
+
+const encrypted = (id, text, extra = {}) => ({
+  id,
+  text: '',
+  e2ee: { ciphertext: text.split('').reverse().join('') },
+  senderName: 'Alice',
+  type: 'text',
+  timestamp: `2030-01-01T00:00:0${id.slice(-1)}Z`,
+  ...extra
+});
+
+const { MESSAGES } = SEARCH_CONFIG.CATEGORIES;
+
+describe('message search', () => {
+  beforeEach(() => {
+    messagesApi.listMessages.mockClear().mockImplementation(async (chatId) => ({
+      messages: chatId === 'group-1'
+        ? [encrypted('m1', 'lunch at noon'), encrypted('m2', 'gone', { deleted: true })]
+        : [encrypted('m3', 'Lunch <script>alert(1)</script>')],
+      pageInfo: { hasMore: false }
+    }));
+  });
+
+  it('matches decrypted text in every channel the user can see, newest first', async () => {
+    const { results } = await performSearch('lunch', [MESSAGES], { groupId: 'g1', userId: 'alice' });
+
+    expect(results.map(({ id, chatId, channelId }) => [id, chatId, channelId])).toEqual([
+      ['m3', 'random-chat', 'random'],
+      ['m1', 'group-1', 'general']
+    ]);
+  });
+
+  it('narrows the search to one channel', async () => {
+    const { results } = await performSearch('lunch', [MESSAGES], { groupId: 'g1', channelId: 'general', userId: 'alice' });
+
+    expect(results.map(({ id }) => id)).toEqual(['m1']);
+    expect(messagesApi.listMessages).not.toHaveBeenCalledWith('random-chat', expect.anything());
+  });
+
+  it('escapes message text in highlights', async () => {
+    const { results } = await performSearch('lunch', [MESSAGES], { groupId: 'g1', channelId: 'random', userId: 'alice' });
+
+    expect(results[0]._highlighted.content).toBe('<mark>Lunch</mark> &lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  it('finds no messages outside a group', async () => {
+    const { results } = await performSearch('lunch', [MESSAGES], { userId: 'alice' });
+
+    expect(results).toEqual([]);
+  });
+});
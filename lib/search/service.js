@@ -1,6 +1,9 @@
 /**
  * Search Service for Shadow-Bind
  * Handles full-text search with Firestore indexing and real-time updates
+ *
+ * Messages are end-to-end encrypted, so no server can index them: they are decrypted and
+ * matched on this device, within the channels of one group.
  */
 
 import { db } from '../firebase';
@@ -10,7 +13,6 @@ import {
   where, 
   orderBy, 
   limit, 
-  onSnapshot,
   getDocs,
   doc,
   getDoc,
@@ -18,6 +20,10 @@ import {
   updateDoc,
   serverTimestamp 
 } from 'firebase/firestore';
+import { GROUPS_CONFIG, getGroupChannels } from '../groups/service';
+import { getMessageStore, MESSAGES_CONFIG } from '../messages/store';
+import { messagesApi } from '../messages/api';
+import { decryptChatMessage } from '../encryption/messaging';
 
 /**
  * Search configuration
@@ -48,6 +54,9 @@ export const SEARCH_CONFIG = {
  * @param {string} searchTerm - Search query
  * @param {Array} categories - Categories to search in
  * @param {Object} filters - Additional filters
+ * @param {string} filters.groupId - Only messages and files of this group
+ * @param {string} filters.channelId - Only messages of this channel of filters.groupId
+ * @param {string} filters.userId - Searching user, who decrypts the messages searched
  * @returns {Promise<Object>} - Search results
  */
 export async function performSearch(searchTerm, categories = [], filters = {}) {
@@ -108,14 +117,12 @@ async function searchInCategory(category, searchTerm, filters = {}) {
   // For now, using simple text matching on indexed fields
   let searchQuery;
   
+  // Group filter for the categories that belong to a group
+  const groupConstraints = filters.groupId ? [where('groupId', '==', filters.groupId)] : [];
+  
   switch (category) {
     case SEARCH_CONFIG.CATEGORIES.MESSAGES:
-      searchQuery = query(
-        collectionRef,
-        orderBy('timestamp', 'desc'),
-        limit(20)
-      );
-      break;
+      return filters.groupId && filters.userId ? searchChannelMessages(searchTerm, filters) : [];
       
     case SEARCH_CONFIG.CATEGORIES.USERS:
       searchQuery = query(
@@ -136,6 +143,7 @@ async function searchInCategory(category, searchTerm, filters = {}) {
     case SEARCH_CONFIG.CATEGORIES.FILES:
       searchQuery = query(
         collectionRef,
+        ...groupConstraints,
         orderBy('uploadedAt', 'desc'),
         limit(20)
       );
@@ -151,6 +159,11 @@ async function searchInCategory(category, searchTerm, filters = {}) {
   snapshot.forEach((doc) => {
     const data = doc.data();
     
+    // Secret groups are only reachable by invitation
+    if (category === SEARCH_CONFIG.CATEGORIES.GROUPS && data.type === GROUPS_CONFIG.TYPES.SECRET) {
+      return;
+    }
+    
     // Simple text matching (TODO: Implement advanced search)
     if (matchesSearchTerm(data, searchTerm, category)) {
       results.push({
@@ -164,6 +177,59 @@ async function searchInCategory(category, searchTerm, filters = {}) {
   return results;
 }
 
+/**
+ * Get the channels a message search covers
+ * @param {Object} filters - { groupId, channelId, userId }
+ * @returns {Promise<Array>} - The picked channel, or every channel of the group the user can see
+ */
+async function getSearchedChannels({ groupId, channelId = null, userId }) {
+  const channels = await getGroupChannels(groupId, userId);
+  return channels.filter(channel => !channelId || channel.id === channelId);
+}
+
+/**
+ * Decrypt messages on this device and keep those matching a search term, newest first
+ * @param {Array} messages - Messages with their chatId and channelId
+ * @param {string} searchTerm - Search query
+ * @param {string} userId - Searching user
+ * @param {number} pageSize - Most results
+ * @returns {Promise<Array>} - Results, with the plaintext as `content`
+ */
+async function matchMessages(messages, searchTerm, userId, pageSize) {
+  const category = SEARCH_CONFIG.CATEGORIES.MESSAGES;
+  const readable = await Promise.all(messages
+    .filter(message => !message.deleted && message.type === MESSAGES_CONFIG.TYPES.TEXT)
+    .map(async (message) => {
+      const { text } = await decryptChatMessage(message, userId);
+      return { ...message, content: text ?? null, sender: message.senderName };
+    }));
+  
+  const results = readable
+    .filter(data => matchesSearchTerm(data, searchTerm, category))
+    .map(data => ({ ...data, _highlighted: highlightSearchTerm(data, searchTerm, category) }));
+  
+  const time = (result) => new Date(result.timestamp || 0).getTime();
+  return results.sort((a, b) => time(b) - time(a)).slice(0, pageSize);
+}
+
+/**
+ * Search the latest messages of one channel, or of every channel of a group the user can see
+ * @param {string} searchTerm - Search query
+ * @param {Object} filters - { groupId, channelId, userId }
+ * @returns {Promise<Array>} - Search results
+ */
+async function searchChannelMessages(searchTerm, filters) {
+  const channels = await getSearchedChannels(filters);
+  const pages = await Promise.all(channels.map(channel =>
+    messagesApi.listMessages(channel.chatId, { limit: MESSAGES_CONFIG.MAX_PAGE_SIZE })
+  ));
+  
+  const messages = pages.flatMap(({ messages: page }, index) =>
+    page.map(message => ({ ...message, chatId: channels[index].chatId, channelId: channels[index].id }))
+  );
+  return matchMessages(messages, searchTerm, filters.userId, 20);
+}
+
 /**
  * Check if document matches search term
  * @param {Object} data - Document data
@@ -184,8 +250,20 @@ function matchesSearchTerm(data, searchTerm, category) {
   });
 }
 
+/**
+ * Escape text for use as HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return text.replace(/[&<>"']/g, character => entities[character]);
+}
+
 /**
  * Highlight search term in results
+ * Highlights are rendered as HTML and message text comes from other users, so both the
+ * text and the term are escaped first.
  * @param {Object} data - Document data
  * @param {string} searchTerm - Search query
  * @param {string} category - Document category
@@ -194,12 +272,13 @@ function matchesSearchTerm(data, searchTerm, category) {
 function highlightSearchTerm(data, searchTerm, category) {
   const highlighted = {};
   const indexes = SEARCH_CONFIG.INDEXES[category] || [];
-  const regex = new RegExp(`(${searchTerm})`, 'gi');
+  const pattern = escapeHtml(searchTerm).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(${pattern})`, 'gi');
   
   indexes.forEach(field => {
     const value = data[field];
     if (typeof value === 'string' && value.toLowerCase().includes(searchTerm.toLowerCase())) {
-      highlighted[field] = value.replace(regex, '<mark>$1</mark>');
+      highlighted[field] = escapeHtml(value).replace(regex, '<mark>$1</mark>');
     }
   });
   
@@ -211,9 +290,10 @@ function highlightSearchTerm(data, searchTerm, category) {
  * @param {string} searchTerm - Search query
  * @param {function} callback - Callback for results
  * @param {Array} categories - Categories to search
+ * @param {Object} filters - Group and channel filters, as for performSearch
  * @returns {function} - Unsubscribe function
  */
-export function subscribeToSearch(searchTerm, callback, categories = []) {
+export function subscribeToSearch(searchTerm, callback, categories = [], filters = {}) {
   if (!searchTerm || searchTerm.length < 2) {
     callback({ results: [], total: 0, categories: {} });
     return () => {};
@@ -227,7 +307,7 @@ export function subscribeToSearch(searchTerm, callback, categories = []) {
     const unsubscribe = subscribeToSearchCategory(category, searchTerm, (results) => {
       // TODO: Aggregate results from all categories
       callback({ results, total: results.length, categories: { [category]: results } });
-    });
+    }, filters);
     unsubscribes.push(unsubscribe);
   });
   
@@ -242,43 +322,56 @@ export function subscribeToSearch(searchTerm, callback, categories = []) {
  * @param {string} category - Category to search
  * @param {string} searchTerm - Search query
  * @param {function} callback - Callback for results
+ * @param {Object} filters - Group and channel filters
  * @returns {function} - Unsubscribe function
  */
-function subscribeToSearchCategory(category, searchTerm, callback) {
-  const collectionRef = collection(db, category);
+function subscribeToSearchCategory(category, searchTerm, callback, filters = {}) {
+  if (category === SEARCH_CONFIG.CATEGORIES.MESSAGES && filters.groupId && filters.userId) {
+    return subscribeToChannelMessages(searchTerm, callback, filters);
+  }
   
-  // TODO: Implement real-time search query
-  let searchQuery;
+  // TODO: Implement real-time search for the other categories
+  callback([]);
+  return () => {};
+}
+
+/**
+ * Subscribe to a channel-scoped message search
+ * Matches are recomputed on this device whenever a searched channel gets new messages.
+ * @param {string} searchTerm - Search query
+ * @param {function} callback - Callback for results
+ * @param {Object} filters - { groupId, channelId, userId }
+ * @returns {function} - Unsubscribe function
+ */
+function subscribeToChannelMessages(searchTerm, callback, filters) {
+  let unsubscribes = [];
+  let cancelled = false;
   
-  switch (category) {
-    case SEARCH_CONFIG.CATEGORIES.MESSAGES:
-      searchQuery = query(
-        collectionRef,
-        orderBy('timestamp', 'desc'),
-        limit(10)
-      );
-      break;
+  getSearchedChannels(filters)
+    .then((channels) => {
+      if (cancelled) return;
       
-    default:
-      // Return empty unsubscribe for unimplemented categories
+      const latest = {};
+      unsubscribes = channels.map(channel => getMessageStore().subscribeToMessages(channel.chatId, async (messages) => {
+        latest[channel.chatId] = messages.map(message => ({ ...message, chatId: channel.chatId, channelId: channel.id }));
+        const results = await matchMessages(Object.values(latest).flat(), searchTerm, filters.userId, 10);
+        if (!cancelled) {
+          callback(results);
+        }
+      }, {
+        limit: MESSAGES_CONFIG.MAX_PAGE_SIZE,
+        onError: (error) => console.error('Error in channel search:', error)
+      }));
+    })
+    .catch((error) => {
+      console.error('Error subscribing to channel search:', error);
       callback([]);
-      return () => {};
-  }
-  
-  return onSnapshot(searchQuery, (snapshot) => {
-    const results = [];
-    snapshot.forEach((doc) => {
-      const data = doc.data();
-      if (matchesSearchTerm(data, searchTerm, category)) {
-        results.push({
-          id: doc.id,
-          ...data,
-          _highlighted: highlightSearchTerm(data, searchTerm, category)
-        });
-      }
     });
-    callback(results);
-  });
+  
+  return () => {
+    cancelled = true;
+    unsubscribes.forEach(unsub => unsub());
+  };
 }
 
 /**
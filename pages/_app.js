@@ -1,6 +1,7 @@
 import '../styles/globals.css';
 import '../styles/advanced-features.css';
 import { useEffect } from 'react';
+import { answerIdTokenRequests } from '../lib/auth/apiRequests';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
@@ -16,6 +17,9 @@ export default function App({ Component, pageProps }) {
           console.log('❌ Notification Service Worker registration failed:', error);
         });
     }
+
+    // The service worker borrows the signed-in user's ID token for outbox and receipt requests
+    return answerIdTokenRequests();
   }, []);
 
   return <Component {...pageProps} />;
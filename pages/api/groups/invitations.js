@@ -0,0 +1,106 @@
+/**
+ * Group Invitations API
+ * Invites users to groups directly and records their answers
+ *
+ * GET  /api/groups/invitations [auth]
+ *      (the user's pending invitations)
+ * POST /api/groups/invitations { groupId, inviteeId, inviterName } [auth]
+ *      (needs manage_members, or membership while the group allows invites;
+ *       the invitee gets a `group_invite` push with accept and decline actions)
+ * POST /api/groups/invitations?action=respond { invitationId, accept } [auth]
+ *
+ * [auth] Acts as the signed-in user (the inviter or invitee): needs
+ *        `Authorization: Bearer <Firebase ID token>`
+ */
+
+import {
+  getGroupInvitations,
+  inviteToGroup,
+  respondToGroupInvitation
+} from '../../../lib/groups/service';
+import { notifyGroupInvitation } from '../../../lib/notifications/groups';
+import { getRequestUserId } from '../../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Group invitations API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const userId = await getRequestUserId(req);
+  const invitations = await getGroupInvitations(userId);
+
+  res.status(200).json({
+    success: true,
+    data: invitations
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const userId = await getRequestUserId(req);
+  const { groupId, inviteeId, inviterName, invitationId, accept } = req.body || {};
+
+  if (action === 'respond') {
+    if (!invitationId || typeof accept !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'invitationId and accept are required'
+      });
+    }
+
+    const invitation = await respondToGroupInvitation(invitationId, userId, accept);
+
+    return res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  }
+
+  if (!groupId || !inviteeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'groupId and inviteeId are required'
+    });
+  }
+
+  const invitation = await inviteToGroup(groupId, inviteeId, userId);
+
+  // The invitation stands even if no device could be reached
+  try {
+    await notifyGroupInvitation(invitation, inviterName);
+  } catch (error) {
+    console.error('Error notifying group invitation:', error);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: invitation
+  });
+}
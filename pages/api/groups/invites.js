@@ -0,0 +1,92 @@
+/**
+ * Group Invite Links API
+ * Previews and joins groups through invite links (/join/<code>)
+ *
+ * GET  /api/groups/invites?code=<code>
+ *      (the group behind an active link; any other link answers 404)
+ * POST /api/groups/invites?action=join { code } [auth]
+ *      (joins the group; answers the same 404 as the preview for links that cannot be used)
+ *
+ * [auth] Acts as the signed-in user (the joining user): needs
+ *        `Authorization: Bearer <Firebase ID token>`
+ */
+
+import { previewGroupInvite, joinGroupWithInvite } from '../../../lib/groups/service';
+import { getRequestUserId } from '../../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Group invites API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const { code } = req.query;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'code is required'
+    });
+  }
+
+  const preview = await previewGroupInvite(code);
+
+  res.status(200).json({
+    success: true,
+    data: preview
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { code } = req.body || {};
+
+  if (action !== 'join') {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown action'
+    });
+  }
+
+  const userId = await getRequestUserId(req);
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'code is required'
+    });
+  }
+
+  const result = await joinGroupWithInvite(code, userId);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}
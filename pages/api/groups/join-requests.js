@@ -0,0 +1,135 @@
+/**
+ * Group Join Requests API
+ * Joins groups found through discovery; private groups queue a request for approval
+ *
+ * GET  /api/groups/join-requests?groupId=<id> [auth]
+ *      (pending requests; the user must manage members)
+ * POST /api/groups/join-requests { groupId, message } [auth]
+ *      (public groups are joined at once, private groups get a pending request,
+ *       secret groups answer 404)
+ * POST /api/groups/join-requests?action=review { requestId, approve, message } [auth]
+ *      (the applicant gets a `group_invite` push with the outcome)
+ * POST /api/groups/join-requests?action=notify { requestId } [auth]
+ *      (pushes the outcome of a request the user reviewed elsewhere; each request notifies once)
+ *
+ * [auth] Acts as the signed-in user (the applicant or reviewer): needs
+ *        `Authorization: Bearer <Firebase ID token>`
+ */
+
+import { getJoinRequests, joinGroup, reviewJoinRequest } from '../../../lib/groups/service';
+import { notifyJoinRequestReviewed } from '../../../lib/notifications/groups';
+import { getRequestUserId } from '../../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Group join requests API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const userId = await getRequestUserId(req);
+  const { groupId } = req.query;
+
+  if (!groupId) {
+    return res.status(400).json({
+      success: false,
+      error: 'groupId is required'
+    });
+  }
+
+  const requests = await getJoinRequests(groupId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: requests
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { groupId, message, requestId, approve } = req.body || {};
+
+  if (action === 'review') {
+    const reviewerId = await getRequestUserId(req);
+
+    if (!requestId || typeof approve !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'requestId and approve are required'
+      });
+    }
+
+    const request = await reviewJoinRequest(requestId, reviewerId, approve, message);
+
+    // The review stands even if no device could be reached
+    try {
+      await notifyJoinRequestReviewed(requestId, reviewerId);
+    } catch (error) {
+      console.error('Error notifying join request applicant:', error);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: request
+    });
+  }
+
+  if (action === 'notify') {
+    const reviewerId = await getRequestUserId(req);
+
+    if (!requestId) {
+      return res.status(400).json({
+        success: false,
+        error: 'requestId is required'
+      });
+    }
+
+    const result = await notifyJoinRequestReviewed(requestId, reviewerId);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  }
+
+  const userId = await getRequestUserId(req);
+
+  if (!groupId) {
+    return res.status(400).json({
+      success: false,
+      error: 'groupId is required'
+    });
+  }
+
+  const result = await joinGroup(groupId, userId, { message });
+
+  res.status(result.status === 'pending' ? 202 : 200).json({
+    success: true,
+    data: result
+  });
+}
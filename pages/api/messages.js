@@ -1,55 +1,310 @@
-// Next.js API route support: https://nextjs.org/docs/api-routes/introduction
+/**
+ * Messages API
+ * Reads and writes chat messages through the message store
+ *
+ * GET  /api/messages?chatId=general&limit=50&before=<messageId> [auth]
+ * GET  /api/messages?chatId=general&after=<messageId> [auth]
+ * GET  /api/messages?chatId=general&messageId=<id>&action=revisions [auth]
+ * GET  /api/messages?chatId=general&messageId=<id>&action=thread [auth]
+ * GET  /api/messages?chatId=general&messageId=<id>&action=receipts [auth]
+ * GET  /api/messages?chatId=general&action=expiry [auth]
+ * POST /api/messages { chatId, id?, text | e2ee, senderName, replyTo, type, metadata, mentions } [auth]
+ *      (the group is the one the chat belongs to; a client-generated id makes retries
+ *       idempotent and the original message is returned;
+ *       end-to-end encrypted messages send an e2ee payload and no text;
+ *       mentions are entities from lib/messages/mentions and are notified once stored)
+ * POST /api/messages?action=react { chatId, messageId, emoji } [auth]
+ * POST /api/messages?action=receipt { chatId, messageIds, status } [auth]
+ * POST /api/messages?action=expiry { chatId, senderName, duration, minimum } [auth]
+ *      (disappearing message timer in ms; the minimum needs manage_settings in the chat's group)
+ * POST /api/messages?action=notify-mentions { chatId, messageId } [auth]
+ *      (pushes `mention` notifications for a stored message; each message notifies once)
+ * PATCH /api/messages { chatId, messageId, text | e2ee, mentions } [auth]
+ * DELETE /api/messages?chatId=general&messageId=<id> [auth]
+ * DELETE /api/messages?chatId=general&action=expired [auth]
+ *
+ * [auth] Acts as the signed-in user: needs `Authorization: Bearer <Firebase ID token>`
+ *        (the sender, reader, editor or moderator is taken from the token, never from the request).
+ *        Group chats are limited to members who can see the channel; see getChatAccess.
+ */
 
-export default function handler(req, res) {
+import { getMessageStore, MESSAGES_CONFIG } from '../../lib/messages/store';
+import { notifyMentions } from '../../lib/notifications/mentions';
+import { getRequestUserId } from '../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
   const { method } = req;
 
-  switch (method) {
-    case 'GET':
-      // Get messages
-      res.status(200).json({
-        success: true,
-        data: [
-          {
-            id: '1',
-            text: 'Welcome to Shadow Bind!',
-            sender: 'System',
-            timestamp: new Date().toISOString(),
-          },
-          {
-            id: '2',
-            text: 'This is a sample message',
-            sender: 'Demo User',
-            timestamp: new Date(Date.now() - 300000).toISOString(),
-          }
-        ]
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      case 'PATCH':
+        await handlePatch(req, res);
+        break;
+      case 'DELETE':
+        await handleDelete(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
       });
-      break;
-
-    case 'POST':
-      // Create new message
-      const { text, sender } = req.body;
-      
-      if (!text || !sender) {
-        return res.status(400).json({
-          success: false,
-          error: 'Text and sender are required'
-        });
-      }
-
-      // In a real app, this would save to Firebase
-      res.status(201).json({
-        success: true,
-        data: {
-          id: Date.now().toString(),
-          text,
-          sender,
-          timestamp: new Date().toISOString(),
-        }
+    }
+
+    console.error('Messages API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Authenticate a request and check the user may use the chat
+ * @param {Object} req - API request
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<string>} - Signed-in user ID
+ */
+async function authorizeChat(req, chatId) {
+  const userId = await getRequestUserId(req);
+  await getMessageStore().authorizeChat(chatId, userId);
+  return userId;
+}
+
+async function handleGet(req, res) {
+  const {
+    chatId = MESSAGES_CONFIG.DEFAULT_CHAT_ID,
+    before = null,
+    after = null,
+    limit,
+    messageId,
+    action
+  } = req.query;
+  const userId = await authorizeChat(req, chatId);
+
+  if (action === 'revisions') {
+
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
       });
-      break;
+    }
+
+    const revisions = await getMessageStore().getMessageRevisions(chatId, messageId, { userId });
+
+    return res.status(200).json({
+      success: true,
+      data: revisions
+    });
+  }
+
+  if (action === 'receipts') {
+
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+
+    const receipts = await getMessageStore().getReceipts(chatId, messageId, { userId });
+
+    return res.status(200).json({
+      success: true,
+      data: receipts
+    });
+  }
+
+  if (action === 'expiry') {
+    const settings = await getMessageStore().getExpirySettings(chatId);
 
-    default:
-      res.setHeader('Allow', ['GET', 'POST']);
-      res.status(405).end(`Method ${method} Not Allowed`);
+    return res.status(200).json({
+      success: true,
+      data: settings
+    });
   }
-}
\ No newline at end of file
+
+  if (action === 'thread') {
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+
+    const thread = await getMessageStore().getThread(chatId, messageId);
+
+    return res.status(200).json({
+      success: true,
+      data: thread
+    });
+  }
+
+  const { messages, pageInfo } = await getMessageStore().listMessages(chatId, {
+    before,
+    after,
+    limit
+  });
+
+  res.status(200).json({
+    success: true,
+    data: messages,
+    pageInfo
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { chatId = MESSAGES_CONFIG.DEFAULT_CHAT_ID, ...messageData } = req.body || {};
+  const userId = await authorizeChat(req, chatId);
+
+  if (action === 'receipt') {
+    const { messageIds, status } = messageData;
+
+    if (!messageIds) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageIds is required'
+      });
+    }
+
+    const updated = await getMessageStore().acknowledgeMessages(chatId, messageIds, { userId, status });
+
+    return res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  }
+
+  if (action === 'expiry') {
+    const { senderName, duration, minimum } = messageData;
+
+    const settings = await getMessageStore().updateExpirySettings(chatId, {
+      userId,
+      senderName,
+      duration,
+      minimum
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: settings
+    });
+  }
+
+  if (action === 'notify-mentions') {
+    const { messageId } = messageData;
+
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+
+    const result = await notifyMentions(chatId, messageId);
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  }
+
+  if (action === 'react') {
+    const { messageId, emoji } = messageData;
+
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+
+    const message = await getMessageStore().toggleReaction(chatId, messageId, { userId, emoji });
+
+    return res.status(200).json({
+      success: true,
+      data: message
+    });
+  }
+
+  const message = await getMessageStore().createMessage(chatId, { ...messageData, senderId: userId });
+
+  if (message.mentions?.length) {
+    try {
+      await notifyMentions(chatId, message.id);
+    } catch (error) {
+      console.error('Error notifying mentions:', error);
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    data: message
+  });
+}
+
+async function handlePatch(req, res) {
+  const {
+    chatId = MESSAGES_CONFIG.DEFAULT_CHAT_ID,
+    messageId,
+    text,
+    e2ee,
+    mentions
+  } = req.body || {};
+  const userId = await authorizeChat(req, chatId);
+
+  if (!messageId) {
+    return res.status(400).json({
+      success: false,
+      error: 'messageId is required'
+    });
+  }
+
+  const message = await getMessageStore().editMessage(chatId, messageId, { text, e2ee, mentions, userId });
+
+  res.status(200).json({
+    success: true,
+    data: message
+  });
+}
+
+async function handleDelete(req, res) {
+  const { chatId = MESSAGES_CONFIG.DEFAULT_CHAT_ID, messageId, action } = req.query;
+  const userId = await authorizeChat(req, chatId);
+
+  if (action === 'expired') {
+    const deleted = await getMessageStore().purgeExpiredMessages(chatId);
+
+    return res.status(200).json({
+      success: true,
+      data: { deleted: deleted.length, messages: deleted }
+    });
+  }
+
+
+  if (!messageId) {
+    return res.status(400).json({
+      success: false,
+      error: 'messageId is required'
+    });
+  }
+
+  const message = await getMessageStore().deleteMessage(chatId, messageId, { userId });
+
+  res.status(200).json({
+    success: true,
+    data: message
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * Notification Actions API
+ * Performs the buttons on push notifications for the service worker
+ *
+ * POST /api/notifications/actions { action, message? }
+ *      (needs `Authorization: Bearer <actionToken>` from the notification's data;
+ *       action is reply, mark_read, mark_delivered (the delivery receipt sent when the push
+ *       arrives), accept_invite or decline_invite, and must be one the token allows;
+ *       reply sends an end-to-end encrypted `message` answering the notified message)
+ */
+
+import { performNotificationAction, verifyActionToken } from '../../../lib/notifications/actions';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['POST']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Notification actions API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handlePost(req, res) {
+  const { action, message } = req.body || {};
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  if (!action) {
+    return res.status(400).json({
+      success: false,
+      error: 'action is required'
+    });
+  }
+
+  const claims = await verifyActionToken(token);
+  const result = await performNotificationAction(claims, { action, message });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * Local Push Service API (development)
+ * A stand-in push service for testing Web Push end to end; see lib/notifications/localPushService
+ *
+ * POST   /api/notifications/local-push
+ *        (creates a subscription; register it with /api/notifications/subscriptions)
+ * POST   /api/notifications/local-push?id=<id>
+ *        (push endpoint: VAPID-authorized aes128gcm body, answers 201, or 410 once deleted)
+ * GET    /api/notifications/local-push?id=<id>
+ *        (decrypted pushes received so far)
+ * DELETE /api/notifications/local-push?id=<id>
+ *        (unsubscribes, so later pushes get 410 Gone)
+ */
+
+import {
+  isLocalPushServiceEnabled,
+  createLocalSubscription,
+  receiveLocalPush,
+  listLocalPushes,
+  deleteLocalSubscription
+} from '../../../lib/notifications/localPushService';
+
+// Push bodies are binary and must be read as sent
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!isLocalPushServiceEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not found'
+    });
+  }
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      case 'DELETE':
+        await handleDelete(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Local push service error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Get the origin this request was made to
+ * @param {Object} req - Request
+ * @returns {string} - Origin, e.g. http://localhost:3000
+ */
+function requestOrigin(req) {
+  const protocol = req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http');
+  return `${protocol}://${req.headers.host}`;
+}
+
+/**
+ * Read the raw request body
+ * @param {Object} req - Request
+ * @returns {Promise<Uint8Array>} - Body bytes
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+async function handleGet(req, res) {
+  const messages = listLocalPushes(req.query.id);
+
+  if (!messages) {
+    return res.status(404).json({
+      success: false,
+      error: 'Subscription not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: messages
+  });
+}
+
+async function handlePost(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    const subscription = await createLocalSubscription(requestOrigin(req));
+
+    return res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  }
+
+  const status = await receiveLocalPush(id, {
+    origin: requestOrigin(req),
+    headers: req.headers,
+    body: await readBody(req)
+  });
+
+  res.status(status).end();
+}
+
+async function handleDelete(req, res) {
+  const deleted = deleteLocalSubscription(req.query.id);
+
+  res.status(200).json({
+    success: true,
+    data: { deleted }
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Scheduled Notifications API
+ * Stores notifications due at a later time and dispatches them through Web Push
+ *
+ * GET    /api/notifications/scheduled?status=<status>&kind=<kind> [auth]
+ *        (the user's scheduled notifications, soonest first; status and kind are optional filters)
+ * GET    /api/notifications/scheduled?id=<id> [auth]
+ * POST   /api/notifications/scheduled { notification, scheduledFor, kind, reference } [auth]
+ *        (notification is what the service worker shows: { title, body, category, priority, data, ... })
+ * PATCH  /api/notifications/scheduled { id, notification, scheduledFor } [auth]
+ *        (notification fields are merged; a failed notification is scheduled again)
+ * DELETE /api/notifications/scheduled { id } [auth]
+ *        (cancels; the record is kept with status `cancelled`)
+ * POST   /api/notifications/scheduled?action=dispatch { limit }
+ *        (worker: pushes everything that is due; run it every minute from a cron job with
+ *         `Authorization: Bearer <NOTIFICATIONS_API_SECRET>`, or NOTIFICATIONS_API_OPEN=true in development)
+ *
+ * [auth] Only for the signed-in user's own notifications: needs
+ *        `Authorization: Bearer <Firebase ID token>`
+ */
+
+import { getScheduledNotificationStore, dispatchDueNotifications } from '../../../lib/notifications/scheduled';
+import { isAuthorizedSender } from '../../../lib/notifications/webPush';
+import { getRequestUserId } from '../../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      case 'PATCH':
+        await handlePatch(req, res);
+        break;
+      case 'DELETE':
+        await handleDelete(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'PATCH', 'DELETE']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Scheduled notifications API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const userId = await getRequestUserId(req);
+  const { id, status, kind } = req.query;
+
+  const store = getScheduledNotificationStore();
+  const data = id
+    ? await store.getScheduledNotification(userId, id)
+    : await store.listScheduledNotifications(userId, { status, kind });
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { notification, scheduledFor, kind, reference, limit } = req.body || {};
+
+  if (action === 'dispatch') {
+    if (!isAuthorizedSender(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
+    const summary = await dispatchDueNotifications({
+      limit: Number.isInteger(limit) && limit > 0 ? limit : undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: summary
+    });
+  }
+
+  const userId = await getRequestUserId(req);
+
+  if (!notification || !scheduledFor) {
+    return res.status(400).json({
+      success: false,
+      error: 'notification and scheduledFor are required'
+    });
+  }
+
+  const scheduled = await getScheduledNotificationStore().scheduleNotification(userId, {
+    notification,
+    scheduledFor,
+    kind,
+    reference
+  });
+
+  res.status(201).json({
+    success: true,
+    data: scheduled
+  });
+}
+
+async function handlePatch(req, res) {
+  const userId = await getRequestUserId(req);
+  const { id, notification, scheduledFor } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: 'id is required'
+    });
+  }
+
+  const updated = await getScheduledNotificationStore().updateScheduledNotification(userId, id, {
+    notification,
+    scheduledFor
+  });
+
+  res.status(200).json({
+    success: true,
+    data: updated
+  });
+}
+
+async function handleDelete(req, res) {
+  const userId = await getRequestUserId(req);
+  const { id } = req.body || {};
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      error: 'id is required'
+    });
+  }
+
+  const cancelled = await getScheduledNotificationStore().cancelScheduledNotification(userId, id);
+
+  res.status(200).json({
+    success: true,
+    data: cancelled
+  });
+}
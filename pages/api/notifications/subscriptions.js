@@ -0,0 +1,135 @@
+/**
+ * Push Subscriptions API
+ * Stores Web Push subscriptions per user and device and sends pushes to them
+ *
+ * GET    /api/notifications/subscriptions?action=vapid-key
+ *        (application server key browsers subscribe with)
+ * POST   /api/notifications/subscriptions { deviceId, subscription } [auth]
+ *        (subscription is PushSubscription.toJSON() from a known push service; replaces the
+ *         device's previous one)
+ * DELETE /api/notifications/subscriptions { deviceId, endpoint } [auth]
+ * POST   /api/notifications/subscriptions?action=send { userId, notification, ttl, urgency, topic }
+ *        (server use: needs `Authorization: Bearer <NOTIFICATIONS_API_SECRET>`, or NOTIFICATIONS_API_OPEN=true
+ *         in development; subscriptions the push service reports as gone are deleted)
+ *
+ * [auth] Only for the signed-in user's own devices: needs `Authorization: Bearer <Firebase ID token>`
+ */
+
+import { getPushSubscriptionStore } from '../../../lib/notifications/subscriptions';
+import { getVapidKeys, isAuthorizedSender, sendPushToUser } from '../../../lib/notifications/webPush';
+import { getRequestUserId } from '../../../lib/auth/idTokens';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      case 'DELETE':
+        await handleDelete(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Push subscriptions API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const { action } = req.query;
+
+  if (action !== 'vapid-key') {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown action'
+    });
+  }
+
+  const { publicKey } = await getVapidKeys();
+
+  res.status(200).json({
+    success: true,
+    data: { publicKey }
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { userId, deviceId, subscription, notification, ttl, urgency, topic } = req.body || {};
+
+  if (action === 'send') {
+    if (!isAuthorizedSender(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
+    if (!userId || !notification?.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'userId and notification.title are required'
+      });
+    }
+
+    const result = await sendPushToUser(userId, notification, { ttl, urgency, topic });
+
+    return res.status(200).json({
+      success: true,
+      data: result
+    });
+  }
+
+  const subscriberId = await getRequestUserId(req);
+
+  if (!deviceId || !subscription) {
+    return res.status(400).json({
+      success: false,
+      error: 'deviceId and subscription are required'
+    });
+  }
+
+  const saved = await getPushSubscriptionStore().saveSubscription(subscriberId, deviceId, subscription);
+
+  res.status(201).json({
+    success: true,
+    data: saved
+  });
+}
+
+async function handleDelete(req, res) {
+  const userId = await getRequestUserId(req);
+  const { deviceId, endpoint } = req.body || {};
+
+  if (!deviceId) {
+    return res.status(400).json({
+      success: false,
+      error: 'deviceId is required'
+    });
+  }
+
+  const removed = await getPushSubscriptionStore().removeSubscription(userId, { deviceId, endpoint });
+
+  res.status(200).json({
+    success: true,
+    data: { removed }
+  });
+}
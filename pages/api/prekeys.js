@@ -0,0 +1,129 @@
+/**
+ * Pre-keys API
+ * Publishes device key bundles and hands out one-time pre-keys through the pre-key store
+ *
+ * GET  /api/prekeys?action=count&userId=<id>&deviceId=<id> [auth: own devices]
+ *      (one-time pre-keys left and the published signed pre-key ID)
+ * POST /api/prekeys { userId, bundle, preKeys: [{ id, publicKey }], replace } [auth: own devices]
+ *      (bundle from EncryptionService.getPublicKeyBundle; replace drops pre-keys uploaded before)
+ * POST /api/prekeys?action=claim { userId, deviceId } [auth]
+ *      (bundle with one one-time pre-key, removed so no other session gets it; preKeyId and
+ *       preKey are null once the device has run out or the caller has claimed too many of
+ *       its keys; too many claims in all answer 429)
+ *
+ * [auth] Needs `Authorization: Bearer <Firebase ID token>`; "own devices" means userId must be
+ *        the signed-in user
+ */
+
+import { getPreKeyStore } from '../../lib/prekeys/store';
+import { getRequestUserId } from '../../lib/auth/idTokens';
+
+/**
+ * Check that the signed-in user is the user a request names
+ * @param {Object} req - API request
+ * @param {string} userId - User ID from the request
+ * @returns {Promise<void>}
+ */
+async function requireSameUser(req, userId) {
+  if (await getRequestUserId(req) !== userId) {
+    const error = new Error('Only your own devices can be managed');
+    error.status = 403;
+    throw error;
+  }
+}
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET':
+        await handleGet(req, res);
+        break;
+      case 'POST':
+        await handlePost(req, res);
+        break;
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Pre-keys API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+async function handleGet(req, res) {
+  const { action, userId, deviceId } = req.query;
+
+  if (action !== 'count') {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown action'
+    });
+  }
+
+  if (!userId || !deviceId) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId and deviceId are required'
+    });
+  }
+
+  await requireSameUser(req, userId);
+  const count = await getPreKeyStore().countPreKeys(userId, deviceId);
+
+  res.status(200).json({
+    success: true,
+    data: count
+  });
+}
+
+async function handlePost(req, res) {
+  const { action } = req.query;
+  const { userId, deviceId, bundle, preKeys, replace } = req.body || {};
+
+  if (action === 'claim') {
+    const claimerId = await getRequestUserId(req);
+
+    if (!userId || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'userId and deviceId are required'
+      });
+    }
+
+    const claimed = await getPreKeyStore().claimBundle(userId, deviceId, claimerId);
+
+    return res.status(200).json({
+      success: true,
+      data: claimed
+    });
+  }
+
+  if (!userId || !bundle) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId and bundle are required'
+    });
+  }
+
+  await requireSameUser(req, userId);
+
+  const count = await getPreKeyStore().uploadBundle(userId, { bundle, preKeys, replace: Boolean(replace) });
+
+  res.status(200).json({
+    success: true,
+    data: count
+  });
+}
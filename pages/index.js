@@ -6,13 +6,14 @@ import { auth } from '../lib/firebase';
 import AuthStatus from '../components/AuthStatus';
 import { useAdminAuth } from '../lib/admin/middleware';
 import SearchBox from '../components/search/SearchBox';
-import { initializeNotifications } from '../lib/notifications/service';
+import { initializeNotifications, notificationsService } from '../lib/notifications/service';
 import { initializeEncryption } from '../lib/encryption/e2ee';
 
 export default function Home() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [searchResults, setSearchResults] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
   
   const adminAuth = useAdminAuth(user);
 
@@ -40,6 +41,14 @@ export default function Home() {
     return () => unsubscribe();
   }, []);
 
+  useEffect(() => {
+    if (!user) return;
+
+    return notificationsService.subscribeToNotificationHistory(entries =>
+      setUnreadCount(entries.filter(entry => !entry.read).length)
+    );
+  }, [user]);
+
   const handleSearchResults = (results) => {
     setSearchResults(results);
   };
@@ -131,6 +140,7 @@ export default function Home() {
               </Link>
               <Link href="/notifications" className="nav-link">
                 🔔 Notifications
+                {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
               </Link>
               {adminAuth.isAdmin && (
                 <Link href="/admin" className="nav-link admin">
@@ -0,0 +1,122 @@
+/**
+ * Join Page
+ * Previews the group behind an invite link and joins it
+ */
+
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useState, useEffect } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth } from '../../lib/firebase';
+import { GROUPS_CONFIG, fetchGroupInvitePreview, requestGroupInviteJoin } from '../../lib/groups/service';
+
+export default function JoinPage() {
+  const router = useRouter();
+  const { code } = router.query;
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [joined, setJoined] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      setUser(user);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!code) return;
+
+    let active = true;
+    fetchGroupInvitePreview(code)
+      .then(result => active && setPreview(result))
+      .catch(error => active && setError(error.status === 404
+        ? 'This invite link is not valid.'
+        : 'Could not load this invite. Please try again.'));
+
+    return () => {
+      active = false;
+    };
+  }, [code]);
+
+  const handleJoin = async () => {
+    setJoining(true);
+
+    try {
+      setJoined(await requestGroupInviteJoin(preview.code));
+    } catch (error) {
+      console.error('Error joining group:', error);
+      setError(error.status ? error.message : 'Failed to join the group. Please try again.');
+    }
+
+    setJoining(false);
+  };
+
+  if (loading || (!preview && !error)) {
+    return (
+      <div className="join-loading">
+        <p>Loading invite...</p>
+      </div>
+    );
+  }
+
+  const group = preview?.group;
+
+  return (
+    <div className="join-page">
+      <Head>
+        <title>{group ? `Join ${group.name}` : 'Invite'} - Shadow Bind</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <main className="join-main">
+        {error || !group ? (
+          <>
+            <h1>Invite unavailable</h1>
+            <p>{error}</p>
+            <Link href="/" className="btn btn-primary">Go to Shadow Bind</Link>
+          </>
+        ) : (
+          <div className="join-card">
+            <div className="group-avatar">
+              <div className="group-placeholder">{group.name.charAt(0).toUpperCase()}</div>
+            </div>
+            <h1>{group.name}</h1>
+            {group.description && <p>{group.description}</p>}
+            <div className="group-meta">
+              <span>{group.memberCount} members</span>
+              <span>•</span>
+              <span>{group.category}</span>
+              {group.type !== GROUPS_CONFIG.TYPES.PUBLIC && <span>• Private</span>}
+            </div>
+            {preview.expiresAt && (
+              <p className="join-expiry">Invite expires {new Date(preview.expiresAt).toLocaleString()}</p>
+            )}
+
+            {joined ? (
+              <>
+                <p>{joined.alreadyMember ? 'You are already a member of this group.' : `You joined ${group.name}.`}</p>
+                <Link href="/demo" className="btn btn-primary">Open group chats</Link>
+              </>
+            ) : user ? (
+              <button onClick={handleJoin} disabled={joining} className="btn btn-primary">
+                {joining ? 'Joining...' : 'Join group'}
+              </button>
+            ) : (
+              <>
+                <p>Log in to join this group.</p>
+                <Link href="/" className="btn btn-primary">Go to Login</Link>
+              </>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
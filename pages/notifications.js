@@ -0,0 +1,62 @@
+/**
+ * Notifications Page
+ * In-app notification center for everything received on this device
+ */
+
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState, useEffect } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth } from '../lib/firebase';
+import NotificationInbox from '../components/NotificationInbox';
+
+export default function NotificationsPage() {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      setUser(user);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="notifications-loading">
+        <p>Loading notifications...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="notifications-auth-required">
+        <Head>
+          <title>Login Required - Shadow Bind Notifications</title>
+        </Head>
+
+        <main className="notifications-login-page">
+          <h1>Authentication Required</h1>
+          <p>Please log in to see your notifications.</p>
+          <Link href="/" className="btn btn-primary">Go to Login</Link>
+        </main>
+      </div>
+    );
+  }
+
+  return (
+    <div className="notifications-page">
+      <Head>
+        <title>Notifications - Shadow Bind</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <main className="notifications-main">
+        <NotificationInbox />
+      </main>
+    </div>
+  );
+}
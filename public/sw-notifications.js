@@ -25,6 +25,79 @@ const NOTIFICATIONS_CONFIG = {
   }
 };
 
+// Outbox schema shared with lib/messages/outbox.js
+const OUTBOX_CONFIG = {
+  DB_NAME: 'shadow-bind-outbox',
+  DB_VERSION: 1,
+  STORE_NAME: 'messages',
+  SYNC_TAG: 'message-outbox-sync',
+  CHANNEL_NAME: 'shadow-bind-outbox',
+  STATUS: {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    FAILED: 'failed'
+  },
+  MAX_ATTEMPTS: 5,
+  SENDING_TIMEOUT: 30 * 1000
+};
+
+// Inbox schema shared with lib/notifications/inbox.js
+const INBOX_CONFIG = {
+  DB_NAME: 'shadow-bind-notifications',
+  DB_VERSION: 1,
+  STORE_NAME: 'inbox',
+  CHANNEL_NAME: 'shadow-bind-notifications',
+  MAX_ENTRIES: 500
+};
+
+// Rules schema shared with lib/notifications/rules.js
+const NOTIFICATION_RULES_CONFIG = {
+  DB_NAME: 'shadow-bind-notification-rules',
+  DB_VERSION: 1,
+  STORE_NAME: 'settings',
+  CHANNEL_NAME: 'shadow-bind-notification-rules',
+  MODES: {
+    ALL: 'all',
+    MENTIONS: 'mentions',
+    MUTED: 'muted'
+  },
+  SOUNDS: {
+    DEFAULT: 'default',
+    SILENT: 'silent'
+  },
+  VIBRATION_PATTERNS: {
+    default: [100, 50, 100],
+    none: [],
+    short: [200],
+    long: [500, 200, 500],
+    pulse: [100, 50, 100, 50, 100, 50, 100]
+  }
+};
+
+// Action queue schema shared with lib/notifications/actionQueue.js
+const ACTION_QUEUE_CONFIG = {
+  DB_NAME: 'shadow-bind-notification-actions',
+  DB_VERSION: 1,
+  STORE_NAME: 'actions',
+  SYNC_TAG: 'notification-action-sync',
+  CHANNEL_NAME: 'shadow-bind-notification-actions',
+  STATUS: {
+    AWAITING_ENCRYPTION: 'awaiting_encryption',
+    PENDING: 'pending',
+    FAILED: 'failed'
+  },
+  MAX_ATTEMPTS: 5,
+  // Performed by lib/notifications/actions.js; mute is applied here
+  API_PATH: '/api/notifications/actions',
+  MUTE_DURATION: 60 * 60 * 1000
+};
+
+// Tail of the running action queue flush
+let actionFlush = Promise.resolve();
+
+// How long an open tab gets to answer a GET_ID_TOKEN request
+const ID_TOKEN_REQUEST_TIMEOUT = 5 * 1000;
+
 /**
  * Install event - Set up service worker
  */
@@ -98,10 +171,12 @@ self.addEventListener('push', (event) => {
 /**
  * Handle push notification data
  * @param {Object} data - Notification data
+ * @param {Object} options - { fromApp: the page already applied the rules and recorded it }
  */
-async function handlePushNotification(data) {
+async function handlePushNotification(data, { fromApp = false } = {}) {
   try {
     const {
+      id = `notif_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
       title,
       body,
       category = NOTIFICATIONS_CONFIG.CATEGORIES.MESSAGE,
@@ -113,14 +188,24 @@ async function handlePushNotification(data) {
       tag,
       requireInteraction = false,
       silent = false,
-      vibrate = NOTIFICATIONS_CONFIG.DEFAULT_OPTIONS.vibrate
+      vibrate = NOTIFICATIONS_CONFIG.DEFAULT_OPTIONS.vibrate,
+      priority = null
     } = data;
     
-    // Check if notification should be shown based on user preferences
-    const shouldShow = await shouldShowNotification(category, notificationData);
-    if (!shouldShow) {
+    // Acknowledge delivery of chat messages that arrive by push, shown or not
+    const deliveryReceipt = notificationData.messageId && !fromApp
+      ? sendMessageReceipt(notificationData, 'delivered')
+      : null;
+    
+    // Check if notification should be shown based on user preferences and conversation rules
+    const verdict = fromApp
+      ? null
+      : await shouldShowNotification(category, { priority, title, body, data: notificationData });
+    if (verdict && !verdict.show) {
+      await deliveryReceipt;
       return;
     }
+    const ruleSilent = verdict?.sound === NOTIFICATION_RULES_CONFIG.SOUNDS.SILENT;
     
     // Prepare notification options
     const options = {
@@ -129,24 +214,37 @@ async function handlePushNotification(data) {
       badge,
       data: {
         ...notificationData,
+        notificationId: id,
         category,
         timestamp: Date.now(),
         swVersion: SW_VERSION
       },
-      actions: actions.slice(0, 2), // Maximum 2 actions on most platforms
+      actions: actions.slice(0, Notification.maxActions || 2), // Maximum 2 actions on most platforms
       image,
       tag: tag || `${category}_${Date.now()}`,
-      requireInteraction,
-      silent,
-      vibrate,
+      // Keyword alerts stay up until they are seen
+      requireInteraction: requireInteraction || Boolean(verdict?.keyword),
+      silent: silent || ruleSilent,
+      vibrate: verdict && !ruleSilent
+        ? NOTIFICATION_RULES_CONFIG.VIBRATION_PATTERNS[verdict.vibration] || vibrate
+        : vibrate,
       renotify: category === NOTIFICATIONS_CONFIG.CATEGORIES.SECURITY
     };
     
     // Show notification
     await self.registration.showNotification(title, options);
+    await deliveryReceipt;
+    
+    if (verdict) {
+      await requestNotificationSound(verdict.sound);
+    }
+    
+    if (!fromApp) {
+      await recordInboxEntry({ id, title, body, category, priority, data: notificationData, timestamp: Date.now() });
+    }
     
     // Update notification badge
-    updateNotificationBadge();
+    await updateNotificationBadge();
     
     // Log notification analytics
     logNotificationAnalytics({
@@ -173,10 +271,16 @@ self.addEventListener('notificationclick', (event) => {
   // Close notification
   notification.close();
   
+  // Opening a notification (or a summary of several) reads it
+  const readIds = data.notificationId ? [data.notificationId] : data.notifications || [];
+  if (readIds.length > 0) {
+    event.waitUntil(markInboxEntriesRead(readIds));
+  }
+  
   // Handle action clicks
   if (event.action) {
     event.waitUntil(
-      handleNotificationAction(event.action, data)
+      handleNotificationAction(event.action, data, event.reply)
     );
     return;
   }
@@ -215,7 +319,9 @@ async function handleNotificationClick(data) {
           break;
           
         case NOTIFICATIONS_CONFIG.CATEGORIES.MENTION:
-          targetUrl = `/groups/${groupId}?message=${messageId}`;
+          targetUrl = groupId
+            ? `/groups/${groupId}?message=${messageId}`
+            : `/chat/${chatId}?message=${messageId}`;
           break;
           
         case NOTIFICATIONS_CONFIG.CATEGORIES.SECURITY:
@@ -254,22 +360,35 @@ async function handleNotificationClick(data) {
 
 /**
  * Handle notification action buttons
+ * Actions that change server state are queued and sent with the notification's action
+ * token, so they survive being offline and are replayed on `sync`.
  * @param {string} action - Action ID
  * @param {Object} data - Notification data
+ * @param {string|null} reply - Text typed into an inline reply, where the browser supports it
  */
-async function handleNotificationAction(action, data) {
+async function handleNotificationAction(action, data, reply = null) {
   try {
     console.log(`[SW] Notification action: ${action}`, data);
     
     switch (action) {
       case 'reply':
-        // Open reply interface
-        await self.clients.openWindow(`/chat/${data.chatId || data.groupId}?reply=true`);
+        if (reply?.trim() && data.actionToken) {
+          await queueNotificationAction(action, data, { text: reply.trim() });
+        } else {
+          // No inline reply here: open the conversation to answer there
+          await self.clients.openWindow(data.groupId
+            ? `/groups/${data.groupId}?reply=${data.messageId}`
+            : `/chat/${data.chatId}?reply=${data.messageId}`);
+        }
         break;
         
       case 'mark_read':
         // Mark message as read (background operation)
-        await markMessageAsRead(data.messageId);
+        await markMessageAsRead(data);
+        break;
+        
+      case 'mute':
+        await muteConversation(data);
         break;
         
       case 'dismiss':
@@ -281,8 +400,8 @@ async function handleNotificationAction(action, data) {
         break;
         
       case 'accept_invite':
-        // Accept group invitation
-        await acceptGroupInvite(data.groupId, data.inviteId);
+      case 'decline_invite':
+        await respondToGroupInvite(action, data);
         break;
         
       default:
@@ -304,7 +423,11 @@ self.addEventListener('message', (event) => {
   
   switch (type) {
     case 'SHOW_NOTIFICATION':
-      handlePushNotification(data.notification);
+      // Options hold what the page decided (silent, vibration, tag)
+      event.waitUntil(handlePushNotification(
+        { ...data.notification, ...data.notification.options },
+        { fromApp: true }
+      ));
       break;
       
     case 'CLEAR_NOTIFICATIONS':
@@ -312,13 +435,19 @@ self.addEventListener('message', (event) => {
       break;
       
     case 'UPDATE_BADGE':
-      updateNotificationBadge(data.count);
+      event.waitUntil(updateNotificationBadge(data.count));
       break;
       
     case 'SYNC_NOTIFICATIONS':
       syncNotifications();
       break;
       
+    case 'FLUSH_NOTIFICATION_ACTIONS':
+      event.waitUntil(flushNotificationActions().catch((error) => {
+        console.warn('[SW] Notification actions still pending:', error.message);
+      }));
+      break;
+      
     default:
       console.warn('[SW] Unknown message type:', type);
   }
@@ -333,33 +462,183 @@ self.addEventListener('sync', (event) => {
   if (event.tag === 'notification-sync') {
     event.waitUntil(syncNotifications());
   }
+  
+  if (event.tag === OUTBOX_CONFIG.SYNC_TAG) {
+    event.waitUntil(flushMessageOutbox());
+  }
+  
+  if (event.tag === ACTION_QUEUE_CONFIG.SYNC_TAG) {
+    event.waitUntil(flushNotificationActions());
+  }
 });
 
 /**
- * Check if notification should be shown based on preferences
+ * Check if notification should be shown based on preferences and conversation rules
+ * Same rules as NotificationsService.shouldSendNotification in the foreground.
  * @param {string} category - Notification category
- * @param {Object} data - Notification data
- * @returns {Promise<boolean>} - Should show notification
+ * @param {Object} notification - { priority, title, body, data }
+ * @returns {Promise<Object>} - { show, sound, vibration, keyword }
  */
-async function shouldShowNotification(category, data) {
+async function shouldShowNotification(category, notification) {
   try {
-    // TODO: Check user preferences from IndexedDB or make API call
-    // For now, show all notifications
-    return true;
+    const rules = await loadNotificationRules();
+    return evaluateNotification(rules, { ...notification, category }, new Date());
   } catch (error) {
     console.error('[SW] Check notification preferences error:', error);
-    return true; // Default to showing notifications
+    return { show: true, sound: NOTIFICATION_RULES_CONFIG.SOUNDS.DEFAULT, vibration: 'default', keyword: null }; // Default to showing notifications
+  }
+}
+
+/**
+ * Open the notification rules database shared with the app
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openNotificationRules() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(NOTIFICATION_RULES_CONFIG.DB_NAME, NOTIFICATION_RULES_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(NOTIFICATION_RULES_CONFIG.STORE_NAME, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Load notification rules saved by the app
+ * @returns {Promise<Object>} - { preferences, keywords, conversations: { [key]: rule } }
+ */
+async function loadNotificationRules() {
+  const db = await openNotificationRules();
+  
+  try {
+    const records = await new Promise((resolve, reject) => {
+      const request = db.transaction(NOTIFICATION_RULES_CONFIG.STORE_NAME, 'readonly')
+        .objectStore(NOTIFICATION_RULES_CONFIG.STORE_NAME)
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    const rules = { preferences: null, keywords: [], conversations: {} };
+    records.forEach(record => {
+      if (record.key === 'preferences') {
+        rules.preferences = record.value;
+      } else if (record.key === 'keywords') {
+        rules.keywords = record.value;
+      } else {
+        rules.conversations[record.key] = record.value;
+      }
+    });
+    return rules;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Check if a time falls in the do not disturb window (copy of lib/notifications/rules.js)
+ * @param {Object} schedule - { start, end } hours
+ * @param {Date} now - Time to check
+ * @returns {boolean} - Is DND time
+ */
+function isDoNotDisturbTime(schedule, now) {
+  if (!schedule) {
+    return false;
+  }
+  
+  const hour = now.getHours();
+  const { start, end } = schedule;
+  
+  return start <= end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+/**
+ * Find the keyword a text alerts on (copy of lib/notifications/rules.js)
+ * @param {Array<string>} keywords - Keywords
+ * @param {string} text - Text to search
+ * @returns {string|null} - Matching keyword
+ */
+function matchKeyword(keywords, text) {
+  return (keywords || []).find(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+  }) || null;
+}
+
+/**
+ * Decide whether and how to show a notification (copy of lib/notifications/rules.js)
+ * @param {Object} rules - From loadNotificationRules
+ * @param {Object} notification - { category, priority, title, body, data: { chatId, groupId } }
+ * @param {Date} now - Current time
+ * @returns {Object} - { show, sound, vibration, keyword }
+ */
+function evaluateNotification(rules, notification, now) {
+  const { preferences, keywords, conversations = {} } = rules;
+  const { category, priority, title = '', body = '', data = {} } = notification;
+  const { MODES, SOUNDS } = NOTIFICATION_RULES_CONFIG;
+  const isMention = category === NOTIFICATIONS_CONFIG.CATEGORIES.MENTION;
+  
+  const rule = (data.chatId && conversations[`chat:${data.chatId}`]) ||
+    (data.groupId && conversations[`group:${data.groupId}`]) ||
+    null;
+  const muted = rule?.mode === MODES.MUTED && (!rule.mutedUntil || rule.mutedUntil > now.getTime());
+  const keyword = matchKeyword(keywords, `${title}\n${body}`);
+  
+  const verdict = (show) => ({
+    show,
+    sound: rule?.sound || SOUNDS.DEFAULT,
+    vibration: rule?.vibration || 'default',
+    keyword
+  });
+  
+  if (preferences?.categories && !preferences.categories[category]) {
+    return verdict(false);
   }
+  
+  // Mentions wait for the end of do not disturb even though they are high priority
+  if (preferences?.doNotDisturb && isDoNotDisturbTime(preferences.doNotDisturbSchedule, now)) {
+    return verdict(priority === 'high' && !isMention);
+  }
+  
+  // Muted conversations only get through by mentioning the user
+  if (muted) {
+    return verdict(isMention);
+  }
+  
+  if (rule?.mode === MODES.MENTIONS) {
+    return verdict(isMention || Boolean(keyword));
+  }
+  
+  return verdict(true);
+}
+
+/**
+ * Ask an open tab to play an app-provided notification sound
+ * @param {string} sound - Sound name
+ */
+async function requestNotificationSound(sound) {
+  const { SOUNDS } = NOTIFICATION_RULES_CONFIG;
+  if (sound === SOUNDS.DEFAULT || sound === SOUNDS.SILENT) {
+    return;
+  }
+  
+  const clients = await self.clients.matchAll({ type: 'window' });
+  const client = clients.find(candidate => candidate.visibilityState === 'visible') || clients[0];
+  client?.postMessage({ type: 'PLAY_NOTIFICATION_SOUND', sound });
 }
 
 /**
  * Update notification badge
- * @param {number} count - Notification count
+ * @param {number} count - Notification count (defaults to the inbox's unread count)
  */
-function updateNotificationBadge(count) {
+async function updateNotificationBadge(count) {
   try {
     if ('setAppBadge' in navigator) {
-      navigator.setAppBadge(count || 0);
+      await navigator.setAppBadge(count ?? await countUnreadInbox());
     }
   } catch (error) {
     console.error('[SW] Update badge error:', error);
@@ -374,7 +653,8 @@ async function clearAllNotifications() {
     const notifications = await self.registration.getNotifications();
     notifications.forEach(notification => notification.close());
     
-    updateNotificationBadge(0);
+    // Closed notifications stay unread in the inbox
+    await updateNotificationBadge();
     
     console.log('[SW] All notifications cleared');
   } catch (error) {
@@ -402,29 +682,562 @@ async function syncNotifications() {
 }
 
 /**
- * Mark message as read (background operation)
- * @param {string} messageId - Message ID
+ * Open the notification inbox database shared with the app
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openNotificationInbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(INBOX_CONFIG.DB_NAME, INBOX_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(INBOX_CONFIG.STORE_NAME, { keyPath: 'id' });
+      store.createIndex('timestamp', 'timestamp');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run requests against the inbox object store in one transaction
+ * @param {string} mode - Transaction mode
+ * @param {function} operation - Store operation, optionally returning an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function inboxRequest(mode, operation) {
+  const db = await openNotificationInbox();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(INBOX_CONFIG.STORE_NAME, mode);
+      const request = operation(transaction.objectStore(INBOX_CONFIG.STORE_NAME));
+      
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Tell open tabs that the inbox changed
+ */
+function broadcastInboxChange() {
+  const channel = new BroadcastChannel(INBOX_CONFIG.CHANNEL_NAME);
+  channel.postMessage({ type: 'INBOX_UPDATED' });
+  channel.close();
+}
+
+/**
+ * Record a shown push in the inbox, dropping the oldest entries beyond the limit
+ * @param {Object} entry - { id, title, body, category, priority, data, timestamp }
  */
-async function markMessageAsRead(messageId) {
+async function recordInboxEntry(entry) {
   try {
-    // TODO: Make API call to mark message as read
-    console.log('[SW] Marked message as read:', messageId);
+    const entries = await inboxRequest('readonly', store => store.getAll());
+    const overflow = entries
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(0, Math.max(0, entries.length + 1 - INBOX_CONFIG.MAX_ENTRIES));
+    
+    await inboxRequest('readwrite', store => {
+      overflow.forEach(old => store.delete(old.id));
+      return store.put({ ...entry, body: entry.body || '', read: false });
+    });
+    broadcastInboxChange();
   } catch (error) {
-    console.error('[SW] Mark as read error:', error);
+    console.error('[SW] Record inbox entry error:', error);
   }
 }
 
 /**
- * Accept group invitation
- * @param {string} groupId - Group ID
- * @param {string} inviteId - Invitation ID
+ * Mark inbox entries read and update the badge
+ * @param {Array<string>} ids - Entry IDs
  */
-async function acceptGroupInvite(groupId, inviteId) {
+async function markInboxEntriesRead(ids) {
   try {
-    // TODO: Make API call to accept group invitation
-    console.log('[SW] Accepted group invite:', { groupId, inviteId });
+    const wanted = new Set(ids);
+    const unread = (await inboxRequest('readonly', store => store.getAll()))
+      .filter(entry => wanted.has(entry.id) && !entry.read);
+    
+    if (unread.length > 0) {
+      await inboxRequest('readwrite', store => {
+        unread.forEach(entry => store.put({ ...entry, read: true }));
+      });
+      broadcastInboxChange();
+    }
+    
+    await updateNotificationBadge();
   } catch (error) {
-    console.error('[SW] Accept invite error:', error);
+    console.error('[SW] Mark inbox entries read error:', error);
+  }
+}
+
+/**
+ * Count unread inbox entries
+ * @returns {Promise<number>} - Unread count
+ */
+async function countUnreadInbox() {
+  const entries = await inboxRequest('readonly', store => store.getAll());
+  return entries.filter(entry => !entry.read).length;
+}
+
+/**
+ * Open the message outbox database written by the chat UI
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openMessageOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_CONFIG.DB_NAME, OUTBOX_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(OUTBOX_CONFIG.STORE_NAME, { keyPath: 'clientId' });
+      store.createIndex('chatId', 'chatId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a request against the outbox object store
+ * @param {IDBDatabase} db - Outbox database
+ * @param {string} mode - Transaction mode
+ * @param {function} operation - Store operation returning an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+function outboxRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(OUTBOX_CONFIG.STORE_NAME));
+    
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Send queued chat messages, oldest first per chat
+ * Client IDs make the POST idempotent, so a message the page already sent is not duplicated.
+ * Rejects while messages remain pending so the browser retries the sync later.
+ */
+async function flushMessageOutbox() {
+  console.log('[SW] Flushing message outbox...');
+  
+  const db = await openMessageOutbox();
+  const channel = new BroadcastChannel(OUTBOX_CONFIG.CHANNEL_NAME);
+  const entries = await outboxRequest(db, 'readonly', store => store.getAll());
+  const blockedChats = new Set();
+  let pending = 0;
+  
+  const saveEntry = async (entry, updates) => {
+    await outboxRequest(db, 'readwrite', store => store.put({ ...entry, ...updates, updatedAt: Date.now() }));
+    channel.postMessage({ type: 'OUTBOX_UPDATED', chatId: entry.chatId });
+  };
+  
+  try {
+    entries.sort((a, b) => a.createdAt - b.createdAt);
+    
+    for (const entry of entries) {
+      const abandoned = entry.status === OUTBOX_CONFIG.STATUS.SENDING &&
+        Date.now() - entry.updatedAt > OUTBOX_CONFIG.SENDING_TIMEOUT;
+      
+      if (entry.status !== OUTBOX_CONFIG.STATUS.PENDING && !abandoned) {
+        continue;
+      }
+      
+      // Keep per-chat ordering: nothing overtakes a message that is still waiting
+      if (blockedChats.has(entry.chatId)) {
+        pending++;
+        continue;
+      }
+      
+      // The sender is taken from an ID token fetched from an open tab now, never one stored with
+      // the entry: without a tab signed in as the sender the entry waits for the next sync
+      const idToken = await requestIdToken(entry.message.senderId);
+      if (!idToken) {
+        blockedChats.add(entry.chatId);
+        pending++;
+        continue;
+      }
+      
+      const attempts = entry.attempts + 1;
+      await saveEntry(entry, { status: OUTBOX_CONFIG.STATUS.SENDING, attempts });
+      
+      let status;
+      let lastError = null;
+      
+      try {
+        const headers = {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${idToken}`
+        };
+        
+        const response = await fetch('/api/messages', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ chatId: entry.chatId, ...entry.message })
+        });
+        
+        if (response.ok) {
+          await outboxRequest(db, 'readwrite', store => store.delete(entry.clientId));
+          channel.postMessage({ type: 'OUTBOX_UPDATED', chatId: entry.chatId });
+          continue;
+        }
+        
+        const result = await response.json().catch(() => ({}));
+        lastError = result.error || `Request failed with status ${response.status}`;
+        
+        // A token that expired in flight is not the message's fault: keep it queued as it was
+        if (response.status === 401) {
+          await saveEntry(entry, { status: OUTBOX_CONFIG.STATUS.PENDING, attempts: entry.attempts, lastError });
+          blockedChats.add(entry.chatId);
+          pending++;
+          continue;
+        }
+        
+        status = response.status < 500 || attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS
+          ? OUTBOX_CONFIG.STATUS.FAILED
+          : OUTBOX_CONFIG.STATUS.PENDING;
+      } catch (error) {
+        lastError = error.message;
+        status = attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS
+          ? OUTBOX_CONFIG.STATUS.FAILED
+          : OUTBOX_CONFIG.STATUS.PENDING;
+      }
+      
+      await saveEntry(entry, { status, attempts, lastError });
+      
+      if (status === OUTBOX_CONFIG.STATUS.PENDING) {
+        blockedChats.add(entry.chatId);
+        pending++;
+      }
+    }
+  } finally {
+    channel.close();
+    db.close();
+  }
+  
+  if (pending > 0) {
+    throw new Error(`${pending} queued message(s) still pending`);
+  }
+  
+  console.log('[SW] Message outbox flushed');
+}
+
+/**
+ * Get a fresh Firebase ID token for a user from an open tab
+ * The worker has no session of its own; tabs answer GET_ID_TOKEN (see
+ * lib/auth/apiRequests answerIdTokenRequests) while that user is signed in.
+ * @param {string} userId - User the token must belong to
+ * @returns {Promise<string|null>} - ID token, or null when no open tab can provide one
+ */
+async function requestIdToken(userId) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  
+  for (const client of clients) {
+    const idToken = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timeout = setTimeout(() => resolve(null), ID_TOKEN_REQUEST_TIMEOUT);
+      
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timeout);
+        resolve(event.data?.idToken || null);
+      };
+      client.postMessage({ type: 'GET_ID_TOKEN', userId }, [channel.port2]);
+    });
+    
+    if (idToken) {
+      return idToken;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Send a delivery or read receipt for a chat message
+ * Pushes carry an action token that allows their receipts; notifications the app showed
+ * itself have none and are acknowledged with an open tab's ID token.
+ * @param {Object} data - Notification data with chatId, messageId, recipientId and actionToken
+ * @param {string} status - 'delivered' or 'read'
+ * @returns {Promise<boolean>} - Success status
+ */
+async function sendMessageReceipt(data, status) {
+  const { chatId, messageId, recipientId, actionToken } = data;
+  
+  if (!chatId || !messageId || !recipientId) {
+    console.warn('[SW] Receipt skipped, missing chatId, messageId or recipientId');
+    return false;
+  }
+  
+  try {
+    let response;
+    
+    if (actionToken) {
+      response = await fetch(ACTION_QUEUE_CONFIG.API_PATH, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${actionToken}`
+        },
+        body: JSON.stringify({ action: status === 'read' ? 'mark_read' : 'mark_delivered' })
+      });
+    } else {
+      const idToken = await requestIdToken(recipientId);
+      if (!idToken) {
+        console.warn(`[SW] ${status} receipt skipped, ${recipientId} is not signed in in an open tab`);
+        return false;
+      }
+      
+      response = await fetch('/api/messages?action=receipt', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${idToken}`
+        },
+        body: JSON.stringify({ chatId, messageIds: [messageId], status })
+      });
+    }
+    
+    if (!response.ok) {
+      throw new Error(`Receipt request failed with status ${response.status}`);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error(`[SW] Send ${status} receipt error:`, error);
+    return false;
+  }
+}
+
+/**
+ * Mark message as read (background operation)
+ * Notifications shown by the app itself carry no action token and send a plain receipt.
+ * @param {Object} data - Notification data with chatId, messageId and recipientId
+ */
+async function markMessageAsRead(data) {
+  if (data.actionToken) {
+    await queueNotificationAction('mark_read', data);
+  } else if (await sendMessageReceipt(data, 'read')) {
+    console.log('[SW] Marked message as read:', data.messageId);
+  }
+}
+
+/**
+ * Mute the notified conversation on this device for an hour
+ * Conversation rules are per device, so this needs no server call and works offline.
+ * @param {Object} data - Notification data with chatId or groupId
+ */
+async function muteConversation(data) {
+  const key = data.groupId ? `group:${data.groupId}` : `chat:${data.chatId}`;
+  const db = await openNotificationRules();
+  
+  try {
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(NOTIFICATION_RULES_CONFIG.STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(NOTIFICATION_RULES_CONFIG.STORE_NAME);
+      const request = store.get(key);
+      
+      // Keep the conversation's sound and vibration
+      request.onsuccess = () => store.put({
+        key,
+        value: {
+          sound: NOTIFICATION_RULES_CONFIG.SOUNDS.DEFAULT,
+          vibration: 'default',
+          ...request.result?.value,
+          mode: NOTIFICATION_RULES_CONFIG.MODES.MUTED,
+          mutedUntil: Date.now() + ACTION_QUEUE_CONFIG.MUTE_DURATION
+        }
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+  
+  const channel = new BroadcastChannel(NOTIFICATION_RULES_CONFIG.CHANNEL_NAME);
+  channel.postMessage({ type: 'RULES_UPDATED' });
+  channel.close();
+  
+  console.log('[SW] Muted conversation for an hour:', key);
+}
+
+/**
+ * Accept or decline a group invitation
+ * @param {string} action - 'accept_invite' or 'decline_invite'
+ * @param {Object} data - Notification data with groupId, invitationId and actionToken
+ */
+async function respondToGroupInvite(action, data) {
+  if (!data.actionToken) {
+    // Nothing to authorize the answer with; let the user answer in the app
+    await self.clients.openWindow(`/groups/${data.groupId}`);
+    return;
+  }
+  
+  await queueNotificationAction(action, data);
+}
+
+/**
+ * Open the notification action queue database shared with the app
+ * @returns {Promise<IDBDatabase>} - Database
+ */
+function openActionQueue() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(ACTION_QUEUE_CONFIG.DB_NAME, ACTION_QUEUE_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ACTION_QUEUE_CONFIG.STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run requests against the action queue object store in one transaction
+ * @param {string} mode - Transaction mode
+ * @param {function} operation - Store operation, optionally returning an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function actionQueueRequest(mode, operation) {
+  const db = await openActionQueue();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(ACTION_QUEUE_CONFIG.STORE_NAME, mode);
+      const request = operation(transaction.objectStore(ACTION_QUEUE_CONFIG.STORE_NAME));
+      
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Queue a notification action and try to send it right away
+ * Inline replies wait for an open tab to encrypt them (lib/notifications/actionQueue.js).
+ * The entry id doubles as the reply's client message id, keeping retries idempotent.
+ * @param {string} action - Action ID
+ * @param {Object} data - Notification data with actionToken
+ * @param {Object} options - { text: inline reply text }
+ */
+async function queueNotificationAction(action, data, { text = null } = {}) {
+  const entry = {
+    id: `c_${Date.now().toString(36)}_${crypto.randomUUID().replace(/-/g, '')}`,
+    action,
+    token: data.actionToken,
+    data: {
+      chatId: data.chatId || null,
+      groupId: data.groupId || null,
+      messageId: data.messageId || null,
+      invitationId: data.invitationId || null,
+      recipientId: data.recipientId || null
+    },
+    text,
+    message: null,
+    status: text ? ACTION_QUEUE_CONFIG.STATUS.AWAITING_ENCRYPTION : ACTION_QUEUE_CONFIG.STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  
+  await actionQueueRequest('readwrite', store => store.put(entry));
+  
+  if (text) {
+    const channel = new BroadcastChannel(ACTION_QUEUE_CONFIG.CHANNEL_NAME);
+    channel.postMessage({ type: 'REPLY_QUEUED', id: entry.id });
+    channel.close();
+    return;
+  }
+  
+  if (self.registration.sync) {
+    await self.registration.sync.register(ACTION_QUEUE_CONFIG.SYNC_TAG).catch((error) => {
+      console.warn('[SW] Notification action sync not registered:', error);
+    });
+  }
+  
+  await flushNotificationActions().catch((error) => {
+    console.warn('[SW] Notification actions still pending:', error.message);
+  });
+}
+
+/**
+ * Send queued notification actions, oldest first
+ * Flushes run one after another so an entry is never sent by two at once.
+ * Rejects while actions remain pending so the browser retries the sync later.
+ * @returns {Promise<void>}
+ */
+function flushNotificationActions() {
+  actionFlush = actionFlush.catch(() => {}).then(sendQueuedActions);
+  return actionFlush;
+}
+
+/**
+ * Send every pending action once
+ * Client errors (4xx, e.g. an expired token) fail the entry; anything else is retried.
+ */
+async function sendQueuedActions() {
+  const { STATUS, MAX_ATTEMPTS } = ACTION_QUEUE_CONFIG;
+  const entries = (await actionQueueRequest('readonly', store => store.getAll()))
+    .filter(entry => entry.status === STATUS.PENDING)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  let pending = 0;
+  
+  for (const entry of entries) {
+    const attempts = entry.attempts + 1;
+    let status;
+    let lastError = null;
+    
+    try {
+      const response = await fetch(ACTION_QUEUE_CONFIG.API_PATH, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${entry.token}`
+        },
+        body: JSON.stringify({ action: entry.action, message: entry.message })
+      });
+      
+      if (response.ok) {
+        await actionQueueRequest('readwrite', store => store.delete(entry.id));
+        console.log(`[SW] Notification action ${entry.action} sent`);
+        continue;
+      }
+      
+      const result = await response.json().catch(() => ({}));
+      lastError = result.error || `Request failed with status ${response.status}`;
+      status = response.status < 500 || attempts >= MAX_ATTEMPTS ? STATUS.FAILED : STATUS.PENDING;
+    } catch (error) {
+      lastError = error.message;
+      status = attempts >= MAX_ATTEMPTS ? STATUS.FAILED : STATUS.PENDING;
+    }
+    
+    await actionQueueRequest('readwrite', store => store.put({
+      ...entry,
+      status,
+      attempts,
+      lastError,
+      updatedAt: Date.now()
+    }));
+    
+    if (status === STATUS.PENDING) {
+      pending++;
+    } else {
+      console.error(`[SW] Notification action ${entry.action} failed:`, lastError);
+    }
+  }
+  
+  if (pending > 0) {
+    throw new Error(`${pending} notification action(s) still pending`);
   }
 }
 